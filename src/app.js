@@ -0,0 +1,74 @@
+// backend/src/app.js
+// The Express application over an open database, without the startup checks
+// and background jobs src/index.js adds around it
+const express = require("express");
+const cors = require("cors");
+const authRoutes = require("./routes/auth");
+const userRoutes = require("./routes/users");
+const keyRoutes = require("./routes/keys");
+const locationRoutes = require("./routes/locations");
+const doorRoutes = require("./routes/doors");
+const accessRoutes = require("./routes/access");
+const keyRequestRoutes = require("./routes/keyRequests");
+const keyTransferRoutes = require("./routes/keyTransfers");
+const reservationRoutes = require("./routes/reservations");
+const auditRoutes = require("./routes/audit");
+const importRoutes = require("./routes/import");
+const reportRoutes = require("./routes/reports");
+const tagRoutes = require("./routes/tags");
+const cabinetRoutes = require("./routes/cabinets");
+const deviceRoutes = require("./routes/devices");
+const webhookRoutes = require("./routes/webhooks");
+const eventRoutes = require("./routes/events");
+const { authenticateToken, acceptQueryToken } = require("./middleware/auth");
+const { authenticateDevice } = require("./middleware/deviceAuth");
+const swaggerDocs = require("./swagger"); // Import swagger
+
+const createApp = (db) => {
+  const app = express();
+
+  // Needed behind a reverse proxy so req.ip reflects the client for login throttling
+  if (process.env.TRUST_PROXY) {
+    app.set(
+      "trust proxy",
+      /^\d+$/.test(process.env.TRUST_PROXY)
+        ? Number(process.env.TRUST_PROXY)
+        : process.env.TRUST_PROXY,
+    );
+  }
+
+  app.use(cors());
+  app.use(express.json());
+
+  // Make db available in requests
+  app.use((req, res, next) => {
+    req.db = db;
+    next();
+  });
+
+  // Routes
+  app.use("/api/auth", authRoutes);
+  app.use("/api/users", authenticateToken, userRoutes);
+  app.use("/api/keys", authenticateToken, keyRoutes);
+  app.use("/api/locations", authenticateToken, locationRoutes);
+  app.use("/api/doors", authenticateToken, doorRoutes);
+  app.use("/api/access", authenticateToken, accessRoutes);
+  app.use("/api/key-requests", authenticateToken, keyRequestRoutes);
+  app.use("/api/key-transfers", authenticateToken, keyTransferRoutes);
+  app.use("/api/reservations", authenticateToken, reservationRoutes);
+  app.use("/api/audit", authenticateToken, auditRoutes);
+  app.use("/api/import", authenticateToken, importRoutes);
+  app.use("/api/reports", authenticateToken, reportRoutes);
+  app.use("/api/tags", authenticateToken, tagRoutes);
+  app.use("/api/cabinets", authenticateToken, cabinetRoutes);
+  app.use("/api/devices", authenticateDevice, deviceRoutes);
+  app.use("/api/webhooks", authenticateToken, webhookRoutes);
+  app.use("/api/events", acceptQueryToken, authenticateToken, eventRoutes);
+
+  // Swagger documentation
+  swaggerDocs(app); // Initialize swagger
+
+  return app;
+};
+
+module.exports = { createApp };
@@ -0,0 +1,144 @@
+// backend/src/cabinetSimulator.js
+// Simulated key cabinet for exercising the device API without hardware:
+//   node src/cabinetSimulator.js status                          show the slots
+//   node src/cabinetSimulator.js take <badgeId> <slot> [--force] badge in and take a key
+//   node src/cabinetSimulator.js return <slot> [badgeId] [condition]
+// CABINET_KEY is the device key issued when the cabinet was registered;
+// CABINET_URL points at the API (default http://localhost:5010).
+const crypto = require("crypto");
+
+// Client for one cabinet's device API. The commands print what the cabinet
+// would show through log and resolve to what the API answered, so scripts and
+// tests can drive a cabinet the same way.
+const createCabinetClient = ({
+  baseUrl = process.env.CABINET_URL || "http://localhost:5010",
+  deviceKey = process.env.CABINET_KEY,
+  log = console.log,
+} = {}) => {
+  const request = async (method, path, body) => {
+    const response = await fetch(`${baseUrl}/api/devices${path}`, {
+      method,
+      headers: {
+        Authorization: `Device ${deviceKey}`,
+        "Content-Type": "application/json",
+      },
+      body: body && JSON.stringify(body),
+    });
+    const data = await response.json();
+    if (!response.ok) {
+      throw new Error(
+        data.error || data.errors?.map((error) => error.msg).join(", "),
+      );
+    }
+    return data;
+  };
+
+  // Reports one event; a real cabinet would retry with the same eventId
+  const report = async (type, slot, fields = {}) => {
+    const event = await request("POST", "/cabinet/events", {
+      eventId: crypto.randomUUID(),
+      type,
+      slot,
+      occurredAt: new Date().toISOString(),
+      ...fields,
+    });
+    log(
+      `${type} slot ${slot}: ${event.outcome}${event.message ? ` (${event.message})` : ""}`,
+    );
+    return event;
+  };
+
+  // Resolves to the cabinet with its slots
+  const status = async () => {
+    const cabinet = await request("GET", "/cabinet");
+    log(`Cabinet ${cabinet.id} ${cabinet.name}`);
+    if (cabinet.slots.length === 0) {
+      log("No slots stocked");
+    }
+    for (const { slot, identifier, status, isCheckedOut } of cabinet.slots) {
+      log(
+        `${String(slot).padStart(3)}  ${identifier.padEnd(20)} ${isCheckedOut ? "checked out" : status}`,
+      );
+    }
+    return cabinet;
+  };
+
+  // Resolves to the events reported, none when the take was refused. force
+  // pulls the key even when the take is refused, as a forced door would.
+  const take = async (badgeId, slot, { force = false } = {}) => {
+    const decision = await request("POST", "/cabinet/authorize", {
+      badgeId,
+      slot: Number(slot),
+    });
+    if (!decision.allowed) {
+      log(`Refused: ${decision.reason}`);
+      if (!force) {
+        return [];
+      }
+    } else {
+      log(
+        `Releasing ${decision.identifier} to ${decision.displayName}${
+          decision.dueAt ? `, due ${decision.dueAt} UTC` : ""
+        }`,
+      );
+    }
+
+    return [
+      await report("slot_opened", Number(slot), { badgeId }),
+      await report("key_removed", Number(slot), { badgeId }),
+    ];
+  };
+
+  // Resolves to the events reported
+  const putBack = async (slot, badgeId, condition) => [
+    ...(badgeId
+      ? [await report("slot_opened", Number(slot), { badgeId })]
+      : []),
+    await report("key_returned", Number(slot), { badgeId, condition }),
+  ];
+
+  return { request, report, status, take, return: putBack };
+};
+
+const usage = () =>
+  console.error(
+    "Usage: node src/cabinetSimulator.js <status|take <badgeId> <slot> [--force]|return <slot> [badgeId] [condition]>",
+  );
+
+const main = async () => {
+  const [command = "status", ...args] = process.argv.slice(2);
+  const slot = command === "take" ? args[1] : args[0];
+  if (
+    !["status", "take", "return"].includes(command) ||
+    (command !== "status" && !/^\d+$/.test(slot || "")) ||
+    (command === "take" && !args[0])
+  ) {
+    usage();
+    process.exitCode = 1;
+    return;
+  }
+  if (!process.env.CABINET_KEY) {
+    console.error("Set CABINET_KEY to the cabinet's device key");
+    process.exitCode = 1;
+    return;
+  }
+
+  const cabinet = createCabinetClient();
+  try {
+    if (command === "take") {
+      const [badgeId, , flag] = args;
+      await cabinet.take(badgeId, slot, { force: flag === "--force" });
+    } else {
+      await cabinet[command](...args);
+    }
+  } catch (error) {
+    console.error(`Cabinet request failed: ${error.message}`);
+    process.exitCode = 1;
+  }
+};
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = { createCabinetClient };
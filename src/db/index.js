@@ -0,0 +1,50 @@
+// backend/src/db/index.js
+// Database connection selected by DB_CLIENT: "sqlite" (default) opens
+// DATABASE_FILE, "postgres" connects to DATABASE_URL. Both expose get, all,
+// run and exec plus the dialect for the few SQL fragments that differ.
+const path = require("path");
+const sqlite = require("./sqlite");
+const postgres = require("./postgres");
+const { shareConnection } = require("./shared");
+
+const DB_CLIENT = process.env.DB_CLIENT || "sqlite";
+const DATABASE_FILE =
+  process.env.DATABASE_FILE || path.join(__dirname, "..", "database.sqlite");
+
+const clients = {
+  sqlite: {
+    open: () => sqlite.openSqlite({ filename: DATABASE_FILE }),
+    describe: () => `sqlite ${DATABASE_FILE}`,
+  },
+  postgres: {
+    open: () =>
+      postgres.openPostgres({ connectionString: process.env.DATABASE_URL }),
+    // Never print the password
+    describe: () =>
+      `postgres ${process.env.DATABASE_URL.replace(/\/\/[^@/]*@/, "//")}`,
+  },
+};
+
+const client = () => {
+  const selected = clients[DB_CLIENT];
+  if (!selected) {
+    throw new Error(
+      `Unsupported DB_CLIENT "${DB_CLIENT}"; use ${Object.keys(clients).join(" or ")}`,
+    );
+  }
+  if (DB_CLIENT === "postgres" && !process.env.DATABASE_URL) {
+    throw new Error("DATABASE_URL is required when DB_CLIENT is postgres");
+  }
+  return selected;
+};
+
+// Opens the database shared by the server and the migration CLI
+const openDatabase = async () => shareConnection(await client().open());
+
+const describeDatabase = () => client().describe();
+
+// Whether a write failed on a UNIQUE constraint or index
+const isUniqueViolation = (error) =>
+  sqlite.isUniqueViolation(error) || postgres.isUniqueViolation(error);
+
+module.exports = { openDatabase, describeDatabase, isUniqueViolation };
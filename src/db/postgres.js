@@ -0,0 +1,111 @@
+// backend/src/db/postgres.js
+// PostgreSQL behind the same get/all/run/exec interface as the sqlite
+// package, so repositories and services run unchanged on either database.
+// Statements are written once for both: placeholders are "?", identifiers are
+// camelCase and timestamps are compared as UTC "YYYY-MM-DD HH:MM:SS" values.
+const { Client, types } = require("pg");
+
+// Counts and sums arrive as numbers rather than strings, and timestamps in the
+// same text form SQLite returns
+types.setTypeParser(types.builtins.INT8, (value) => parseInt(value, 10));
+types.setTypeParser(types.builtins.NUMERIC, parseFloat);
+types.setTypeParser(types.builtins.TIMESTAMP, (value) => value);
+
+const dialect = {
+  name: "postgres",
+  beginTransaction: "BEGIN",
+  // Held until commit; the key is arbitrary but fixed
+  lockAuditChain: "SELECT pg_advisory_xact_lock(7310451)",
+  hoursBetween: (start, end) =>
+    `(CAST(EXTRACT(EPOCH FROM (${end} - ${start})) AS NUMERIC) / 3600)`,
+  wholeDaysBetween: (start, end) =>
+    `CAST(FLOOR(EXTRACT(EPOCH FROM (${end} - ${start})) / 86400) AS INTEGER)`,
+  groupConcat: (expression) => `STRING_AGG(DISTINCT ${expression}, ',')`,
+};
+
+const isUniqueViolation = (error) => error.code === "23505";
+
+// Quoted literals and identifiers, which are never rewritten
+const QUOTED = /('(?:[^']|'')*'|"[^"]*")/;
+// Unquoted identifiers fold to lower case, so camelCase names are quoted
+const CAMEL_CASE = /\b[a-z][a-z0-9]*[A-Z][A-Za-z0-9]*\b/g;
+// Truncated like SQLite's so stored times never round up into the future
+const NOW = "date_trunc('second', LOCALTIMESTAMP)";
+
+// Column types in the shared schema. Flags stay integers because statements
+// compare them with 0 and 1.
+const SCHEMA_TYPES = [
+  [/\bINTEGER PRIMARY KEY AUTOINCREMENT\b/g, "SERIAL PRIMARY KEY"],
+  [/\bDATETIME\b/g, "TIMESTAMP(0)"],
+  [/\bBOOLEAN\b/g, "INTEGER"],
+];
+
+// SQLite trigger blocks, which the first schema migration shipped with before
+// the schema ran on PostgreSQL. PostgreSQL gets its triggers from their own
+// migration (007), so schema statements leave these out.
+const SQLITE_TRIGGER = /\bCREATE TRIGGER IF NOT EXISTS\s+\w+[\s\S]*?\bEND;/g;
+
+const translate = (sql, { schema = false } = {}) => {
+  let placeholder = 0;
+  return (schema ? sql.replace(SQLITE_TRIGGER, "") : sql)
+    .split(QUOTED)
+    .map((part, index) => {
+      if (index % 2 === 1) {
+        return part;
+      }
+      let code = part
+        .replace(CAMEL_CASE, '"$&"')
+        .replace(/\bCURRENT_TIMESTAMP\b/g, NOW)
+        .replace(/\?/g, () => `$${++placeholder}`);
+      if (schema) {
+        for (const [pattern, type] of SCHEMA_TYPES) {
+          code = code.replace(pattern, type);
+        }
+      }
+      return code;
+    })
+    .join("");
+};
+
+// SQLite binds booleans as 1 and 0
+const toParam = (value) =>
+  typeof value === "boolean" ? Number(value) : (value ?? null);
+
+// Uses a single connection like the SQLite driver; db/shared.js keeps other
+// requests' statements out of an open transaction
+const openPostgres = async ({ connectionString }) => {
+  const client = new Client({ connectionString });
+  client.on("error", (error) => {
+    console.error(`PostgreSQL connection error: ${error.message}`);
+  });
+  await client.connect();
+  await client.query("SET TIME ZONE 'UTC'");
+
+  const query = (sql, params = []) =>
+    client.query(translate(sql), params.map(toParam));
+
+  return {
+    dialect,
+    get: async (sql, params) => (await query(sql, params)).rows[0],
+    all: async (sql, params) => (await query(sql, params)).rows,
+    // Inserts return the new row so callers get lastID as with SQLite
+    run: async (sql, params) => {
+      const returning =
+        /^\s*INSERT\b/i.test(sql) && !/\bRETURNING\b/i.test(sql);
+      const result = await query(
+        returning ? `${sql} RETURNING *` : sql,
+        params,
+      );
+      return {
+        lastID: returning ? result.rows[0]?.id : undefined,
+        changes: result.rowCount,
+      };
+    },
+    exec: async (sql) => {
+      await client.query(translate(sql, { schema: true }));
+    },
+    close: () => client.end(),
+  };
+};
+
+module.exports = { openPostgres, translate, isUniqueViolation };
@@ -0,0 +1,86 @@
+// backend/src/db/shared.js
+// All requests share one database connection. A transaction has the
+// connection to itself: statements issued outside it wait until it commits or
+// rolls back, so they never run inside someone else's transaction, and
+// transactions queue behind each other.
+const STATEMENTS = ["get", "all", "run", "exec"];
+
+const shareConnection = (connection) => {
+  // Statements running outside a transaction, which finish before BEGIN
+  let running = 0;
+  let drained = [];
+  // Settles when the open transaction ends
+  let open = null;
+  let queue = Promise.resolve();
+
+  const statement =
+    (method) =>
+    async (...args) => {
+      while (open) {
+        await open;
+      }
+      running += 1;
+      try {
+        return await connection[method](...args);
+      } finally {
+        running -= 1;
+        if (running === 0) {
+          drained.forEach((resolve) => resolve());
+          drained = [];
+        }
+      }
+    };
+
+  // The handle a transaction's statements go through; only it bypasses the
+  // wait, so it must not be used after the transaction ends
+  const transactionHandle = () => {
+    const tx = { dialect: connection.dialect, inTransaction: true };
+    for (const method of STATEMENTS) {
+      tx[method] = (...args) => connection[method](...args);
+    }
+    return tx;
+  };
+
+  // Runs fn(tx) in a transaction, committing when it resolves and rolling
+  // back when it rejects. Resolves to what fn resolves to.
+  const transaction = (fn) => {
+    const run = queue.then(async () => {
+      let end;
+      open = new Promise((resolve) => {
+        end = resolve;
+      });
+      try {
+        while (running > 0) {
+          await new Promise((resolve) => drained.push(resolve));
+        }
+        await connection.run(connection.dialect.beginTransaction);
+        try {
+          const result = await fn(transactionHandle());
+          await connection.run("COMMIT");
+          return result;
+        } catch (error) {
+          await connection.run("ROLLBACK");
+          throw error;
+        }
+      } finally {
+        open = null;
+        end();
+      }
+    });
+
+    queue = run.catch(() => {});
+    return run;
+  };
+
+  const shared = {
+    dialect: connection.dialect,
+    transaction,
+    close: () => connection.close(),
+  };
+  for (const method of STATEMENTS) {
+    shared[method] = statement(method);
+  }
+  return shared;
+};
+
+module.exports = { shareConnection };
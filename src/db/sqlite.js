@@ -0,0 +1,28 @@
+// backend/src/db/sqlite.js
+const sqlite3 = require("sqlite3");
+const { open } = require("sqlite");
+
+// SQL fragments that differ between the supported databases. Timestamps are
+// stored as "YYYY-MM-DD HH:MM:SS" UTC text.
+const dialect = {
+  name: "sqlite",
+  // Takes the write lock up front so concurrent transactions queue instead of
+  // failing on upgrade
+  beginTransaction: "BEGIN IMMEDIATE",
+  hoursBetween: (start, end) =>
+    `((julianday(${end}) - julianday(${start})) * 24)`,
+  wholeDaysBetween: (start, end) =>
+    `CAST(julianday(${end}) - julianday(${start}) AS INTEGER)`,
+  groupConcat: (expression) => `GROUP_CONCAT(DISTINCT ${expression})`,
+};
+
+const isUniqueViolation = (error) =>
+  error.message.includes("UNIQUE constraint failed");
+
+const openSqlite = async ({ filename }) => {
+  const db = await open({ filename, driver: sqlite3.Database });
+  db.dialect = dialect;
+  return db;
+};
+
+module.exports = { openSqlite, isUniqueViolation };
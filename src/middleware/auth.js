@@ -1,7 +1,15 @@
 // backend/src/middleware/auth.js
 const jwt = require("jsonwebtoken");
+const { findSessionUser } = require("../repositories/users");
 const JWT_SECRET = process.env.JWT_SECRET || "your-secret-key";
 
+// Roles a user can hold, from most to least privileged
+const ROLES = {
+  ADMIN: "admin",
+  CUSTODIAN: "custodian",
+  HOLDER: "holder",
+};
+
 const authenticateToken = (req, res, next) => {
   const authHeader = req.headers["authorization"];
   const token = authHeader && authHeader.split(" ")[1];
@@ -10,13 +18,55 @@ const authenticateToken = (req, res, next) => {
     return res.status(401).json({ error: "Access denied" });
   }
 
-  jwt.verify(token, JWT_SECRET, (err, user) => {
+  jwt.verify(token, JWT_SECRET, async (err, payload) => {
     if (err) {
       return res.status(403).json({ error: "Invalid token" });
     }
-    req.user = user;
-    next();
+
+    try {
+      // Re-read the user so deactivation and role changes apply immediately
+      const user = await findSessionUser(req.db, payload.id);
+      if (!user) {
+        return res.status(403).json({ error: "Invalid token" });
+      }
+      req.user = user;
+      next();
+    } catch (error) {
+      res.status(500).json({ error: "Error authenticating token" });
+    }
   });
 };
 
-module.exports = { authenticateToken, JWT_SECRET };
+// For clients that cannot set headers, such as a browser EventSource: accepts
+// the access token as ?access_token= when no Authorization header is sent.
+// Must run before authenticateToken.
+const acceptQueryToken = (req, res, next) => {
+  if (
+    !req.headers["authorization"] &&
+    typeof req.query.access_token === "string"
+  ) {
+    req.headers["authorization"] = `Bearer ${req.query.access_token}`;
+  }
+  next();
+};
+
+// Must run after authenticateToken; admins pass every role check
+const authorizeRoles =
+  (...roles) =>
+  (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({ error: "Access denied" });
+    }
+    if (req.user.role !== ROLES.ADMIN && !roles.includes(req.user.role)) {
+      return res.status(403).json({ error: "Insufficient permissions" });
+    }
+    next();
+  };
+
+module.exports = {
+  authenticateToken,
+  acceptQueryToken,
+  authorizeRoles,
+  ROLES,
+  JWT_SECRET,
+};
@@ -0,0 +1,33 @@
+// backend/src/middleware/deviceAuth.js
+// Cabinets authenticate with "Authorization: Device <device key>" instead of a
+// user JWT
+const {
+  findCabinetCredentials,
+  touchCabinet,
+} = require("../repositories/cabinets");
+const { parseDeviceKey, secretMatches } = require("../services/cabinets");
+
+const authenticateDevice = async (req, res, next) => {
+  const [scheme, deviceKey] = (req.headers["authorization"] || "").split(" ");
+  const credentials = scheme === "Device" && parseDeviceKey(deviceKey);
+
+  if (!credentials) {
+    return res.status(401).json({ error: "Access denied" });
+  }
+
+  try {
+    const cabinet = await findCabinetCredentials(req.db, credentials.cabinetId);
+    if (!cabinet || !secretMatches(credentials.secret, cabinet.secret)) {
+      return res.status(403).json({ error: "Invalid device key" });
+    }
+    // Any authenticated request counts as a heartbeat
+    await touchCabinet(req.db, cabinet.id);
+    const { secret, ...rest } = cabinet;
+    req.cabinet = rest;
+    next();
+  } catch (error) {
+    res.status(500).json({ error: "Error authenticating device" });
+  }
+};
+
+module.exports = { authenticateDevice };
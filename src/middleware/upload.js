@@ -0,0 +1,113 @@
+// backend/src/middleware/upload.js
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const multer = require("multer");
+
+const UPLOAD_DIR = path.resolve(
+  process.env.UPLOAD_DIR || path.join(__dirname, "..", "..", "uploads"),
+);
+const UPLOAD_MAX_BYTES =
+  Number(process.env.UPLOAD_MAX_BYTES) || 5 * 1024 * 1024;
+const IMPORT_MAX_BYTES =
+  Number(process.env.IMPORT_MAX_BYTES) || 10 * 1024 * 1024;
+
+const IMAGE_TYPES = {
+  "image/png": ".png",
+  "image/jpeg": ".jpg",
+  "image/webp": ".webp",
+};
+
+// Browsers disagree on CSV mime types, so spreadsheets are matched by extension
+const SPREADSHEET_EXTENSIONS = [".csv", ".xlsx"];
+
+fs.mkdirSync(UPLOAD_DIR, { recursive: true });
+
+// Files get random names so user-supplied names never reach the filesystem
+const storage = multer.diskStorage({
+  destination: UPLOAD_DIR,
+  filename: (req, file, cb) =>
+    cb(
+      null,
+      `${crypto.randomBytes(16).toString("hex")}${IMAGE_TYPES[file.mimetype]}`,
+    ),
+});
+
+const upload = multer({
+  storage,
+  limits: { fileSize: UPLOAD_MAX_BYTES, files: 2 },
+  fileFilter: (req, file, cb) => {
+    if (!IMAGE_TYPES[file.mimetype]) {
+      return cb(
+        new multer.MulterError("LIMIT_UNEXPECTED_FILE", file.fieldname),
+      );
+    }
+    cb(null, true);
+  },
+});
+
+// Deletes the files of a request that was rejected after upload
+const removeUploads = (files) => {
+  for (const file of Object.values(files || {}).flat()) {
+    fs.rm(file.path, { force: true }, () => {});
+  }
+};
+
+// Runs a multer handler and answers upload problems with 400 like any other
+// validation error
+const withUploadErrors = (handler, maxBytes, describe) => (req, res, next) =>
+  handler(req, res, (error) => {
+    if (!error) {
+      return next();
+    }
+    removeUploads(req.files);
+    if (error instanceof multer.MulterError) {
+      const message =
+        error.code === "LIMIT_FILE_SIZE"
+          ? `${error.field} must be at most ${maxBytes} bytes`
+          : `${error.field} must be ${describe}`;
+      return res.status(400).json({ errors: [{ msg: message }] });
+    }
+    next(error);
+  });
+
+// Accepts the given single-image fields from a multipart body
+const imageFields = (...names) =>
+  withUploadErrors(
+    upload.fields(names.map((name) => ({ name, maxCount: 1 }))),
+    UPLOAD_MAX_BYTES,
+    "a single PNG, JPEG or WebP image",
+  );
+
+// Spreadsheets are parsed straight from memory and never written to disk
+const spreadsheetUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: IMPORT_MAX_BYTES, files: 1 },
+  fileFilter: (req, file, cb) => {
+    const extension = path.extname(file.originalname).toLowerCase();
+    if (!SPREADSHEET_EXTENSIONS.includes(extension)) {
+      return cb(
+        new multer.MulterError("LIMIT_UNEXPECTED_FILE", file.fieldname),
+      );
+    }
+    cb(null, true);
+  },
+});
+
+// Accepts a single CSV or XLSX file as req.file
+const spreadsheetFile = (name) =>
+  withUploadErrors(
+    spreadsheetUpload.single(name),
+    IMPORT_MAX_BYTES,
+    "a single .csv or .xlsx file",
+  );
+
+const uploadPath = (fileName) => path.join(UPLOAD_DIR, path.basename(fileName));
+
+module.exports = {
+  imageFields,
+  spreadsheetFile,
+  removeUploads,
+  uploadPath,
+  UPLOAD_DIR,
+};
@@ -0,0 +1,98 @@
+// backend/src/middleware/validators.js
+// Validation chains shared between routes. The bulk importer runs the body
+// chains too, so a row in an import file is held to the same rules as a
+// single API call.
+const { body, query } = require("express-validator");
+const { ROLES } = require("./auth");
+const { KEY_TYPES } = require("../services/keyTypes");
+const { MAX_PAGE_SIZE } = require("../services/listing");
+
+const userCreateValidators = [
+  body("email").isEmail(),
+  body("role").isIn(Object.values(ROLES)).optional(),
+];
+
+const userProfileValidators = [
+  body("displayName")
+    .optional({ values: "null" })
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 100 }),
+  body("phone")
+    .optional({ values: "null" })
+    .isString()
+    .trim()
+    .matches(/^\+?[0-9\s\-()]{7,20}$/),
+  body("department")
+    .optional({ values: "null" })
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 100 }),
+];
+
+const keyMetadataValidators = [
+  body("type").optional().isIn(Object.values(KEY_TYPES)),
+  body(["parentId", "locationId"]).optional({ values: "null" }).isInt(),
+  body("copies").optional().isInt({ min: 1 }),
+  body("doorIds").optional().isArray(),
+  body("doorIds.*").isInt(),
+];
+
+const keyCreateValidators = [
+  body("identifier").notEmpty(),
+  ...keyMetadataValidators,
+];
+
+// Body of a key assignment made at the counter, by key id or by scanned tag
+const assignmentValidators = [
+  body("assignedTo").isInt(),
+  body("dueAt")
+    .optional({ values: "null" })
+    .isISO8601()
+    .bail()
+    .custom((value) => new Date(value) > new Date())
+    .withMessage("dueAt must be in the future"),
+  body("override").optional().isBoolean(),
+];
+
+// Imported assignments record loans that already exist, so unlike a new
+// assignment they may be backdated and may already be overdue
+const assignmentImportValidators = [
+  body("keyIdentifier").notEmpty(),
+  body("email").isEmail(),
+  body("assignedAt")
+    .optional()
+    .isISO8601()
+    .bail()
+    .custom((value) => new Date(value) <= new Date())
+    .withMessage("assignedAt cannot be in the future"),
+  body("dueAt")
+    .optional()
+    .isISO8601()
+    .bail()
+    .custom(
+      (value, { req }) =>
+        new Date(value) > new Date(req.body.assignedAt || Date.now()),
+    )
+    .withMessage("dueAt must be after assignedAt"),
+];
+
+// page, limit and sort for a list endpoint; sort accepts each field name,
+// optionally prefixed with "-" for descending order
+const listQueryValidators = (sortFields) => [
+  query("page").optional().isInt({ min: 1 }),
+  query("limit").optional().isInt({ min: 1, max: MAX_PAGE_SIZE }),
+  query("sort")
+    .optional()
+    .isIn(sortFields.flatMap((field) => [field, `-${field}`])),
+];
+
+module.exports = {
+  userCreateValidators,
+  userProfileValidators,
+  keyMetadataValidators,
+  keyCreateValidators,
+  assignmentValidators,
+  assignmentImportValidators,
+  listQueryValidators,
+};
@@ -0,0 +1,70 @@
+// backend/src/migrate.js
+// Schema migration CLI:
+//   node src/migrate.js up [version]     apply pending migrations
+//   node src/migrate.js rollback [steps] revert the latest migrations
+//   node src/migrate.js status           list applied and pending migrations
+const { openDatabase, describeDatabase } = require("./db");
+const { migrate, rollback, migrationStatus } = require("./services/migrations");
+
+const pad = (version) => String(version).padStart(3, "0");
+
+const commands = {
+  up: async (db, target) => {
+    const applied = await migrate(db, {
+      to: target === undefined ? Infinity : Number(target),
+    });
+    if (applied.length === 0) {
+      console.log("Database is up to date");
+    }
+    for (const { version, name } of applied) {
+      console.log(`Applied ${pad(version)}_${name}`);
+    }
+  },
+
+  rollback: async (db, steps = "1") => {
+    const reverted = await rollback(db, { steps: Number(steps) });
+    if (reverted.length === 0) {
+      console.log("No migrations to roll back");
+    }
+    for (const { version, name } of reverted) {
+      console.log(`Rolled back ${pad(version)}_${name}`);
+    }
+  },
+
+  status: async (db) => {
+    console.log(`Database: ${describeDatabase()}`);
+    for (const { version, name, state, appliedAt } of await migrationStatus(
+      db,
+    )) {
+      console.log(
+        `${state.padEnd(8)} ${pad(version)}_${name}${appliedAt ? `  ${appliedAt}` : ""}`,
+      );
+    }
+  },
+};
+
+const main = async () => {
+  const [command = "status", argument] = process.argv.slice(2);
+  if (
+    !commands[command] ||
+    (argument !== undefined && !/^\d+$/.test(argument))
+  ) {
+    console.error(
+      "Usage: node src/migrate.js <up [version]|rollback [steps]|status>",
+    );
+    process.exitCode = 1;
+    return;
+  }
+
+  const db = await openDatabase();
+  try {
+    await commands[command](db, argument);
+  } catch (error) {
+    console.error(`Migration failed: ${error.message}`);
+    process.exitCode = 1;
+  } finally {
+    await db.close();
+  }
+};
+
+main();
@@ -0,0 +1,300 @@
+// backend/src/migrations/001_initial_schema.js
+// The schema as it stood when migrations were introduced. IF NOT EXISTS lets
+// databases created by earlier versions adopt this as their first migration.
+
+const up = (db) =>
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS users (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      email TEXT UNIQUE NOT NULL,
+      password TEXT NOT NULL,
+      role TEXT NOT NULL DEFAULT 'holder' CHECK (role IN ('admin', 'custodian', 'holder')),
+      displayName TEXT,
+      phone TEXT,
+      department TEXT,
+      isActive BOOLEAN DEFAULT 1,
+      isPending BOOLEAN DEFAULT 0,
+      createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updatedAt DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE TABLE IF NOT EXISTS locations (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT UNIQUE NOT NULL,
+      building TEXT,
+      floor TEXT,
+      room TEXT,
+      description TEXT,
+      isActive BOOLEAN DEFAULT 1,
+      createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updatedAt DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE TABLE IF NOT EXISTS doors (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT NOT NULL,
+      locationId INTEGER,
+      lockIdentifier TEXT,
+      description TEXT,
+      isActive BOOLEAN DEFAULT 1,
+      createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updatedAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (locationId) REFERENCES locations (id)
+    );
+
+    CREATE TABLE IF NOT EXISTS keys (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      identifier TEXT UNIQUE NOT NULL,
+      type TEXT NOT NULL DEFAULT 'single_door' CHECK (type IN ('grand_master', 'master', 'sub_master', 'single_door', 'cabinet')),
+      parentId INTEGER,
+      locationId INTEGER,
+      copies INTEGER NOT NULL DEFAULT 1 CHECK (copies >= 1),
+      isActive BOOLEAN DEFAULT 1,
+      status TEXT NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'lost', 'stolen', 'damaged', 'retired')),
+      statusReason TEXT,
+      statusChangedAt DATETIME,
+      statusChangedBy INTEGER,
+      createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updatedAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (parentId) REFERENCES keys (id),
+      FOREIGN KEY (locationId) REFERENCES locations (id),
+      FOREIGN KEY (statusChangedBy) REFERENCES users (id)
+    );
+
+    CREATE TABLE IF NOT EXISTS key_doors (
+      keyId INTEGER NOT NULL,
+      doorId INTEGER NOT NULL,
+      PRIMARY KEY (keyId, doorId),
+      FOREIGN KEY (keyId) REFERENCES keys (id),
+      FOREIGN KEY (doorId) REFERENCES doors (id)
+    );
+
+    CREATE TABLE IF NOT EXISTS key_assignments (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      keyId INTEGER NOT NULL,
+      assignedTo INTEGER NOT NULL,
+      assignedBy INTEGER NOT NULL,
+      assignedAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+      dueAt DATETIME,
+      returnedAt DATETIME,
+      transferredFrom INTEGER,
+      FOREIGN KEY (keyId) REFERENCES keys (id),
+      FOREIGN KEY (assignedTo) REFERENCES users (id),
+      FOREIGN KEY (assignedBy) REFERENCES users (id),
+      FOREIGN KEY (transferredFrom) REFERENCES key_assignments (id)
+    );
+
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_key_assignments_open
+      ON key_assignments (keyId) WHERE returnedAt IS NULL;
+
+    CREATE TABLE IF NOT EXISTS key_returns (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      assignmentId INTEGER NOT NULL UNIQUE,
+      receivedBy INTEGER NOT NULL,
+      condition TEXT NOT NULL CHECK (condition IN ('good', 'worn', 'damaged')),
+      notes TEXT,
+      signatureFile TEXT,
+      photoFile TEXT,
+      createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (assignmentId) REFERENCES key_assignments (id),
+      FOREIGN KEY (receivedBy) REFERENCES users (id)
+    );
+
+    CREATE TABLE IF NOT EXISTS key_requests (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      keyId INTEGER NOT NULL,
+      requestedBy INTEGER NOT NULL,
+      justification TEXT NOT NULL,
+      startsAt DATETIME NOT NULL,
+      endsAt DATETIME NOT NULL,
+      status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'approved', 'rejected', 'fulfilled', 'cancelled')),
+      requiredApprovals INTEGER NOT NULL DEFAULT 1,
+      assignmentId INTEGER,
+      fulfilledBy INTEGER,
+      fulfilledAt DATETIME,
+      createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updatedAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (keyId) REFERENCES keys (id),
+      FOREIGN KEY (requestedBy) REFERENCES users (id),
+      FOREIGN KEY (assignmentId) REFERENCES key_assignments (id),
+      FOREIGN KEY (fulfilledBy) REFERENCES users (id)
+    );
+
+    CREATE TABLE IF NOT EXISTS key_request_decisions (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      requestId INTEGER NOT NULL,
+      approverId INTEGER NOT NULL,
+      decision TEXT NOT NULL CHECK (decision IN ('approved', 'rejected')),
+      note TEXT,
+      createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE (requestId, approverId),
+      FOREIGN KEY (requestId) REFERENCES key_requests (id),
+      FOREIGN KEY (approverId) REFERENCES users (id)
+    );
+
+    CREATE TABLE IF NOT EXISTS key_transfers (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      keyId INTEGER NOT NULL,
+      fromAssignmentId INTEGER NOT NULL,
+      fromUserId INTEGER NOT NULL,
+      toUserId INTEGER NOT NULL,
+      note TEXT,
+      status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'accepted', 'declined', 'cancelled')),
+      toAssignmentId INTEGER,
+      createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+      respondedAt DATETIME,
+      FOREIGN KEY (keyId) REFERENCES keys (id),
+      FOREIGN KEY (fromAssignmentId) REFERENCES key_assignments (id),
+      FOREIGN KEY (fromUserId) REFERENCES users (id),
+      FOREIGN KEY (toUserId) REFERENCES users (id),
+      FOREIGN KEY (toAssignmentId) REFERENCES key_assignments (id)
+    );
+
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_key_transfers_pending
+      ON key_transfers (fromAssignmentId) WHERE status = 'pending';
+
+    CREATE TABLE IF NOT EXISTS key_reservations (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      keyId INTEGER NOT NULL,
+      reservedFor INTEGER NOT NULL,
+      reservedBy INTEGER NOT NULL,
+      startsAt DATETIME NOT NULL,
+      endsAt DATETIME NOT NULL,
+      purpose TEXT,
+      createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+      cancelledAt DATETIME,
+      cancelledBy INTEGER,
+      FOREIGN KEY (keyId) REFERENCES keys (id),
+      FOREIGN KEY (reservedFor) REFERENCES users (id),
+      FOREIGN KEY (reservedBy) REFERENCES users (id),
+      FOREIGN KEY (cancelledBy) REFERENCES users (id)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_key_reservations_key
+      ON key_reservations (keyId, startsAt);
+
+    CREATE TABLE IF NOT EXISTS assignment_reminders (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      assignmentId INTEGER NOT NULL,
+      kind TEXT NOT NULL,
+      sentAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE (assignmentId, kind),
+      FOREIGN KEY (assignmentId) REFERENCES key_assignments (id)
+    );
+
+    CREATE TABLE IF NOT EXISTS audit_log (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      actorId INTEGER,
+      action TEXT NOT NULL,
+      entityType TEXT NOT NULL,
+      entityId TEXT,
+      beforeData TEXT,
+      afterData TEXT,
+      ip TEXT,
+      createdAt DATETIME NOT NULL,
+      prevHash TEXT NOT NULL,
+      hash TEXT NOT NULL UNIQUE,
+      FOREIGN KEY (actorId) REFERENCES users (id)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_audit_log_entity
+      ON audit_log (entityType, entityId);
+
+    CREATE INDEX IF NOT EXISTS idx_audit_log_actor
+      ON audit_log (actorId, createdAt);
+
+    CREATE TRIGGER IF NOT EXISTS audit_log_no_update
+      BEFORE UPDATE ON audit_log
+      BEGIN SELECT RAISE(ABORT, 'audit_log is append-only'); END;
+
+    CREATE TRIGGER IF NOT EXISTS audit_log_no_delete
+      BEFORE DELETE ON audit_log
+      BEGIN SELECT RAISE(ABORT, 'audit_log is append-only'); END;
+
+    CREATE TABLE IF NOT EXISTS password_resets (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      userId INTEGER NOT NULL,
+      token TEXT NOT NULL,
+      expiresAt DATETIME NOT NULL,
+      usedAt DATETIME,
+      createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (userId) REFERENCES users (id)
+    );
+
+    CREATE TABLE IF NOT EXISTS refresh_tokens (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      userId INTEGER NOT NULL,
+      token TEXT UNIQUE NOT NULL,
+      expiresAt DATETIME NOT NULL,
+      revokedAt DATETIME,
+      replacedBy INTEGER,
+      createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (userId) REFERENCES users (id),
+      FOREIGN KEY (replacedBy) REFERENCES refresh_tokens (id)
+    );
+
+    CREATE TABLE IF NOT EXISTS login_attempts (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      email TEXT NOT NULL,
+      ip TEXT,
+      userId INTEGER,
+      success BOOLEAN NOT NULL,
+      createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (userId) REFERENCES users (id)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_login_attempts_email ON login_attempts (email, createdAt);
+    CREATE INDEX IF NOT EXISTS idx_login_attempts_ip ON login_attempts (ip, createdAt);
+
+    CREATE TABLE IF NOT EXISTS account_lockouts (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      scope TEXT NOT NULL CHECK (scope IN ('account', 'ip')),
+      userId INTEGER,
+      email TEXT,
+      ip TEXT,
+      failures INTEGER NOT NULL,
+      lockedUntil DATETIME NOT NULL,
+      unlockedAt DATETIME,
+      unlockedBy INTEGER,
+      createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (userId) REFERENCES users (id),
+      FOREIGN KEY (unlockedBy) REFERENCES users (id)
+    );
+
+    CREATE TABLE IF NOT EXISTS invitations (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      userId INTEGER NOT NULL,
+      invitedBy INTEGER NOT NULL,
+      expiresAt DATETIME NOT NULL,
+      acceptedAt DATETIME,
+      revokedAt DATETIME,
+      createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (userId) REFERENCES users (id),
+      FOREIGN KEY (invitedBy) REFERENCES users (id)
+    );
+  `);
+
+// Dropping a table also drops its indexes and triggers
+const down = (db) =>
+  db.exec(`
+    DROP TABLE IF EXISTS invitations;
+    DROP TABLE IF EXISTS account_lockouts;
+    DROP TABLE IF EXISTS login_attempts;
+    DROP TABLE IF EXISTS refresh_tokens;
+    DROP TABLE IF EXISTS password_resets;
+    DROP TABLE IF EXISTS audit_log;
+    DROP TABLE IF EXISTS assignment_reminders;
+    DROP TABLE IF EXISTS key_reservations;
+    DROP TABLE IF EXISTS key_transfers;
+    DROP TABLE IF EXISTS key_request_decisions;
+    DROP TABLE IF EXISTS key_requests;
+    DROP TABLE IF EXISTS key_returns;
+    DROP TABLE IF EXISTS key_assignments;
+    DROP TABLE IF EXISTS key_doors;
+    DROP TABLE IF EXISTS keys;
+    DROP TABLE IF EXISTS doors;
+    DROP TABLE IF EXISTS locations;
+    DROP TABLE IF EXISTS users;
+  `);
+
+module.exports = { up, down };
@@ -0,0 +1,28 @@
+// backend/src/migrations/002_key_tags.js
+// Scannable tag code per key. Existing keys get a code here; new keys get
+// one when they are created.
+const { generateTagCode } = require("../services/tags");
+
+const up = async (db) => {
+  await db.exec("ALTER TABLE keys ADD COLUMN tagCode TEXT");
+
+  for (const { id } of await db.all("SELECT id FROM keys ORDER BY id")) {
+    await db.run("UPDATE keys SET tagCode = ? WHERE id = ?", [
+      generateTagCode(),
+      id,
+    ]);
+  }
+
+  await db.exec(
+    "CREATE UNIQUE INDEX IF NOT EXISTS idx_keys_tag_code ON keys (tagCode)",
+  );
+};
+
+const down = async (db) => {
+  await db.exec(`
+    DROP INDEX IF EXISTS idx_keys_tag_code;
+    ALTER TABLE keys DROP COLUMN tagCode;
+  `);
+};
+
+module.exports = { up, down };
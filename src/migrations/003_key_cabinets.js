@@ -0,0 +1,65 @@
+// backend/src/migrations/003_key_cabinets.js
+// Electronic key cabinets: per-device credentials, the key held in each slot
+// and the events cabinets report. Users get a badge ID to identify them at a
+// cabinet. A key has one home slot across all cabinets, and eventId is the
+// cabinet's own ID for an event so a retried report is recorded once.
+const up = async (db) => {
+  await db.exec(`
+    ALTER TABLE users ADD COLUMN badgeId TEXT;
+
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_users_badge ON users (badgeId);
+
+    CREATE TABLE IF NOT EXISTS cabinets (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT UNIQUE NOT NULL,
+      locationId INTEGER,
+      secret TEXT NOT NULL,
+      isActive BOOLEAN DEFAULT 1,
+      lastSeenAt DATETIME,
+      createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updatedAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (locationId) REFERENCES locations (id)
+    );
+
+    CREATE TABLE IF NOT EXISTS cabinet_slots (
+      cabinetId INTEGER NOT NULL,
+      slot INTEGER NOT NULL,
+      keyId INTEGER UNIQUE NOT NULL,
+      PRIMARY KEY (cabinetId, slot),
+      FOREIGN KEY (cabinetId) REFERENCES cabinets (id),
+      FOREIGN KEY (keyId) REFERENCES keys (id)
+    );
+
+    CREATE TABLE IF NOT EXISTS cabinet_events (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      cabinetId INTEGER NOT NULL,
+      eventId TEXT NOT NULL,
+      type TEXT NOT NULL CHECK (type IN ('slot_opened', 'key_removed', 'key_returned')),
+      slot INTEGER NOT NULL,
+      keyId INTEGER,
+      userId INTEGER,
+      assignmentId INTEGER,
+      outcome TEXT NOT NULL CHECK (outcome IN ('recorded', 'assigned', 'returned', 'flagged')),
+      message TEXT,
+      occurredAt DATETIME NOT NULL,
+      createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE (cabinetId, eventId),
+      FOREIGN KEY (cabinetId) REFERENCES cabinets (id),
+      FOREIGN KEY (keyId) REFERENCES keys (id),
+      FOREIGN KEY (userId) REFERENCES users (id),
+      FOREIGN KEY (assignmentId) REFERENCES key_assignments (id)
+    );
+  `);
+};
+
+const down = async (db) => {
+  await db.exec(`
+    DROP TABLE IF EXISTS cabinet_events;
+    DROP TABLE IF EXISTS cabinet_slots;
+    DROP TABLE IF EXISTS cabinets;
+    DROP INDEX IF EXISTS idx_users_badge;
+    ALTER TABLE users DROP COLUMN badgeId;
+  `);
+};
+
+module.exports = { up, down };
@@ -0,0 +1,55 @@
+// backend/src/migrations/004_webhooks.js
+// Outbound webhook subscriptions and the log of their deliveries. events is a
+// comma-separated list of event names. The secret is kept as issued because
+// every payload is signed with it. A delivery is one event sent to one
+// webhook; eventId is shared by all deliveries of the same event, including
+// redeliveries, so receivers can drop duplicates.
+const up = async (db) => {
+  await db.exec(`
+    CREATE TABLE IF NOT EXISTS webhooks (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      url TEXT NOT NULL,
+      description TEXT,
+      events TEXT NOT NULL,
+      secret TEXT NOT NULL,
+      isActive BOOLEAN DEFAULT 1,
+      createdBy INTEGER,
+      createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updatedAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (createdBy) REFERENCES users (id)
+    );
+
+    CREATE TABLE IF NOT EXISTS webhook_deliveries (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      webhookId INTEGER NOT NULL,
+      eventId TEXT NOT NULL,
+      event TEXT NOT NULL,
+      payload TEXT NOT NULL,
+      status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'succeeded', 'failed')),
+      attempts INTEGER NOT NULL DEFAULT 0,
+      nextAttemptAt DATETIME,
+      lastAttemptAt DATETIME,
+      responseStatus INTEGER,
+      responseBody TEXT,
+      error TEXT,
+      redeliveryOf INTEGER,
+      createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (webhookId) REFERENCES webhooks (id),
+      FOREIGN KEY (redeliveryOf) REFERENCES webhook_deliveries (id)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_due
+      ON webhook_deliveries (status, nextAttemptAt);
+    CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_webhook
+      ON webhook_deliveries (webhookId);
+  `);
+};
+
+const down = async (db) => {
+  await db.exec(`
+    DROP TABLE IF EXISTS webhook_deliveries;
+    DROP TABLE IF EXISTS webhooks;
+  `);
+};
+
+module.exports = { up, down };
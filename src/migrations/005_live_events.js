@@ -0,0 +1,24 @@
+// backend/src/migrations/005_live_events.js
+// Recent key changes pushed to live dashboards. The id doubles as the
+// Server-Sent Events id, so a reconnecting client replays everything after
+// the last one it saw. data is the JSON event body; old rows are pruned.
+const up = async (db) => {
+  await db.exec(`
+    CREATE TABLE IF NOT EXISTS live_events (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      type TEXT NOT NULL,
+      keyId INTEGER NOT NULL,
+      data TEXT NOT NULL,
+      createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (keyId) REFERENCES keys (id)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_live_events_created ON live_events (createdAt);
+  `);
+};
+
+const down = async (db) => {
+  await db.exec("DROP TABLE IF EXISTS live_events;");
+};
+
+module.exports = { up, down };
@@ -0,0 +1,12 @@
+// backend/src/migrations/006_user_managers.js
+// Each user may name a manager, who is told when the user is offboarded with
+// keys outstanding or their keys are handed to a custodian
+const up = async (db) => {
+  await db.exec("ALTER TABLE users ADD COLUMN managerId INTEGER;");
+};
+
+const down = async (db) => {
+  await db.exec("ALTER TABLE users DROP COLUMN managerId;");
+};
+
+module.exports = { up, down };
@@ -0,0 +1,55 @@
+// backend/src/migrations/007_audit_log_append_only.js
+// Rejects updates and deletes on audit_log. Triggers are the one part of the
+// schema without a common syntax, so PostgreSQL gets them here; SQLite
+// databases already have them from 001, which IF NOT EXISTS leaves in place.
+// PostgreSQL before 14 has no CREATE OR REPLACE TRIGGER, so they are dropped
+// and recreated.
+const triggers = {
+  sqlite: {
+    up: `
+      CREATE TRIGGER IF NOT EXISTS audit_log_no_update
+        BEFORE UPDATE ON audit_log
+        BEGIN SELECT RAISE(ABORT, 'audit_log is append-only'); END;
+
+      CREATE TRIGGER IF NOT EXISTS audit_log_no_delete
+        BEFORE DELETE ON audit_log
+        BEGIN SELECT RAISE(ABORT, 'audit_log is append-only'); END;
+    `,
+    down: `
+      DROP TRIGGER IF EXISTS audit_log_no_update;
+      DROP TRIGGER IF EXISTS audit_log_no_delete;
+    `,
+  },
+  postgres: {
+    up: `
+      CREATE OR REPLACE FUNCTION audit_log_append_only() RETURNS trigger AS $$
+        BEGIN RAISE EXCEPTION 'audit_log is append-only'; END;
+      $$ LANGUAGE plpgsql;
+
+      DROP TRIGGER IF EXISTS audit_log_no_update ON audit_log;
+      CREATE TRIGGER audit_log_no_update
+        BEFORE UPDATE ON audit_log
+        FOR EACH ROW EXECUTE FUNCTION audit_log_append_only();
+
+      DROP TRIGGER IF EXISTS audit_log_no_delete ON audit_log;
+      CREATE TRIGGER audit_log_no_delete
+        BEFORE DELETE ON audit_log
+        FOR EACH ROW EXECUTE FUNCTION audit_log_append_only();
+    `,
+    down: `
+      DROP TRIGGER IF EXISTS audit_log_no_update ON audit_log;
+      DROP TRIGGER IF EXISTS audit_log_no_delete ON audit_log;
+      DROP FUNCTION IF EXISTS audit_log_append_only();
+    `,
+  },
+};
+
+const up = async (db) => {
+  await db.exec(triggers[db.dialect.name].up);
+};
+
+const down = async (db) => {
+  await db.exec(triggers[db.dialect.name].down);
+};
+
+module.exports = { up, down };
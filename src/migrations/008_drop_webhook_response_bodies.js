@@ -0,0 +1,13 @@
+// backend/src/migrations/008_drop_webhook_response_bodies.js
+// Webhook deliveries no longer keep what the receiver answered: a stored body
+// would let whoever reads the delivery log see responses from any host the
+// server can reach. Rolling back restores the column empty.
+const up = async (db) => {
+  await db.exec("ALTER TABLE webhook_deliveries DROP COLUMN responseBody;");
+};
+
+const down = async (db) => {
+  await db.exec("ALTER TABLE webhook_deliveries ADD COLUMN responseBody TEXT;");
+};
+
+module.exports = { up, down };
@@ -0,0 +1,205 @@
+// backend/src/repositories/assignments.js
+const { fetchPage } = require("../services/listing");
+
+const SORT_COLUMNS = {
+  assignedAt: "ka.assignedAt",
+  dueAt: "ka.dueAt",
+  returnedAt: "ka.returnedAt",
+  identifier: "k.identifier",
+};
+
+// assignedTo limits the list to one holder, openOnly to keys not yet returned
+const listAssignments = (db, pageQuery, { assignedTo, openOnly } = {}) => {
+  const conditions = [];
+  const values = [];
+
+  if (assignedTo) {
+    conditions.push("ka.assignedTo = ?");
+    values.push(assignedTo);
+  }
+  if (openOnly) {
+    conditions.push("ka.returnedAt IS NULL");
+  }
+
+  return fetchPage(db, pageQuery, {
+    select: "ka.*, k.identifier, u.email as assignedToEmail",
+    from: `key_assignments ka
+      JOIN keys k ON ka.keyId = k.id
+      JOIN users u ON ka.assignedTo = u.id`,
+    conditions,
+    values,
+    sortColumns: SORT_COLUMNS,
+    idColumn: "ka.id",
+  });
+};
+
+const findAssignment = (db, id) =>
+  db.get("SELECT * FROM key_assignments WHERE id = ?", [id]);
+
+// An assignment with its key, the people involved and, once the key is back,
+// how it was returned
+const findAssignmentSummary = (db, id) =>
+  db.get(
+    `SELECT ka.id as assignmentId, ka.keyId, k.identifier, k.tagCode,
+      ka.assignedTo, u1.email as assignedToEmail,
+      ka.assignedBy, u2.email as assignedByEmail,
+      ka.assignedAt, ka.dueAt, ka.returnedAt,
+      kr.receivedBy, u3.email as receivedByEmail, kr.condition
+     FROM key_assignments ka
+     JOIN keys k ON ka.keyId = k.id
+     JOIN users u1 ON ka.assignedTo = u1.id
+     JOIN users u2 ON ka.assignedBy = u2.id
+     LEFT JOIN key_returns kr ON kr.assignmentId = ka.id
+     LEFT JOIN users u3 ON kr.receivedBy = u3.id
+     WHERE ka.id = ?`,
+    [id],
+  );
+
+// The assignment of a key that has not been returned yet
+const findOpenAssignment = (db, keyId) =>
+  db.get(
+    "SELECT * FROM key_assignments WHERE keyId = ? AND returnedAt IS NULL",
+    [keyId],
+  );
+
+// Who holds the key right now and until when, if anyone
+const findCustody = (db, keyId) =>
+  db.get(
+    `SELECT ka.id, ka.assignedTo, u.email as assignedToEmail,
+      u.displayName as assignedToName, ka.assignedAt, ka.dueAt,
+      CASE WHEN ka.dueAt < CURRENT_TIMESTAMP THEN 1 ELSE 0 END as isOverdue
+     FROM key_assignments ka
+     JOIN users u ON ka.assignedTo = u.id
+     WHERE ka.keyId = ? AND ka.returnedAt IS NULL`,
+    [keyId],
+  );
+
+// The open assignment of a key to the given user, with the key's state
+const findHeldAssignment = (db, keyId, userId) =>
+  db.get(
+    `SELECT ka.id, k.identifier, k.isActive, k.status
+     FROM key_assignments ka
+     JOIN keys k ON ka.keyId = k.id
+     WHERE ka.keyId = ? AND ka.assignedTo = ? AND ka.returnedAt IS NULL`,
+    [keyId, userId],
+  );
+
+// Keys a user currently holds, most recently assigned first
+const listHeldKeys = (db, userId) =>
+  db.all(
+    `SELECT ka.id, ka.keyId, k.identifier, ka.assignedAt, ka.dueAt,
+      u.email as assignedByEmail
+     FROM key_assignments ka
+     JOIN keys k ON ka.keyId = k.id
+     JOIN users u ON ka.assignedBy = u.id
+     WHERE ka.assignedTo = ? AND ka.returnedAt IS NULL
+     ORDER BY ka.assignedAt DESC`,
+    [userId],
+  );
+
+// What a leaving user still has to hand back: their open assignments with each
+// key's state and, for cabinet keys, the slot it returns to
+const listOutstandingKeys = (db, userId) =>
+  db.all(
+    `SELECT ka.id, ka.keyId, k.identifier, k.tagCode, k.status, k.isActive,
+      ka.assignedAt, ka.dueAt,
+      CASE WHEN ka.dueAt < CURRENT_TIMESTAMP THEN 1 ELSE 0 END as isOverdue,
+      c.name as cabinetName, cs.slot as cabinetSlot
+     FROM key_assignments ka
+     JOIN keys k ON ka.keyId = k.id
+     LEFT JOIN cabinet_slots cs ON cs.keyId = k.id
+     LEFT JOIN cabinets c ON cs.cabinetId = c.id
+     WHERE ka.assignedTo = ? AND ka.returnedAt IS NULL
+     ORDER BY k.identifier`,
+    [userId],
+  );
+
+// Closes the assignment and records how the key came back
+const recordReturn = async (
+  db,
+  assignmentId,
+  { receivedBy, condition, notes, signatureFile, photoFile },
+) => {
+  await db.run(
+    "UPDATE key_assignments SET returnedAt = CURRENT_TIMESTAMP WHERE id = ?",
+    [assignmentId],
+  );
+  await db.run(
+    `INSERT INTO key_returns (assignmentId, receivedBy, condition, notes, signatureFile, photoFile)
+     VALUES (?, ?, ?, ?, ?, ?)`,
+    [assignmentId, receivedBy, condition, notes, signatureFile, photoFile],
+  );
+};
+
+const findReturn = (db, assignmentId) =>
+  db.get(
+    "SELECT condition, notes, signatureFile, photoFile FROM key_returns WHERE assignmentId = ?",
+    [assignmentId],
+  );
+
+// A return with the assignment, key and people it involved
+const findReceipt = (db, assignmentId) =>
+  db.get(
+    `SELECT kr.*, ka.assignedTo, ka.assignedAt, ka.dueAt, ka.returnedAt, k.identifier,
+      u1.email as assignedToEmail, u2.email as receivedByEmail
+     FROM key_returns kr
+     JOIN key_assignments ka ON kr.assignmentId = ka.id
+     JOIN keys k ON ka.keyId = k.id
+     JOIN users u1 ON ka.assignedTo = u1.id
+     JOIN users u2 ON kr.receivedBy = u2.id
+     WHERE kr.assignmentId = ?`,
+    [assignmentId],
+  );
+
+// Open assignments past their due date, optionally of one holder
+const listOverdue = (db, { assignedTo } = {}) =>
+  db.all(
+    `SELECT ka.id, ka.keyId, k.identifier, ka.assignedTo,
+      u1.email as assignedToEmail, u2.email as assignedByEmail,
+      ka.assignedAt, ka.dueAt,
+      ROUND(${db.dialect.hoursBetween("ka.dueAt", "CURRENT_TIMESTAMP")}, 1) as hoursOverdue
+     FROM key_assignments ka
+     JOIN keys k ON ka.keyId = k.id
+     JOIN users u1 ON ka.assignedTo = u1.id
+     JOIN users u2 ON ka.assignedBy = u2.id
+     WHERE ka.returnedAt IS NULL AND ka.dueAt < CURRENT_TIMESTAMP${assignedTo ? " AND ka.assignedTo = ?" : ""}
+     ORDER BY ka.dueAt ASC`,
+    assignedTo ? [assignedTo] : [],
+  );
+
+// Every assignment of a key with its handover and return, newest first
+const listKeyHistory = (db, keyId, { assignedTo } = {}) =>
+  db.all(
+    `SELECT ka.*,
+      u1.email as assignedToEmail,
+      u2.email as assignedByEmail,
+      next.id as transferredTo,
+      kr.condition as returnCondition,
+      u3.email as receivedByEmail
+     FROM key_assignments ka
+     JOIN users u1 ON ka.assignedTo = u1.id
+     JOIN users u2 ON ka.assignedBy = u2.id
+     LEFT JOIN key_assignments next ON next.transferredFrom = ka.id
+     LEFT JOIN key_returns kr ON kr.assignmentId = ka.id
+     LEFT JOIN users u3 ON kr.receivedBy = u3.id
+     WHERE ka.keyId = ?${assignedTo ? " AND ka.assignedTo = ?" : ""}
+     ORDER BY ka.assignedAt DESC, ka.id DESC`,
+    assignedTo ? [keyId, assignedTo] : [keyId],
+  );
+
+module.exports = {
+  ASSIGNMENT_SORT_FIELDS: Object.keys(SORT_COLUMNS),
+  listAssignments,
+  findAssignment,
+  findAssignmentSummary,
+  findOpenAssignment,
+  findCustody,
+  findHeldAssignment,
+  listHeldKeys,
+  listOutstandingKeys,
+  recordReturn,
+  findReturn,
+  findReceipt,
+  listOverdue,
+  listKeyHistory,
+};
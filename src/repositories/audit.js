@@ -0,0 +1,52 @@
+// backend/src/repositories/audit.js
+const { toTimestamp } = require("../services/dates");
+
+// Newest entries first with the actor's email. Entries are append-only, so
+// paging by id stays stable while new ones arrive.
+const listAuditEntries = async (
+  db,
+  { page, limit },
+  { actorId, action, entityType, entityId, from, to } = {},
+) => {
+  const conditions = [];
+  const values = [];
+
+  for (const [field, value] of Object.entries({
+    actorId,
+    action,
+    entityType,
+    entityId,
+  })) {
+    if (value) {
+      conditions.push(`a.${field} = ?`);
+      values.push(value);
+    }
+  }
+  if (from) {
+    conditions.push("a.createdAt >= ?");
+    values.push(toTimestamp(from));
+  }
+  if (to) {
+    conditions.push("a.createdAt < ?");
+    values.push(toTimestamp(to));
+  }
+
+  const where = conditions.length ? `WHERE ${conditions.join(" AND ")}` : "";
+
+  const { total } = await db.get(
+    `SELECT COUNT(*) as total FROM audit_log a ${where}`,
+    values,
+  );
+  const rows = await db.all(
+    `SELECT a.*, u.email as actorEmail
+     FROM audit_log a
+     LEFT JOIN users u ON a.actorId = u.id
+     ${where}
+     ORDER BY a.id DESC
+     LIMIT ? OFFSET ?`,
+    [...values, limit, (page - 1) * limit],
+  );
+  return { rows, total };
+};
+
+module.exports = { listAuditEntries };
@@ -0,0 +1,179 @@
+// backend/src/repositories/cabinets.js
+const { fetchPage } = require("../services/listing");
+
+const CABINET_FIELDS = ["name", "locationId", "isActive"];
+
+const SORT_COLUMNS = {
+  name: "c.name",
+  lastSeenAt: "c.lastSeenAt",
+  createdAt: "c.createdAt",
+};
+
+const EVENT_SORT_COLUMNS = {
+  occurredAt: "e.occurredAt",
+  createdAt: "e.createdAt",
+};
+
+// Cabinets with their location and number of stocked slots. The credential
+// digest never leaves the repository.
+const listCabinets = (db, pageQuery, { active } = {}) =>
+  fetchPage(db, pageQuery, {
+    select: `c.id, c.name, c.locationId, l.name as locationName, c.isActive,
+      c.lastSeenAt, c.createdAt, c.updatedAt,
+      (SELECT COUNT(*) FROM cabinet_slots s WHERE s.cabinetId = c.id) as slotCount`,
+    from: "cabinets c LEFT JOIN locations l ON c.locationId = l.id",
+    conditions: active === undefined ? [] : [`c.isActive = ${active ? 1 : 0}`],
+    sortColumns: SORT_COLUMNS,
+    idColumn: "c.id",
+  });
+
+const findCabinet = (db, id) =>
+  db.get(
+    `SELECT c.id, c.name, c.locationId, l.name as locationName, c.isActive,
+       c.lastSeenAt, c.createdAt, c.updatedAt
+     FROM cabinets c
+     LEFT JOIN locations l ON c.locationId = l.id
+     WHERE c.id = ?`,
+    [id],
+  );
+
+// The active cabinet with its credential digest, for device authentication
+const findCabinetCredentials = (db, id) =>
+  db.get(
+    "SELECT id, name, locationId, secret FROM cabinets WHERE id = ? AND isActive = 1",
+    [id],
+  );
+
+// Resolves to the new cabinet's id
+const createCabinet = async (db, { name, locationId = null, secret }) => {
+  const result = await db.run(
+    "INSERT INTO cabinets (name, locationId, secret) VALUES (?, ?, ?)",
+    [name, locationId, secret],
+  );
+  return result.lastID;
+};
+
+// Resolves to false when no cabinet has the id
+const updateCabinet = async (db, id, changes) => {
+  const result = await db.run(
+    `UPDATE cabinets SET ${Object.keys(changes)
+      .map((field) => `${field} = ?`)
+      .join(", ")}, updatedAt = CURRENT_TIMESTAMP
+     WHERE id = ?`,
+    [...Object.values(changes), id],
+  );
+  return result.changes > 0;
+};
+
+const touchCabinet = (db, id) =>
+  db.run("UPDATE cabinets SET lastSeenAt = CURRENT_TIMESTAMP WHERE id = ?", [
+    id,
+  ]);
+
+// Slots in order with their key and whether it is checked out
+const listSlots = (db, cabinetId) =>
+  db.all(
+    `SELECT s.slot, s.keyId, k.identifier, k.tagCode, k.status,
+       CASE WHEN ka.id IS NULL THEN 0 ELSE 1 END as isCheckedOut
+     FROM cabinet_slots s
+     JOIN keys k ON s.keyId = k.id
+     LEFT JOIN key_assignments ka ON ka.keyId = k.id AND ka.returnedAt IS NULL
+     WHERE s.cabinetId = ?
+     ORDER BY s.slot`,
+    [cabinetId],
+  );
+
+const findSlot = (db, cabinetId, slot) =>
+  db.get("SELECT * FROM cabinet_slots WHERE cabinetId = ? AND slot = ?", [
+    cabinetId,
+    slot,
+  ]);
+
+// Keys from the list already stocked in another cabinet
+const listKeysInOtherCabinets = (db, cabinetId, keyIds) =>
+  db.all(
+    `SELECT s.keyId, c.name as cabinetName
+     FROM cabinet_slots s
+     JOIN cabinets c ON s.cabinetId = c.id
+     WHERE s.cabinetId != ? AND s.keyId IN (${keyIds.map(() => "?").join(", ")})`,
+    [cabinetId, ...keyIds],
+  );
+
+const replaceSlots = async (db, cabinetId, slots) => {
+  await db.run("DELETE FROM cabinet_slots WHERE cabinetId = ?", [cabinetId]);
+  for (const { slot, keyId } of slots) {
+    await db.run(
+      "INSERT INTO cabinet_slots (cabinetId, slot, keyId) VALUES (?, ?, ?)",
+      [cabinetId, slot, keyId],
+    );
+  }
+};
+
+const findEvent = (db, cabinetId, eventId) =>
+  db.get("SELECT * FROM cabinet_events WHERE cabinetId = ? AND eventId = ?", [
+    cabinetId,
+    eventId,
+  ]);
+
+// Resolves to the stored event
+const createEvent = async (db, event) => {
+  const result = await db.run(
+    `INSERT INTO cabinet_events
+       (cabinetId, eventId, type, slot, keyId, userId, assignmentId, outcome, message, occurredAt)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      event.cabinetId,
+      event.eventId,
+      event.type,
+      event.slot,
+      event.keyId ?? null,
+      event.userId ?? null,
+      event.assignmentId ?? null,
+      event.outcome,
+      event.message ?? null,
+      event.occurredAt,
+    ],
+  );
+  return db.get("SELECT * FROM cabinet_events WHERE id = ?", [result.lastID]);
+};
+
+// A cabinet's events with the key and user involved, newest first by default
+const listEvents = (db, pageQuery, cabinetId, { outcome } = {}) => {
+  const conditions = ["e.cabinetId = ?"];
+  const values = [cabinetId];
+
+  if (outcome) {
+    conditions.push("e.outcome = ?");
+    values.push(outcome);
+  }
+
+  return fetchPage(db, pageQuery, {
+    select: "e.*, k.identifier, u.email as userEmail",
+    from: `cabinet_events e
+      LEFT JOIN keys k ON e.keyId = k.id
+      LEFT JOIN users u ON e.userId = u.id`,
+    conditions,
+    values,
+    sortColumns: EVENT_SORT_COLUMNS,
+    idColumn: "e.id",
+  });
+};
+
+module.exports = {
+  CABINET_FIELDS,
+  CABINET_SORT_FIELDS: Object.keys(SORT_COLUMNS),
+  EVENT_SORT_FIELDS: Object.keys(EVENT_SORT_COLUMNS),
+  listCabinets,
+  findCabinet,
+  findCabinetCredentials,
+  createCabinet,
+  updateCabinet,
+  touchCabinet,
+  listSlots,
+  findSlot,
+  listKeysInOtherCabinets,
+  replaceSlots,
+  findEvent,
+  createEvent,
+  listEvents,
+};
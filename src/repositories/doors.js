@@ -0,0 +1,80 @@
+// backend/src/repositories/doors.js
+const { fetchPage } = require("../services/listing");
+
+const DOOR_FIELDS = ["name", "locationId", "lockIdentifier", "description"];
+const SORT_COLUMNS = { name: "d.name", createdAt: "d.createdAt" };
+
+const listDoors = (db, pageQuery, { locationId } = {}) =>
+  fetchPage(db, pageQuery, {
+    select: "d.*, l.name as locationName",
+    from: "doors d LEFT JOIN locations l ON d.locationId = l.id",
+    conditions: ["d.isActive = 1", ...(locationId ? ["d.locationId = ?"] : [])],
+    values: locationId ? [locationId] : [],
+    sortColumns: SORT_COLUMNS,
+    idColumn: "d.id",
+  });
+
+const findDoor = (db, id) =>
+  db.get(
+    `SELECT d.*, l.name as locationName
+     FROM doors d
+     LEFT JOIN locations l ON d.locationId = l.id
+     WHERE d.id = ? AND d.isActive = 1`,
+    [id],
+  );
+
+// The door as recorded in the audit log, active or not
+const getDoorSnapshot = (db, id) =>
+  db.get("SELECT * FROM doors WHERE id = ?", [id]);
+
+// Active keys mapped directly to the door
+const listDoorKeys = (db, doorId) =>
+  db.all(
+    `SELECT k.id, k.identifier, k.type, k.status
+     FROM key_doors kd
+     JOIN keys k ON kd.keyId = k.id
+     WHERE kd.doorId = ? AND k.isActive = 1
+     ORDER BY k.identifier`,
+    [doorId],
+  );
+
+// Resolves to the new door's id
+const createDoor = async (db, door) => {
+  const result = await db.run(
+    `INSERT INTO doors (${DOOR_FIELDS.join(", ")}) VALUES (?, ?, ?, ?)`,
+    DOOR_FIELDS.map((field) => door[field] ?? null),
+  );
+  return result.lastID;
+};
+
+// Resolves to false when no active door has the id
+const updateDoor = async (db, id, changes) => {
+  const result = await db.run(
+    `UPDATE doors SET ${Object.keys(changes)
+      .map((field) => `${field} = ?`)
+      .join(", ")}, updatedAt = CURRENT_TIMESTAMP
+     WHERE id = ? AND isActive = 1`,
+    [...Object.values(changes), id],
+  );
+  return result.changes > 0;
+};
+
+const deactivateDoor = async (db, id) => {
+  const result = await db.run(
+    "UPDATE doors SET isActive = 0, updatedAt = CURRENT_TIMESTAMP WHERE id = ? AND isActive = 1",
+    [id],
+  );
+  return result.changes > 0;
+};
+
+module.exports = {
+  DOOR_FIELDS,
+  DOOR_SORT_FIELDS: Object.keys(SORT_COLUMNS),
+  listDoors,
+  findDoor,
+  getDoorSnapshot,
+  listDoorKeys,
+  createDoor,
+  updateDoor,
+  deactivateDoor,
+};
@@ -0,0 +1,142 @@
+// backend/src/repositories/keyRequests.js
+const { fetchPage } = require("../services/listing");
+
+const SORT_COLUMNS = {
+  createdAt: "kr.createdAt",
+  status: "kr.status",
+};
+
+// A request with its key and the requester's email
+const getRequest = (db, id) =>
+  db.get(
+    `SELECT kr.*, k.identifier, k.type as keyType, u.email as requestedByEmail
+     FROM key_requests kr
+     JOIN keys k ON kr.keyId = k.id
+     JOIN users u ON kr.requestedBy = u.id
+     WHERE kr.id = ?`,
+    [id],
+  );
+
+// Requests with their approval count; requestedBy limits the list to one
+// requester
+const listRequests = (db, pageQuery, { requestedBy, status } = {}) => {
+  const conditions = [];
+  const values = [];
+
+  if (requestedBy) {
+    conditions.push("kr.requestedBy = ?");
+    values.push(requestedBy);
+  }
+  if (status) {
+    conditions.push("kr.status = ?");
+    values.push(status);
+  }
+
+  return fetchPage(db, pageQuery, {
+    select: `kr.*, k.identifier, u.email as requestedByEmail,
+      (SELECT COUNT(*) FROM key_request_decisions d
+       WHERE d.requestId = kr.id AND d.decision = 'approved') as approvals`,
+    from: `key_requests kr
+      JOIN keys k ON kr.keyId = k.id
+      JOIN users u ON kr.requestedBy = u.id`,
+    conditions,
+    values,
+    sortColumns: SORT_COLUMNS,
+    idColumn: "kr.id",
+  });
+};
+
+// The user's approved, unfulfilled request for the key whose window is open
+const findApprovedRequest = (db, keyId, userId) =>
+  db.get(
+    `SELECT * FROM key_requests
+     WHERE keyId = ? AND requestedBy = ? AND status = 'approved'
+       AND startsAt <= CURRENT_TIMESTAMP AND endsAt > CURRENT_TIMESTAMP
+     ORDER BY endsAt DESC
+     LIMIT 1`,
+    [keyId, userId],
+  );
+
+// Resolves to the new request's id
+const createRequest = async (
+  db,
+  { keyId, requestedBy, justification, startsAt, endsAt, requiredApprovals },
+) => {
+  const result = await db.run(
+    `INSERT INTO key_requests (keyId, requestedBy, justification, startsAt, endsAt, requiredApprovals)
+     VALUES (?, ?, ?, ?, ?, ?)`,
+    [keyId, requestedBy, justification, startsAt, endsAt, requiredApprovals],
+  );
+  return result.lastID;
+};
+
+const listDecisions = (db, requestId) =>
+  db.all(
+    `SELECT d.approverId, u.email as approverEmail, d.decision, d.note, d.createdAt
+     FROM key_request_decisions d
+     JOIN users u ON d.approverId = u.id
+     WHERE d.requestId = ?
+     ORDER BY d.createdAt`,
+    [requestId],
+  );
+
+const hasDecided = async (db, requestId, approverId) =>
+  Boolean(
+    await db.get(
+      "SELECT id FROM key_request_decisions WHERE requestId = ? AND approverId = ?",
+      [requestId, approverId],
+    ),
+  );
+
+const recordDecision = (db, { requestId, approverId, decision, note }) =>
+  db.run(
+    "INSERT INTO key_request_decisions (requestId, approverId, decision, note) VALUES (?, ?, ?, ?)",
+    [requestId, approverId, decision, note],
+  );
+
+const countApprovals = async (db, requestId) =>
+  (
+    await db.get(
+      "SELECT COUNT(*) as approvals FROM key_request_decisions WHERE requestId = ? AND decision = 'approved'",
+      [requestId],
+    )
+  ).approvals;
+
+const setRequestStatus = (db, id, status) =>
+  db.run(
+    "UPDATE key_requests SET status = ?, updatedAt = CURRENT_TIMESTAMP WHERE id = ?",
+    [status, id],
+  );
+
+const markRequestFulfilled = (db, id, { assignmentId, fulfilledBy }) =>
+  db.run(
+    `UPDATE key_requests SET status = 'fulfilled', assignmentId = ?, fulfilledBy = ?,
+       fulfilledAt = CURRENT_TIMESTAMP, updatedAt = CURRENT_TIMESTAMP
+     WHERE id = ?`,
+    [assignmentId, fulfilledBy, id],
+  );
+
+// Resolves to false when the request is no longer pending or approved
+const cancelRequest = async (db, id) => {
+  const result = await db.run(
+    `UPDATE key_requests SET status = 'cancelled', updatedAt = CURRENT_TIMESTAMP
+     WHERE id = ? AND status IN ('pending', 'approved')`,
+    [id],
+  );
+  return result.changes > 0;
+};
+
+module.exports = {
+  REQUEST_SORT_FIELDS: Object.keys(SORT_COLUMNS),
+  getRequest,
+  listRequests,
+  findApprovedRequest,
+  createRequest,
+  listDecisions,
+  hasDecided,
+  recordDecision,
+  countApprovals,
+  setRequestStatus,
+  markRequestFulfilled,
+  cancelRequest,
+};
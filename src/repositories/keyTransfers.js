@@ -0,0 +1,98 @@
+// backend/src/repositories/keyTransfers.js
+const { fetchPage } = require("../services/listing");
+
+const SORT_COLUMNS = {
+  createdAt: "kt.createdAt",
+  status: "kt.status",
+};
+
+// A transfer with its key and both parties' emails
+const getTransfer = (db, id) =>
+  db.get(
+    `SELECT kt.*, k.identifier, u1.email as fromEmail, u2.email as toEmail
+     FROM key_transfers kt
+     JOIN keys k ON kt.keyId = k.id
+     JOIN users u1 ON kt.fromUserId = u1.id
+     JOIN users u2 ON kt.toUserId = u2.id
+     WHERE kt.id = ?`,
+    [id],
+  );
+
+// participantId limits the list to transfers from or to one user
+const listTransfers = (db, pageQuery, { participantId, status } = {}) => {
+  const conditions = [];
+  const values = [];
+
+  if (participantId) {
+    conditions.push("(kt.fromUserId = ? OR kt.toUserId = ?)");
+    values.push(participantId, participantId);
+  }
+  if (status) {
+    conditions.push("kt.status = ?");
+    values.push(status);
+  }
+
+  return fetchPage(db, pageQuery, {
+    select: "kt.*, k.identifier, u1.email as fromEmail, u2.email as toEmail",
+    from: `key_transfers kt
+      JOIN keys k ON kt.keyId = k.id
+      JOIN users u1 ON kt.fromUserId = u1.id
+      JOIN users u2 ON kt.toUserId = u2.id`,
+    conditions,
+    values,
+    sortColumns: SORT_COLUMNS,
+    idColumn: "kt.id",
+  });
+};
+
+// Pending transfers the user offered or was offered
+const listPendingTransfers = (db, userId) =>
+  db.all(
+    `SELECT kt.id, kt.keyId, kt.fromAssignmentId, k.identifier, kt.fromUserId,
+      u1.email as fromEmail, kt.toUserId, u2.email as toEmail, kt.createdAt
+     FROM key_transfers kt
+     JOIN keys k ON kt.keyId = k.id
+     JOIN users u1 ON kt.fromUserId = u1.id
+     JOIN users u2 ON kt.toUserId = u2.id
+     WHERE kt.status = 'pending' AND (kt.fromUserId = ? OR kt.toUserId = ?)
+     ORDER BY kt.createdAt`,
+    [userId, userId],
+  );
+
+// Resolves to the new transfer's id. Rejects with a unique violation when a
+// transfer of the key is already pending.
+const createTransfer = async (
+  db,
+  { keyId, fromAssignmentId, fromUserId, toUserId, note },
+) => {
+  const result = await db.run(
+    "INSERT INTO key_transfers (keyId, fromAssignmentId, fromUserId, toUserId, note) VALUES (?, ?, ?, ?, ?)",
+    [keyId, fromAssignmentId, fromUserId, toUserId, note],
+  );
+  return result.lastID;
+};
+
+const markTransferAccepted = (db, id, toAssignmentId) =>
+  db.run(
+    "UPDATE key_transfers SET status = 'accepted', toAssignmentId = ?, respondedAt = CURRENT_TIMESTAMP WHERE id = ?",
+    [toAssignmentId, id],
+  );
+
+// Closes a pending transfer; resolves to false when it was no longer pending
+const closeTransfer = async (db, id, status) => {
+  const result = await db.run(
+    "UPDATE key_transfers SET status = ?, respondedAt = CURRENT_TIMESTAMP WHERE id = ? AND status = 'pending'",
+    [status, id],
+  );
+  return result.changes > 0;
+};
+
+module.exports = {
+  TRANSFER_SORT_FIELDS: Object.keys(SORT_COLUMNS),
+  getTransfer,
+  listTransfers,
+  listPendingTransfers,
+  createTransfer,
+  markTransferAccepted,
+  closeTransfer,
+};
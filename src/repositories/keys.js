@@ -0,0 +1,207 @@
+// backend/src/repositories/keys.js
+const { KEY_STATUSES } = require("../services/keyStatus");
+const { fetchPage, likePattern } = require("../services/listing");
+const { toTimestamp } = require("../services/dates");
+const { generateTagCode } = require("../services/tags");
+
+const KEY_FIELDS = ["identifier", "type", "parentId", "locationId", "copies"];
+
+const SORT_COLUMNS = {
+  identifier: "k.identifier",
+  type: "k.type",
+  status: "k.status",
+  createdAt: "k.createdAt",
+  assignedAt: "ca.assignedAt",
+  dueAt: "ca.dueAt",
+  holder: "h.email",
+};
+
+// Keys joined with their current assignment and holder, if any. assigned
+// filters on whether the key is out; undefined lists both. q matches the
+// identifier and, unless searchHolders is false, the holder's email.
+const listKeys = (
+  db,
+  pageQuery,
+  {
+    active = true,
+    doorId,
+    locationId,
+    type,
+    status,
+    assigned,
+    holderId,
+    createdFrom,
+    createdTo,
+    q,
+    searchHolders = true,
+  } = {},
+) => {
+  const conditions = [`k.isActive = ${active ? 1 : 0}`];
+  const values = [];
+
+  if (doorId) {
+    conditions.push("k.id IN (SELECT keyId FROM key_doors WHERE doorId = ?)");
+    values.push(doorId);
+  }
+  // A key belongs to a location by its home location or the doors it opens
+  if (locationId) {
+    conditions.push(
+      `(k.locationId = ? OR k.id IN (
+         SELECT kd.keyId FROM key_doors kd
+         JOIN doors d ON kd.doorId = d.id
+         WHERE d.locationId = ? AND d.isActive = 1))`,
+    );
+    values.push(locationId, locationId);
+  }
+  if (type) {
+    conditions.push("k.type = ?");
+    values.push(type);
+  }
+  if (status) {
+    conditions.push("k.status = ?");
+    values.push(status);
+  }
+  if (assigned !== undefined) {
+    conditions.push(`ca.id IS ${assigned ? "NOT NULL" : "NULL"}`);
+  }
+  if (holderId) {
+    conditions.push("ca.assignedTo = ?");
+    values.push(holderId);
+  }
+  if (createdFrom) {
+    conditions.push("k.createdAt >= ?");
+    values.push(toTimestamp(createdFrom));
+  }
+  if (createdTo) {
+    conditions.push("k.createdAt < ?");
+    values.push(toTimestamp(createdTo));
+  }
+  if (q) {
+    if (searchHolders) {
+      conditions.push(
+        `(LOWER(k.identifier) LIKE LOWER(?) ESCAPE '\\'
+          OR LOWER(h.email) LIKE LOWER(?) ESCAPE '\\')`,
+      );
+      values.push(likePattern(q), likePattern(q));
+    } else {
+      conditions.push("LOWER(k.identifier) LIKE LOWER(?) ESCAPE '\\'");
+      values.push(likePattern(q));
+    }
+  }
+
+  return fetchPage(db, pageQuery, {
+    select: `k.*, l.name as locationName,
+      CASE WHEN ca.id IS NULL THEN 0 ELSE 1 END as isAssigned,
+      ca.id as assignmentId, ca.assignedTo, h.email as assignedToEmail,
+      h.displayName as assignedToName, ca.assignedAt, ca.dueAt`,
+    from: `keys k
+      LEFT JOIN locations l ON k.locationId = l.id
+      LEFT JOIN key_assignments ca ON ca.keyId = k.id AND ca.returnedAt IS NULL
+      LEFT JOIN users h ON ca.assignedTo = h.id`,
+    conditions,
+    values,
+    sortColumns: SORT_COLUMNS,
+    idColumn: "k.id",
+  });
+};
+
+const findKey = (db, id) => db.get("SELECT * FROM keys WHERE id = ?", [id]);
+
+// The key with its home location's name
+const findKeyDetails = (db, id) =>
+  db.get(
+    `SELECT k.*, l.name as locationName
+     FROM keys k
+     LEFT JOIN locations l ON k.locationId = l.id
+     WHERE k.id = ?`,
+    [id],
+  );
+
+// Active doors mapped directly to the key
+const listKeyDoors = (db, keyId) =>
+  db.all(
+    `SELECT d.id, d.name, d.lockIdentifier, l.name as locationName
+     FROM key_doors kd
+     JOIN doors d ON kd.doorId = d.id
+     LEFT JOIN locations l ON d.locationId = l.id
+     WHERE kd.keyId = ? AND d.isActive = 1
+     ORDER BY d.name`,
+    [keyId],
+  );
+
+const listChildKeys = (db, keyId) =>
+  db.all(
+    "SELECT id, identifier, type, status FROM keys WHERE parentId = ? AND isActive = 1 ORDER BY identifier",
+    [keyId],
+  );
+
+const findKeyByTag = (db, tagCode) =>
+  db.get("SELECT * FROM keys WHERE tagCode = ?", [tagCode]);
+
+// Active keys to print tags for: the given ids, or every key at the location
+// by its home location or the doors it opens
+const listTagKeys = (db, { keyIds, locationId }) =>
+  keyIds
+    ? db.all(
+        `SELECT id, identifier, tagCode FROM keys
+         WHERE isActive = 1 AND id IN (${keyIds.map(() => "?").join(", ")})
+         ORDER BY identifier`,
+        keyIds,
+      )
+    : db.all(
+        `SELECT id, identifier, tagCode FROM keys
+         WHERE isActive = 1 AND (locationId = ? OR id IN (
+           SELECT kd.keyId FROM key_doors kd
+           JOIN doors d ON kd.doorId = d.id
+           WHERE d.locationId = ? AND d.isActive = 1))
+         ORDER BY identifier`,
+        [locationId, locationId],
+      );
+
+// Resolves to the new key's id. Every key gets a fresh tag code.
+const createKey = async (
+  db,
+  { identifier, type, parentId = null, locationId = null, copies = 1 },
+) => {
+  const result = await db.run(
+    "INSERT INTO keys (identifier, type, parentId, locationId, copies, tagCode) VALUES (?, ?, ?, ?, ?, ?)",
+    [identifier, type, parentId, locationId, copies, generateTagCode()],
+  );
+  return result.lastID;
+};
+
+// Resolves to false when no key has the id
+const updateKey = async (db, id, changes) => {
+  const result = await db.run(
+    `UPDATE keys SET ${Object.keys(changes)
+      .map((field) => `${field} = ?`)
+      .join(", ")}, updatedAt = CURRENT_TIMESTAMP
+     WHERE id = ?`,
+    [...Object.values(changes), id],
+  );
+  return result.changes > 0;
+};
+
+// Retired keys are also deactivated so they drop out of key lists
+const updateKeyStatus = (db, keyId, status, reason, userId) =>
+  db.run(
+    `UPDATE keys SET status = ?, statusReason = ?, statusChangedAt = CURRENT_TIMESTAMP,
+       statusChangedBy = ?, isActive = ?, updatedAt = CURRENT_TIMESTAMP
+     WHERE id = ?`,
+    [status, reason, userId, status === KEY_STATUSES.RETIRED ? 0 : 1, keyId],
+  );
+
+module.exports = {
+  KEY_FIELDS,
+  KEY_SORT_FIELDS: Object.keys(SORT_COLUMNS),
+  listKeys,
+  findKey,
+  findKeyDetails,
+  findKeyByTag,
+  listTagKeys,
+  listKeyDoors,
+  listChildKeys,
+  createKey,
+  updateKey,
+  updateKeyStatus,
+};
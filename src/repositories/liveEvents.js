@@ -0,0 +1,36 @@
+// backend/src/repositories/liveEvents.js
+
+// Resolves to the stored event with its id and creation time
+const createLiveEvent = async (db, { type, keyId, data }) => {
+  const result = await db.run(
+    "INSERT INTO live_events (type, keyId, data) VALUES (?, ?, ?)",
+    [type, keyId, JSON.stringify(data)],
+  );
+  return db.get("SELECT * FROM live_events WHERE id = ?", [result.lastID]);
+};
+
+// Events after the given id, oldest first
+const listLiveEventsAfter = (db, afterId, limit) =>
+  db.all(
+    `SELECT * FROM live_events WHERE id > ? ORDER BY id LIMIT ${Number(limit)}`,
+    [afterId],
+  );
+
+// The id range still kept; both are null before the first event
+const getLiveEventRange = (db) =>
+  db.get("SELECT MIN(id) as oldestId, MAX(id) as latestId FROM live_events");
+
+// The latest event is always kept so a gap after a quiet spell is still noticed
+const pruneLiveEvents = (db, before) =>
+  db.run(
+    `DELETE FROM live_events
+     WHERE createdAt < ? AND id < (SELECT MAX(id) FROM live_events)`,
+    [before],
+  );
+
+module.exports = {
+  createLiveEvent,
+  listLiveEventsAfter,
+  getLiveEventRange,
+  pruneLiveEvents,
+};
@@ -0,0 +1,80 @@
+// backend/src/repositories/locations.js
+const { fetchPage } = require("../services/listing");
+
+const LOCATION_FIELDS = ["name", "building", "floor", "room", "description"];
+const SORT_COLUMNS = { name: "l.name", createdAt: "l.createdAt" };
+
+const listLocations = (db, pageQuery) =>
+  fetchPage(db, pageQuery, {
+    select: `l.*,
+      (SELECT COUNT(*) FROM doors d WHERE d.locationId = l.id AND d.isActive = 1) as doorCount`,
+    from: "locations l",
+    conditions: ["l.isActive = 1"],
+    sortColumns: SORT_COLUMNS,
+    idColumn: "l.id",
+  });
+
+const findLocation = (db, id) =>
+  db.get("SELECT * FROM locations WHERE id = ? AND isActive = 1", [id]);
+
+// The location as recorded in the audit log, active or not
+const getLocationSnapshot = (db, id) =>
+  db.get("SELECT * FROM locations WHERE id = ?", [id]);
+
+const locationExists = async (db, id) => Boolean(await findLocation(db, id));
+
+const listLocationDoors = (db, locationId) =>
+  db.all(
+    "SELECT * FROM doors WHERE locationId = ? AND isActive = 1 ORDER BY name",
+    [locationId],
+  );
+
+const hasActiveDoors = async (db, locationId) =>
+  Boolean(
+    await db.get("SELECT id FROM doors WHERE locationId = ? AND isActive = 1", [
+      locationId,
+    ]),
+  );
+
+// Resolves to the new location's id
+const createLocation = async (db, location) => {
+  const result = await db.run(
+    `INSERT INTO locations (${LOCATION_FIELDS.join(", ")}) VALUES (?, ?, ?, ?, ?)`,
+    LOCATION_FIELDS.map((field) => location[field] ?? null),
+  );
+  return result.lastID;
+};
+
+// Resolves to false when no active location has the id
+const updateLocation = async (db, id, changes) => {
+  const result = await db.run(
+    `UPDATE locations SET ${Object.keys(changes)
+      .map((field) => `${field} = ?`)
+      .join(", ")}, updatedAt = CURRENT_TIMESTAMP
+     WHERE id = ? AND isActive = 1`,
+    [...Object.values(changes), id],
+  );
+  return result.changes > 0;
+};
+
+const deactivateLocation = async (db, id) => {
+  const result = await db.run(
+    "UPDATE locations SET isActive = 0, updatedAt = CURRENT_TIMESTAMP WHERE id = ? AND isActive = 1",
+    [id],
+  );
+  return result.changes > 0;
+};
+
+module.exports = {
+  LOCATION_FIELDS,
+  LOCATION_SORT_FIELDS: Object.keys(SORT_COLUMNS),
+  listLocations,
+  findLocation,
+  getLocationSnapshot,
+  locationExists,
+  listLocationDoors,
+  hasActiveDoors,
+  createLocation,
+  updateLocation,
+  deactivateLocation,
+};
@@ -0,0 +1,43 @@
+// backend/src/repositories/passwordResets.js
+// Reset tokens are stored as SHA-256 digests, like refresh tokens
+const { hashToken } = require("../services/tokens");
+
+const createPasswordReset = (db, userId, token, expiresAt) =>
+  db.run(
+    "INSERT INTO password_resets (userId, token, expiresAt) VALUES (?, ?, ?)",
+    [userId, hashToken(token), expiresAt],
+  );
+
+// The unused, unexpired reset for the token if its user is still active
+const findPasswordReset = (db, token) =>
+  db.get(
+    `SELECT pr.* FROM password_resets pr
+     JOIN users u ON pr.userId = u.id
+     WHERE pr.token = ? AND pr.usedAt IS NULL
+       AND pr.expiresAt > CURRENT_TIMESTAMP AND u.isActive = 1`,
+    [hashToken(token)],
+  );
+
+// Marks the reset used; resolves to false when a concurrent request got there
+// first
+const claimPasswordReset = async (db, id) => {
+  const result = await db.run(
+    "UPDATE password_resets SET usedAt = CURRENT_TIMESTAMP WHERE id = ? AND usedAt IS NULL",
+    [id],
+  );
+  return result.changes > 0;
+};
+
+// Invalidates every outstanding reset link of the user
+const expirePasswordResets = (db, userId) =>
+  db.run(
+    "UPDATE password_resets SET usedAt = CURRENT_TIMESTAMP WHERE userId = ? AND usedAt IS NULL",
+    [userId],
+  );
+
+module.exports = {
+  createPasswordReset,
+  findPasswordReset,
+  claimPasswordReset,
+  expirePasswordResets,
+};
@@ -0,0 +1,112 @@
+// backend/src/repositories/reservations.js
+const { fetchPage } = require("../services/listing");
+const { toTimestamp } = require("../services/dates");
+
+const SORT_COLUMNS = {
+  startsAt: "r.startsAt",
+  endsAt: "r.endsAt",
+  createdAt: "r.createdAt",
+};
+
+// A reservation with its key and the emails of both users involved
+const getReservation = (db, id) =>
+  db.get(
+    `SELECT r.*, k.identifier, u1.email as reservedForEmail, u2.email as reservedByEmail
+     FROM key_reservations r
+     JOIN keys k ON r.keyId = k.id
+     JOIN users u1 ON r.reservedFor = u1.id
+     JOIN users u2 ON r.reservedBy = u2.id
+     WHERE r.id = ?`,
+    [id],
+  );
+
+// participantId limits the list to reservations made by or for one user;
+// from and to keep those overlapping the window
+const listReservations = (
+  db,
+  pageQuery,
+  { participantId, keyId, reservedFor, from, to, includeCancelled } = {},
+) => {
+  const conditions = [];
+  const values = [];
+
+  if (participantId) {
+    conditions.push("(r.reservedFor = ? OR r.reservedBy = ?)");
+    values.push(participantId, participantId);
+  }
+  if (keyId) {
+    conditions.push("r.keyId = ?");
+    values.push(keyId);
+  }
+  if (reservedFor) {
+    conditions.push("r.reservedFor = ?");
+    values.push(reservedFor);
+  }
+  if (from) {
+    conditions.push("r.endsAt > ?");
+    values.push(toTimestamp(from));
+  }
+  if (to) {
+    conditions.push("r.startsAt < ?");
+    values.push(toTimestamp(to));
+  }
+  if (!includeCancelled) {
+    conditions.push("r.cancelledAt IS NULL");
+  }
+
+  return fetchPage(db, pageQuery, {
+    select: `r.*, k.identifier, u1.email as reservedForEmail,
+      u2.email as reservedByEmail`,
+    from: `key_reservations r
+      JOIN keys k ON r.keyId = k.id
+      JOIN users u1 ON r.reservedFor = u1.id
+      JOIN users u2 ON r.reservedBy = u2.id`,
+    conditions,
+    values,
+    sortColumns: SORT_COLUMNS,
+    idColumn: "r.id",
+  });
+};
+
+// The user's reservation of the key that is running right now
+const findCurrentReservation = (db, keyId, userId) =>
+  db.get(
+    `SELECT * FROM key_reservations
+     WHERE keyId = ? AND reservedFor = ? AND cancelledAt IS NULL
+       AND startsAt <= CURRENT_TIMESTAMP AND endsAt > CURRENT_TIMESTAMP
+     ORDER BY endsAt DESC
+     LIMIT 1`,
+    [keyId, userId],
+  );
+
+// Resolves to the new reservation's id
+const createReservation = async (
+  db,
+  { keyId, reservedFor, reservedBy, startsAt, endsAt, purpose },
+) => {
+  const result = await db.run(
+    `INSERT INTO key_reservations (keyId, reservedFor, reservedBy, startsAt, endsAt, purpose)
+     VALUES (?, ?, ?, ?, ?, ?)`,
+    [keyId, reservedFor, reservedBy, startsAt, endsAt, purpose],
+  );
+  return result.lastID;
+};
+
+// Resolves to false when the reservation was already cancelled or has ended
+const cancelReservation = async (db, id, cancelledBy) => {
+  const result = await db.run(
+    `UPDATE key_reservations SET cancelledAt = CURRENT_TIMESTAMP, cancelledBy = ?
+     WHERE id = ? AND cancelledAt IS NULL AND endsAt > CURRENT_TIMESTAMP`,
+    [cancelledBy, id],
+  );
+  return result.changes > 0;
+};
+
+module.exports = {
+  RESERVATION_SORT_FIELDS: Object.keys(SORT_COLUMNS),
+  getReservation,
+  listReservations,
+  findCurrentReservation,
+  createReservation,
+  cancelReservation,
+};
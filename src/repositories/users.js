@@ -0,0 +1,235 @@
+// backend/src/repositories/users.js
+const { fetchPage, likePattern } = require("../services/listing");
+const { toTimestamp } = require("../services/dates");
+
+const PROFILE_FIELDS = ["displayName", "phone", "department"];
+
+const SORT_COLUMNS = {
+  email: "u.email",
+  displayName: "u.displayName",
+  role: "u.role",
+  department: "u.department",
+  createdAt: "u.createdAt",
+};
+
+// Users with the number of keys each currently holds. active and pending
+// filter on the account flags; undefined lists both.
+const listUsers = (
+  db,
+  pageQuery,
+  { active, pending, role, department, createdFrom, createdTo, q } = {},
+) => {
+  const conditions = [];
+  const values = [];
+
+  if (active !== undefined) {
+    conditions.push(`u.isActive = ${active ? 1 : 0}`);
+  }
+  if (pending !== undefined) {
+    conditions.push(`u.isPending = ${pending ? 1 : 0}`);
+  }
+  if (role) {
+    conditions.push("u.role = ?");
+    values.push(role);
+  }
+  if (department) {
+    conditions.push("u.department = ?");
+    values.push(department);
+  }
+  if (createdFrom) {
+    conditions.push("u.createdAt >= ?");
+    values.push(toTimestamp(createdFrom));
+  }
+  if (createdTo) {
+    conditions.push("u.createdAt < ?");
+    values.push(toTimestamp(createdTo));
+  }
+  if (q) {
+    conditions.push(
+      "(LOWER(u.email) LIKE LOWER(?) ESCAPE '\\' OR LOWER(u.displayName) LIKE LOWER(?) ESCAPE '\\')",
+    );
+    values.push(likePattern(q), likePattern(q));
+  }
+
+  return fetchPage(db, pageQuery, {
+    select: `u.id, u.email, u.role, u.displayName, u.phone, u.department,
+      u.badgeId, u.managerId,
+      (SELECT m.email FROM users m WHERE m.id = u.managerId) as managerEmail,
+      u.isActive, u.isPending, u.createdAt, u.updatedAt,
+      (SELECT COUNT(*) FROM key_assignments ka
+       WHERE ka.assignedTo = u.id AND ka.returnedAt IS NULL) as keysHeld`,
+    from: "users u",
+    conditions,
+    values,
+    sortColumns: SORT_COLUMNS,
+    idColumn: "u.id",
+  });
+};
+
+// The user fields recorded in the audit log; never the password hash
+const getUserSnapshot = (db, id) =>
+  db.get(
+    `SELECT id, email, role, displayName, phone, department, badgeId, managerId,
+       isActive, isPending
+     FROM users WHERE id = ?`,
+    [id],
+  );
+
+// An active account that can be assigned keys or named in a reservation.
+// Pass acceptedOnly to exclude accounts whose invitation is still open.
+const findActiveUser = (db, id, { acceptedOnly = false } = {}) =>
+  db.get(
+    `SELECT id, email FROM users WHERE id = ? AND isActive = 1${acceptedOnly ? " AND isPending = 0" : ""}`,
+    [id],
+  );
+
+// An active, accepted admin or custodian who can take keys into safekeeping
+const findCustodian = (db, id) =>
+  db.get(
+    `SELECT id, email, displayName FROM users
+     WHERE id = ? AND role IN ('admin', 'custodian') AND isActive = 1 AND isPending = 0`,
+    [id],
+  );
+
+// The manager the user reports to, while that account is active
+const findManager = (db, userId) =>
+  db.get(
+    `SELECT m.id, m.email, m.displayName
+     FROM users u
+     JOIN users m ON u.managerId = m.id
+     WHERE u.id = ? AND m.isActive = 1`,
+    [userId],
+  );
+
+// The account a login or password reset for the email applies to
+const findLoginUser = (db, email) =>
+  db.get(
+    "SELECT * FROM users WHERE email = ? AND isActive = 1 AND isPending = 0",
+    [email],
+  );
+
+// The identity a valid access token stands for, while the account is usable
+const findSessionUser = (db, id) =>
+  db.get(
+    "SELECT id, email, role FROM users WHERE id = ? AND isActive = 1 AND isPending = 0",
+    [id],
+  );
+
+// The usable account a cabinet badge belongs to
+const findBadgeUser = (db, badgeId) =>
+  db.get(
+    `SELECT id, email, role, displayName FROM users
+     WHERE badgeId = ? AND isActive = 1 AND isPending = 0`,
+    [badgeId],
+  );
+
+// Whether a user other than exceptId already carries the badge
+const isBadgeTaken = async (db, badgeId, exceptId) =>
+  Boolean(
+    await db.get("SELECT id FROM users WHERE badgeId = ? AND id != ?", [
+      badgeId,
+      exceptId,
+    ]),
+  );
+
+const findPendingUser = (db, id) =>
+  db.get(
+    "SELECT id, email FROM users WHERE id = ? AND isPending = 1 AND isActive = 1",
+    [id],
+  );
+
+// The signed-in user's own profile
+const findProfile = (db, id) =>
+  db.get(
+    `SELECT id, email, role, displayName, phone, department, createdAt, updatedAt
+     FROM users WHERE id = ? AND isActive = 1`,
+    [id],
+  );
+
+const findPasswordHash = async (db, id) =>
+  (
+    await db.get("SELECT password FROM users WHERE id = ? AND isActive = 1", [
+      id,
+    ])
+  )?.password;
+
+// Resolves to false when no user has the id
+const updateUser = async (db, id, changes) => {
+  const result = await db.run(
+    `UPDATE users SET ${Object.keys(changes)
+      .map((field) => `${field} = ?`)
+      .join(", ")}, updatedAt = CURRENT_TIMESTAMP
+     WHERE id = ?`,
+    [...Object.values(changes), id],
+  );
+  return result.changes > 0;
+};
+
+const deactivateUser = (db, id) =>
+  db.run(
+    "UPDATE users SET isActive = 0, updatedAt = CURRENT_TIMESTAMP WHERE id = ?",
+    [id],
+  );
+
+// Sets a new password hash; accepting an invitation also ends pending status
+const setPassword = (db, id, passwordHash, { activate = false } = {}) =>
+  db.run(
+    `UPDATE users SET password = ?${activate ? ", isPending = 0" : ""}, updatedAt = CURRENT_TIMESTAMP
+     WHERE id = ?`,
+    [passwordHash, id],
+  );
+
+// Lockouts newest first; activeOnly leaves out expired and lifted ones
+const listLockouts = (db, { activeOnly = false } = {}) =>
+  db.all(
+    `SELECT * FROM account_lockouts
+     ${activeOnly ? "WHERE unlockedAt IS NULL AND lockedUntil > CURRENT_TIMESTAMP" : ""}
+     ORDER BY createdAt DESC, id DESC`,
+  );
+
+// Whether an active admin who has accepted their invitation exists, other
+// than the user exceptId when given
+const hasAdmin = async (db, { exceptId } = {}) =>
+  Boolean(
+    await db.get(
+      `SELECT id FROM users
+       WHERE role = 'admin' AND isActive = 1 AND isPending = 0${exceptId !== undefined ? " AND id != ?" : ""}
+       LIMIT 1`,
+      exceptId !== undefined ? [exceptId] : [],
+    ),
+  );
+
+// Creates the admin account, or promotes and reactivates an existing account
+// with the email. An invited account that never set a password takes the
+// given one; an established account keeps its own.
+const upsertAdmin = (db, email, passwordHash) =>
+  db.run(
+    `INSERT INTO users (email, password, role) VALUES (?, ?, 'admin')
+     ON CONFLICT (email) DO UPDATE SET role = excluded.role,
+       password = CASE WHEN users.isPending = 1 THEN excluded.password ELSE users.password END,
+       isActive = 1, isPending = 0, updatedAt = CURRENT_TIMESTAMP`,
+    [email, passwordHash],
+  );
+
+module.exports = {
+  PROFILE_FIELDS,
+  USER_SORT_FIELDS: Object.keys(SORT_COLUMNS),
+  listUsers,
+  getUserSnapshot,
+  findActiveUser,
+  findCustodian,
+  findManager,
+  findLoginUser,
+  findSessionUser,
+  findBadgeUser,
+  isBadgeTaken,
+  findPendingUser,
+  findProfile,
+  findPasswordHash,
+  updateUser,
+  deactivateUser,
+  setPassword,
+  listLockouts,
+  hasAdmin,
+  upsertAdmin,
+};
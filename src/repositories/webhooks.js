@@ -0,0 +1,177 @@
+// backend/src/repositories/webhooks.js
+const { fetchPage } = require("../services/listing");
+
+const WEBHOOK_FIELDS = ["url", "description", "events", "isActive"];
+
+const SORT_COLUMNS = {
+  url: "w.url",
+  createdAt: "w.createdAt",
+};
+
+const DELIVERY_SORT_COLUMNS = {
+  createdAt: "d.createdAt",
+  lastAttemptAt: "d.lastAttemptAt",
+};
+
+// The stored comma-separated event list as an array
+const withEvents = (webhook) =>
+  webhook && { ...webhook, events: webhook.events.split(",") };
+
+// Webhooks with their number of failed deliveries. The signing secret is only
+// read back to sign deliveries.
+const listWebhooks = async (db, pageQuery, { active } = {}) => {
+  const { rows, ...pagination } = await fetchPage(db, pageQuery, {
+    select: `w.id, w.url, w.description, w.events, w.isActive, w.createdBy,
+      w.createdAt, w.updatedAt,
+      (SELECT COUNT(*) FROM webhook_deliveries d
+       WHERE d.webhookId = w.id AND d.status = 'failed') as failedDeliveries`,
+    from: "webhooks w",
+    conditions: active === undefined ? [] : [`w.isActive = ${active ? 1 : 0}`],
+    sortColumns: SORT_COLUMNS,
+    idColumn: "w.id",
+  });
+  return { rows: rows.map(withEvents), ...pagination };
+};
+
+const findWebhook = async (db, id) =>
+  withEvents(
+    await db.get(
+      `SELECT id, url, description, events, isActive, createdBy, createdAt, updatedAt
+       FROM webhooks WHERE id = ?`,
+      [id],
+    ),
+  );
+
+// Active webhooks subscribed to the event
+const listSubscribers = async (db, event) =>
+  (await db.all("SELECT id, url, events FROM webhooks WHERE isActive = 1"))
+    .map(withEvents)
+    .filter((webhook) => webhook.events.includes(event));
+
+// Resolves to the new webhook's id
+const createWebhook = async (
+  db,
+  { url, description = null, events, secret, createdBy },
+) => {
+  const result = await db.run(
+    `INSERT INTO webhooks (url, description, events, secret, createdBy)
+     VALUES (?, ?, ?, ?, ?)`,
+    [url, description, events.join(","), secret, createdBy],
+  );
+  return result.lastID;
+};
+
+// Resolves to false when no webhook has the id
+const updateWebhook = async (db, id, changes) => {
+  const fields = {
+    ...changes,
+    ...(changes.events && { events: changes.events.join(",") }),
+  };
+  const result = await db.run(
+    `UPDATE webhooks SET ${Object.keys(fields)
+      .map((field) => `${field} = ?`)
+      .join(", ")}, updatedAt = CURRENT_TIMESTAMP
+     WHERE id = ?`,
+    [...Object.values(fields), id],
+  );
+  return result.changes > 0;
+};
+
+// Removes the webhook together with its delivery log
+const deleteWebhook = async (db, id) => {
+  await db.run("DELETE FROM webhook_deliveries WHERE webhookId = ?", [id]);
+  const result = await db.run("DELETE FROM webhooks WHERE id = ?", [id]);
+  return result.changes > 0;
+};
+
+// Queues a delivery for its first attempt right away; resolves to its id
+const createDelivery = async (
+  db,
+  { webhookId, eventId, event, payload, redeliveryOf = null },
+) => {
+  const result = await db.run(
+    `INSERT INTO webhook_deliveries
+       (webhookId, eventId, event, payload, redeliveryOf, nextAttemptAt)
+     VALUES (?, ?, ?, ?, ?, CURRENT_TIMESTAMP)`,
+    [webhookId, eventId, event, payload, redeliveryOf],
+  );
+  return result.lastID;
+};
+
+// Pending deliveries whose next attempt is due, oldest first, with where to
+// send them
+const listDueDeliveries = (db, limit) =>
+  db.all(
+    `SELECT d.id, d.webhookId, d.eventId, d.event, d.payload, d.attempts,
+       w.url, w.secret
+     FROM webhook_deliveries d
+     JOIN webhooks w ON d.webhookId = w.id
+     WHERE d.status = 'pending' AND d.nextAttemptAt <= CURRENT_TIMESTAMP
+       AND w.isActive = 1
+     ORDER BY d.nextAttemptAt, d.id
+     LIMIT ${Number(limit)}`,
+  );
+
+const findDelivery = (db, webhookId, id) =>
+  db.get("SELECT * FROM webhook_deliveries WHERE webhookId = ? AND id = ?", [
+    webhookId,
+    id,
+  ]);
+
+// Stores the outcome of one attempt. nextAttemptAt is null once the delivery
+// succeeded or ran out of attempts.
+const recordAttempt = (
+  db,
+  id,
+  { status, nextAttemptAt = null, responseStatus = null, error = null },
+) =>
+  db.run(
+    `UPDATE webhook_deliveries
+     SET status = ?, attempts = attempts + 1, nextAttemptAt = ?,
+       lastAttemptAt = CURRENT_TIMESTAMP, responseStatus = ?, error = ?
+     WHERE id = ?`,
+    [status, nextAttemptAt, responseStatus, error, id],
+  );
+
+// A webhook's delivery log, newest first by default. The payload is left out
+// of the list; fetch a single delivery to see it.
+const listDeliveries = (db, pageQuery, webhookId, { status, event } = {}) => {
+  const conditions = ["d.webhookId = ?"];
+  const values = [webhookId];
+
+  if (status) {
+    conditions.push("d.status = ?");
+    values.push(status);
+  }
+  if (event) {
+    conditions.push("d.event = ?");
+    values.push(event);
+  }
+
+  return fetchPage(db, pageQuery, {
+    select: `d.id, d.eventId, d.event, d.status, d.attempts, d.nextAttemptAt,
+      d.lastAttemptAt, d.responseStatus, d.error, d.redeliveryOf, d.createdAt`,
+    from: "webhook_deliveries d",
+    conditions,
+    values,
+    sortColumns: DELIVERY_SORT_COLUMNS,
+    idColumn: "d.id",
+  });
+};
+
+module.exports = {
+  WEBHOOK_FIELDS,
+  WEBHOOK_SORT_FIELDS: Object.keys(SORT_COLUMNS),
+  DELIVERY_SORT_FIELDS: Object.keys(DELIVERY_SORT_COLUMNS),
+  listWebhooks,
+  findWebhook,
+  listSubscribers,
+  createWebhook,
+  updateWebhook,
+  deleteWebhook,
+  createDelivery,
+  listDueDeliveries,
+  findDelivery,
+  recordAttempt,
+  listDeliveries,
+};
@@ -0,0 +1,262 @@
+// backend/src/routes/access.js
+const express = require("express");
+const router = express.Router();
+const { authorizeRoles, ROLES } = require("../middleware/auth");
+const {
+  resolveKeyDoors,
+  resolveUserDoors,
+  resolveDoorHolders,
+} = require("../services/access");
+const { findDoor } = require("../repositories/doors");
+const { findKey } = require("../repositories/keys");
+
+/**
+ * @openapi
+ * /api/access/users/{id}/doors:
+ *   get:
+ *     summary: Get the doors a user can currently open
+ *     description: Resolved through the user's active key assignments and the master key hierarchy. Holders can only query themselves.
+ *     tags: [Access]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID of the user
+ *     responses:
+ *       200:
+ *         description: Doors the user can open
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 type: object
+ *                 properties:
+ *                   id:
+ *                     type: integer
+ *                     description: Door ID
+ *                   name:
+ *                     type: string
+ *                     description: Door name
+ *                   lockIdentifier:
+ *                     type: string
+ *                     description: Identifier of the lock or cylinder
+ *                   locationId:
+ *                     type: integer
+ *                     description: ID of the location the door belongs to
+ *                   locationName:
+ *                     type: string
+ *                     description: Name of the location the door belongs to
+ *                   viaKeys:
+ *                     type: string
+ *                     description: Comma-separated identifiers of the held keys that grant access
+ *       403:
+ *         description: Insufficient permissions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   description: Error message
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   description: Error message
+ */
+router.get("/users/:id/doors", async (req, res) => {
+  if (req.user.role === ROLES.HOLDER && Number(req.params.id) !== req.user.id) {
+    return res.status(403).json({ error: "Insufficient permissions" });
+  }
+
+  try {
+    const doors = await resolveUserDoors(req.db, req.params.id);
+    res.json(doors);
+  } catch (error) {
+    res.status(500).json({ error: "Error resolving user access" });
+  }
+});
+
+/**
+ * @openapi
+ * /api/access/doors/{id}/holders:
+ *   get:
+ *     summary: Get the users who can currently open a door
+ *     description: Includes holders of keys mapped to the door and of any master key above them.
+ *     tags: [Access]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID of the door
+ *     responses:
+ *       200:
+ *         description: One entry per user and key granting access
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 type: object
+ *                 properties:
+ *                   userId:
+ *                     type: integer
+ *                     description: User ID
+ *                   email:
+ *                     type: string
+ *                     format: email
+ *                     description: User's email address
+ *                   displayName:
+ *                     type: string
+ *                     description: User's display name
+ *                   keyId:
+ *                     type: integer
+ *                     description: ID of the held key that grants access
+ *                   identifier:
+ *                     type: string
+ *                     description: Identifier of the held key
+ *                   type:
+ *                     type: string
+ *                     description: Type of the held key
+ *                   assignedAt:
+ *                     type: string
+ *                     format: date-time
+ *                     description: Timestamp of key assignment
+ *       403:
+ *         description: Insufficient permissions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   description: Error message
+ *       404:
+ *         description: Door not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   description: Error message
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   description: Error message
+ */
+router.get(
+  "/doors/:id/holders",
+  authorizeRoles(ROLES.CUSTODIAN),
+  async (req, res) => {
+    try {
+      const door = await findDoor(req.db, req.params.id);
+      if (!door) {
+        return res.status(404).json({ error: "Door not found" });
+      }
+
+      const holders = await resolveDoorHolders(req.db, door.id);
+      res.json(holders);
+    } catch (error) {
+      res.status(500).json({ error: "Error resolving door access" });
+    }
+  },
+);
+
+/**
+ * @openapi
+ * /api/access/keys/{id}/doors:
+ *   get:
+ *     summary: Get every door a key opens
+ *     description: Includes doors mapped to the key and to all keys below it in the hierarchy.
+ *     tags: [Access]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID of the key
+ *     responses:
+ *       200:
+ *         description: Doors the key opens
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 type: object
+ *                 properties:
+ *                   id:
+ *                     type: integer
+ *                     description: Door ID
+ *                   name:
+ *                     type: string
+ *                     description: Door name
+ *                   lockIdentifier:
+ *                     type: string
+ *                     description: Identifier of the lock or cylinder
+ *                   locationName:
+ *                     type: string
+ *                     description: Name of the location the door belongs to
+ *       404:
+ *         description: Key not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   description: Error message
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   description: Error message
+ */
+router.get("/keys/:id/doors", async (req, res) => {
+  try {
+    const key = await findKey(req.db, req.params.id);
+    if (!key) {
+      return res.status(404).json({ error: "Key not found" });
+    }
+
+    const doors = await resolveKeyDoors(req.db, key.id);
+    res.json(doors);
+  } catch (error) {
+    res.status(500).json({ error: "Error resolving key access" });
+  }
+});
+
+module.exports = router;
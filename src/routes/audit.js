@@ -0,0 +1,254 @@
+// backend/src/routes/audit.js
+const express = require("express");
+const router = express.Router();
+const { query, validationResult } = require("express-validator");
+const { authorizeRoles, ROLES } = require("../middleware/auth");
+const { verifyAuditChain } = require("../services/audit");
+const { listAuditEntries } = require("../repositories/audit");
+
+const parseEntry = ({ beforeData, afterData, ...entry }) => ({
+  ...entry,
+  before: beforeData ? JSON.parse(beforeData) : null,
+  after: afterData ? JSON.parse(afterData) : null,
+});
+
+/**
+ * @openapi
+ * /api/audit:
+ *   get:
+ *     summary: Search the audit log
+ *     description: Every write through the auth, users and keys endpoints is recorded. Newest entries come first.
+ *     tags: [Audit]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: actorId
+ *         schema:
+ *           type: integer
+ *         description: Only return entries by this user
+ *       - in: query
+ *         name: action
+ *         schema:
+ *           type: string
+ *         description: Only return entries with this action, e.g. keys.assign
+ *       - in: query
+ *         name: entityType
+ *         schema:
+ *           type: string
+ *           enum: [user, key, assignment]
+ *         description: Only return entries about this kind of entity
+ *       - in: query
+ *         name: entityId
+ *         schema:
+ *           type: string
+ *         description: Only return entries about this entity (requires entityType)
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Only return entries recorded at or after this time
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Only return entries recorded before this time
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 200
+ *           default: 50
+ *         description: Entries per page
+ *     responses:
+ *       200:
+ *         description: Page of audit entries
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 entries:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       id:
+ *                         type: integer
+ *                         description: Entry ID
+ *                       actorId:
+ *                         type: integer
+ *                         description: ID of the user who made the change (if known)
+ *                       actorEmail:
+ *                         type: string
+ *                         format: email
+ *                         description: Email of the user who made the change (if known)
+ *                       action:
+ *                         type: string
+ *                         description: What was done, e.g. users.update
+ *                       entityType:
+ *                         type: string
+ *                         description: Kind of entity changed
+ *                       entityId:
+ *                         type: string
+ *                         description: ID of the entity changed
+ *                       before:
+ *                         type: object
+ *                         description: Entity values before the change
+ *                       after:
+ *                         type: object
+ *                         description: Entity values after the change
+ *                       ip:
+ *                         type: string
+ *                         description: Client IP address
+ *                       createdAt:
+ *                         type: string
+ *                         format: date-time
+ *                         description: Timestamp of the change
+ *                       prevHash:
+ *                         type: string
+ *                         description: Hash of the previous entry
+ *                       hash:
+ *                         type: string
+ *                         description: Hash of this entry
+ *                 page:
+ *                   type: integer
+ *                   description: Page number
+ *                 limit:
+ *                   type: integer
+ *                   description: Entries per page
+ *                 total:
+ *                   type: integer
+ *                   description: Number of matching entries
+ *       400:
+ *         description: Validation errors
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 errors:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       msg:
+ *                         type: string
+ *                         description: Error message
+ *       403:
+ *         description: Insufficient permissions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   description: Error message
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   description: Error message
+ */
+router.get(
+  "/",
+  authorizeRoles(ROLES.ADMIN),
+  query("actorId").optional().isInt(),
+  query(["action", "entityType", "entityId"]).optional().isString(),
+  query(["from", "to"]).optional().isISO8601(),
+  query("page").optional().isInt({ min: 1 }),
+  query("limit").optional().isInt({ min: 1, max: 200 }),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const page = Number(req.query.page) || 1;
+      const limit = Number(req.query.limit) || 50;
+
+      const { rows, total } = await listAuditEntries(
+        req.db,
+        { page, limit },
+        req.query,
+      );
+
+      res.json({ entries: rows.map(parseEntry), page, limit, total });
+    } catch (error) {
+      res.status(500).json({ error: "Error fetching audit log" });
+    }
+  },
+);
+
+/**
+ * @openapi
+ * /api/audit/verify:
+ *   get:
+ *     summary: Check the audit log hash chain for tampering
+ *     tags: [Audit]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Verification result
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 valid:
+ *                   type: boolean
+ *                   description: Whether every entry matches its hash and links to its predecessor
+ *                 entries:
+ *                   type: integer
+ *                   description: Number of entries checked
+ *                 brokenAt:
+ *                   type: integer
+ *                   description: ID of the first entry that fails verification (if any)
+ *       403:
+ *         description: Insufficient permissions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   description: Error message
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   description: Error message
+ */
+router.get("/verify", authorizeRoles(ROLES.ADMIN), async (req, res) => {
+  try {
+    res.json(await verifyAuditChain(req.db));
+  } catch (error) {
+    res.status(500).json({ error: "Error verifying audit log" });
+  }
+});
+
+module.exports = router;
@@ -2,15 +2,48 @@
 const express = require("express");
 const router = express.Router();
 const bcrypt = require("bcryptjs");
-const jwt = require("jsonwebtoken");
-const { JWT_SECRET } = require("../middleware/auth");
+const crypto = require("crypto");
+const { authenticateToken } = require("../middleware/auth");
 const { body, validationResult } = require("express-validator");
+const { sendMail, APP_URL } = require("../services/mailer");
+const { findInvitation, acceptInvitation } = require("../services/invitations");
+const {
+  issueTokens,
+  rotateRefreshToken,
+  findRefreshTokenOwner,
+  revokeRefreshToken,
+  revokeRefreshTokens,
+} = require("../services/tokens");
+const {
+  checkLoginAllowed,
+  recordFailedLogin,
+  recordSuccessfulLogin,
+} = require("../services/loginThrottle");
+const { recordAudit } = require("../services/audit");
+const { withTransaction } = require("../services/transaction");
+const { minutesFromNow } = require("../services/dates");
+const {
+  findLoginUser,
+  findProfile,
+  findPasswordHash,
+  setPassword,
+} = require("../repositories/users");
+const { listHeldKeys } = require("../repositories/assignments");
+const {
+  createPasswordReset,
+  findPasswordReset,
+  claimPasswordReset,
+  expirePasswordResets,
+} = require("../repositories/passwordResets");
+
+const RESET_TOKEN_TTL_MINUTES =
+  Number(process.env.RESET_TOKEN_TTL_MINUTES) || 60;
 
 /**
  * @openapi
  * /api/auth/login:
  *   post:
- *     summary: Authenticate user and return JWT token
+ *     summary: Authenticate user and return an access and refresh token
  *     tags: [Authentication]
  *     requestBody:
  *       required: true
@@ -39,7 +72,10 @@ const { body, validationResult } = require("express-validator");
  *               properties:
  *                 token:
  *                   type: string
- *                   description: JWT token for authentication
+ *                   description: Short-lived JWT access token
+ *                 refreshToken:
+ *                   type: string
+ *                   description: Opaque refresh token for /api/auth/refresh
  *                 user:
  *                   type: object
  *                   properties:
@@ -50,6 +86,10 @@ const { body, validationResult } = require("express-validator");
  *                       type: string
  *                       format: email
  *                       description: User's email address
+ *                     role:
+ *                       type: string
+ *                       enum: [admin, custodian, holder]
+ *                       description: User's role
  *       400:
  *         description: Validation errors
  *         content:
@@ -75,6 +115,42 @@ const { body, validationResult } = require("express-validator");
  *                 error:
  *                   type: string
  *                   description: Error message
+ *       423:
+ *         description: Account temporarily locked after repeated failed attempts
+ *         headers:
+ *           Retry-After:
+ *             schema:
+ *               type: integer
+ *             description: Seconds until the lockout ends
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   description: Error message
+ *                 retryAfter:
+ *                   type: integer
+ *                   description: Seconds until the lockout ends
+ *       429:
+ *         description: Too many failed attempts; wait before retrying
+ *         headers:
+ *           Retry-After:
+ *             schema:
+ *               type: integer
+ *             description: Seconds until the next attempt is allowed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   description: Error message
+ *                 retryAfter:
+ *                   type: integer
+ *                   description: Seconds until the next attempt is allowed
  *       500:
  *         description: Server error
  *         content:
@@ -98,24 +174,802 @@ router.post(
 
     try {
       const { email, password } = req.body;
-      const user = await req.db.get(
-        "SELECT * FROM users WHERE email = ? AND isActive = 1",
-        [email],
-      );
+      const ip = req.ip;
+
+      const rejection = await checkLoginAllowed(req.db, email, ip);
+      if (rejection) {
+        res.set("Retry-After", String(rejection.retryAfter));
+        return res
+          .status(rejection.status)
+          .json({ error: rejection.error, retryAfter: rejection.retryAfter });
+      }
+
+      const user = await findLoginUser(req.db, email);
 
       if (!user || !(await bcrypt.compare(password, user.password))) {
+        await withTransaction(req.db, async (db) => {
+          await recordFailedLogin(db, { email, ip, userId: user?.id });
+          await recordAudit(db, req, {
+            action: "auth.login_failed",
+            entityType: "user",
+            entityId: user?.id,
+            after: { email },
+            actorId: null,
+          });
+        });
         return res.status(401).json({ error: "Invalid credentials" });
       }
 
-      const token = jwt.sign({ id: user.id, email: user.email }, JWT_SECRET, {
-        expiresIn: "24h",
-      });
+      const { token, refreshToken } = await withTransaction(
+        req.db,
+        async (db) => {
+          await recordSuccessfulLogin(db, { email, ip, userId: user.id });
+          await recordAudit(db, req, {
+            action: "auth.login",
+            entityType: "user",
+            entityId: user.id,
+            actorId: user.id,
+          });
+          return issueTokens(db, user);
+        },
+      );
 
-      res.json({ token, user: { id: user.id, email: user.email } });
+      res.json({
+        token,
+        refreshToken,
+        user: { id: user.id, email: user.email, role: user.role },
+      });
     } catch (error) {
       res.status(500).json({ error: "Error during login" });
     }
   },
 );
 
+/**
+ * @openapi
+ * /api/auth/refresh:
+ *   post:
+ *     summary: Exchange a refresh token for a new access and refresh token
+ *     description: Refresh tokens rotate on every use. Reusing a rotated token revokes all of the user's sessions.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - refreshToken
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *                 description: Refresh token from login or a previous refresh
+ *     responses:
+ *       200:
+ *         description: New token pair
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 token:
+ *                   type: string
+ *                   description: Short-lived JWT access token
+ *                 refreshToken:
+ *                   type: string
+ *                   description: Replacement refresh token
+ *       400:
+ *         description: Validation errors
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 errors:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       msg:
+ *                         type: string
+ *                         description: Error message
+ *       401:
+ *         description: Invalid, expired or revoked refresh token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   description: Error message
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   description: Error message
+ */
+router.post("/refresh", body("refreshToken").notEmpty(), async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const rotated = await withTransaction(req.db, async (db) => {
+      const rotated = await rotateRefreshToken(db, req.body.refreshToken);
+      if (rotated) {
+        await recordAudit(db, req, {
+          action: "auth.refresh",
+          entityType: "user",
+          entityId: rotated.user.id,
+          actorId: rotated.user.id,
+        });
+      }
+      return rotated;
+    });
+    if (!rotated) {
+      return res.status(401).json({ error: "Invalid refresh token" });
+    }
+
+    res.json({ token: rotated.token, refreshToken: rotated.refreshToken });
+  } catch (error) {
+    res.status(500).json({ error: "Error refreshing token" });
+  }
+});
+
+/**
+ * @openapi
+ * /api/auth/logout:
+ *   post:
+ *     summary: Revoke refresh tokens
+ *     description: Revokes the given refresh token, or every refresh token of the authenticated user when allSessions is true.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *                 description: Refresh token to revoke
+ *               allSessions:
+ *                 type: boolean
+ *                 description: Revoke every session of the authenticated user (requires a bearer token)
+ *     responses:
+ *       200:
+ *         description: Logged out successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   description: Success message
+ *       400:
+ *         description: Validation errors
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 errors:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       msg:
+ *                         type: string
+ *                         description: Error message
+ *                 error:
+ *                   type: string
+ *                   description: Error message
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   description: Error message
+ */
+router.post(
+  "/logout",
+  body("refreshToken").isString().optional(),
+  body("allSessions").isBoolean().optional(),
+  (req, res, next) =>
+    req.body.allSessions ? authenticateToken(req, res, next) : next(),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { refreshToken, allSessions } = req.body;
+    if (!refreshToken && !allSessions) {
+      return res
+        .status(400)
+        .json({ error: "refreshToken or allSessions is required" });
+    }
+
+    try {
+      await withTransaction(req.db, async (db) => {
+        let userId;
+        if (allSessions) {
+          userId = req.user.id;
+          await revokeRefreshTokens(db, userId);
+        } else {
+          userId = await findRefreshTokenOwner(db, refreshToken);
+          await revokeRefreshToken(db, refreshToken);
+        }
+
+        if (userId) {
+          await recordAudit(db, req, {
+            action: "auth.logout",
+            entityType: "user",
+            entityId: userId,
+            after: { allSessions: Boolean(allSessions) },
+            actorId: userId,
+          });
+        }
+      });
+      res.json({ message: "Logged out successfully" });
+    } catch (error) {
+      res.status(500).json({ error: "Error logging out" });
+    }
+  },
+);
+
+/**
+ * @openapi
+ * /api/auth/forgot-password:
+ *   post:
+ *     summary: Email a password reset link to the user
+ *     description: Always responds with the same message so that registered emails cannot be discovered.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *                 description: User's email address
+ *     responses:
+ *       200:
+ *         description: Reset link sent if the account exists
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   description: Success message
+ *       400:
+ *         description: Validation errors
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 errors:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       msg:
+ *                         type: string
+ *                         description: Error message
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   description: Error message
+ */
+router.post("/forgot-password", body("email").isEmail(), async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const user = await findLoginUser(req.db, req.body.email);
+
+    if (user) {
+      const token = crypto.randomBytes(32).toString("hex");
+      await withTransaction(req.db, async (db) => {
+        await createPasswordReset(
+          db,
+          user.id,
+          token,
+          minutesFromNow(RESET_TOKEN_TTL_MINUTES),
+        );
+        await recordAudit(db, req, {
+          action: "auth.password_reset_requested",
+          entityType: "user",
+          entityId: user.id,
+          actorId: null,
+        });
+      });
+
+      const link = `${APP_URL}/reset-password?token=${token}`;
+      await sendMail({
+        to: user.email,
+        subject: "Reset your password",
+        text: `Use the link below to reset your password. It expires in ${RESET_TOKEN_TTL_MINUTES} minutes.\n\n${link}\n\nIf you did not request a reset, you can ignore this email.`,
+      });
+    }
+
+    res.json({
+      message: "If the account exists, a reset link has been sent",
+    });
+  } catch (error) {
+    res.status(500).json({ error: "Error requesting password reset" });
+  }
+});
+
+/**
+ * @openapi
+ * /api/auth/reset-password:
+ *   post:
+ *     summary: Set a new password using a reset token
+ *     description: Tokens are single-use; a successful reset invalidates every outstanding token for the user.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *               - password
+ *             properties:
+ *               token:
+ *                 type: string
+ *                 description: Reset token from the emailed link
+ *               password:
+ *                 type: string
+ *                 minLength: 8
+ *                 description: New password
+ *     responses:
+ *       200:
+ *         description: Password reset successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   description: Success message
+ *       400:
+ *         description: Validation errors or invalid/expired token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 errors:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       msg:
+ *                         type: string
+ *                         description: Error message
+ *                 error:
+ *                   type: string
+ *                   description: Error message
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   description: Error message
+ */
+router.post(
+  "/reset-password",
+  body("token").notEmpty(),
+  body("password").isLength({ min: 8 }),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const { token, password } = req.body;
+      const reset = await findPasswordReset(req.db, token);
+
+      if (!reset) {
+        return res.status(400).json({ error: "Invalid or expired token" });
+      }
+
+      const hashedPassword = await bcrypt.hash(password, 10);
+      const claimed = await withTransaction(req.db, async (db) => {
+        // Claim the token first so a concurrent request cannot reuse it
+        if (!(await claimPasswordReset(db, reset.id))) {
+          return false;
+        }
+        await setPassword(db, reset.userId, hashedPassword);
+        await expirePasswordResets(db, reset.userId);
+        await revokeRefreshTokens(db, reset.userId);
+        await recordAudit(db, req, {
+          action: "auth.password_reset",
+          entityType: "user",
+          entityId: reset.userId,
+          actorId: reset.userId,
+        });
+        return true;
+      });
+      if (!claimed) {
+        return res.status(400).json({ error: "Invalid or expired token" });
+      }
+
+      res.json({ message: "Password reset successfully" });
+    } catch (error) {
+      res.status(500).json({ error: "Error resetting password" });
+    }
+  },
+);
+
+/**
+ * @openapi
+ * /api/auth/accept-invite:
+ *   post:
+ *     summary: Accept an invitation and set the account password
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - token
+ *               - password
+ *             properties:
+ *               token:
+ *                 type: string
+ *                 description: Signed invite token from the emailed link
+ *               password:
+ *                 type: string
+ *                 minLength: 8
+ *                 description: Password for the account
+ *     responses:
+ *       200:
+ *         description: Invitation accepted and account activated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   description: Success message
+ *       400:
+ *         description: Validation errors or invalid/expired/revoked invitation
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 errors:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       msg:
+ *                         type: string
+ *                         description: Error message
+ *                 error:
+ *                   type: string
+ *                   description: Error message
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   description: Error message
+ */
+router.post(
+  "/accept-invite",
+  body("token").notEmpty(),
+  body("password").isLength({ min: 8 }),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const { token, password } = req.body;
+      const invitation = await findInvitation(req.db, token);
+
+      if (!invitation) {
+        return res.status(400).json({ error: "Invalid or expired invitation" });
+      }
+
+      const hashedPassword = await bcrypt.hash(password, 10);
+      const accepted = await withTransaction(req.db, async (db) => {
+        if (!(await acceptInvitation(db, invitation.id))) {
+          return false;
+        }
+        await setPassword(db, invitation.userId, hashedPassword, {
+          activate: true,
+        });
+        await recordAudit(db, req, {
+          action: "auth.invite_accepted",
+          entityType: "user",
+          entityId: invitation.userId,
+          before: { isPending: 1 },
+          after: { isPending: 0 },
+          actorId: invitation.userId,
+        });
+        return true;
+      });
+      if (!accepted) {
+        return res.status(400).json({ error: "Invalid or expired invitation" });
+      }
+
+      res.json({ message: "Invitation accepted successfully" });
+    } catch (error) {
+      res.status(500).json({ error: "Error accepting invitation" });
+    }
+  },
+);
+
+/**
+ * @openapi
+ * /api/auth/me:
+ *   get:
+ *     summary: Get the authenticated user's profile and currently held keys
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Profile and active key assignments
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 id:
+ *                   type: integer
+ *                   description: User ID
+ *                 email:
+ *                   type: string
+ *                   format: email
+ *                   description: User's email address
+ *                 role:
+ *                   type: string
+ *                   description: User's role
+ *                 displayName:
+ *                   type: string
+ *                   description: User's display name
+ *                 phone:
+ *                   type: string
+ *                   description: User's phone number
+ *                 department:
+ *                   type: string
+ *                   description: User's department
+ *                 createdAt:
+ *                   type: string
+ *                   format: date-time
+ *                   description: User creation timestamp
+ *                 updatedAt:
+ *                   type: string
+ *                   format: date-time
+ *                   description: User update timestamp
+ *                 assignments:
+ *                   type: array
+ *                   description: Keys the user currently holds
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       id:
+ *                         type: integer
+ *                         description: Key assignment ID
+ *                       keyId:
+ *                         type: integer
+ *                         description: Key ID
+ *                       identifier:
+ *                         type: string
+ *                         description: Key identifier
+ *                       assignedAt:
+ *                         type: string
+ *                         format: date-time
+ *                         description: Timestamp of key assignment
+ *                       dueAt:
+ *                         type: string
+ *                         format: date-time
+ *                         description: Expected return time (if set)
+ *                       assignedByEmail:
+ *                         type: string
+ *                         format: email
+ *                         description: Email of the user who assigned the key
+ *       401:
+ *         description: Access denied
+ *       404:
+ *         description: User not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   description: Error message
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   description: Error message
+ */
+router.get("/me", authenticateToken, async (req, res) => {
+  try {
+    const user = await findProfile(req.db, req.user.id);
+
+    if (!user) {
+      return res.status(404).json({ error: "User not found" });
+    }
+
+    const assignments = await listHeldKeys(req.db, req.user.id);
+
+    res.json({ ...user, assignments });
+  } catch (error) {
+    res.status(500).json({ error: "Error fetching profile" });
+  }
+});
+
+/**
+ * @openapi
+ * /api/auth/change-password:
+ *   post:
+ *     summary: Change the authenticated user's password
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - currentPassword
+ *               - newPassword
+ *             properties:
+ *               currentPassword:
+ *                 type: string
+ *                 description: User's current password
+ *               newPassword:
+ *                 type: string
+ *                 minLength: 8
+ *                 description: New password
+ *     responses:
+ *       200:
+ *         description: Password changed successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   description: Success message
+ *       400:
+ *         description: Validation errors
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 errors:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       msg:
+ *                         type: string
+ *                         description: Error message
+ *       401:
+ *         description: Current password is incorrect
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   description: Error message
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   description: Error message
+ */
+router.post(
+  "/change-password",
+  authenticateToken,
+  body("currentPassword").notEmpty(),
+  body("newPassword").isLength({ min: 8 }),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const { currentPassword, newPassword } = req.body;
+      const passwordHash = await findPasswordHash(req.db, req.user.id);
+
+      if (
+        !passwordHash ||
+        !(await bcrypt.compare(currentPassword, passwordHash))
+      ) {
+        return res.status(401).json({ error: "Current password is incorrect" });
+      }
+
+      const hashedPassword = await bcrypt.hash(newPassword, 10);
+      await withTransaction(req.db, async (db) => {
+        await setPassword(db, req.user.id, hashedPassword);
+        // Outstanding reset links would otherwise undo the change
+        await expirePasswordResets(db, req.user.id);
+        await revokeRefreshTokens(db, req.user.id);
+        await recordAudit(db, req, {
+          action: "auth.password_changed",
+          entityType: "user",
+          entityId: req.user.id,
+        });
+      });
+
+      res.json({ message: "Password changed successfully" });
+    } catch (error) {
+      res.status(500).json({ error: "Error changing password" });
+    }
+  },
+);
+
 module.exports = router;
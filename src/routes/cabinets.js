@@ -0,0 +1,1042 @@
+// backend/src/routes/cabinets.js
+// Registering key cabinets, stocking their slots and reviewing what they report
+const express = require("express");
+const router = express.Router();
+const { body, query, validationResult } = require("express-validator");
+const { authorizeRoles, ROLES } = require("../middleware/auth");
+const { listQueryValidators } = require("../middleware/validators");
+const { isUniqueViolation } = require("../db");
+const { withTransaction } = require("../services/transaction");
+const { queryFlag } = require("../services/listing");
+const { recordAudit } = require("../services/audit");
+const { createDeviceSecret, formatDeviceKey } = require("../services/cabinets");
+const { locationExists } = require("../repositories/locations");
+const { listTagKeys } = require("../repositories/keys");
+const {
+  CABINET_FIELDS,
+  CABINET_SORT_FIELDS,
+  EVENT_SORT_FIELDS,
+  listCabinets,
+  findCabinet,
+  createCabinet,
+  updateCabinet,
+  listSlots,
+  listKeysInOtherCabinets,
+  replaceSlots,
+  listEvents,
+} = require("../repositories/cabinets");
+
+const EVENT_OUTCOMES = ["recorded", "assigned", "returned", "flagged"];
+
+/**
+ * @openapi
+ * /api/cabinets:
+ *   get:
+ *     summary: Get all key cabinets
+ *     tags: [Cabinets]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: active
+ *         schema:
+ *           type: boolean
+ *         description: Only return active (true) or deactivated (false) cabinets
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [name, lastSeenAt, createdAt, -name, -lastSeenAt, -createdAt]
+ *           default: name
+ *         description: Sort field; prefix with - for descending order
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 200
+ *           default: 50
+ *         description: Cabinets per page
+ *     responses:
+ *       200:
+ *         description: Page of cabinets
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 cabinets:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       id:
+ *                         type: integer
+ *                         description: Cabinet ID
+ *                       name:
+ *                         type: string
+ *                         description: Cabinet name
+ *                       locationId:
+ *                         type: integer
+ *                         nullable: true
+ *                         description: Location the cabinet is installed at
+ *                       locationName:
+ *                         type: string
+ *                         nullable: true
+ *                         description: Location name
+ *                       isActive:
+ *                         type: boolean
+ *                         description: Whether the cabinet may call the device API
+ *                       lastSeenAt:
+ *                         type: string
+ *                         format: date-time
+ *                         nullable: true
+ *                         description: Last authenticated device request (UTC)
+ *                       slotCount:
+ *                         type: integer
+ *                         description: Number of stocked slots
+ *                 page:
+ *                   type: integer
+ *                   description: Page number
+ *                 limit:
+ *                   type: integer
+ *                   description: Cabinets per page
+ *                 total:
+ *                   type: integer
+ *                   description: Number of matching cabinets
+ *       400:
+ *         description: Validation errors
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 errors:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       msg:
+ *                         type: string
+ *                         description: Error message
+ *       403:
+ *         description: Insufficient permissions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   description: Error message
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   description: Error message
+ */
+router.get(
+  "/",
+  authorizeRoles(ROLES.CUSTODIAN),
+  query("active").optional().isBoolean(),
+  ...listQueryValidators(CABINET_SORT_FIELDS),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const { rows, ...pagination } = await listCabinets(
+        req.db,
+        { ...req.query, sort: req.query.sort || "name" },
+        { active: queryFlag(req.query.active) },
+      );
+      res.json({
+        cabinets: rows.map((cabinet) => ({
+          ...cabinet,
+          isActive: Boolean(cabinet.isActive),
+        })),
+        ...pagination,
+      });
+    } catch (error) {
+      res.status(500).json({ error: "Error fetching cabinets" });
+    }
+  },
+);
+
+/**
+ * @openapi
+ * /api/cabinets:
+ *   post:
+ *     summary: Register a key cabinet
+ *     description: The response carries the cabinet's device key. It is shown only once; configure it on the cabinet, which sends it in the Authorization header as "Device <key>" on every device API request.
+ *     tags: [Cabinets]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 description: Unique cabinet name
+ *               locationId:
+ *                 type: integer
+ *                 nullable: true
+ *                 description: Location the cabinet is installed at
+ *     responses:
+ *       201:
+ *         description: Cabinet registered
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 id:
+ *                   type: integer
+ *                   description: Cabinet ID
+ *                 name:
+ *                   type: string
+ *                   description: Cabinet name
+ *                 deviceKey:
+ *                   type: string
+ *                   description: Credential for the device API
+ *       400:
+ *         description: Validation errors, location not found or name already exists
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 errors:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       msg:
+ *                         type: string
+ *                         description: Error message
+ *                 error:
+ *                   type: string
+ *                   description: Error message
+ *       403:
+ *         description: Insufficient permissions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   description: Error message
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   description: Error message
+ */
+router.post(
+  "/",
+  authorizeRoles(ROLES.ADMIN),
+  body("name").isString().trim().notEmpty(),
+  body("locationId").optional({ values: "null" }).isInt(),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const { name, locationId } = req.body;
+      if (locationId != null && !(await locationExists(req.db, locationId))) {
+        return res.status(400).json({ error: "Location not found" });
+      }
+
+      const { secret, digest } = createDeviceSecret();
+      const id = await withTransaction(req.db, async (db) => {
+        const id = await createCabinet(db, {
+          name,
+          locationId,
+          secret: digest,
+        });
+        await recordAudit(db, req, {
+          action: "cabinets.create",
+          entityType: "cabinet",
+          entityId: id,
+          after: await findCabinet(db, id),
+        });
+        return id;
+      });
+
+      res
+        .status(201)
+        .json({ id, name, deviceKey: formatDeviceKey(id, secret) });
+    } catch (error) {
+      if (isUniqueViolation(error)) {
+        return res.status(400).json({ error: "Cabinet name already exists" });
+      }
+      res.status(500).json({ error: "Error creating cabinet" });
+    }
+  },
+);
+
+/**
+ * @openapi
+ * /api/cabinets/{id}:
+ *   get:
+ *     summary: Get a key cabinet with its slots
+ *     tags: [Cabinets]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Cabinet ID
+ *     responses:
+ *       200:
+ *         description: Cabinet details
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 id:
+ *                   type: integer
+ *                   description: Cabinet ID
+ *                 name:
+ *                   type: string
+ *                   description: Cabinet name
+ *                 locationId:
+ *                   type: integer
+ *                   nullable: true
+ *                   description: Location the cabinet is installed at
+ *                 locationName:
+ *                   type: string
+ *                   nullable: true
+ *                   description: Location name
+ *                 isActive:
+ *                   type: boolean
+ *                   description: Whether the cabinet may call the device API
+ *                 lastSeenAt:
+ *                   type: string
+ *                   format: date-time
+ *                   nullable: true
+ *                   description: Last authenticated device request (UTC)
+ *                 slots:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       slot:
+ *                         type: integer
+ *                         description: Slot number
+ *                       keyId:
+ *                         type: integer
+ *                         description: Key stocked in the slot
+ *                       identifier:
+ *                         type: string
+ *                         description: Key identifier
+ *                       tagCode:
+ *                         type: string
+ *                         description: Code printed on the key's tag
+ *                       status:
+ *                         type: string
+ *                         description: Key status
+ *                       isCheckedOut:
+ *                         type: boolean
+ *                         description: Whether the key is currently assigned
+ *       403:
+ *         description: Insufficient permissions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   description: Error message
+ *       404:
+ *         description: Cabinet not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   description: Error message
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   description: Error message
+ */
+router.get("/:id", authorizeRoles(ROLES.CUSTODIAN), async (req, res) => {
+  try {
+    const cabinet = await findCabinet(req.db, req.params.id);
+    if (!cabinet) {
+      return res.status(404).json({ error: "Cabinet not found" });
+    }
+
+    const slots = await listSlots(req.db, cabinet.id);
+    res.json({
+      ...cabinet,
+      isActive: Boolean(cabinet.isActive),
+      slots: slots.map((slot) => ({
+        ...slot,
+        isCheckedOut: Boolean(slot.isCheckedOut),
+      })),
+    });
+  } catch (error) {
+    res.status(500).json({ error: "Error fetching cabinet" });
+  }
+});
+
+/**
+ * @openapi
+ * /api/cabinets/{id}:
+ *   put:
+ *     summary: Update a key cabinet
+ *     description: Deactivating a cabinet makes its device key stop working immediately.
+ *     tags: [Cabinets]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Cabinet ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 description: Unique cabinet name
+ *               locationId:
+ *                 type: integer
+ *                 nullable: true
+ *                 description: Location the cabinet is installed at
+ *               isActive:
+ *                 type: boolean
+ *                 description: Whether the cabinet may call the device API
+ *     responses:
+ *       200:
+ *         description: Cabinet updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   description: Success message
+ *       400:
+ *         description: Validation errors, location not found, name already exists or no valid updates provided
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 errors:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       msg:
+ *                         type: string
+ *                         description: Error message
+ *                 error:
+ *                   type: string
+ *                   description: Error message
+ *       403:
+ *         description: Insufficient permissions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   description: Error message
+ *       404:
+ *         description: Cabinet not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   description: Error message
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   description: Error message
+ */
+router.put(
+  "/:id",
+  authorizeRoles(ROLES.ADMIN),
+  body("name").optional().isString().trim().notEmpty(),
+  body("locationId").optional({ values: "null" }).isInt(),
+  body("isActive").optional().isBoolean(),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const changes = {};
+      for (const field of CABINET_FIELDS) {
+        if (req.body[field] !== undefined) {
+          changes[field] = req.body[field];
+        }
+      }
+
+      if (Object.keys(changes).length === 0) {
+        return res.status(400).json({ error: "No valid updates provided" });
+      }
+      if (
+        changes.locationId != null &&
+        !(await locationExists(req.db, changes.locationId))
+      ) {
+        return res.status(400).json({ error: "Location not found" });
+      }
+
+      const updated = await withTransaction(req.db, async (db) => {
+        const before = await findCabinet(db, req.params.id);
+        if (!(await updateCabinet(db, req.params.id, changes))) {
+          return false;
+        }
+        await recordAudit(db, req, {
+          action: "cabinets.update",
+          entityType: "cabinet",
+          entityId: req.params.id,
+          before,
+          after: await findCabinet(db, req.params.id),
+        });
+        return true;
+      });
+      if (!updated) {
+        return res.status(404).json({ error: "Cabinet not found" });
+      }
+
+      res.json({ message: "Cabinet updated successfully" });
+    } catch (error) {
+      if (isUniqueViolation(error)) {
+        return res.status(400).json({ error: "Cabinet name already exists" });
+      }
+      res.status(500).json({ error: "Error updating cabinet" });
+    }
+  },
+);
+
+/**
+ * @openapi
+ * /api/cabinets/{id}/slots:
+ *   put:
+ *     summary: Set which key is stocked in each slot of a cabinet
+ *     description: Replaces the cabinet's whole slot layout. A key has one home slot across all cabinets; move it out of its current cabinet first. Keys that are checked out keep their assignment and are returned to their new slot.
+ *     tags: [Cabinets]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Cabinet ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - slots
+ *             properties:
+ *               slots:
+ *                 type: array
+ *                 description: The complete layout; an empty list clears the cabinet
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - slot
+ *                     - keyId
+ *                   properties:
+ *                     slot:
+ *                       type: integer
+ *                       minimum: 1
+ *                       description: Slot number
+ *                     keyId:
+ *                       type: integer
+ *                       description: Key stocked in the slot
+ *     responses:
+ *       200:
+ *         description: Slots updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   description: Success message
+ *       400:
+ *         description: Validation errors, a slot or key listed twice, or keys not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 errors:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       msg:
+ *                         type: string
+ *                         description: Error message
+ *                 error:
+ *                   type: string
+ *                   description: Error message
+ *       403:
+ *         description: Insufficient permissions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   description: Error message
+ *       404:
+ *         description: Cabinet not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   description: Error message
+ *       409:
+ *         description: Some keys are stocked in another cabinet
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   description: Error message
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   description: Error message
+ */
+router.put(
+  "/:id/slots",
+  authorizeRoles(ROLES.CUSTODIAN),
+  body("slots").isArray(),
+  body("slots.*.slot").isInt({ min: 1 }).toInt(),
+  body("slots.*.keyId").isInt().toInt(),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { slots } = req.body;
+    const keyIds = slots.map((slot) => slot.keyId);
+    if (new Set(slots.map((slot) => slot.slot)).size < slots.length) {
+      return res
+        .status(400)
+        .json({ errors: [{ msg: "Each slot may be listed only once" }] });
+    }
+    if (new Set(keyIds).size < keyIds.length) {
+      return res
+        .status(400)
+        .json({ errors: [{ msg: "Each key may be stocked only once" }] });
+    }
+
+    try {
+      const cabinet = await findCabinet(req.db, req.params.id);
+      if (!cabinet) {
+        return res.status(404).json({ error: "Cabinet not found" });
+      }
+
+      if (keyIds.length > 0) {
+        const keys = await listTagKeys(req.db, { keyIds });
+        if (keys.length < keyIds.length) {
+          const found = new Set(keys.map((key) => key.id));
+          return res.status(400).json({
+            error: `Keys not found: ${keyIds.filter((id) => !found.has(id)).join(", ")}`,
+          });
+        }
+        const elsewhere = await listKeysInOtherCabinets(
+          req.db,
+          cabinet.id,
+          keyIds,
+        );
+        if (elsewhere.length > 0) {
+          return res.status(409).json({
+            error: `Keys already stocked elsewhere: ${elsewhere
+              .map((slot) => `${slot.keyId} (${slot.cabinetName})`)
+              .join(", ")}`,
+          });
+        }
+      }
+
+      await withTransaction(req.db, async (db) => {
+        const before = await listSlots(db, cabinet.id);
+        await replaceSlots(db, cabinet.id, slots);
+        await recordAudit(db, req, {
+          action: "cabinets.slots",
+          entityType: "cabinet",
+          entityId: cabinet.id,
+          before: {
+            slots: before.map(({ slot, keyId }) => ({ slot, keyId })),
+          },
+          after: { slots },
+        });
+      });
+
+      res.json({ message: "Slots updated successfully" });
+    } catch (error) {
+      // Another cabinet stocked one of the keys in the meantime
+      if (isUniqueViolation(error)) {
+        return res
+          .status(409)
+          .json({ error: "Keys already stocked elsewhere" });
+      }
+      res.status(500).json({ error: "Error updating slots" });
+    }
+  },
+);
+
+/**
+ * @openapi
+ * /api/cabinets/{id}/credentials:
+ *   post:
+ *     summary: Issue a new device key for a cabinet
+ *     description: The previous device key stops working immediately. The new key is shown only once.
+ *     tags: [Cabinets]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Cabinet ID
+ *     responses:
+ *       200:
+ *         description: New device key
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 id:
+ *                   type: integer
+ *                   description: Cabinet ID
+ *                 deviceKey:
+ *                   type: string
+ *                   description: Credential for the device API
+ *       403:
+ *         description: Insufficient permissions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   description: Error message
+ *       404:
+ *         description: Cabinet not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   description: Error message
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   description: Error message
+ */
+router.post(
+  "/:id/credentials",
+  authorizeRoles(ROLES.ADMIN),
+  async (req, res) => {
+    try {
+      const { secret, digest } = createDeviceSecret();
+      const rotated = await withTransaction(req.db, async (db) => {
+        if (!(await updateCabinet(db, req.params.id, { secret: digest }))) {
+          return false;
+        }
+        await recordAudit(db, req, {
+          action: "cabinets.credentials_rotated",
+          entityType: "cabinet",
+          entityId: req.params.id,
+        });
+        return true;
+      });
+      if (!rotated) {
+        return res.status(404).json({ error: "Cabinet not found" });
+      }
+
+      const id = Number(req.params.id);
+      res.json({ id, deviceKey: formatDeviceKey(id, secret) });
+    } catch (error) {
+      res.status(500).json({ error: "Error issuing device key" });
+    }
+  },
+);
+
+/**
+ * @openapi
+ * /api/cabinets/{id}/events:
+ *   get:
+ *     summary: Get the events a cabinet has reported
+ *     tags: [Cabinets]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Cabinet ID
+ *       - in: query
+ *         name: outcome
+ *         schema:
+ *           type: string
+ *           enum: [recorded, assigned, returned, flagged]
+ *         description: Only return events with this outcome
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [occurredAt, createdAt, -occurredAt, -createdAt]
+ *           default: -occurredAt
+ *         description: Sort field; prefix with - for descending order
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 200
+ *           default: 50
+ *         description: Events per page
+ *     responses:
+ *       200:
+ *         description: Page of events
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 events:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       id:
+ *                         type: integer
+ *                         description: Stored event ID
+ *                       eventId:
+ *                         type: string
+ *                         description: Cabinet-assigned ID
+ *                       type:
+ *                         type: string
+ *                         enum: [slot_opened, key_removed, key_returned]
+ *                         description: What happened
+ *                       slot:
+ *                         type: integer
+ *                         description: Slot it happened at
+ *                       keyId:
+ *                         type: integer
+ *                         description: Key stocked in the slot
+ *                       identifier:
+ *                         type: string
+ *                         description: Key identifier
+ *                       userId:
+ *                         type: integer
+ *                         nullable: true
+ *                         description: User the badge belongs to
+ *                       userEmail:
+ *                         type: string
+ *                         nullable: true
+ *                         description: Email of that user
+ *                       assignmentId:
+ *                         type: integer
+ *                         nullable: true
+ *                         description: Assignment opened or closed by the event
+ *                       outcome:
+ *                         type: string
+ *                         enum: [recorded, assigned, returned, flagged]
+ *                         description: What the event did to key custody
+ *                       message:
+ *                         type: string
+ *                         nullable: true
+ *                         description: Why the event was flagged
+ *                       occurredAt:
+ *                         type: string
+ *                         format: date-time
+ *                         description: When it happened (UTC)
+ *                 page:
+ *                   type: integer
+ *                   description: Page number
+ *                 limit:
+ *                   type: integer
+ *                   description: Events per page
+ *                 total:
+ *                   type: integer
+ *                   description: Number of matching events
+ *       400:
+ *         description: Validation errors
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 errors:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       msg:
+ *                         type: string
+ *                         description: Error message
+ *       403:
+ *         description: Insufficient permissions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   description: Error message
+ *       404:
+ *         description: Cabinet not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   description: Error message
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   description: Error message
+ */
+router.get(
+  "/:id/events",
+  authorizeRoles(ROLES.CUSTODIAN),
+  query("outcome").optional().isIn(EVENT_OUTCOMES),
+  ...listQueryValidators(EVENT_SORT_FIELDS),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const cabinet = await findCabinet(req.db, req.params.id);
+      if (!cabinet) {
+        return res.status(404).json({ error: "Cabinet not found" });
+      }
+
+      const { rows, ...pagination } = await listEvents(
+        req.db,
+        { ...req.query, sort: req.query.sort || "-occurredAt" },
+        cabinet.id,
+        { outcome: req.query.outcome },
+      );
+      res.json({ events: rows, ...pagination });
+    } catch (error) {
+      res.status(500).json({ error: "Error fetching cabinet events" });
+    }
+  },
+);
+
+module.exports = router;
@@ -0,0 +1,523 @@
+// backend/src/routes/devices.js
+// Device-facing API for key cabinets. Every request is authenticated with the
+// cabinet's device key rather than a user token.
+const express = require("express");
+const router = express.Router();
+const { body, validationResult } = require("express-validator");
+const { withTransaction } = require("../services/transaction");
+const { RETURN_CONDITIONS } = require("../services/returns");
+const { recordAudit } = require("../services/audit");
+const { notify, approverEmails } = require("../services/notifications");
+const { publishAssignmentEvent } = require("../services/webhooks");
+const { publishAssignmentChange } = require("../services/liveEvents");
+const { isUniqueViolation } = require("../db");
+const {
+  CABINET_EVENT_TYPES,
+  checkTake,
+  recordCabinetEvent,
+} = require("../services/cabinets");
+const { listSlots, findEvent } = require("../repositories/cabinets");
+const { findAssignment, findReturn } = require("../repositories/assignments");
+
+/**
+ * @openapi
+ * /api/devices/cabinet:
+ *   get:
+ *     summary: Get the calling cabinet's configuration
+ *     description: Returns the cabinet and the key stocked in each slot. Cabinets poll this as a heartbeat; every authenticated device request updates the cabinet's lastSeenAt.
+ *     tags: [Devices]
+ *     security:
+ *       - deviceKey: []
+ *     responses:
+ *       200:
+ *         description: Cabinet configuration
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 id:
+ *                   type: integer
+ *                   description: Cabinet ID
+ *                 name:
+ *                   type: string
+ *                   description: Cabinet name
+ *                 locationId:
+ *                   type: integer
+ *                   nullable: true
+ *                   description: Location the cabinet is installed at
+ *                 slots:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       slot:
+ *                         type: integer
+ *                         description: Slot number
+ *                       keyId:
+ *                         type: integer
+ *                         description: Key stocked in the slot
+ *                       identifier:
+ *                         type: string
+ *                         description: Key identifier
+ *                       tagCode:
+ *                         type: string
+ *                         description: Code printed on the key's tag
+ *                       status:
+ *                         type: string
+ *                         description: Key status
+ *                       isCheckedOut:
+ *                         type: boolean
+ *                         description: Whether the key is currently assigned
+ *       401:
+ *         description: Missing or malformed device key
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   description: Error message
+ *       403:
+ *         description: Unknown device key or inactive cabinet
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   description: Error message
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   description: Error message
+ */
+router.get("/cabinet", async (req, res) => {
+  try {
+    const slots = await listSlots(req.db, req.cabinet.id);
+    res.json({
+      ...req.cabinet,
+      slots: slots.map((slot) => ({
+        ...slot,
+        isCheckedOut: Boolean(slot.isCheckedOut),
+      })),
+    });
+  } catch (error) {
+    res.status(500).json({ error: "Error fetching cabinet configuration" });
+  }
+});
+
+/**
+ * @openapi
+ * /api/devices/cabinet/authorize:
+ *   post:
+ *     summary: Ask whether a badged user may take the key in a slot
+ *     description: Custodians and admins may take any key that could be assigned at the counter. Holders also need an approved key request for the key or a reservation of it that is running now. Another user's upcoming reservation within the loan period refuses the take. The cabinet should only release the slot when allowed is true.
+ *     tags: [Devices]
+ *     security:
+ *       - deviceKey: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - badgeId
+ *               - slot
+ *             properties:
+ *               badgeId:
+ *                 type: string
+ *                 description: Badge the user presented
+ *               slot:
+ *                 type: integer
+ *                 minimum: 1
+ *                 description: Slot the user wants to open
+ *     responses:
+ *       200:
+ *         description: Decision for the take
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 allowed:
+ *                   type: boolean
+ *                   description: Whether the cabinet may release the slot
+ *                 reason:
+ *                   type: string
+ *                   nullable: true
+ *                   description: Why the take was refused
+ *                 slot:
+ *                   type: integer
+ *                   description: Slot asked about
+ *                 keyId:
+ *                   type: integer
+ *                   nullable: true
+ *                   description: Key stocked in the slot
+ *                 identifier:
+ *                   type: string
+ *                   nullable: true
+ *                   description: Key identifier
+ *                 userId:
+ *                   type: integer
+ *                   nullable: true
+ *                   description: User the badge belongs to
+ *                 displayName:
+ *                   type: string
+ *                   nullable: true
+ *                   description: Name to greet the user with
+ *                 dueAt:
+ *                   type: string
+ *                   format: date-time
+ *                   nullable: true
+ *                   description: When the key would be due back (UTC)
+ *       400:
+ *         description: Validation errors
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 errors:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       msg:
+ *                         type: string
+ *                         description: Error message
+ *       401:
+ *         description: Missing or malformed device key
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   description: Error message
+ *       403:
+ *         description: Unknown device key or inactive cabinet
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   description: Error message
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   description: Error message
+ */
+router.post(
+  "/cabinet/authorize",
+  body("badgeId").isString().trim().notEmpty(),
+  body("slot").isInt({ min: 1 }).toInt(),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const { allowed, reason, user, key, dueAt } = await checkTake(
+        req.db,
+        req.cabinet.id,
+        req.body,
+      );
+      res.json({
+        allowed,
+        reason: reason || null,
+        slot: req.body.slot,
+        keyId: key?.id ?? null,
+        identifier: key?.identifier ?? null,
+        userId: user?.id ?? null,
+        displayName: user ? user.displayName || user.email : null,
+        dueAt: dueAt || null,
+      });
+    } catch (error) {
+      res.status(500).json({ error: "Error authorizing take" });
+    }
+  },
+);
+
+/**
+ * @openapi
+ * /api/devices/cabinet/events:
+ *   post:
+ *     summary: Report something that happened at a cabinet slot
+ *     description: |
+ *       key_removed opens an assignment for the badged user, due when their request or reservation ends, and fulfils the approved request it used. key_returned closes the key's open assignment, received by the badged user or, without a badge, by the holder. slot_opened is only logged.
+ *
+ *       The key has physically moved by the time it is reported, so custody is always recorded when possible. Events that break the rules, such as a take that was not authorized or a removal without a known badge, are stored with outcome flagged and custodians are emailed.
+ *
+ *       eventId is the cabinet's own ID for the event; reporting the same eventId again returns the stored event with status 200 and changes nothing, so cabinets can safely retry.
+ *     tags: [Devices]
+ *     security:
+ *       - deviceKey: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - eventId
+ *               - type
+ *               - slot
+ *             properties:
+ *               eventId:
+ *                 type: string
+ *                 maxLength: 100
+ *                 description: Cabinet-assigned ID, unique per cabinet
+ *               type:
+ *                 type: string
+ *                 enum: [slot_opened, key_removed, key_returned]
+ *                 description: What happened
+ *               slot:
+ *                 type: integer
+ *                 minimum: 1
+ *                 description: Slot it happened at
+ *               badgeId:
+ *                 type: string
+ *                 nullable: true
+ *                 description: Badge presented before the event, if any
+ *               condition:
+ *                 type: string
+ *                 enum: [good, worn, damaged]
+ *                 default: good
+ *                 description: Condition of a returned key
+ *               occurredAt:
+ *                 type: string
+ *                 format: date-time
+ *                 description: When it happened; defaults to now
+ *     responses:
+ *       200:
+ *         description: Event already recorded
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 id:
+ *                   type: integer
+ *                   description: Stored event ID
+ *                 eventId:
+ *                   type: string
+ *                   description: Cabinet-assigned ID
+ *                 outcome:
+ *                   type: string
+ *                   enum: [recorded, assigned, returned, flagged]
+ *                   description: What the event did to key custody
+ *       201:
+ *         description: Event recorded
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 id:
+ *                   type: integer
+ *                   description: Stored event ID
+ *                 eventId:
+ *                   type: string
+ *                   description: Cabinet-assigned ID
+ *                 type:
+ *                   type: string
+ *                   description: What happened
+ *                 slot:
+ *                   type: integer
+ *                   description: Slot it happened at
+ *                 keyId:
+ *                   type: integer
+ *                   description: Key stocked in the slot
+ *                 userId:
+ *                   type: integer
+ *                   nullable: true
+ *                   description: User the badge belongs to
+ *                 assignmentId:
+ *                   type: integer
+ *                   nullable: true
+ *                   description: Assignment opened or closed by the event
+ *                 outcome:
+ *                   type: string
+ *                   enum: [recorded, assigned, returned, flagged]
+ *                   description: What the event did to key custody
+ *                 message:
+ *                   type: string
+ *                   nullable: true
+ *                   description: Why the event was flagged
+ *                 occurredAt:
+ *                   type: string
+ *                   format: date-time
+ *                   description: When it happened (UTC)
+ *       400:
+ *         description: Validation errors or the slot is not stocked
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 errors:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       msg:
+ *                         type: string
+ *                         description: Error message
+ *                 error:
+ *                   type: string
+ *                   description: Error message
+ *       401:
+ *         description: Missing or malformed device key
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   description: Error message
+ *       403:
+ *         description: Unknown device key or inactive cabinet
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   description: Error message
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   description: Error message
+ */
+router.post(
+  "/cabinet/events",
+  body("eventId").isString().trim().isLength({ min: 1, max: 100 }),
+  body("type").isIn(CABINET_EVENT_TYPES),
+  body("slot").isInt({ min: 1 }).toInt(),
+  body("badgeId").optional({ values: "null" }).isString().trim(),
+  body("condition").optional({ values: "null" }).isIn(RETURN_CONDITIONS),
+  body("occurredAt").optional({ values: "null" }).isISO8601(),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const cabinet = req.cabinet;
+    try {
+      const outcome = await withTransaction(req.db, async (db) => {
+        const outcome = await recordCabinetEvent(db, cabinet.id, req.body);
+        const { event, user, assigned, returned, duplicate } = outcome;
+        if (outcome.error || duplicate) {
+          return outcome;
+        }
+
+        const source = { cabinetId: cabinet.id, cabinetEventId: event.id };
+        if (assigned) {
+          await recordAudit(db, req, {
+            action: "keys.assign",
+            entityType: "assignment",
+            entityId: event.assignmentId,
+            after: {
+              ...(await findAssignment(db, event.assignmentId)),
+              ...source,
+            },
+            actorId: user.id,
+          });
+        }
+        if (returned) {
+          await recordAudit(db, req, {
+            action: "keys.return",
+            entityType: "assignment",
+            entityId: returned.id,
+            before: returned,
+            after: {
+              ...(await findAssignment(db, returned.id)),
+              ...(await findReturn(db, returned.id)),
+              ...source,
+            },
+            actorId: user?.id ?? returned.assignedTo,
+          });
+        }
+        return outcome;
+      });
+      if (outcome.error) {
+        return res.status(outcome.status).json({ error: outcome.error });
+      }
+      const { event, user, assigned, returned, duplicate } = outcome;
+      if (duplicate) {
+        return res.json(event);
+      }
+
+      if (assigned) {
+        await publishAssignmentEvent(
+          req.db,
+          "key.assigned",
+          event.assignmentId,
+        );
+        await publishAssignmentChange(
+          req.db,
+          "key.assigned",
+          event.assignmentId,
+        );
+      }
+      if (returned) {
+        await publishAssignmentEvent(req.db, "key.returned", returned.id);
+        await publishAssignmentChange(req.db, "key.returned", returned.id);
+      }
+      if (event.outcome === "flagged") {
+        await notify(await approverEmails(req.db), {
+          subject: `Cabinet ${cabinet.name}: ${event.message}`,
+          text: `Cabinet ${cabinet.name} reported ${event.type} at slot ${event.slot} on ${event.occurredAt} UTC${
+            user ? ` by ${user.email}` : ""
+          }.\n\n${event.message}`,
+        });
+      }
+
+      res.status(201).json(event);
+    } catch (error) {
+      // A concurrent retry of the same event won the insert
+      if (isUniqueViolation(error)) {
+        try {
+          const event = await findEvent(req.db, cabinet.id, req.body.eventId);
+          if (event) {
+            return res.json(event);
+          }
+        } catch (lookupError) {
+          // Answered with the 500 below
+        }
+      }
+      res.status(500).json({ error: "Error recording cabinet event" });
+    }
+  },
+);
+
+module.exports = router;
@@ -0,0 +1,582 @@
+// backend/src/routes/doors.js
+const express = require("express");
+const router = express.Router();
+const { body, query, validationResult } = require("express-validator");
+const { authorizeRoles, ROLES } = require("../middleware/auth");
+const { listQueryValidators } = require("../middleware/validators");
+const { recordAudit } = require("../services/audit");
+const { withTransaction } = require("../services/transaction");
+const { locationExists } = require("../repositories/locations");
+const {
+  DOOR_FIELDS,
+  DOOR_SORT_FIELDS,
+  listDoors,
+  findDoor,
+  getDoorSnapshot,
+  listDoorKeys,
+  createDoor,
+  updateDoor,
+  deactivateDoor,
+} = require("../repositories/doors");
+
+/**
+ * @openapi
+ * /api/doors:
+ *   get:
+ *     summary: Get all active doors
+ *     tags: [Doors]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: locationId
+ *         schema:
+ *           type: integer
+ *         description: Only return doors at this location
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [name, createdAt, -name, -createdAt]
+ *           default: name
+ *         description: Sort field; prefix with - for descending order
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 200
+ *           default: 50
+ *         description: Doors per page
+ *     responses:
+ *       200:
+ *         description: Page of doors
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 doors:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       id:
+ *                         type: integer
+ *                         description: Door ID
+ *                       name:
+ *                         type: string
+ *                         description: Door name
+ *                       locationId:
+ *                         type: integer
+ *                         description: ID of the location the door belongs to
+ *                       locationName:
+ *                         type: string
+ *                         description: Name of the location the door belongs to
+ *                       lockIdentifier:
+ *                         type: string
+ *                         description: Identifier of the lock or cylinder
+ *                       description:
+ *                         type: string
+ *                         description: Free-text description
+ *                 page:
+ *                   type: integer
+ *                   description: Page number
+ *                 limit:
+ *                   type: integer
+ *                   description: Doors per page
+ *                 total:
+ *                   type: integer
+ *                   description: Number of matching doors
+ *       400:
+ *         description: Validation errors
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 errors:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       msg:
+ *                         type: string
+ *                         description: Error message
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   description: Error message
+ */
+router.get(
+  "/",
+  query("locationId").isInt().optional(),
+  ...listQueryValidators(DOOR_SORT_FIELDS),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const { rows, ...pagination } = await listDoors(
+        req.db,
+        { ...req.query, sort: req.query.sort || "name" },
+        { locationId: req.query.locationId },
+      );
+      res.json({ doors: rows, ...pagination });
+    } catch (error) {
+      res.status(500).json({ error: "Error fetching doors" });
+    }
+  },
+);
+
+/**
+ * @openapi
+ * /api/doors/{id}:
+ *   get:
+ *     summary: Get a door with the keys mapped to it
+ *     tags: [Doors]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID of the door
+ *     responses:
+ *       200:
+ *         description: Door details
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 id:
+ *                   type: integer
+ *                   description: Door ID
+ *                 name:
+ *                   type: string
+ *                   description: Door name
+ *                 locationName:
+ *                   type: string
+ *                   description: Name of the location the door belongs to
+ *                 keys:
+ *                   type: array
+ *                   description: Active keys mapped to the door
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       id:
+ *                         type: integer
+ *                         description: Key ID
+ *                       identifier:
+ *                         type: string
+ *                         description: Key identifier
+ *                       type:
+ *                         type: string
+ *                         description: Key type
+ *       404:
+ *         description: Door not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   description: Error message
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   description: Error message
+ */
+router.get("/:id", async (req, res) => {
+  try {
+    const door = await findDoor(req.db, req.params.id);
+    if (!door) {
+      return res.status(404).json({ error: "Door not found" });
+    }
+
+    const keys = await listDoorKeys(req.db, door.id);
+    res.json({ ...door, keys });
+  } catch (error) {
+    res.status(500).json({ error: "Error fetching door" });
+  }
+});
+
+/**
+ * @openapi
+ * /api/doors:
+ *   post:
+ *     summary: Create a new door
+ *     tags: [Doors]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 description: Door name
+ *               locationId:
+ *                 type: integer
+ *                 description: ID of the location the door belongs to
+ *               lockIdentifier:
+ *                 type: string
+ *                 description: Identifier of the lock or cylinder
+ *               description:
+ *                 type: string
+ *                 description: Free-text description
+ *     responses:
+ *       201:
+ *         description: Door created successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 id:
+ *                   type: integer
+ *                   description: Door ID
+ *                 name:
+ *                   type: string
+ *                   description: Door name
+ *       400:
+ *         description: Validation errors or location not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 errors:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       msg:
+ *                         type: string
+ *                         description: Error message
+ *                 error:
+ *                   type: string
+ *                   description: Error message
+ *       403:
+ *         description: Insufficient permissions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   description: Error message
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   description: Error message
+ */
+router.post(
+  "/",
+  authorizeRoles(ROLES.CUSTODIAN),
+  body("name").isString().trim().notEmpty(),
+  body("locationId").optional({ values: "null" }).isInt(),
+  body(["lockIdentifier", "description"])
+    .optional({ values: "null" })
+    .isString(),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const { locationId } = req.body;
+      if (locationId != null && !(await locationExists(req.db, locationId))) {
+        return res.status(400).json({ error: "Location not found" });
+      }
+
+      const id = await withTransaction(req.db, async (db) => {
+        const id = await createDoor(db, req.body);
+        await recordAudit(db, req, {
+          action: "doors.create",
+          entityType: "door",
+          entityId: id,
+          after: await getDoorSnapshot(db, id),
+        });
+        return id;
+      });
+      res.status(201).json({ id, name: req.body.name });
+    } catch (error) {
+      res.status(500).json({ error: "Error creating door" });
+    }
+  },
+);
+
+/**
+ * @openapi
+ * /api/doors/{id}:
+ *   put:
+ *     summary: Update a door
+ *     tags: [Doors]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID of the door to update
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 description: Door name
+ *               locationId:
+ *                 type: integer
+ *                 nullable: true
+ *                 description: ID of the location the door belongs to
+ *               lockIdentifier:
+ *                 type: string
+ *                 description: Identifier of the lock or cylinder
+ *               description:
+ *                 type: string
+ *                 description: Free-text description
+ *     responses:
+ *       200:
+ *         description: Door updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   description: Success message
+ *       400:
+ *         description: Validation errors, location not found or no valid updates provided
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 errors:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       msg:
+ *                         type: string
+ *                         description: Error message
+ *                 error:
+ *                   type: string
+ *                   description: Error message
+ *       403:
+ *         description: Insufficient permissions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   description: Error message
+ *       404:
+ *         description: Door not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   description: Error message
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   description: Error message
+ */
+router.put(
+  "/:id",
+  authorizeRoles(ROLES.CUSTODIAN),
+  body("name").optional().isString().trim().notEmpty(),
+  body("locationId").optional({ values: "null" }).isInt(),
+  body(["lockIdentifier", "description"])
+    .optional({ values: "null" })
+    .isString(),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const { locationId } = req.body;
+      if (locationId != null && !(await locationExists(req.db, locationId))) {
+        return res.status(400).json({ error: "Location not found" });
+      }
+
+      const changes = {};
+      for (const field of DOOR_FIELDS) {
+        if (req.body[field] !== undefined) {
+          changes[field] = req.body[field];
+        }
+      }
+
+      if (Object.keys(changes).length === 0) {
+        return res.status(400).json({ error: "No valid updates provided" });
+      }
+
+      const updated = await withTransaction(req.db, async (db) => {
+        const before = await getDoorSnapshot(db, req.params.id);
+        if (!(await updateDoor(db, req.params.id, changes))) {
+          return false;
+        }
+        await recordAudit(db, req, {
+          action: "doors.update",
+          entityType: "door",
+          entityId: req.params.id,
+          before,
+          after: await getDoorSnapshot(db, req.params.id),
+        });
+        return true;
+      });
+      if (!updated) {
+        return res.status(404).json({ error: "Door not found" });
+      }
+
+      res.json({ message: "Door updated successfully" });
+    } catch (error) {
+      res.status(500).json({ error: "Error updating door" });
+    }
+  },
+);
+
+/**
+ * @openapi
+ * /api/doors/{id}:
+ *   delete:
+ *     summary: Deactivate a door
+ *     tags: [Doors]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID of the door to deactivate
+ *     responses:
+ *       200:
+ *         description: Door deactivated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   description: Success message
+ *       403:
+ *         description: Insufficient permissions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   description: Error message
+ *       404:
+ *         description: Door not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   description: Error message
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   description: Error message
+ */
+router.delete("/:id", authorizeRoles(ROLES.CUSTODIAN), async (req, res) => {
+  try {
+    const deactivated = await withTransaction(req.db, async (db) => {
+      const before = await getDoorSnapshot(db, req.params.id);
+      if (!(await deactivateDoor(db, req.params.id))) {
+        return false;
+      }
+      await recordAudit(db, req, {
+        action: "doors.deactivate",
+        entityType: "door",
+        entityId: req.params.id,
+        before,
+        after: await getDoorSnapshot(db, req.params.id),
+      });
+      return true;
+    });
+    if (!deactivated) {
+      return res.status(404).json({ error: "Door not found" });
+    }
+
+    res.json({ message: "Door deactivated successfully" });
+  } catch (error) {
+    res.status(500).json({ error: "Error deactivating door" });
+  }
+});
+
+module.exports = router;
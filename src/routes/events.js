@@ -0,0 +1,164 @@
+// backend/src/routes/events.js
+// Live key updates as Server-Sent Events
+const express = require("express");
+const router = express.Router();
+const jwt = require("jsonwebtoken");
+const { header, query, validationResult } = require("express-validator");
+const { subscribe } = require("../services/liveEvents");
+const { findSessionUser } = require("../repositories/users");
+
+const HEARTBEAT_SECONDS = Number(process.env.LIVE_HEARTBEAT_SECONDS) || 25;
+const RETRY_MS = 5000;
+
+/**
+ * @openapi
+ * /api/events/stream:
+ *   get:
+ *     summary: Stream key changes as they happen
+ *     description: |
+ *       A Server-Sent Events stream of key.assigned, key.returned and key.status events. Each event's data is JSON { id, event, occurredAt, data }; assignment events carry the assignment with the key's status afterwards, key.status carries the key's new and previous status. Holders receive events for every key but only learn who holds the keys they hold themselves, as in the key list.
+ *
+ *       Browsers' EventSource cannot send headers, so the access token may be passed as the access_token query parameter instead. The stream ends when the access token expires or the account is deactivated; reconnect with a fresh token and the last event ID to carry on.
+ *
+ *       On reconnect, events after the Last-Event-ID header (or the lastEventId query parameter) are replayed first. If they are no longer kept (after LIVE_EVENT_RETENTION_HOURS, default 24), a reset event without an ID is sent instead and the client should reload the keys. A comment line is sent every 25 seconds to keep the connection open.
+ *     tags: [Events]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: header
+ *         name: Last-Event-ID
+ *         schema:
+ *           type: integer
+ *           minimum: 0
+ *         description: ID of the last event received; sent by EventSource when it reconnects
+ *       - in: query
+ *         name: lastEventId
+ *         schema:
+ *           type: integer
+ *           minimum: 0
+ *         description: Same as Last-Event-ID, for reconnecting with a new URL
+ *       - in: query
+ *         name: access_token
+ *         schema:
+ *           type: string
+ *         description: Access token, when it cannot be sent in the Authorization header
+ *     responses:
+ *       200:
+ *         description: Event stream
+ *         content:
+ *           text/event-stream:
+ *             schema:
+ *               type: string
+ *               example: |
+ *                 id: 42
+ *                 event: key.assigned
+ *                 data: {"id":42,"event":"key.assigned","occurredAt":"2024-05-01 09:30:00","data":{"keyId":7,"identifier":"K-7","assignedTo":3,"status":"available"}}
+ *       400:
+ *         description: Validation errors
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 errors:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       msg:
+ *                         type: string
+ *                         description: Error message
+ *       401:
+ *         description: No access token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   description: Error message
+ *       403:
+ *         description: Invalid or expired access token
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   description: Error message
+ */
+router.get(
+  "/stream",
+  header("Last-Event-ID").optional().isInt({ min: 0 }),
+  query("lastEventId").optional().isInt({ min: 0 }),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const lastEventId = req.get("Last-Event-ID") ?? req.query.lastEventId;
+    const { exp } = jwt.decode(req.headers["authorization"].split(" ")[1]);
+
+    res.writeHead(200, {
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache",
+      Connection: "keep-alive",
+      "X-Accel-Buffering": "no",
+    });
+    res.write(`retry: ${RETRY_MS}\n\n`);
+
+    const timers = [];
+    let subscription;
+    const close = () => {
+      timers.forEach(clearTimeout);
+      subscription?.unsubscribe();
+      res.end();
+    };
+    req.on("close", close);
+
+    try {
+      subscription = await subscribe(req.db, {
+        user: req.user,
+        lastEventId:
+          lastEventId === undefined ? undefined : Number(lastEventId),
+        send: (message) =>
+          res.write(
+            `${message.id ? `id: ${message.id}\n` : ""}event: ${message.event}\ndata: ${JSON.stringify(message)}\n\n`,
+          ),
+      });
+    } catch (error) {
+      return close();
+    }
+    if (res.writableEnded) {
+      return subscription.unsubscribe();
+    }
+
+    // Re-read the user like authenticateToken does, so deactivation ends the
+    // stream and role changes apply to the events that follow
+    timers.push(
+      setInterval(async () => {
+        try {
+          const user = await findSessionUser(req.db, req.user.id);
+          if (!user) {
+            return close();
+          }
+          subscription.setUser(user);
+          res.write(": keep-alive\n\n");
+        } catch (error) {
+          close();
+        }
+      }, HEARTBEAT_SECONDS * 1000),
+    );
+    if (exp) {
+      // Timers cannot wait longer than about 24 days
+      timers.push(
+        setTimeout(close, Math.min(exp * 1000 - Date.now(), 2 ** 31 - 1)),
+      );
+    }
+  },
+);
+
+module.exports = router;
@@ -0,0 +1,351 @@
+// backend/src/routes/import.js
+const express = require("express");
+const router = express.Router();
+const { query, validationResult } = require("express-validator");
+const { authorizeRoles } = require("../middleware/auth");
+const { spreadsheetFile } = require("../middleware/upload");
+const {
+  importers,
+  readRows,
+  runImport,
+  IMPORT_MAX_ROWS,
+} = require("../services/importer");
+const { createInvitation, mailInvitation } = require("../services/invitations");
+const { getKeySnapshot } = require("../services/keys");
+const { recordAudit } = require("../services/audit");
+const { publishAssignmentEvent } = require("../services/webhooks");
+const { publishAssignmentChange } = require("../services/liveEvents");
+const { getUserSnapshot } = require("../repositories/users");
+const { findAssignment } = require("../repositories/assignments");
+
+const ENTITY_PATH = "/:entity(keys|users|assignments)";
+
+// Users can only be imported by admins; keys and assignments by custodians
+const authorizeImporter = (req, res, next) =>
+  authorizeRoles(importers[req.params.entity].role)(req, res, next);
+
+// Audits what an import created and opens invitations for imported users, in
+// the import's transaction. Resolves to the invitations to email.
+const recordImport = async (tx, req, entity, created) => {
+  const invitations = [];
+
+  for (const item of created) {
+    if (entity === "keys") {
+      await recordAudit(tx, req, {
+        action: "keys.create",
+        entityType: "key",
+        entityId: item.id,
+        after: { ...(await getKeySnapshot(tx, item.id)), imported: true },
+      });
+    } else if (entity === "users") {
+      await recordAudit(tx, req, {
+        action: "users.create",
+        entityType: "user",
+        entityId: item.id,
+        after: {
+          ...(await getUserSnapshot(tx, item.id)),
+          imported: true,
+        },
+      });
+      const { token } = await createInvitation(tx, item, req.user.id);
+      invitations.push({ user: item, token });
+    } else {
+      await recordAudit(tx, req, {
+        action: "keys.assign",
+        entityType: "assignment",
+        entityId: item.id,
+        after: {
+          ...(await findAssignment(tx, item.id)),
+          imported: true,
+        },
+      });
+    }
+  }
+  return invitations;
+};
+
+// Once an import is committed, emails the invitations and announces imported
+// assignments to webhooks. Resolves to the number of invitations that failed.
+const announceImport = async (req, entity, created, invitations) => {
+  let invitationsFailed = 0;
+  for (const { user, token } of invitations) {
+    try {
+      await mailInvitation(user, token);
+    } catch (error) {
+      invitationsFailed += 1;
+    }
+  }
+  if (entity === "assignments") {
+    for (const item of created) {
+      await publishAssignmentEvent(req.db, "key.assigned", item.id);
+      await publishAssignmentChange(req.db, "key.assigned", item.id);
+    }
+  }
+  return invitationsFailed;
+};
+
+/**
+ * @openapi
+ * /api/import/{entity}/template:
+ *   get:
+ *     summary: Download an empty CSV with the columns an import file needs
+ *     tags: [Import]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: entity
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [keys, users, assignments]
+ *         description: What the file imports
+ *     responses:
+ *       200:
+ *         description: CSV header row
+ *         content:
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *       403:
+ *         description: Insufficient permissions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   description: Error message
+ */
+router.get(`${ENTITY_PATH}/template`, authorizeImporter, (req, res) => {
+  const { entity } = req.params;
+  res
+    .type("text/csv")
+    .attachment(`${entity}.csv`)
+    .send(`${importers[entity].columns.join(",")}\n`);
+});
+
+/**
+ * @openapi
+ * /api/import/{entity}:
+ *   post:
+ *     summary: Bulk import keys, users or assignments from a CSV or XLSX file
+ *     description: |
+ *       The first row (or the first row of the first worksheet) names the columns; empty cells are treated as missing.
+ *       Every row is validated with the same rules as the single-record endpoints and the file is applied in one
+ *       transaction, so if any row fails nothing is imported.
+ *
+ *       - keys: identifier, type, parentIdentifier, locationId, copies, doorIds (separated by ";"). A parent may be a key created earlier in the same file.
+ *       - users: email, role, displayName, phone, department. Imported users are pending and are sent an invitation.
+ *       - assignments: keyIdentifier, email, assignedAt, dueAt. Records existing loans, which may be backdated and overdue; reservations are not checked.
+ *
+ *       Users can only be imported by admins.
+ *     tags: [Import]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: entity
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [keys, users, assignments]
+ *         description: What the file imports
+ *       - in: query
+ *         name: dryRun
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Validate every row and report errors without importing anything
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - file
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *                 description: A .csv or .xlsx file
+ *     responses:
+ *       200:
+ *         description: Dry run result
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 dryRun:
+ *                   type: boolean
+ *                   description: Always true
+ *                 valid:
+ *                   type: boolean
+ *                   description: Whether the file would import without errors
+ *                 rows:
+ *                   type: integer
+ *                   description: Number of data rows read
+ *                 errors:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       row:
+ *                         type: integer
+ *                         description: Spreadsheet row number; the header is row 1
+ *                       path:
+ *                         type: string
+ *                         description: Column that failed validation (if any)
+ *                       msg:
+ *                         type: string
+ *                         description: Error message
+ *       201:
+ *         description: File imported
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 imported:
+ *                   type: integer
+ *                   description: Number of records created
+ *                 created:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       row:
+ *                         type: integer
+ *                         description: Spreadsheet row number
+ *                       id:
+ *                         type: integer
+ *                         description: ID of the record created from the row
+ *                 invitationsFailed:
+ *                   type: integer
+ *                   description: Number of invitation emails that could not be sent (users only)
+ *       400:
+ *         description: Unreadable file or rows with errors; nothing was imported
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 errors:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       row:
+ *                         type: integer
+ *                         description: Spreadsheet row number; the header is row 1
+ *                       path:
+ *                         type: string
+ *                         description: Column that failed validation (if any)
+ *                       msg:
+ *                         type: string
+ *                         description: Error message
+ *       403:
+ *         description: Insufficient permissions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   description: Error message
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   description: Error message
+
+ */
+router.post(
+  ENTITY_PATH,
+  authorizeImporter,
+  spreadsheetFile("file"),
+  query("dryRun").optional().isBoolean(),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    if (!req.file) {
+      return res.status(400).json({ errors: [{ msg: "file is required" }] });
+    }
+
+    let rows;
+    try {
+      rows = await readRows(req.file);
+    } catch (error) {
+      return res
+        .status(400)
+        .json({ errors: [{ msg: `Could not read file: ${error.message}` }] });
+    }
+    if (rows.length === 0) {
+      return res
+        .status(400)
+        .json({ errors: [{ msg: "File contains no data rows" }] });
+    }
+    if (rows.length > IMPORT_MAX_ROWS) {
+      return res.status(400).json({
+        errors: [{ msg: `File must have at most ${IMPORT_MAX_ROWS} rows` }],
+      });
+    }
+
+    try {
+      const { entity } = req.params;
+      const dryRun = req.query.dryRun === "true";
+      let invitations = [];
+      const { created, errors: rowErrors } = await runImport(
+        req.db,
+        entity,
+        rows,
+        {
+          actorId: req.user.id,
+          dryRun,
+          record: async (tx, created) => {
+            invitations = await recordImport(tx, req, entity, created);
+          },
+        },
+      );
+
+      if (dryRun) {
+        return res.json({
+          dryRun: true,
+          valid: rowErrors.length === 0,
+          rows: rows.length,
+          errors: rowErrors,
+        });
+      }
+      if (rowErrors.length > 0) {
+        return res.status(400).json({ errors: rowErrors });
+      }
+
+      const invitationsFailed = await announceImport(
+        req,
+        entity,
+        created,
+        invitations,
+      );
+      res.status(201).json({
+        imported: created.length,
+        created: created.map(({ row, id }) => ({ row, id })),
+        ...(entity === "users" && { invitationsFailed }),
+      });
+    } catch (error) {
+      res.status(500).json({ error: "Error importing file" });
+    }
+  },
+);
+
+module.exports = router;
@@ -0,0 +1,961 @@
+// backend/src/routes/keyRequests.js
+const express = require("express");
+const router = express.Router();
+const { body, query, validationResult } = require("express-validator");
+const { authorizeRoles, ROLES } = require("../middleware/auth");
+const { isAssignable } = require("../services/keyStatus");
+const { requiredApprovals } = require("../services/keyTypes");
+const { assignKey } = require("../services/assignments");
+const { withTransaction } = require("../services/transaction");
+const { toTimestamp } = require("../services/dates");
+const { notify, approverEmails } = require("../services/notifications");
+const { recordAudit } = require("../services/audit");
+const { publishAssignmentEvent } = require("../services/webhooks");
+const { publishAssignmentChange } = require("../services/liveEvents");
+const { listQueryValidators } = require("../middleware/validators");
+const { findKey } = require("../repositories/keys");
+const { findAssignment } = require("../repositories/assignments");
+const {
+  REQUEST_SORT_FIELDS,
+  getRequest,
+  listRequests,
+  createRequest,
+  listDecisions,
+  hasDecided,
+  recordDecision,
+  countApprovals,
+  setRequestStatus,
+  markRequestFulfilled,
+  cancelRequest,
+} = require("../repositories/keyRequests");
+
+const REQUEST_STATUSES = [
+  "pending",
+  "approved",
+  "rejected",
+  "fulfilled",
+  "cancelled",
+];
+
+const describe = (request) =>
+  `request #${request.id} for key ${request.identifier} (${request.startsAt} to ${request.endsAt} UTC)`;
+
+/**
+ * @openapi
+ * /api/key-requests:
+ *   post:
+ *     summary: Request a key for a time window
+ *     description: Master, sub-master and grand master keys need two approvals; other keys need one. Approvers are notified by email.
+ *     tags: [Key Requests]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - keyId
+ *               - justification
+ *               - startsAt
+ *               - endsAt
+ *             properties:
+ *               keyId:
+ *                 type: integer
+ *                 description: ID of the requested key
+ *               justification:
+ *                 type: string
+ *                 description: Why the key is needed
+ *               startsAt:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Start of the time window
+ *               endsAt:
+ *                 type: string
+ *                 format: date-time
+ *                 description: End of the time window; becomes the assignment's due date
+ *     responses:
+ *       201:
+ *         description: Key request created successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 id:
+ *                   type: integer
+ *                   description: Key request ID
+ *                 status:
+ *                   type: string
+ *                   description: Request status
+ *                 requiredApprovals:
+ *                   type: integer
+ *                   description: Number of approvals needed
+ *       400:
+ *         description: Validation errors or key cannot be requested
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 errors:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       msg:
+ *                         type: string
+ *                         description: Error message
+ *                 error:
+ *                   type: string
+ *                   description: Error message
+ *       404:
+ *         description: Key not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   description: Error message
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   description: Error message
+ */
+router.post(
+  "/",
+  body("keyId").isInt(),
+  body("justification").isString().trim().notEmpty(),
+  body("startsAt").isISO8601(),
+  body("endsAt")
+    .isISO8601()
+    .bail()
+    .custom(
+      (value, { req }) =>
+        new Date(value) > new Date(req.body.startsAt) &&
+        new Date(value) > new Date(),
+    )
+    .withMessage("endsAt must be after startsAt and in the future"),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const { keyId, justification } = req.body;
+      const key = await findKey(req.db, keyId);
+      if (!key) {
+        return res.status(404).json({ error: "Key not found" });
+      }
+      if (!isAssignable(key)) {
+        return res
+          .status(400)
+          .json({ error: `Key cannot be requested while ${key.status}` });
+      }
+
+      const approvals = requiredApprovals(key.type);
+      const request = await withTransaction(req.db, async (db) => {
+        const id = await createRequest(db, {
+          keyId,
+          requestedBy: req.user.id,
+          justification,
+          startsAt: toTimestamp(req.body.startsAt),
+          endsAt: toTimestamp(req.body.endsAt),
+          requiredApprovals: approvals,
+        });
+        const request = await getRequest(db, id);
+        await recordAudit(db, req, {
+          action: "requests.create",
+          entityType: "request",
+          entityId: id,
+          after: request,
+        });
+        return request;
+      });
+      await notify(await approverEmails(req.db), {
+        subject: `Key request #${request.id} awaits approval`,
+        text: `${request.requestedByEmail} filed ${describe(request)}.\n\nJustification: ${justification}\n\nApprovals needed: ${approvals}`,
+      });
+
+      res.status(201).json({
+        id: request.id,
+        status: request.status,
+        requiredApprovals: approvals,
+      });
+    } catch (error) {
+      res.status(500).json({ error: "Error creating key request" });
+    }
+  },
+);
+
+/**
+ * @openapi
+ * /api/key-requests:
+ *   get:
+ *     summary: Get key requests
+ *     description: Holders only see their own requests.
+ *     tags: [Key Requests]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, approved, rejected, fulfilled, cancelled]
+ *         description: Only return requests in this status
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [createdAt, status, -createdAt, -status]
+ *           default: -createdAt
+ *         description: Sort field; prefix with - for descending order
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 200
+ *           default: 50
+ *         description: Requests per page
+ *     responses:
+ *       200:
+ *         description: Page of requests
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 requests:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       id:
+ *                         type: integer
+ *                         description: Key request ID
+ *                       keyId:
+ *                         type: integer
+ *                         description: Key ID
+ *                       identifier:
+ *                         type: string
+ *                         description: Key identifier
+ *                       requestedBy:
+ *                         type: integer
+ *                         description: ID of the requesting user
+ *                       requestedByEmail:
+ *                         type: string
+ *                         format: email
+ *                         description: Email of the requesting user
+ *                       justification:
+ *                         type: string
+ *                         description: Why the key is needed
+ *                       startsAt:
+ *                         type: string
+ *                         format: date-time
+ *                         description: Start of the time window
+ *                       endsAt:
+ *                         type: string
+ *                         format: date-time
+ *                         description: End of the time window
+ *                       status:
+ *                         type: string
+ *                         enum: [pending, approved, rejected, fulfilled, cancelled]
+ *                         description: Request status
+ *                       requiredApprovals:
+ *                         type: integer
+ *                         description: Number of approvals needed
+ *                       approvals:
+ *                         type: integer
+ *                         description: Number of approvals received
+ *                       assignmentId:
+ *                         type: integer
+ *                         description: Key assignment created on fulfilment
+ *                 page:
+ *                   type: integer
+ *                   description: Page number
+ *                 limit:
+ *                   type: integer
+ *                   description: Requests per page
+ *                 total:
+ *                   type: integer
+ *                   description: Number of matching requests
+ *       400:
+ *         description: Validation errors
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 errors:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       msg:
+ *                         type: string
+ *                         description: Error message
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   description: Error message
+ */
+router.get(
+  "/",
+  query("status").optional().isIn(REQUEST_STATUSES),
+  ...listQueryValidators(REQUEST_SORT_FIELDS),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const { rows, ...pagination } = await listRequests(
+        req.db,
+        { ...req.query, sort: req.query.sort || "-createdAt" },
+        {
+          requestedBy: req.user.role === ROLES.HOLDER ? req.user.id : undefined,
+          status: req.query.status,
+        },
+      );
+      res.json({ requests: rows, ...pagination });
+    } catch (error) {
+      res.status(500).json({ error: "Error fetching key requests" });
+    }
+  },
+);
+
+/**
+ * @openapi
+ * /api/key-requests/{id}:
+ *   get:
+ *     summary: Get a key request with its approval decisions
+ *     tags: [Key Requests]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID of the key request
+ *     responses:
+ *       200:
+ *         description: Key request details
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 id:
+ *                   type: integer
+ *                   description: Key request ID
+ *                 status:
+ *                   type: string
+ *                   description: Request status
+ *                 decisions:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       approverId:
+ *                         type: integer
+ *                         description: ID of the approver
+ *                       approverEmail:
+ *                         type: string
+ *                         format: email
+ *                         description: Email of the approver
+ *                       decision:
+ *                         type: string
+ *                         enum: [approved, rejected]
+ *                         description: The approver's decision
+ *                       note:
+ *                         type: string
+ *                         description: Note left with the decision
+ *                       createdAt:
+ *                         type: string
+ *                         format: date-time
+ *                         description: Timestamp of the decision
+ *       404:
+ *         description: Key request not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   description: Error message
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   description: Error message
+ */
+router.get("/:id", async (req, res) => {
+  try {
+    const request = await getRequest(req.db, req.params.id);
+    if (
+      !request ||
+      (req.user.role === ROLES.HOLDER && request.requestedBy !== req.user.id)
+    ) {
+      return res.status(404).json({ error: "Key request not found" });
+    }
+
+    const decisions = await listDecisions(req.db, request.id);
+    res.json({ ...request, decisions });
+  } catch (error) {
+    res.status(500).json({ error: "Error fetching key request" });
+  }
+});
+
+// Records an approver's decision and moves the request on when it is final
+const decide = (decision) => async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const outcome = await withTransaction(req.db, async (db) => {
+      const request = await getRequest(db, req.params.id);
+      if (!request) {
+        return { status: 404, error: "Key request not found" };
+      }
+      if (request.status !== "pending") {
+        return { status: 409, error: `Key request is ${request.status}` };
+      }
+      if (request.requestedBy === req.user.id) {
+        return {
+          status: 403,
+          error: "You cannot decide on your own key request",
+        };
+      }
+
+      if (await hasDecided(db, request.id, req.user.id)) {
+        return {
+          status: 409,
+          error: "You have already decided on this key request",
+        };
+      }
+
+      await recordDecision(db, {
+        requestId: request.id,
+        approverId: req.user.id,
+        decision,
+        note: req.body.note || null,
+      });
+
+      let status = "pending";
+      if (decision === "rejected") {
+        status = "rejected";
+      } else if (
+        (await countApprovals(db, request.id)) >= request.requiredApprovals
+      ) {
+        status = "approved";
+      }
+
+      if (status !== "pending") {
+        await setRequestStatus(db, request.id, status);
+      }
+      await recordAudit(db, req, {
+        action:
+          decision === "approved" ? "requests.approve" : "requests.reject",
+        entityType: "request",
+        entityId: request.id,
+        before: request,
+        after: {
+          ...(await getRequest(db, request.id)),
+          decision,
+          note: req.body.note || null,
+        },
+      });
+      return { request, status };
+    });
+
+    if (outcome.error) {
+      return res.status(outcome.status).json({ error: outcome.error });
+    }
+
+    const { request, status } = outcome;
+    const note = req.body.note ? `\n\nNote: ${req.body.note}` : "";
+    if (status === "approved") {
+      await notify([request.requestedByEmail], {
+        subject: `Key request #${request.id} approved`,
+        text: `Your ${describe(request)} has been approved. A key custodian will hand the key over.${note}`,
+      });
+      await notify(await approverEmails(req.db), {
+        subject: `Key request #${request.id} ready to fulfil`,
+        text: `The ${describe(request)} by ${request.requestedByEmail} is approved and ready to be fulfilled.`,
+      });
+    } else if (status === "rejected") {
+      await notify([request.requestedByEmail], {
+        subject: `Key request #${request.id} rejected`,
+        text: `Your ${describe(request)} has been rejected by ${req.user.email}.${note}`,
+      });
+    } else {
+      await notify([request.requestedByEmail], {
+        subject: `Key request #${request.id} partially approved`,
+        text: `Your ${describe(request)} was approved by ${req.user.email} and needs one more approval.`,
+      });
+    }
+
+    res.json({ id: request.id, status });
+  } catch (error) {
+    res.status(500).json({ error: "Error recording decision" });
+  }
+};
+
+/**
+ * @openapi
+ * /api/key-requests/{id}/approve:
+ *   post:
+ *     summary: Approve a pending key request
+ *     description: The request becomes approved once it has the required number of approvals from different approvers. Requesters cannot approve their own requests.
+ *     tags: [Key Requests]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID of the key request
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               note:
+ *                 type: string
+ *                 description: Optional note for the requester
+ *     responses:
+ *       200:
+ *         description: Decision recorded
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 id:
+ *                   type: integer
+ *                   description: Key request ID
+ *                 status:
+ *                   type: string
+ *                   description: Request status after the decision
+ *       403:
+ *         description: Insufficient permissions or own request
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   description: Error message
+ *       404:
+ *         description: Key request not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   description: Error message
+ *       409:
+ *         description: Request is no longer pending or already decided by this approver
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   description: Error message
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   description: Error message
+ */
+router.post(
+  "/:id/approve",
+  authorizeRoles(ROLES.CUSTODIAN),
+  body("note").optional().isString(),
+  decide("approved"),
+);
+
+/**
+ * @openapi
+ * /api/key-requests/{id}/reject:
+ *   post:
+ *     summary: Reject a pending key request
+ *     tags: [Key Requests]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID of the key request
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               note:
+ *                 type: string
+ *                 description: Optional reason for the requester
+ *     responses:
+ *       200:
+ *         description: Request rejected
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 id:
+ *                   type: integer
+ *                   description: Key request ID
+ *                 status:
+ *                   type: string
+ *                   description: Request status after the decision
+ *       403:
+ *         description: Insufficient permissions or own request
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   description: Error message
+ *       404:
+ *         description: Key request not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   description: Error message
+ *       409:
+ *         description: Request is no longer pending or already decided by this approver
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   description: Error message
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   description: Error message
+ */
+router.post(
+  "/:id/reject",
+  authorizeRoles(ROLES.CUSTODIAN),
+  body("note").optional().isString(),
+  decide("rejected"),
+);
+
+/**
+ * @openapi
+ * /api/key-requests/{id}/fulfill:
+ *   post:
+ *     summary: Hand over the key for an approved request
+ *     description: Creates the key assignment for the requester with the request's end time as due date.
+ *     tags: [Key Requests]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID of the key request
+ *     responses:
+ *       200:
+ *         description: Request fulfilled
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 id:
+ *                   type: integer
+ *                   description: Key request ID
+ *                 status:
+ *                   type: string
+ *                   description: Request status
+ *                 assignmentId:
+ *                   type: integer
+ *                   description: ID of the created key assignment
+ *       400:
+ *         description: The key cannot be assigned right now
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   description: Error message
+ *       403:
+ *         description: Insufficient permissions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   description: Error message
+ *       404:
+ *         description: Key request not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   description: Error message
+ *       409:
+ *         description: Request is not approved or another user has reserved the key
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   description: Error message
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   description: Error message
+ */
+router.post(
+  "/:id/fulfill",
+  authorizeRoles(ROLES.CUSTODIAN),
+  async (req, res) => {
+    try {
+      const outcome = await withTransaction(req.db, async (db) => {
+        const request = await getRequest(db, req.params.id);
+        if (!request) {
+          return { status: 404, error: "Key request not found" };
+        }
+        if (request.status !== "approved") {
+          return { status: 409, error: `Key request is ${request.status}` };
+        }
+
+        const assignment = await assignKey(db, {
+          keyId: request.keyId,
+          assignedTo: request.requestedBy,
+          assignedBy: req.user.id,
+          dueAt: request.endsAt,
+        });
+        if (assignment.error) {
+          return assignment;
+        }
+
+        await markRequestFulfilled(db, request.id, {
+          assignmentId: assignment.id,
+          fulfilledBy: req.user.id,
+        });
+        await recordAudit(db, req, {
+          action: "requests.fulfil",
+          entityType: "request",
+          entityId: request.id,
+          before: request,
+          after: {
+            ...(await getRequest(db, request.id)),
+            assignment: await findAssignment(db, assignment.id),
+          },
+        });
+        return { request, assignmentId: assignment.id };
+      });
+
+      if (outcome.error) {
+        return res.status(outcome.status).json({ error: outcome.error });
+      }
+
+      const { request, assignmentId } = outcome;
+      await publishAssignmentEvent(req.db, "key.assigned", assignmentId);
+      await publishAssignmentChange(req.db, "key.assigned", assignmentId);
+      await notify([request.requestedByEmail], {
+        subject: `Key request #${request.id} fulfilled`,
+        text: `Key ${request.identifier} has been handed over to you by ${req.user.email}. Please return it by ${request.endsAt} UTC.`,
+      });
+
+      res.json({ id: request.id, status: "fulfilled", assignmentId });
+    } catch (error) {
+      res.status(500).json({ error: "Error fulfilling key request" });
+    }
+  },
+);
+
+/**
+ * @openapi
+ * /api/key-requests/{id}/cancel:
+ *   post:
+ *     summary: Cancel a pending or approved key request
+ *     description: Only the requester or an admin can cancel a request.
+ *     tags: [Key Requests]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID of the key request
+ *     responses:
+ *       200:
+ *         description: Request cancelled
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 id:
+ *                   type: integer
+ *                   description: Key request ID
+ *                 status:
+ *                   type: string
+ *                   description: Request status
+ *       404:
+ *         description: Key request not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   description: Error message
+ *       409:
+ *         description: Request can no longer be cancelled
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   description: Error message
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   description: Error message
+ */
+router.post("/:id/cancel", async (req, res) => {
+  try {
+    const request = await getRequest(req.db, req.params.id);
+    if (
+      !request ||
+      (req.user.role !== ROLES.ADMIN && request.requestedBy !== req.user.id)
+    ) {
+      return res.status(404).json({ error: "Key request not found" });
+    }
+
+    const cancelled = await withTransaction(req.db, async (db) => {
+      if (!(await cancelRequest(db, request.id))) {
+        return false;
+      }
+      await recordAudit(db, req, {
+        action: "requests.cancel",
+        entityType: "request",
+        entityId: request.id,
+        before: request,
+        after: await getRequest(db, request.id),
+      });
+      return true;
+    });
+    if (!cancelled) {
+      return res
+        .status(409)
+        .json({ error: `Key request is ${request.status}` });
+    }
+
+    await notify(
+      [...(await approverEmails(req.db)), request.requestedByEmail],
+      {
+        subject: `Key request #${request.id} cancelled`,
+        text: `The ${describe(request)} by ${request.requestedByEmail} was cancelled by ${req.user.email}.`,
+      },
+    );
+
+    res.json({ id: request.id, status: "cancelled" });
+  } catch (error) {
+    res.status(500).json({ error: "Error cancelling key request" });
+  }
+});
+
+module.exports = router;
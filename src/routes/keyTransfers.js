@@ -0,0 +1,727 @@
+// backend/src/routes/keyTransfers.js
+const express = require("express");
+const router = express.Router();
+const { body, query, validationResult } = require("express-validator");
+const { ROLES } = require("../middleware/auth");
+const { isAssignable } = require("../services/keyStatus");
+const { handOverKey } = require("../services/assignments");
+const { withTransaction } = require("../services/transaction");
+const { notify } = require("../services/notifications");
+const { recordAudit } = require("../services/audit");
+const { publishAssignmentEvent } = require("../services/webhooks");
+const { publishAssignmentChange } = require("../services/liveEvents");
+const { listQueryValidators } = require("../middleware/validators");
+const { isUniqueViolation } = require("../db");
+const {
+  findAssignment,
+  findHeldAssignment,
+} = require("../repositories/assignments");
+const { findActiveUser } = require("../repositories/users");
+const {
+  TRANSFER_SORT_FIELDS,
+  getTransfer,
+  listTransfers,
+  createTransfer,
+  markTransferAccepted,
+  closeTransfer,
+} = require("../repositories/keyTransfers");
+
+const TRANSFER_STATUSES = ["pending", "accepted", "declined", "cancelled"];
+
+/**
+ * @openapi
+ * /api/key-transfers:
+ *   post:
+ *     summary: Offer a held key to another user
+ *     description: Only the current holder can start a transfer. The key stays assigned to them until the recipient accepts.
+ *     tags: [Key Transfers]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - keyId
+ *               - toUserId
+ *             properties:
+ *               keyId:
+ *                 type: integer
+ *                 description: ID of the key to hand over
+ *               toUserId:
+ *                 type: integer
+ *                 description: ID of the recipient
+ *               note:
+ *                 type: string
+ *                 description: Optional note for the recipient
+ *     responses:
+ *       201:
+ *         description: Transfer offered successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 id:
+ *                   type: integer
+ *                   description: Key transfer ID
+ *                 status:
+ *                   type: string
+ *                   description: Transfer status
+ *       400:
+ *         description: Validation errors, invalid recipient or key cannot be handed over
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 errors:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       msg:
+ *                         type: string
+ *                         description: Error message
+ *                 error:
+ *                   type: string
+ *                   description: Error message
+ *       403:
+ *         description: The key is not currently assigned to you
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   description: Error message
+ *       409:
+ *         description: A transfer of this key is already pending
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   description: Error message
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   description: Error message
+ */
+router.post(
+  "/",
+  body("keyId").isInt(),
+  body("toUserId").isInt(),
+  body("note").optional({ values: "null" }).isString(),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const { keyId, toUserId, note } = req.body;
+      const assignment = await findHeldAssignment(req.db, keyId, req.user.id);
+      if (!assignment) {
+        return res
+          .status(403)
+          .json({ error: "Key is not currently assigned to you" });
+      }
+      if (!isAssignable(assignment)) {
+        return res.status(400).json({
+          error: `Key cannot be handed over while ${assignment.status}`,
+        });
+      }
+      if (Number(toUserId) === req.user.id) {
+        return res
+          .status(400)
+          .json({ error: "You cannot transfer a key to yourself" });
+      }
+
+      const recipient = await findActiveUser(req.db, toUserId, {
+        acceptedOnly: true,
+      });
+      if (!recipient) {
+        return res.status(400).json({ error: "Recipient not found" });
+      }
+
+      const id = await withTransaction(req.db, async (db) => {
+        const id = await createTransfer(db, {
+          keyId,
+          fromAssignmentId: assignment.id,
+          fromUserId: req.user.id,
+          toUserId: recipient.id,
+          note: note || null,
+        });
+        await recordAudit(db, req, {
+          action: "transfers.create",
+          entityType: "transfer",
+          entityId: id,
+          after: await getTransfer(db, id),
+        });
+        return id;
+      });
+
+      await notify([recipient.email], {
+        subject: `Key ${assignment.identifier} offered to you`,
+        text: `${req.user.email} wants to hand key ${assignment.identifier} over to you. Accept or decline transfer #${id} to respond.${note ? `\n\nNote: ${note}` : ""}`,
+      });
+
+      res.status(201).json({ id, status: "pending" });
+    } catch (error) {
+      if (isUniqueViolation(error)) {
+        return res
+          .status(409)
+          .json({ error: "A transfer of this key is already pending" });
+      }
+      res.status(500).json({ error: "Error creating key transfer" });
+    }
+  },
+);
+
+/**
+ * @openapi
+ * /api/key-transfers:
+ *   get:
+ *     summary: Get key transfers
+ *     description: Holders only see transfers they sent or received.
+ *     tags: [Key Transfers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, accepted, declined, cancelled]
+ *         description: Only return transfers in this status
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [createdAt, status, -createdAt, -status]
+ *           default: -createdAt
+ *         description: Sort field; prefix with - for descending order
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 200
+ *           default: 50
+ *         description: Transfers per page
+ *     responses:
+ *       200:
+ *         description: Page of transfers
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 transfers:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       id:
+ *                         type: integer
+ *                         description: Key transfer ID
+ *                       keyId:
+ *                         type: integer
+ *                         description: Key ID
+ *                       identifier:
+ *                         type: string
+ *                         description: Key identifier
+ *                       fromUserId:
+ *                         type: integer
+ *                         description: ID of the sending holder
+ *                       fromEmail:
+ *                         type: string
+ *                         format: email
+ *                         description: Email of the sending holder
+ *                       toUserId:
+ *                         type: integer
+ *                         description: ID of the recipient
+ *                       toEmail:
+ *                         type: string
+ *                         format: email
+ *                         description: Email of the recipient
+ *                       note:
+ *                         type: string
+ *                         description: Note left by the sender
+ *                       status:
+ *                         type: string
+ *                         enum: [pending, accepted, declined, cancelled]
+ *                         description: Transfer status
+ *                       fromAssignmentId:
+ *                         type: integer
+ *                         description: Sender's key assignment
+ *                       toAssignmentId:
+ *                         type: integer
+ *                         description: Recipient's key assignment once accepted
+ *                       createdAt:
+ *                         type: string
+ *                         format: date-time
+ *                         description: Timestamp of the offer
+ *                       respondedAt:
+ *                         type: string
+ *                         format: date-time
+ *                         description: Timestamp of acceptance, decline or cancellation
+ *                 page:
+ *                   type: integer
+ *                   description: Page number
+ *                 limit:
+ *                   type: integer
+ *                   description: Transfers per page
+ *                 total:
+ *                   type: integer
+ *                   description: Number of matching transfers
+ *       400:
+ *         description: Validation errors
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 errors:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       msg:
+ *                         type: string
+ *                         description: Error message
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   description: Error message
+ */
+router.get(
+  "/",
+  query("status").optional().isIn(TRANSFER_STATUSES),
+  ...listQueryValidators(TRANSFER_SORT_FIELDS),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const { rows, ...pagination } = await listTransfers(
+        req.db,
+        { ...req.query, sort: req.query.sort || "-createdAt" },
+        {
+          participantId:
+            req.user.role === ROLES.HOLDER ? req.user.id : undefined,
+          status: req.query.status,
+        },
+      );
+      res.json({ transfers: rows, ...pagination });
+    } catch (error) {
+      res.status(500).json({ error: "Error fetching key transfers" });
+    }
+  },
+);
+
+/**
+ * @openapi
+ * /api/key-transfers/{id}/accept:
+ *   post:
+ *     summary: Accept a key offered to you
+ *     description: Closes the sender's assignment and opens one for you in a single transaction, linked to the previous one and keeping its due date. Another user's reservation within the loan period blocks the handover unless overridden; the transfer stays pending.
+ *     tags: [Key Transfers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID of the key transfer
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               override:
+ *                 type: boolean
+ *                 description: Custodians and admins only; accept even though another user has reserved the key within the loan period
+ *     responses:
+ *       200:
+ *         description: Transfer accepted
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 id:
+ *                   type: integer
+ *                   description: Key transfer ID
+ *                 status:
+ *                   type: string
+ *                   description: Transfer status
+ *                 assignmentId:
+ *                   type: integer
+ *                   description: ID of your new key assignment
+ *       400:
+ *         description: The key cannot be handed over right now
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   description: Error message
+ *       403:
+ *         description: Only custodians and admins can override a reservation
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   description: Error message
+ *       404:
+ *         description: Key transfer not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   description: Error message
+ *       409:
+ *         description: Transfer is no longer pending, the sender no longer holds the key, or another user has reserved it
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   description: Error message
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   description: Error message
+ */
+router.post(
+  "/:id/accept",
+  body("override").optional().isBoolean(),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    const override = req.body.override === true;
+    if (override && req.user.role === ROLES.HOLDER) {
+      return res
+        .status(403)
+        .json({ error: "Only custodians can override a reservation" });
+    }
+
+    try {
+      const outcome = await withTransaction(req.db, async (db) => {
+        const transfer = await getTransfer(db, req.params.id);
+        if (!transfer || transfer.toUserId !== req.user.id) {
+          return { status: 404, error: "Key transfer not found" };
+        }
+        if (transfer.status !== "pending") {
+          return { status: 409, error: `Key transfer is ${transfer.status}` };
+        }
+
+        const assignment = await handOverKey(db, {
+          assignmentId: transfer.fromAssignmentId,
+          toUserId: transfer.toUserId,
+          handedOverBy: transfer.fromUserId,
+          override,
+        });
+        if (assignment.error) {
+          // The key was returned or reassigned since the offer was made. A
+          // reservation leaves the transfer pending until it ends or a
+          // custodian overrides it.
+          if (
+            assignment.status === 409 &&
+            !assignment.reservation &&
+            (await closeTransfer(db, transfer.id, "cancelled"))
+          ) {
+            await recordAudit(db, req, {
+              action: "transfers.cancel",
+              entityType: "transfer",
+              entityId: transfer.id,
+              before: transfer,
+              after: {
+                ...(await getTransfer(db, transfer.id)),
+                reason: assignment.error,
+              },
+            });
+          }
+          return assignment;
+        }
+
+        await markTransferAccepted(db, transfer.id, assignment.id);
+        await recordAudit(db, req, {
+          action: "transfers.accept",
+          entityType: "transfer",
+          entityId: transfer.id,
+          before: transfer,
+          after: {
+            ...(await getTransfer(db, transfer.id)),
+            fromAssignment: await findAssignment(db, transfer.fromAssignmentId),
+            toAssignment: await findAssignment(db, assignment.id),
+            override,
+          },
+        });
+        return { transfer, assignmentId: assignment.id };
+      });
+
+      if (outcome.error) {
+        return res.status(outcome.status).json({ error: outcome.error });
+      }
+
+      const { transfer, assignmentId } = outcome;
+
+      // To webhooks and live dashboards a handover is a return by the sender and a
+      // new assignment
+      await publishAssignmentEvent(
+        req.db,
+        "key.returned",
+        transfer.fromAssignmentId,
+      );
+      await publishAssignmentChange(
+        req.db,
+        "key.returned",
+        transfer.fromAssignmentId,
+      );
+      await publishAssignmentEvent(req.db, "key.assigned", assignmentId);
+      await publishAssignmentChange(req.db, "key.assigned", assignmentId);
+      await notify([transfer.fromEmail], {
+        subject: `Key ${transfer.identifier} transfer accepted`,
+        text: `${transfer.toEmail} accepted key ${transfer.identifier}. It is no longer assigned to you.`,
+      });
+
+      res.json({ id: transfer.id, status: "accepted", assignmentId });
+    } catch (error) {
+      res.status(500).json({ error: "Error accepting key transfer" });
+    }
+  },
+);
+
+// Closes a pending transfer without moving the key
+const respondToTransfer = (status, canClose) => async (req, res) => {
+  try {
+    const transfer = await getTransfer(req.db, req.params.id);
+    if (!transfer || !canClose(transfer, req.user)) {
+      return res.status(404).json({ error: "Key transfer not found" });
+    }
+
+    const closed = await withTransaction(req.db, async (db) => {
+      if (!(await closeTransfer(db, transfer.id, status))) {
+        return false;
+      }
+      await recordAudit(db, req, {
+        action:
+          status === "declined" ? "transfers.decline" : "transfers.cancel",
+        entityType: "transfer",
+        entityId: transfer.id,
+        before: transfer,
+        after: await getTransfer(db, transfer.id),
+      });
+      return true;
+    });
+    if (!closed) {
+      return res
+        .status(409)
+        .json({ error: `Key transfer is ${transfer.status}` });
+    }
+
+    const recipient =
+      req.user.id === transfer.fromUserId
+        ? transfer.toEmail
+        : transfer.fromEmail;
+    await notify([recipient], {
+      subject: `Key ${transfer.identifier} transfer ${status}`,
+      text: `Transfer #${transfer.id} of key ${transfer.identifier} from ${transfer.fromEmail} to ${transfer.toEmail} was ${status} by ${req.user.email}.`,
+    });
+
+    res.json({ id: transfer.id, status });
+  } catch (error) {
+    res.status(500).json({ error: "Error updating key transfer" });
+  }
+};
+
+/**
+ * @openapi
+ * /api/key-transfers/{id}/decline:
+ *   post:
+ *     summary: Decline a key offered to you
+ *     tags: [Key Transfers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID of the key transfer
+ *     responses:
+ *       200:
+ *         description: Transfer declined
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 id:
+ *                   type: integer
+ *                   description: Key transfer ID
+ *                 status:
+ *                   type: string
+ *                   description: Transfer status
+ *       404:
+ *         description: Key transfer not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   description: Error message
+ *       409:
+ *         description: Transfer is no longer pending
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   description: Error message
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   description: Error message
+ */
+router.post(
+  "/:id/decline",
+  respondToTransfer(
+    "declined",
+    (transfer, user) => transfer.toUserId === user.id,
+  ),
+);
+
+/**
+ * @openapi
+ * /api/key-transfers/{id}/cancel:
+ *   post:
+ *     summary: Withdraw a pending key transfer
+ *     description: Only the sender or a key custodian can cancel a transfer.
+ *     tags: [Key Transfers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID of the key transfer
+ *     responses:
+ *       200:
+ *         description: Transfer cancelled
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 id:
+ *                   type: integer
+ *                   description: Key transfer ID
+ *                 status:
+ *                   type: string
+ *                   description: Transfer status
+ *       404:
+ *         description: Key transfer not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   description: Error message
+ *       409:
+ *         description: Transfer is no longer pending
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   description: Error message
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   description: Error message
+ */
+router.post(
+  "/:id/cancel",
+  respondToTransfer(
+    "cancelled",
+    (transfer, user) =>
+      transfer.fromUserId === user.id || user.role !== ROLES.HOLDER,
+  ),
+);
+
+module.exports = router;
@@ -1,39 +1,259 @@
 // backend/src/routes/keys.js
 const express = require("express");
 const router = express.Router();
-const { body, validationResult } = require("express-validator");
+const { body, query, validationResult } = require("express-validator");
+const { authorizeRoles, ROLES } = require("../middleware/auth");
+const { KEY_STATUSES, canTransition } = require("../services/keyStatus");
+const { KEY_TYPES } = require("../services/keyTypes");
+const { withTransaction } = require("../services/transaction");
+const { toTimestamp } = require("../services/dates");
+const { assignKey, returnKey } = require("../services/assignments");
+const { getAvailability } = require("../services/reservations");
+const { RETURN_CONDITIONS, renderReceipt } = require("../services/returns");
+const { imageFields, removeUploads } = require("../middleware/upload");
+const { recordAudit } = require("../services/audit");
+const { publishAssignmentEvent } = require("../services/webhooks");
+const {
+  publishAssignmentChange,
+  publishKeyStatus,
+} = require("../services/liveEvents");
+const {
+  checkKeyReferences,
+  checkKeyTypeChange,
+  getKeySnapshot,
+  replaceKeyDoors,
+} = require("../services/keys");
+const {
+  keyMetadataValidators,
+  keyCreateValidators,
+  assignmentValidators,
+  listQueryValidators,
+} = require("../middleware/validators");
+const { queryFlag } = require("../services/listing");
+const { isUniqueViolation } = require("../db");
+const {
+  KEY_FIELDS,
+  KEY_SORT_FIELDS,
+  listKeys,
+  findKey,
+  findKeyDetails,
+  listKeyDoors,
+  listChildKeys,
+  createKey,
+  updateKey,
+  updateKeyStatus,
+} = require("../repositories/keys");
+const {
+  ASSIGNMENT_SORT_FIELDS,
+  listAssignments,
+  findAssignment,
+  findOpenAssignment,
+  findReturn,
+  findReceipt,
+  listOverdue,
+  listKeyHistory,
+} = require("../repositories/assignments");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_AVAILABILITY_DAYS = 92;
 
 /**
  * @openapi
  * /api/keys:
  *   get:
- *     summary: Get all active keys
+ *     summary: List keys with their current holder
+ *     description: Holders see whether a key is assigned but only learn the holder of keys they hold themselves.
  *     tags: [Keys]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: doorId
+ *         schema:
+ *           type: integer
+ *         description: Only return keys mapped to this door
+ *       - in: query
+ *         name: locationId
+ *         schema:
+ *           type: integer
+ *         description: Only return keys whose home location is this location or that open a door in it
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [grand_master, master, sub_master, single_door, cabinet]
+ *         description: Only return keys of this type
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [active, lost, stolen, damaged, retired]
+ *         description: Only return keys with this condition status
+ *       - in: query
+ *         name: active
+ *         schema:
+ *           type: boolean
+ *           default: true
+ *         description: Return active (true) or retired (false) keys
+ *       - in: query
+ *         name: assigned
+ *         schema:
+ *           type: boolean
+ *         description: Only return keys that are currently assigned (true) or available (false)
+ *       - in: query
+ *         name: holderId
+ *         schema:
+ *           type: integer
+ *         description: Only return keys currently held by this user (holders may only pass their own ID)
+ *       - in: query
+ *         name: createdFrom
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Only return keys created at or after this time
+ *       - in: query
+ *         name: createdTo
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Only return keys created before this time
+ *       - in: query
+ *         name: q
+ *         schema:
+ *           type: string
+ *         description: Only return keys whose identifier or holder's email contains this text (holders search identifiers only)
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [identifier, type, status, createdAt, assignedAt, dueAt, holder, -identifier, -type, -status, -createdAt, -assignedAt, -dueAt, -holder]
+ *           default: identifier
+ *         description: Sort field; prefix with - for descending order
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 200
+ *           default: 50
+ *         description: Keys per page
  *     responses:
  *       200:
- *         description: List of keys
+ *         description: Page of keys
  *         content:
  *           application/json:
  *             schema:
- *               type: array
- *               items:
- *                 type: object
- *                 properties:
- *                   id:
- *                     type: integer
- *                     description: Key ID
- *                   identifier:
- *                     type: string
- *                     description: Key identifier
- *                   isActive:
- *                     type: boolean
- *                     description: Key active status
- *                   createdAt:
- *                     type: string
- *                     format: date-time
- *                     description: Key creation timestamp
+ *               type: object
+ *               properties:
+ *                 keys:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       id:
+ *                         type: integer
+ *                         description: Key ID
+ *                       identifier:
+ *                         type: string
+ *                         description: Key identifier
+ *                       tagCode:
+ *                         type: string
+ *                         description: Code printed on the key's scannable tag
+ *                       type:
+ *                         type: string
+ *                         enum: [grand_master, master, sub_master, single_door, cabinet]
+ *                         description: Key type
+ *                       parentId:
+ *                         type: integer
+ *                         description: ID of the key directly above this key in the master key hierarchy
+ *                       locationId:
+ *                         type: integer
+ *                         description: ID of the key's home location
+ *                       locationName:
+ *                         type: string
+ *                         description: Name of the key's home location
+ *                       copies:
+ *                         type: integer
+ *                         description: Number of physical copies
+ *                       isActive:
+ *                         type: boolean
+ *                         description: Key active status
+ *                       status:
+ *                         type: string
+ *                         enum: [active, lost, stolen, damaged, retired]
+ *                         description: Key condition status
+ *                       statusReason:
+ *                         type: string
+ *                         description: Note explaining the last status change
+ *                       createdAt:
+ *                         type: string
+ *                         format: date-time
+ *                         description: Key creation timestamp
+ *                       isAssigned:
+ *                         type: boolean
+ *                         description: Whether the key is currently assigned
+ *                       assignmentId:
+ *                         type: integer
+ *                         description: ID of the current assignment (if assigned)
+ *                       assignedTo:
+ *                         type: integer
+ *                         description: ID of the current holder
+ *                       assignedToEmail:
+ *                         type: string
+ *                         format: email
+ *                         description: Email of the current holder
+ *                       assignedToName:
+ *                         type: string
+ *                         description: Display name of the current holder
+ *                       assignedAt:
+ *                         type: string
+ *                         format: date-time
+ *                         description: When the current assignment started
+ *                       dueAt:
+ *                         type: string
+ *                         format: date-time
+ *                         description: When the key is due back
+ *                 page:
+ *                   type: integer
+ *                   description: Page number
+ *                 limit:
+ *                   type: integer
+ *                   description: Keys per page
+ *                 total:
+ *                   type: integer
+ *                   description: Number of matching keys
+ *       400:
+ *         description: Validation errors
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 errors:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       msg:
+ *                         type: string
+ *                         description: Error message
+ *       403:
+ *         description: Holder filtered by another user's keys
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   description: Error message
  *       500:
  *         description: Server error
  *         content:
@@ -45,14 +265,65 @@ const { body, validationResult } = require("express-validator");
  *                   type: string
  *                   description: Error message
  */
-router.get("/", async (req, res) => {
-  try {
-    const keys = await req.db.all("SELECT * FROM keys WHERE isActive = 1");
-    res.json(keys);
-  } catch (error) {
-    res.status(500).json({ error: "Error fetching keys" });
-  }
-});
+router.get(
+  "/",
+  query(["doorId", "locationId", "holderId"]).optional().isInt(),
+  query("type").optional().isIn(Object.values(KEY_TYPES)),
+  query("status").optional().isIn(Object.values(KEY_STATUSES)),
+  query(["active", "assigned"]).optional().isBoolean(),
+  query(["createdFrom", "createdTo"]).optional().isISO8601(),
+  query("q").optional().isString().trim(),
+  ...listQueryValidators(KEY_SORT_FIELDS),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const isHolder = req.user.role === ROLES.HOLDER;
+    const { holderId } = req.query;
+    if (isHolder && holderId && Number(holderId) !== req.user.id) {
+      return res
+        .status(403)
+        .json({ error: "Holders can only filter by their own keys" });
+    }
+
+    try {
+      const { rows, ...pagination } = await listKeys(
+        req.db,
+        { ...req.query, sort: req.query.sort || "identifier" },
+        {
+          ...req.query,
+          active: req.query.active !== "false",
+          assigned: queryFlag(req.query.assigned),
+          // Matching on email would reveal who holds other keys
+          searchHolders: !isHolder,
+        },
+      );
+
+      // Holders only learn who holds the keys they hold themselves
+      const keys = isHolder
+        ? rows.map((key) =>
+            key.assignedTo === req.user.id
+              ? key
+              : {
+                  ...key,
+                  assignmentId: null,
+                  assignedTo: null,
+                  assignedToEmail: null,
+                  assignedToName: null,
+                  assignedAt: null,
+                  dueAt: null,
+                },
+          )
+        : rows;
+
+      res.json({ keys, ...pagination });
+    } catch (error) {
+      res.status(500).json({ error: "Error fetching keys" });
+    }
+  },
+);
 
 /**
  * @openapi
@@ -74,6 +345,25 @@ router.get("/", async (req, res) => {
  *               identifier:
  *                 type: string
  *                 description: Key identifier
+ *               type:
+ *                 type: string
+ *                 enum: [grand_master, master, sub_master, single_door, cabinet]
+ *                 description: Key type (defaults to single_door)
+ *               parentId:
+ *                 type: integer
+ *                 description: ID of the key directly above this key, which must be of a higher-ranking type (grand_master > master > sub_master > single_door, cabinet)
+ *               locationId:
+ *                 type: integer
+ *                 description: ID of the key's home location
+ *               copies:
+ *                 type: integer
+ *                 minimum: 1
+ *                 description: Number of physical copies (defaults to 1)
+ *               doorIds:
+ *                 type: array
+ *                 items:
+ *                   type: integer
+ *                 description: IDs of the doors the key opens
  *     responses:
  *       201:
  *         description: Key created successfully
@@ -88,8 +378,28 @@ router.get("/", async (req, res) => {
  *                 identifier:
  *                   type: string
  *                   description: Key identifier
+ *                 tagCode:
+ *                   type: string
+ *                   description: Code printed on the key's scannable tag
+ *                 type:
+ *                   type: string
+ *                   description: Key type
+ *                 parentId:
+ *                   type: integer
+ *                   description: ID of the key directly above this key
+ *                 locationId:
+ *                   type: integer
+ *                   description: ID of the key's home location
+ *                 copies:
+ *                   type: integer
+ *                   description: Number of physical copies
+ *                 doorIds:
+ *                   type: array
+ *                   items:
+ *                     type: integer
+ *                   description: IDs of the doors the key opens
  *       400:
- *         description: Validation errors or key identifier already exists
+ *         description: Validation errors, key identifier already exists or invalid parent/location/doors
  *         content:
  *           application/json:
  *             schema:
@@ -106,6 +416,16 @@ router.get("/", async (req, res) => {
  *                 error:
  *                   type: string
  *                   description: Error message
+ *       403:
+ *         description: Insufficient permissions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   description: Error message
  *       500:
  *         description: Server error
  *         content:
@@ -117,26 +437,73 @@ router.get("/", async (req, res) => {
  *                   type: string
  *                   description: Error message
  */
-router.post("/", body("identifier").notEmpty(), async (req, res) => {
-  const errors = validationResult(req);
-  if (!errors.isEmpty()) {
-    return res.status(400).json({ errors: errors.array() });
-  }
+router.post(
+  "/",
+  authorizeRoles(ROLES.CUSTODIAN),
+  ...keyCreateValidators,
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
 
-  try {
-    const { identifier } = req.body;
-    const result = await req.db.run(
-      "INSERT INTO keys (identifier) VALUES (?)",
-      [identifier],
-    );
-    res.status(201).json({ id: result.lastID, identifier });
-  } catch (error) {
-    if (error.message.includes("UNIQUE constraint failed")) {
-      return res.status(400).json({ error: "Key identifier already exists" });
+    try {
+      const {
+        identifier,
+        type = KEY_TYPES.SINGLE_DOOR,
+        parentId = null,
+        locationId = null,
+        copies = 1,
+        doorIds = [],
+      } = req.body;
+
+      const referenceError = await checkKeyReferences(req.db, {
+        parentId,
+        locationId,
+        doorIds,
+        type,
+      });
+      if (referenceError) {
+        return res.status(400).json({ error: referenceError });
+      }
+
+      const created = await withTransaction(req.db, async (db) => {
+        const keyId = await createKey(db, {
+          identifier,
+          type,
+          parentId,
+          locationId,
+          copies,
+        });
+        await replaceKeyDoors(db, keyId, doorIds);
+        const created = await getKeySnapshot(db, keyId);
+        await recordAudit(db, req, {
+          action: "keys.create",
+          entityType: "key",
+          entityId: keyId,
+          after: created,
+        });
+        return created;
+      });
+
+      res.status(201).json({
+        id: created.id,
+        identifier,
+        tagCode: created.tagCode,
+        type,
+        parentId,
+        locationId,
+        copies,
+        doorIds,
+      });
+    } catch (error) {
+      if (isUniqueViolation(error)) {
+        return res.status(400).json({ error: "Key identifier already exists" });
+      }
+      res.status(500).json({ error: "Error creating key" });
     }
-    res.status(500).json({ error: "Error creating key" });
-  }
-});
+  },
+);
 
 /**
  * @openapi
@@ -162,6 +529,13 @@ router.post("/", body("identifier").notEmpty(), async (req, res) => {
  *               assignedTo:
  *                 type: integer
  *                 description: ID of the user to assign the key to
+ *               dueAt:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Optional expected return time (must be in the future)
+ *               override:
+ *                 type: boolean
+ *                 description: Assign even though another user has reserved the key within the loan period
  *     responses:
  *       201:
  *         description: Key assigned successfully
@@ -173,8 +547,12 @@ router.post("/", body("identifier").notEmpty(), async (req, res) => {
  *                 id:
  *                   type: integer
  *                   description: ID of the key assignment record
+ *                 dueAt:
+ *                   type: string
+ *                   format: date-time
+ *                   description: Expected return time (UTC), if set
  *       400:
- *         description: Validation errors or key is already assigned
+ *         description: Validation errors, key is already assigned or not in an assignable status
  *         content:
  *           application/json:
  *             schema:
@@ -191,6 +569,36 @@ router.post("/", body("identifier").notEmpty(), async (req, res) => {
  *                 error:
  *                   type: string
  *                   description: Error message
+ *       403:
+ *         description: Insufficient permissions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   description: Error message
+ *       404:
+ *         description: Key not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   description: Error message
+ *       409:
+ *         description: Another user has reserved the key within the loan period
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   description: Error message
  *       500:
  *         description: Server error
  *         content:
@@ -204,8 +612,9 @@ router.post("/", body("identifier").notEmpty(), async (req, res) => {
  */
 router.post(
   "/assign",
+  authorizeRoles(ROLES.CUSTODIAN),
   body("keyId").isInt(),
-  body("assignedTo").isInt(),
+  ...assignmentValidators,
   async (req, res) => {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -214,23 +623,36 @@ router.post(
 
     try {
       const { keyId, assignedTo } = req.body;
+      const dueAt = req.body.dueAt ? toTimestamp(req.body.dueAt) : null;
 
-      // Check if key is already assigned
-      const currentAssignment = await req.db.get(
-        "SELECT * FROM key_assignments WHERE keyId = ? AND returnedAt IS NULL",
-        [keyId],
-      );
-
-      if (currentAssignment) {
-        return res.status(400).json({ error: "Key is already assigned" });
+      const result = await withTransaction(req.db, async (db) => {
+        const result = await assignKey(db, {
+          keyId,
+          assignedTo,
+          assignedBy: req.user.id,
+          dueAt,
+          override: req.body.override === true,
+        });
+        if (!result.error) {
+          await recordAudit(db, req, {
+            action: "keys.assign",
+            entityType: "assignment",
+            entityId: result.id,
+            after: {
+              ...(await findAssignment(db, result.id)),
+              override: req.body.override === true,
+            },
+          });
+        }
+        return result;
+      });
+      if (result.error) {
+        return res.status(result.status).json({ error: result.error });
       }
+      await publishAssignmentEvent(req.db, "key.assigned", result.id);
+      await publishAssignmentChange(req.db, "key.assigned", result.id);
 
-      const result = await req.db.run(
-        "INSERT INTO key_assignments (keyId, assignedTo, assignedBy) VALUES (?, ?, ?)",
-        [keyId, assignedTo, req.user.id],
-      );
-
-      res.status(201).json({ id: result.lastID });
+      res.status(201).json({ id: result.id, dueAt });
     } catch (error) {
       res.status(500).json({ error: "Error assigning key" });
     }
@@ -241,7 +663,8 @@ router.post(
  * @openapi
  * /api/keys/return/{keyId}:
  *   post:
- *     summary: Return a key
+ *     summary: Check a key back in
+ *     description: Closes the open assignment and records who received the key and its condition. A signature or photo can be attached as a multipart upload. Keys returned damaged are marked as damaged.
  *     tags: [Keys]
  *     security:
  *       - bearerAuth: []
@@ -252,6 +675,43 @@ router.post(
  *         schema:
  *           type: integer
  *         description: ID of the key to return
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - condition
+ *             properties:
+ *               condition:
+ *                 type: string
+ *                 enum: [good, worn, damaged]
+ *                 description: Condition the key came back in
+ *               notes:
+ *                 type: string
+ *                 description: Optional notes about the return
+ *               signature:
+ *                 type: string
+ *                 format: binary
+ *                 description: Optional PNG, JPEG or WebP image of the returner's signature
+ *               photo:
+ *                 type: string
+ *                 format: binary
+ *                 description: Optional PNG, JPEG or WebP photo of the returned key
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - condition
+ *             properties:
+ *               condition:
+ *                 type: string
+ *                 enum: [good, worn, damaged]
+ *                 description: Condition the key came back in
+ *               notes:
+ *                 type: string
+ *                 description: Optional notes about the return
  *     responses:
  *       200:
  *         description: Key returned successfully
@@ -263,6 +723,57 @@ router.post(
  *                 message:
  *                   type: string
  *                   description: Success message
+ *                 assignmentId:
+ *                   type: integer
+ *                   description: ID of the closed key assignment
+ *                 receiptUrl:
+ *                   type: string
+ *                   description: Path of the downloadable custody receipt
+ *       400:
+ *         description: Validation errors or invalid upload
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 errors:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       msg:
+ *                         type: string
+ *                         description: Error message
+ *       403:
+ *         description: Insufficient permissions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   description: Error message
+ *       404:
+ *         description: Key not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   description: Error message
+ *       409:
+ *         description: Key is not currently assigned
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   description: Error message
  *       500:
  *         description: Server error
  *         content:
@@ -274,40 +785,367 @@ router.post(
  *                   type: string
  *                   description: Error message
  */
-router.post("/return/:keyId", async (req, res) => {
-  try {
-    await req.db.run(
-      "UPDATE key_assignments SET returnedAt = CURRENT_TIMESTAMP WHERE keyId = ? AND returnedAt IS NULL",
-      [req.params.keyId],
-    );
-    res.json({ message: "Key returned successfully" });
-  } catch (error) {
-    res.status(500).json({ error: "Error returning key" });
-  }
-});
+router.post(
+  "/return/:keyId",
+  authorizeRoles(ROLES.CUSTODIAN),
+  imageFields("signature", "photo"),
+  body("condition").isIn(RETURN_CONDITIONS),
+  body("notes").optional({ values: "null" }).isString(),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      removeUploads(req.files);
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const { condition, notes } = req.body;
+      const [signature] = req.files?.signature || [];
+      const [photo] = req.files?.photo || [];
+
+      const outcome = await withTransaction(req.db, async (db) => {
+        const outcome = await returnKey(db, {
+          keyId: req.params.keyId,
+          receivedBy: req.user.id,
+          condition,
+          notes: notes || null,
+          signatureFile: signature?.filename,
+          photoFile: photo?.filename,
+        });
+        if (!outcome.error) {
+          await recordAudit(db, req, {
+            action: "keys.return",
+            entityType: "assignment",
+            entityId: outcome.assignment.id,
+            before: outcome.assignment,
+            after: {
+              ...(await findAssignment(db, outcome.assignment.id)),
+              ...(await findReturn(db, outcome.assignment.id)),
+            },
+          });
+        }
+        return outcome;
+      });
+
+      if (outcome.error) {
+        removeUploads(req.files);
+        return res.status(outcome.status).json({ error: outcome.error });
+      }
+
+      const { assignment } = outcome;
+      await publishAssignmentEvent(req.db, "key.returned", assignment.id);
+      await publishAssignmentChange(req.db, "key.returned", assignment.id);
+
+      res.json({
+        message: "Key returned successfully",
+        assignmentId: assignment.id,
+        receiptUrl: `/api/keys/assignments/${assignment.id}/receipt`,
+      });
+    } catch (error) {
+      removeUploads(req.files);
+      res.status(500).json({ error: "Error returning key" });
+    }
+  },
+);
 
 /**
  * @openapi
- * /api/keys/history/{keyId}:
+ * /api/keys/assignments:
  *   get:
- *     summary: Get the assignment history for a key
+ *     summary: Get key assignments (holders only see their own)
  *     tags: [Keys]
  *     security:
  *       - bearerAuth: []
  *     parameters:
- *       - in: path
- *         name: keyId
- *         required: true
+ *       - in: query
+ *         name: active
+ *         schema:
+ *           type: boolean
+ *         description: Only return assignments that have not been returned
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [assignedAt, dueAt, returnedAt, identifier, -assignedAt, -dueAt, -returnedAt, -identifier]
+ *           default: -assignedAt
+ *         description: Sort field; prefix with - for descending order
+ *       - in: query
+ *         name: page
  *         schema:
  *           type: integer
- *         description: ID of the key to retrieve history for
+ *           minimum: 1
+ *           default: 1
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 200
+ *           default: 50
+ *         description: Assignments per page
  *     responses:
  *       200:
- *         description: Key assignment history
+ *         description: Page of assignments
  *         content:
  *           application/json:
  *             schema:
- *               type: array
+ *               type: object
+ *               properties:
+ *                 assignments:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       id:
+ *                         type: integer
+ *                         description: Key assignment ID
+ *                       keyId:
+ *                         type: integer
+ *                         description: Key ID
+ *                       identifier:
+ *                         type: string
+ *                         description: Key identifier
+ *                       assignedTo:
+ *                         type: integer
+ *                         description: ID of the user the key was assigned to
+ *                       assignedBy:
+ *                         type: integer
+ *                         description: ID of the user who assigned the key
+ *                       assignedAt:
+ *                         type: string
+ *                         format: date-time
+ *                         description: Timestamp of key assignment
+ *                       dueAt:
+ *                         type: string
+ *                         format: date-time
+ *                         description: Expected return time (if set)
+ *                       returnedAt:
+ *                         type: string
+ *                         format: date-time
+ *                         description: Timestamp of key return (if returned)
+ *                       assignedToEmail:
+ *                         type: string
+ *                         format: email
+ *                         description: Email of the user the key was assigned to
+ *                 page:
+ *                   type: integer
+ *                   description: Page number
+ *                 limit:
+ *                   type: integer
+ *                   description: Assignments per page
+ *                 total:
+ *                   type: integer
+ *                   description: Number of matching assignments
+ *       400:
+ *         description: Validation errors
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 errors:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       msg:
+ *                         type: string
+ *                         description: Error message
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   description: Error message
+ */
+router.get(
+  "/assignments",
+  ...listQueryValidators(ASSIGNMENT_SORT_FIELDS),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const { rows, ...pagination } = await listAssignments(
+        req.db,
+        { ...req.query, sort: req.query.sort || "-assignedAt" },
+        {
+          assignedTo: req.user.role === ROLES.HOLDER ? req.user.id : undefined,
+          openOnly: req.query.active === "true",
+        },
+      );
+      res.json({ assignments: rows, ...pagination });
+    } catch (error) {
+      res.status(500).json({ error: "Error fetching key assignments" });
+    }
+  },
+);
+
+/**
+ * @openapi
+ * /api/keys/assignments/{id}/receipt:
+ *   get:
+ *     summary: Download the custody receipt of a returned key
+ *     description: Printable HTML receipt with the check-in details and any signature or photo. Holders can only download receipts for their own assignments.
+ *     tags: [Keys]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID of the key assignment
+ *     responses:
+ *       200:
+ *         description: Custody receipt
+ *         content:
+ *           text/html:
+ *             schema:
+ *               type: string
+ *       404:
+ *         description: Receipt not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   description: Error message
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   description: Error message
+ */
+router.get("/assignments/:id(\\d+)/receipt", async (req, res) => {
+  try {
+    const record = await findReceipt(req.db, req.params.id);
+    if (
+      !record ||
+      (req.user.role === ROLES.HOLDER && record.assignedTo !== req.user.id)
+    ) {
+      return res.status(404).json({ error: "Receipt not found" });
+    }
+
+    res
+      .type("html")
+      .attachment(`key-receipt-${record.id}.html`)
+      .send(await renderReceipt(record));
+  } catch (error) {
+    res.status(500).json({ error: "Error generating receipt" });
+  }
+});
+
+/**
+ * @openapi
+ * /api/keys/overdue:
+ *   get:
+ *     summary: Get open assignments that are past their due date
+ *     description: Holders only see their own overdue keys.
+ *     tags: [Keys]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Overdue assignments, most overdue first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 type: object
+ *                 properties:
+ *                   id:
+ *                     type: integer
+ *                     description: Key assignment ID
+ *                   keyId:
+ *                     type: integer
+ *                     description: Key ID
+ *                   identifier:
+ *                     type: string
+ *                     description: Key identifier
+ *                   assignedTo:
+ *                     type: integer
+ *                     description: ID of the user holding the key
+ *                   assignedToEmail:
+ *                     type: string
+ *                     format: email
+ *                     description: Email of the user holding the key
+ *                   assignedByEmail:
+ *                     type: string
+ *                     format: email
+ *                     description: Email of the user who assigned the key
+ *                   assignedAt:
+ *                     type: string
+ *                     format: date-time
+ *                     description: Timestamp of key assignment
+ *                   dueAt:
+ *                     type: string
+ *                     format: date-time
+ *                     description: Expected return time
+ *                   hoursOverdue:
+ *                     type: number
+ *                     description: Hours elapsed since the due date
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   description: Error message
+ */
+router.get("/overdue", async (req, res) => {
+  try {
+    const overdue = await listOverdue(req.db, {
+      assignedTo: req.user.role === ROLES.HOLDER ? req.user.id : undefined,
+    });
+    res.json(overdue);
+  } catch (error) {
+    res.status(500).json({ error: "Error fetching overdue keys" });
+  }
+});
+
+/**
+ * @openapi
+ * /api/keys/history/{keyId}:
+ *   get:
+ *     summary: Get the assignment history for a key
+ *     description: Handovers between holders are linked through transferredFrom and transferredTo.
+ *     tags: [Keys]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: keyId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID of the key to retrieve history for
+ *     responses:
+ *       200:
+ *         description: Key assignment history
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
  *               items:
  *                 type: object
  *                 properties:
@@ -327,6 +1165,10 @@ router.post("/return/:keyId", async (req, res) => {
  *                     type: string
  *                     format: date-time
  *                     description: Timestamp of key assignment
+ *                   dueAt:
+ *                     type: string
+ *                     format: date-time
+ *                     description: Expected return time (if set)
  *                   returnedAt:
  *                     type: string
  *                     format: date-time
@@ -339,6 +1181,19 @@ router.post("/return/:keyId", async (req, res) => {
  *                     type: string
  *                     format: email
  *                     description: Email of the user who assigned the key
+ *                   transferredFrom:
+ *                     type: integer
+ *                     description: Assignment this one was handed over from (if transferred)
+ *                   transferredTo:
+ *                     type: integer
+ *                     description: Assignment this one was handed over to (if transferred)
+ *                   returnCondition:
+ *                     type: string
+ *                     description: Condition recorded at check-in (if checked in)
+ *                   receivedByEmail:
+ *                     type: string
+ *                     format: email
+ *                     description: Email of the user who received the key back (if checked in)
  *       500:
  *         description: Server error
  *         content:
@@ -352,21 +1207,799 @@ router.post("/return/:keyId", async (req, res) => {
  */
 router.get("/history/:keyId", async (req, res) => {
   try {
-    const history = await req.db.all(
-      `SELECT ka.*,
-        u1.email as assignedToEmail,
-        u2.email as assignedByEmail
-       FROM key_assignments ka
-       JOIN users u1 ON ka.assignedTo = u1.id
-       JOIN users u2 ON ka.assignedBy = u2.id
-       WHERE ka.keyId = ?
-       ORDER BY ka.assignedAt DESC`,
-      [req.params.keyId],
-    );
+    // Holders only see their own assignments of the key
+    const history = await listKeyHistory(req.db, req.params.keyId, {
+      assignedTo: req.user.role === ROLES.HOLDER ? req.user.id : undefined,
+    });
     res.json(history);
   } catch (error) {
     res.status(500).json({ error: "Error fetching key history" });
   }
 });
 
+/**
+ * @openapi
+ * /api/keys/{id}:
+ *   get:
+ *     summary: Get a key with the doors mapped to it and the keys directly below it
+ *     tags: [Keys]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID of the key
+ *     responses:
+ *       200:
+ *         description: Key details
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 id:
+ *                   type: integer
+ *                   description: Key ID
+ *                 identifier:
+ *                   type: string
+ *                   description: Key identifier
+ *                 tagCode:
+ *                   type: string
+ *                   description: Code printed on the key's scannable tag
+ *                 type:
+ *                   type: string
+ *                   description: Key type
+ *                 locationName:
+ *                   type: string
+ *                   description: Name of the key's home location
+ *                 copies:
+ *                   type: integer
+ *                   description: Number of physical copies
+ *                 status:
+ *                   type: string
+ *                   description: Key condition status
+ *                 doors:
+ *                   type: array
+ *                   description: Doors the key opens
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       id:
+ *                         type: integer
+ *                         description: Door ID
+ *                       name:
+ *                         type: string
+ *                         description: Door name
+ *                       locationName:
+ *                         type: string
+ *                         description: Name of the location the door belongs to
+ *                 children:
+ *                   type: array
+ *                   description: Active keys directly below this key in the hierarchy
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       id:
+ *                         type: integer
+ *                         description: Key ID
+ *                       identifier:
+ *                         type: string
+ *                         description: Key identifier
+ *                       type:
+ *                         type: string
+ *                         description: Key type
+ *       404:
+ *         description: Key not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   description: Error message
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   description: Error message
+ */
+router.get("/:id(\\d+)", async (req, res) => {
+  try {
+    const key = await findKeyDetails(req.db, req.params.id);
+    if (!key) {
+      return res.status(404).json({ error: "Key not found" });
+    }
+
+    const doors = await listKeyDoors(req.db, key.id);
+    const children = await listChildKeys(req.db, key.id);
+    res.json({ ...key, doors, children });
+  } catch (error) {
+    res.status(500).json({ error: "Error fetching key" });
+  }
+});
+
+/**
+ * @openapi
+ * /api/keys/{id}/availability:
+ *   get:
+ *     summary: Get free and busy periods of a key
+ *     description: Busy periods come from the open assignment and active reservations. Holders do not see who else holds or reserved the key. Defaults to the next 7 days; at most 92 days can be requested.
+ *     tags: [Keys]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID of the key
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Start of the range (defaults to now)
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: End of the range (defaults to 7 days after from)
+ *     responses:
+ *       200:
+ *         description: Key availability
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 keyId:
+ *                   type: integer
+ *                   description: Key ID
+ *                 status:
+ *                   type: string
+ *                   description: Key condition status
+ *                 from:
+ *                   type: string
+ *                   format: date-time
+ *                   description: Start of the range (UTC)
+ *                 to:
+ *                   type: string
+ *                   format: date-time
+ *                   description: End of the range (UTC)
+ *                 busy:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       type:
+ *                         type: string
+ *                         enum: [assignment, reservation]
+ *                         description: What makes the key busy
+ *                       id:
+ *                         type: integer
+ *                         description: ID of the assignment or reservation
+ *                       userId:
+ *                         type: integer
+ *                         description: ID of the holder or reserving user
+ *                       email:
+ *                         type: string
+ *                         format: email
+ *                         description: Email of the holder or reserving user
+ *                       startsAt:
+ *                         type: string
+ *                         format: date-time
+ *                         description: Start of the busy period within the range
+ *                       endsAt:
+ *                         type: string
+ *                         format: date-time
+ *                         description: End of the busy period within the range
+ *                 free:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       startsAt:
+ *                         type: string
+ *                         format: date-time
+ *                         description: Start of the free period
+ *                       endsAt:
+ *                         type: string
+ *                         format: date-time
+ *                         description: End of the free period
+ *       400:
+ *         description: Validation errors
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 errors:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       msg:
+ *                         type: string
+ *                         description: Error message
+ *       404:
+ *         description: Key not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   description: Error message
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   description: Error message
+ */
+router.get(
+  "/:id(\\d+)/availability",
+  query(["from", "to"]).optional().isISO8601(),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const from = req.query.from ? new Date(req.query.from) : new Date();
+    const to = req.query.to
+      ? new Date(req.query.to)
+      : new Date(from.getTime() + 7 * DAY_MS);
+    if (to <= from || to - from > MAX_AVAILABILITY_DAYS * DAY_MS) {
+      return res.status(400).json({
+        errors: [
+          {
+            msg: `to must be after from and at most ${MAX_AVAILABILITY_DAYS} days later`,
+          },
+        ],
+      });
+    }
+
+    try {
+      const key = await findKey(req.db, req.params.id);
+      if (!key) {
+        return res.status(404).json({ error: "Key not found" });
+      }
+
+      const range = { from: toTimestamp(from), to: toTimestamp(to) };
+      const { busy, free } = await getAvailability(
+        req.db,
+        key.id,
+        range.from,
+        range.to,
+      );
+
+      // Holders only learn who is behind their own bookings and loans
+      const visibleBusy =
+        req.user.role === ROLES.HOLDER
+          ? busy.map((period) =>
+              period.userId === req.user.id
+                ? period
+                : { ...period, userId: null, email: null },
+            )
+          : busy;
+
+      res.json({
+        keyId: key.id,
+        status: key.status,
+        ...range,
+        busy: visibleBusy,
+        free,
+      });
+    } catch (error) {
+      res.status(500).json({ error: "Error fetching key availability" });
+    }
+  },
+);
+
+/**
+ * @openapi
+ * /api/keys/{id}:
+ *   put:
+ *     summary: Update a key
+ *     tags: [Keys]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID of the key
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               identifier:
+ *                 type: string
+ *                 description: New key identifier
+ *               type:
+ *                 type: string
+ *                 enum: [grand_master, master, sub_master, single_door, cabinet]
+ *                 description: Key type
+ *               parentId:
+ *                 type: integer
+ *                 nullable: true
+ *                 description: ID of the key directly above this key, which must be of a higher-ranking type (grand_master > master > sub_master > single_door, cabinet)
+ *               locationId:
+ *                 type: integer
+ *                 description: ID of the key's home location
+ *               copies:
+ *                 type: integer
+ *                 minimum: 1
+ *                 description: Number of physical copies
+ *               doorIds:
+ *                 type: array
+ *                 items:
+ *                   type: integer
+ *                 description: IDs of the doors the key opens (replaces the current mapping)
+ *     responses:
+ *       200:
+ *         description: Key updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   description: Success message
+ *       400:
+ *         description: Validation errors, key identifier already exists or invalid parent/location/doors
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 errors:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       msg:
+ *                         type: string
+ *                         description: Error message
+ *                 error:
+ *                   type: string
+ *                   description: Error message
+ *       403:
+ *         description: Insufficient permissions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   description: Error message
+ *       404:
+ *         description: Key not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   description: Error message
+ *       409:
+ *         description: The new type would not rank below the key's parent or above each of its child keys
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   description: Error message
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   description: Error message
+ */
+router.put(
+  "/:id",
+  authorizeRoles(ROLES.CUSTODIAN),
+  body("identifier").optional().notEmpty(),
+  ...keyMetadataValidators,
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const { doorIds } = req.body;
+      const changes = {};
+      for (const field of KEY_FIELDS) {
+        if (req.body[field] !== undefined) {
+          changes[field] = req.body[field];
+        }
+      }
+
+      if (Object.keys(changes).length === 0 && doorIds === undefined) {
+        return res.status(400).json({ error: "No valid updates provided" });
+      }
+
+      const referenceError = await checkKeyReferences(
+        req.db,
+        req.body,
+        req.params.id,
+      );
+      if (referenceError) {
+        return res.status(400).json({ error: referenceError });
+      }
+
+      const outcome = await withTransaction(req.db, async (db) => {
+        const before = await getKeySnapshot(db, req.params.id);
+        // Checked with the update so no child can be added in between
+        const typeError = await checkKeyTypeChange(
+          db,
+          req.params.id,
+          changes.type,
+          { parentId: changes.parentId },
+        );
+        if (typeError) {
+          return { status: 409, error: typeError };
+        }
+        if (!(await updateKey(db, req.params.id, changes))) {
+          return { status: 404, error: "Key not found" };
+        }
+        if (doorIds !== undefined) {
+          await replaceKeyDoors(db, req.params.id, doorIds);
+        }
+        await recordAudit(db, req, {
+          action: "keys.update",
+          entityType: "key",
+          entityId: req.params.id,
+          before,
+          after: await getKeySnapshot(db, req.params.id),
+        });
+        return {};
+      });
+
+      if (outcome.error) {
+        return res.status(outcome.status).json({ error: outcome.error });
+      }
+      res.json({ message: "Key updated successfully" });
+    } catch (error) {
+      if (isUniqueViolation(error)) {
+        return res.status(400).json({ error: "Key identifier already exists" });
+      }
+      res.status(500).json({ error: "Error updating key" });
+    }
+  },
+);
+
+/**
+ * @openapi
+ * /api/keys/{id}:
+ *   delete:
+ *     summary: Retire a key
+ *     description: Soft-deletes the key by moving it to the retired status. Keys that are currently assigned must be returned first.
+ *     tags: [Keys]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID of the key
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 description: Why the key is being retired
+ *     responses:
+ *       200:
+ *         description: Key retired successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   description: Success message
+ *       400:
+ *         description: Validation errors
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 errors:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       msg:
+ *                         type: string
+ *                         description: Error message
+ *       403:
+ *         description: Insufficient permissions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   description: Error message
+ *       404:
+ *         description: Key not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   description: Error message
+ *       409:
+ *         description: Key is already retired or still assigned
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   description: Error message
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   description: Error message
+ */
+router.delete(
+  "/:id",
+  authorizeRoles(ROLES.CUSTODIAN),
+  body("reason").isString().optional(),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const key = await findKey(req.db, req.params.id);
+      if (!key) {
+        return res.status(404).json({ error: "Key not found" });
+      }
+      if (!canTransition(key.status, KEY_STATUSES.RETIRED)) {
+        return res.status(409).json({ error: "Key is already retired" });
+      }
+
+      if (await findOpenAssignment(req.db, key.id)) {
+        return res
+          .status(409)
+          .json({ error: "Key must be returned before it is retired" });
+      }
+
+      await withTransaction(req.db, async (db) => {
+        await updateKeyStatus(
+          db,
+          key.id,
+          KEY_STATUSES.RETIRED,
+          req.body.reason || null,
+          req.user.id,
+        );
+        await recordAudit(db, req, {
+          action: "keys.retire",
+          entityType: "key",
+          entityId: key.id,
+          before: key,
+          after: await findKey(db, key.id),
+        });
+      });
+      await publishKeyStatus(req.db, key.id, key.status);
+      res.json({ message: "Key retired successfully" });
+    } catch (error) {
+      res.status(500).json({ error: "Error retiring key" });
+    }
+  },
+);
+
+/**
+ * @openapi
+ * /api/keys/{id}/status:
+ *   post:
+ *     summary: Change a key's status
+ *     description: |
+ *       Allowed transitions:
+ *       active → lost, stolen, damaged, retired;
+ *       lost → active, stolen, retired;
+ *       stolen → active, retired;
+ *       damaged → active, retired;
+ *       retired → active.
+ *       Only active keys can be assigned.
+ *     tags: [Keys]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID of the key
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - status
+ *               - reason
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: [active, lost, stolen, damaged, retired]
+ *                 description: New status
+ *               reason:
+ *                 type: string
+ *                 description: Note explaining the change
+ *     responses:
+ *       200:
+ *         description: Key status updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   description: Success message
+ *       400:
+ *         description: Validation errors
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 errors:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       msg:
+ *                         type: string
+ *                         description: Error message
+ *                 error:
+ *                   type: string
+ *                   description: Error message
+ *       403:
+ *         description: Insufficient permissions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   description: Error message
+ *       404:
+ *         description: Key not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   description: Error message
+ *       409:
+ *         description: Transition not allowed from the current status
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   description: Error message
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   description: Error message
+ */
+router.post(
+  "/:id/status",
+  authorizeRoles(ROLES.CUSTODIAN),
+  body("status").isIn(Object.values(KEY_STATUSES)),
+  body("reason").isString().trim().notEmpty(),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const { status, reason } = req.body;
+      const key = await findKey(req.db, req.params.id);
+      if (!key) {
+        return res.status(404).json({ error: "Key not found" });
+      }
+      if (!canTransition(key.status, status)) {
+        return res.status(409).json({
+          error: `Cannot change key status from ${key.status} to ${status}`,
+        });
+      }
+
+      if (status === KEY_STATUSES.RETIRED) {
+        if (await findOpenAssignment(req.db, key.id)) {
+          return res
+            .status(409)
+            .json({ error: "Key must be returned before it is retired" });
+        }
+      }
+
+      await withTransaction(req.db, async (db) => {
+        await updateKeyStatus(db, key.id, status, reason, req.user.id);
+        await recordAudit(db, req, {
+          action: "keys.status",
+          entityType: "key",
+          entityId: key.id,
+          before: key,
+          after: await findKey(db, key.id),
+        });
+      });
+      await publishKeyStatus(req.db, key.id, key.status);
+      res.json({ message: "Key status updated successfully" });
+    } catch (error) {
+      res.status(500).json({ error: "Error updating key status" });
+    }
+  },
+);
+
 module.exports = router;
@@ -0,0 +1,590 @@
+// backend/src/routes/locations.js
+const express = require("express");
+const router = express.Router();
+const { body, validationResult } = require("express-validator");
+const { authorizeRoles, ROLES } = require("../middleware/auth");
+const { listQueryValidators } = require("../middleware/validators");
+const { recordAudit } = require("../services/audit");
+const { withTransaction } = require("../services/transaction");
+const { isUniqueViolation } = require("../db");
+const {
+  LOCATION_FIELDS,
+  LOCATION_SORT_FIELDS,
+  listLocations,
+  findLocation,
+  getLocationSnapshot,
+  listLocationDoors,
+  hasActiveDoors,
+  createLocation,
+  updateLocation,
+  deactivateLocation,
+} = require("../repositories/locations");
+
+/**
+ * @openapi
+ * /api/locations:
+ *   get:
+ *     summary: Get all active locations
+ *     tags: [Locations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [name, createdAt, -name, -createdAt]
+ *           default: name
+ *         description: Sort field; prefix with - for descending order
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 200
+ *           default: 50
+ *         description: Locations per page
+ *     responses:
+ *       200:
+ *         description: Page of locations
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 locations:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       id:
+ *                         type: integer
+ *                         description: Location ID
+ *                       name:
+ *                         type: string
+ *                         description: Location name
+ *                       building:
+ *                         type: string
+ *                         description: Building the location is in
+ *                       floor:
+ *                         type: string
+ *                         description: Floor
+ *                       room:
+ *                         type: string
+ *                         description: Room number or name
+ *                       description:
+ *                         type: string
+ *                         description: Free-text description
+ *                       doorCount:
+ *                         type: integer
+ *                         description: Number of active doors at the location
+ *                 page:
+ *                   type: integer
+ *                   description: Page number
+ *                 limit:
+ *                   type: integer
+ *                   description: Locations per page
+ *                 total:
+ *                   type: integer
+ *                   description: Number of matching locations
+ *       400:
+ *         description: Validation errors
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 errors:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       msg:
+ *                         type: string
+ *                         description: Error message
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   description: Error message
+ */
+router.get(
+  "/",
+  ...listQueryValidators(LOCATION_SORT_FIELDS),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const { rows, ...pagination } = await listLocations(req.db, {
+        ...req.query,
+        sort: req.query.sort || "name",
+      });
+      res.json({ locations: rows, ...pagination });
+    } catch (error) {
+      res.status(500).json({ error: "Error fetching locations" });
+    }
+  },
+);
+
+/**
+ * @openapi
+ * /api/locations/{id}:
+ *   get:
+ *     summary: Get a location with its doors
+ *     tags: [Locations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID of the location
+ *     responses:
+ *       200:
+ *         description: Location details
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 id:
+ *                   type: integer
+ *                   description: Location ID
+ *                 name:
+ *                   type: string
+ *                   description: Location name
+ *                 doors:
+ *                   type: array
+ *                   description: Active doors at the location
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       id:
+ *                         type: integer
+ *                         description: Door ID
+ *                       name:
+ *                         type: string
+ *                         description: Door name
+ *                       lockIdentifier:
+ *                         type: string
+ *                         description: Identifier of the lock or cylinder
+ *       404:
+ *         description: Location not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   description: Error message
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   description: Error message
+ */
+router.get("/:id", async (req, res) => {
+  try {
+    const location = await findLocation(req.db, req.params.id);
+    if (!location) {
+      return res.status(404).json({ error: "Location not found" });
+    }
+
+    const doors = await listLocationDoors(req.db, location.id);
+    res.json({ ...location, doors });
+  } catch (error) {
+    res.status(500).json({ error: "Error fetching location" });
+  }
+});
+
+/**
+ * @openapi
+ * /api/locations:
+ *   post:
+ *     summary: Create a new location
+ *     tags: [Locations]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 description: Location name
+ *               building:
+ *                 type: string
+ *                 description: Building the location is in
+ *               floor:
+ *                 type: string
+ *                 description: Floor
+ *               room:
+ *                 type: string
+ *                 description: Room number or name
+ *               description:
+ *                 type: string
+ *                 description: Free-text description
+ *     responses:
+ *       201:
+ *         description: Location created successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 id:
+ *                   type: integer
+ *                   description: Location ID
+ *                 name:
+ *                   type: string
+ *                   description: Location name
+ *       400:
+ *         description: Validation errors or location name already exists
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 errors:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       msg:
+ *                         type: string
+ *                         description: Error message
+ *                 error:
+ *                   type: string
+ *                   description: Error message
+ *       403:
+ *         description: Insufficient permissions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   description: Error message
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   description: Error message
+ */
+router.post(
+  "/",
+  authorizeRoles(ROLES.CUSTODIAN),
+  body("name").isString().trim().notEmpty(),
+  body(["building", "floor", "room", "description"])
+    .optional({ values: "null" })
+    .isString(),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const id = await withTransaction(req.db, async (db) => {
+        const id = await createLocation(db, req.body);
+        await recordAudit(db, req, {
+          action: "locations.create",
+          entityType: "location",
+          entityId: id,
+          after: await getLocationSnapshot(db, id),
+        });
+        return id;
+      });
+      res.status(201).json({ id, name: req.body.name });
+    } catch (error) {
+      if (isUniqueViolation(error)) {
+        return res.status(400).json({ error: "Location name already exists" });
+      }
+      res.status(500).json({ error: "Error creating location" });
+    }
+  },
+);
+
+/**
+ * @openapi
+ * /api/locations/{id}:
+ *   put:
+ *     summary: Update a location
+ *     tags: [Locations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID of the location to update
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 description: Location name
+ *               building:
+ *                 type: string
+ *                 description: Building the location is in
+ *               floor:
+ *                 type: string
+ *                 description: Floor
+ *               room:
+ *                 type: string
+ *                 description: Room number or name
+ *               description:
+ *                 type: string
+ *                 description: Free-text description
+ *     responses:
+ *       200:
+ *         description: Location updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   description: Success message
+ *       400:
+ *         description: Validation errors, name already exists or no valid updates provided
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 errors:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       msg:
+ *                         type: string
+ *                         description: Error message
+ *                 error:
+ *                   type: string
+ *                   description: Error message
+ *       403:
+ *         description: Insufficient permissions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   description: Error message
+ *       404:
+ *         description: Location not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   description: Error message
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   description: Error message
+ */
+router.put(
+  "/:id",
+  authorizeRoles(ROLES.CUSTODIAN),
+  body("name").optional().isString().trim().notEmpty(),
+  body(["building", "floor", "room", "description"])
+    .optional({ values: "null" })
+    .isString(),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const changes = {};
+      for (const field of LOCATION_FIELDS) {
+        if (req.body[field] !== undefined) {
+          changes[field] = req.body[field];
+        }
+      }
+
+      if (Object.keys(changes).length === 0) {
+        return res.status(400).json({ error: "No valid updates provided" });
+      }
+
+      const updated = await withTransaction(req.db, async (db) => {
+        const before = await getLocationSnapshot(db, req.params.id);
+        if (!(await updateLocation(db, req.params.id, changes))) {
+          return false;
+        }
+        await recordAudit(db, req, {
+          action: "locations.update",
+          entityType: "location",
+          entityId: req.params.id,
+          before,
+          after: await getLocationSnapshot(db, req.params.id),
+        });
+        return true;
+      });
+      if (!updated) {
+        return res.status(404).json({ error: "Location not found" });
+      }
+
+      res.json({ message: "Location updated successfully" });
+    } catch (error) {
+      if (isUniqueViolation(error)) {
+        return res.status(400).json({ error: "Location name already exists" });
+      }
+      res.status(500).json({ error: "Error updating location" });
+    }
+  },
+);
+
+/**
+ * @openapi
+ * /api/locations/{id}:
+ *   delete:
+ *     summary: Deactivate a location
+ *     description: Locations that still have active doors cannot be deactivated.
+ *     tags: [Locations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID of the location to deactivate
+ *     responses:
+ *       200:
+ *         description: Location deactivated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   description: Success message
+ *       403:
+ *         description: Insufficient permissions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   description: Error message
+ *       404:
+ *         description: Location not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   description: Error message
+ *       409:
+ *         description: Location still has active doors
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   description: Error message
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   description: Error message
+ */
+router.delete("/:id", authorizeRoles(ROLES.CUSTODIAN), async (req, res) => {
+  try {
+    if (await hasActiveDoors(req.db, req.params.id)) {
+      return res.status(409).json({ error: "Location still has active doors" });
+    }
+
+    const deactivated = await withTransaction(req.db, async (db) => {
+      const before = await getLocationSnapshot(db, req.params.id);
+      if (!(await deactivateLocation(db, req.params.id))) {
+        return false;
+      }
+      await recordAudit(db, req, {
+        action: "locations.deactivate",
+        entityType: "location",
+        entityId: req.params.id,
+        before,
+        after: await getLocationSnapshot(db, req.params.id),
+      });
+      return true;
+    });
+    if (!deactivated) {
+      return res.status(404).json({ error: "Location not found" });
+    }
+
+    res.json({ message: "Location deactivated successfully" });
+  } catch (error) {
+    res.status(500).json({ error: "Error deactivating location" });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,256 @@
+// backend/src/routes/reports.js
+const express = require("express");
+const router = express.Router();
+const { query, validationResult } = require("express-validator");
+const { authorizeRoles, ROLES } = require("../middleware/auth");
+const {
+  reports,
+  buildReport,
+  reportToCsv,
+  reportToPdf,
+} = require("../services/reports");
+
+const DEFAULT_REPORT_DAYS = 30;
+const REPORT_FORMATS = ["json", "csv", "pdf"];
+
+/**
+ * @openapi
+ * /api/reports:
+ *   get:
+ *     summary: List the available reports
+ *     tags: [Reports]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Available reports
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 type: object
+ *                 properties:
+ *                   report:
+ *                     type: string
+ *                     description: Report name used in the URL
+ *                   title:
+ *                     type: string
+ *                     description: Report title
+ *                   description:
+ *                     type: string
+ *                     description: What the report covers
+ *                   columns:
+ *                     type: array
+ *                     items:
+ *                       type: string
+ *                     description: Row fields included in CSV and PDF exports
+ *       403:
+ *         description: Insufficient permissions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   description: Error message
+ */
+router.get("/", authorizeRoles(ROLES.CUSTODIAN), (req, res) => {
+  res.json(
+    Object.entries(reports).map(
+      ([report, { title, description, columns }]) => ({
+        report,
+        title,
+        description,
+        columns: columns.map((column) => column.key),
+      }),
+    ),
+  );
+});
+
+/**
+ * @openapi
+ * /api/reports/{report}:
+ *   get:
+ *     summary: Run a custody or usage report
+ *     description: |
+ *       - holdings: keys held at the end of the period (use the current time for today's holdings)
+ *       - unreturned: keys assigned during the period that have never been returned
+ *       - loan-duration: average and longest loan per key for loans returned during the period
+ *       - most-borrowed: keys with the most loans started during the period
+ *
+ *       The period defaults to the last 30 days. Times are UTC.
+ *     tags: [Reports]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: report
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [holdings, unreturned, loan-duration, most-borrowed]
+ *         description: Report to run
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Start of the period (inclusive)
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: End of the period (exclusive); defaults to now
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [json, csv, pdf]
+ *           default: json
+ *         description: Response format; csv and pdf are sent as downloads
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 10
+ *         description: Number of keys to include (most-borrowed only)
+ *     responses:
+ *       200:
+ *         description: Report
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 report:
+ *                   type: string
+ *                   description: Report name
+ *                 title:
+ *                   type: string
+ *                   description: Report title
+ *                 description:
+ *                   type: string
+ *                   description: What the report covers
+ *                 from:
+ *                   type: string
+ *                   format: date-time
+ *                   description: Start of the period
+ *                 to:
+ *                   type: string
+ *                   format: date-time
+ *                   description: End of the period
+ *                 generatedAt:
+ *                   type: string
+ *                   format: date-time
+ *                   description: When the report was generated
+ *                 summary:
+ *                   type: object
+ *                   description: Totals for the period, e.g. number of loans
+ *                 rows:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                   description: One row per assignment or key, depending on the report
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *           application/pdf:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       400:
+ *         description: Validation errors
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 errors:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       msg:
+ *                         type: string
+ *                         description: Error message
+ *       403:
+ *         description: Insufficient permissions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   description: Error message
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   description: Error message
+ */
+router.get(
+  "/:report(holdings|unreturned|loan-duration|most-borrowed)",
+  authorizeRoles(ROLES.CUSTODIAN),
+  query(["from", "to"]).optional().isISO8601(),
+  query("format").optional().isIn(REPORT_FORMATS),
+  query("limit").optional().isInt({ min: 1, max: 100 }),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    // Timestamps are stored to the second, so the default end is the start
+    // of the next second to include loans recorded just now
+    const to = req.query.to
+      ? new Date(req.query.to)
+      : new Date(Math.floor(Date.now() / 1000) * 1000 + 1000);
+    const from = req.query.from
+      ? new Date(req.query.from)
+      : new Date(to.getTime() - DEFAULT_REPORT_DAYS * 24 * 60 * 60 * 1000);
+    if (to <= from) {
+      return res
+        .status(400)
+        .json({ errors: [{ msg: "to must be after from" }] });
+    }
+
+    try {
+      const result = await buildReport(req.db, req.params.report, {
+        from,
+        to,
+        limit: Number(req.query.limit) || 10,
+      });
+      const fileName = `${result.report}-${result.from.slice(0, 10)}-${result.to.slice(0, 10)}`;
+
+      switch (req.query.format) {
+        case "csv":
+          return res
+            .type("text/csv")
+            .attachment(`${fileName}.csv`)
+            .send(reportToCsv(result));
+        case "pdf":
+          return res
+            .type("application/pdf")
+            .attachment(`${fileName}.pdf`)
+            .send(await reportToPdf(result));
+        default:
+          res.json(result);
+      }
+    } catch (error) {
+      res.status(500).json({ error: "Error generating report" });
+    }
+  },
+);
+
+module.exports = router;
@@ -0,0 +1,611 @@
+// backend/src/routes/reservations.js
+const express = require("express");
+const router = express.Router();
+const { body, query, validationResult } = require("express-validator");
+const { ROLES } = require("../middleware/auth");
+const { isAssignable } = require("../services/keyStatus");
+const { findConflicts } = require("../services/reservations");
+const { withTransaction } = require("../services/transaction");
+const { toTimestamp } = require("../services/dates");
+const { notify } = require("../services/notifications");
+const { recordAudit } = require("../services/audit");
+const { listQueryValidators } = require("../middleware/validators");
+const { queryFlag } = require("../services/listing");
+const { findKey } = require("../repositories/keys");
+const { findActiveUser } = require("../repositories/users");
+const {
+  RESERVATION_SORT_FIELDS,
+  getReservation,
+  listReservations,
+  createReservation,
+  cancelReservation,
+} = require("../repositories/reservations");
+
+const canSee = (reservation, user) =>
+  user.role !== ROLES.HOLDER ||
+  reservation.reservedFor === user.id ||
+  reservation.reservedBy === user.id;
+
+/**
+ * @openapi
+ * /api/reservations:
+ *   post:
+ *     summary: Reserve a key for a time window
+ *     description: Holders can only reserve keys for themselves. The window must not overlap the key's open assignment or another active reservation.
+ *     tags: [Reservations]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - keyId
+ *               - startsAt
+ *               - endsAt
+ *             properties:
+ *               keyId:
+ *                 type: integer
+ *                 description: ID of the key to reserve
+ *               startsAt:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Start of the reservation
+ *               endsAt:
+ *                 type: string
+ *                 format: date-time
+ *                 description: End of the reservation
+ *               reservedFor:
+ *                 type: integer
+ *                 description: ID of the user the key is reserved for (defaults to you)
+ *               purpose:
+ *                 type: string
+ *                 description: What the key is needed for
+ *     responses:
+ *       201:
+ *         description: Reservation created successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 id:
+ *                   type: integer
+ *                   description: Reservation ID
+ *                 startsAt:
+ *                   type: string
+ *                   format: date-time
+ *                   description: Start of the reservation (UTC)
+ *                 endsAt:
+ *                   type: string
+ *                   format: date-time
+ *                   description: End of the reservation (UTC)
+ *       400:
+ *         description: Validation errors, invalid user or key cannot be reserved
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 errors:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       msg:
+ *                         type: string
+ *                         description: Error message
+ *                 error:
+ *                   type: string
+ *                   description: Error message
+ *       403:
+ *         description: Insufficient permissions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   description: Error message
+ *       404:
+ *         description: Key not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   description: Error message
+ *       409:
+ *         description: The key is busy during the requested window
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   description: Error message
+ *                 conflicts:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       type:
+ *                         type: string
+ *                         enum: [assignment, reservation]
+ *                         description: What makes the key busy
+ *                       startsAt:
+ *                         type: string
+ *                         format: date-time
+ *                         description: Start of the busy period
+ *                       endsAt:
+ *                         type: string
+ *                         format: date-time
+ *                         description: End of the busy period
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   description: Error message
+ */
+router.post(
+  "/",
+  body("keyId").isInt(),
+  body("startsAt").isISO8601(),
+  body("endsAt")
+    .isISO8601()
+    .bail()
+    .custom(
+      (value, { req }) =>
+        new Date(value) > new Date(req.body.startsAt) &&
+        new Date(value) > new Date(),
+    )
+    .withMessage("endsAt must be after startsAt and in the future"),
+  body("reservedFor").optional().isInt(),
+  body("purpose").optional({ values: "null" }).isString(),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const reservedFor = Number(req.body.reservedFor ?? req.user.id);
+    if (req.user.role === ROLES.HOLDER && reservedFor !== req.user.id) {
+      return res.status(403).json({ error: "Insufficient permissions" });
+    }
+
+    try {
+      const startsAt = toTimestamp(req.body.startsAt);
+      const endsAt = toTimestamp(req.body.endsAt);
+
+      const outcome = await withTransaction(req.db, async (db) => {
+        const key = await findKey(db, req.body.keyId);
+        if (!key) {
+          return { status: 404, error: "Key not found" };
+        }
+        if (!isAssignable(key)) {
+          return {
+            status: 400,
+            error: `Key cannot be reserved while ${key.status}`,
+          };
+        }
+
+        const user = await findActiveUser(db, reservedFor);
+        if (!user) {
+          return { status: 400, error: "User not found" };
+        }
+
+        const conflicts = await findConflicts(db, key.id, startsAt, endsAt);
+        if (conflicts.length > 0) {
+          return {
+            status: 409,
+            error: "Key is not available during this window",
+            conflicts: conflicts.map(({ type, startsAt, endsAt }) => ({
+              type,
+              startsAt,
+              endsAt,
+            })),
+          };
+        }
+
+        const id = await createReservation(db, {
+          keyId: key.id,
+          reservedFor: user.id,
+          reservedBy: req.user.id,
+          startsAt,
+          endsAt,
+          purpose: req.body.purpose || null,
+        });
+        await recordAudit(db, req, {
+          action: "reservations.create",
+          entityType: "reservation",
+          entityId: id,
+          after: await getReservation(db, id),
+        });
+        return { id, key, user };
+      });
+
+      if (outcome.error) {
+        const { status, ...error } = outcome;
+        return res.status(status).json(error);
+      }
+
+      if (outcome.user.id !== req.user.id) {
+        await notify([outcome.user.email], {
+          subject: `Key ${outcome.key.identifier} reserved for you`,
+          text: `${req.user.email} reserved key ${outcome.key.identifier} for you from ${startsAt} to ${endsAt} UTC.`,
+        });
+      }
+
+      res.status(201).json({ id: outcome.id, startsAt, endsAt });
+    } catch (error) {
+      res.status(500).json({ error: "Error creating reservation" });
+    }
+  },
+);
+
+/**
+ * @openapi
+ * /api/reservations:
+ *   get:
+ *     summary: Get reservations
+ *     description: Holders only see reservations made by or for themselves. Cancelled reservations are left out unless requested.
+ *     tags: [Reservations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: keyId
+ *         schema:
+ *           type: integer
+ *         description: Only return reservations of this key
+ *       - in: query
+ *         name: userId
+ *         schema:
+ *           type: integer
+ *         description: Only return reservations for this user
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Only return reservations ending after this time
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Only return reservations starting before this time
+ *       - in: query
+ *         name: includeCancelled
+ *         schema:
+ *           type: boolean
+ *         description: Also return cancelled reservations
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [startsAt, endsAt, createdAt, -startsAt, -endsAt, -createdAt]
+ *           default: startsAt
+ *         description: Sort field; prefix with - for descending order
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 200
+ *           default: 50
+ *         description: Reservations per page
+ *     responses:
+ *       200:
+ *         description: Page of reservations
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 reservations:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       id:
+ *                         type: integer
+ *                         description: Reservation ID
+ *                       keyId:
+ *                         type: integer
+ *                         description: Key ID
+ *                       identifier:
+ *                         type: string
+ *                         description: Key identifier
+ *                       reservedFor:
+ *                         type: integer
+ *                         description: ID of the user the key is reserved for
+ *                       reservedForEmail:
+ *                         type: string
+ *                         format: email
+ *                         description: Email of the user the key is reserved for
+ *                       reservedBy:
+ *                         type: integer
+ *                         description: ID of the user who made the reservation
+ *                       reservedByEmail:
+ *                         type: string
+ *                         format: email
+ *                         description: Email of the user who made the reservation
+ *                       startsAt:
+ *                         type: string
+ *                         format: date-time
+ *                         description: Start of the reservation
+ *                       endsAt:
+ *                         type: string
+ *                         format: date-time
+ *                         description: End of the reservation
+ *                       purpose:
+ *                         type: string
+ *                         description: What the key is needed for
+ *                       cancelledAt:
+ *                         type: string
+ *                         format: date-time
+ *                         description: Timestamp of cancellation (if cancelled)
+ *                 page:
+ *                   type: integer
+ *                   description: Page number
+ *                 limit:
+ *                   type: integer
+ *                   description: Reservations per page
+ *                 total:
+ *                   type: integer
+ *                   description: Number of matching reservations
+ *       400:
+ *         description: Validation errors
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 errors:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       msg:
+ *                         type: string
+ *                         description: Error message
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   description: Error message
+ */
+router.get(
+  "/",
+  query(["keyId", "userId"]).optional().isInt(),
+  query(["from", "to"]).optional().isISO8601(),
+  query("includeCancelled").optional().isBoolean(),
+  ...listQueryValidators(RESERVATION_SORT_FIELDS),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const { rows, ...pagination } = await listReservations(
+        req.db,
+        { ...req.query, sort: req.query.sort || "startsAt" },
+        {
+          participantId:
+            req.user.role === ROLES.HOLDER ? req.user.id : undefined,
+          keyId: req.query.keyId,
+          reservedFor: req.query.userId,
+          from: req.query.from,
+          to: req.query.to,
+          includeCancelled: queryFlag(req.query.includeCancelled),
+        },
+      );
+      res.json({ reservations: rows, ...pagination });
+    } catch (error) {
+      res.status(500).json({ error: "Error fetching reservations" });
+    }
+  },
+);
+
+/**
+ * @openapi
+ * /api/reservations/{id}:
+ *   get:
+ *     summary: Get a reservation
+ *     tags: [Reservations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID of the reservation
+ *     responses:
+ *       200:
+ *         description: Reservation details
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 id:
+ *                   type: integer
+ *                   description: Reservation ID
+ *                 keyId:
+ *                   type: integer
+ *                   description: Key ID
+ *                 identifier:
+ *                   type: string
+ *                   description: Key identifier
+ *                 reservedForEmail:
+ *                   type: string
+ *                   format: email
+ *                   description: Email of the user the key is reserved for
+ *                 startsAt:
+ *                   type: string
+ *                   format: date-time
+ *                   description: Start of the reservation
+ *                 endsAt:
+ *                   type: string
+ *                   format: date-time
+ *                   description: End of the reservation
+ *       404:
+ *         description: Reservation not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   description: Error message
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   description: Error message
+ */
+router.get("/:id", async (req, res) => {
+  try {
+    const reservation = await getReservation(req.db, req.params.id);
+    if (!reservation || !canSee(reservation, req.user)) {
+      return res.status(404).json({ error: "Reservation not found" });
+    }
+    res.json(reservation);
+  } catch (error) {
+    res.status(500).json({ error: "Error fetching reservation" });
+  }
+});
+
+/**
+ * @openapi
+ * /api/reservations/{id}:
+ *   delete:
+ *     summary: Cancel a reservation
+ *     description: Holders can only cancel reservations made by or for themselves. Reservations that have ended cannot be cancelled.
+ *     tags: [Reservations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID of the reservation
+ *     responses:
+ *       200:
+ *         description: Reservation cancelled successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   description: Success message
+ *       404:
+ *         description: Reservation not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   description: Error message
+ *       409:
+ *         description: Reservation is already cancelled or has ended
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   description: Error message
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   description: Error message
+ */
+router.delete("/:id", async (req, res) => {
+  try {
+    const reservation = await getReservation(req.db, req.params.id);
+    if (!reservation || !canSee(reservation, req.user)) {
+      return res.status(404).json({ error: "Reservation not found" });
+    }
+
+    const cancelled = await withTransaction(req.db, async (db) => {
+      if (!(await cancelReservation(db, reservation.id, req.user.id))) {
+        return false;
+      }
+      await recordAudit(db, req, {
+        action: "reservations.cancel",
+        entityType: "reservation",
+        entityId: reservation.id,
+        before: reservation,
+        after: await getReservation(db, reservation.id),
+      });
+      return true;
+    });
+    if (!cancelled) {
+      return res.status(409).json({
+        error: reservation.cancelledAt
+          ? "Reservation is already cancelled"
+          : "Reservation has already ended",
+      });
+    }
+
+    if (reservation.reservedFor !== req.user.id) {
+      await notify([reservation.reservedForEmail], {
+        subject: `Reservation of key ${reservation.identifier} cancelled`,
+        text: `${req.user.email} cancelled your reservation of key ${reservation.identifier} from ${reservation.startsAt} to ${reservation.endsAt} UTC.`,
+      });
+    }
+
+    res.json({ message: "Reservation cancelled successfully" });
+  } catch (error) {
+    res.status(500).json({ error: "Error cancelling reservation" });
+  }
+});
+
+module.exports = router;
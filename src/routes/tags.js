@@ -0,0 +1,706 @@
+// backend/src/routes/tags.js
+// Printable key tags and the scan endpoints that resolve a tag back to its key
+const express = require("express");
+const router = express.Router();
+const { body, query, validationResult } = require("express-validator");
+const { authorizeRoles, ROLES } = require("../middleware/auth");
+const { isAssignable } = require("../services/keyStatus");
+const { withTransaction } = require("../services/transaction");
+const { toTimestamp } = require("../services/dates");
+const { assignKey, returnKey } = require("../services/assignments");
+const { RETURN_CONDITIONS } = require("../services/returns");
+const { imageFields, removeUploads } = require("../middleware/upload");
+const { recordAudit } = require("../services/audit");
+const { publishAssignmentEvent } = require("../services/webhooks");
+const { publishAssignmentChange } = require("../services/liveEvents");
+const { assignmentValidators } = require("../middleware/validators");
+const {
+  TAG_SYMBOLOGIES,
+  TAG_FORMATS,
+  MAX_LABELS,
+  normalizeTagCode,
+  labelsToPng,
+  labelsToPdf,
+} = require("../services/tags");
+const {
+  findKeyByTag,
+  findKeyDetails,
+  listTagKeys,
+} = require("../repositories/keys");
+const {
+  findAssignment,
+  findCustody,
+  findReturn,
+} = require("../repositories/assignments");
+
+const renderers = {
+  png: { type: "image/png", render: labelsToPng },
+  pdf: { type: "application/pdf", render: labelsToPdf },
+};
+
+/**
+ * @openapi
+ * /api/tags/labels:
+ *   get:
+ *     summary: Download a sheet of printable key tags
+ *     description: Renders one QR or Code128 label per key, encoding the key's tag code with its identifier printed below. Pass either keyIds or locationId; a location prints every active key whose home location or doors are there. At most 100 labels per sheet.
+ *     tags: [Tags]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: keyIds
+ *         schema:
+ *           type: string
+ *         description: Comma-separated IDs of the keys to print tags for
+ *       - in: query
+ *         name: locationId
+ *         schema:
+ *           type: integer
+ *         description: Print tags for every active key at this location
+ *       - in: query
+ *         name: symbology
+ *         schema:
+ *           type: string
+ *           enum: [qr, code128]
+ *           default: qr
+ *         description: Barcode type to print
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [png, pdf]
+ *           default: pdf
+ *         description: A single PNG image or A4 PDF pages with cut lines
+ *     responses:
+ *       200:
+ *         description: Label sheet, sent as a download
+ *         content:
+ *           image/png:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *           application/pdf:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       400:
+ *         description: Validation errors
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 errors:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       msg:
+ *                         type: string
+ *                         description: Error message
+ *       403:
+ *         description: Insufficient permissions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   description: Error message
+ *       404:
+ *         description: Some keys were not found, or the location has no keys
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   description: Error message
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   description: Error message
+ */
+router.get(
+  "/labels",
+  authorizeRoles(ROLES.CUSTODIAN),
+  query("keyIds")
+    .optional()
+    .isString()
+    .withMessage("keyIds must be passed once")
+    .bail()
+    .matches(/^\d+(,\d+)*$/)
+    .withMessage("keyIds must be a comma-separated list of key IDs"),
+  query("locationId").optional().isString().bail().isInt(),
+  query("symbology")
+    .optional()
+    .isString()
+    .bail()
+    .isIn(Object.keys(TAG_SYMBOLOGIES)),
+  query("format").optional().isString().bail().isIn(TAG_FORMATS),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const { locationId, symbology = "qr", format = "pdf" } = req.query;
+      const keyIds = req.query.keyIds
+        ? [...new Set(req.query.keyIds.split(",").map(Number))]
+        : undefined;
+      if (!keyIds === !locationId) {
+        return res
+          .status(400)
+          .json({ errors: [{ msg: "Pass either keyIds or locationId" }] });
+      }
+      if (keyIds && keyIds.length > MAX_LABELS) {
+        return res.status(400).json({
+          errors: [{ msg: `At most ${MAX_LABELS} labels per sheet` }],
+        });
+      }
+
+      const keys = await listTagKeys(req.db, { keyIds, locationId });
+      if (keyIds && keys.length < keyIds.length) {
+        const found = new Set(keys.map((key) => key.id));
+        return res.status(404).json({
+          error: `Keys not found: ${keyIds.filter((id) => !found.has(id)).join(", ")}`,
+        });
+      }
+      if (keys.length === 0) {
+        return res
+          .status(404)
+          .json({ error: "No active keys at this location" });
+      }
+      if (keys.length > MAX_LABELS) {
+        return res.status(400).json({
+          errors: [
+            {
+              msg: `Location has ${keys.length} keys; at most ${MAX_LABELS} labels per sheet`,
+            },
+          ],
+        });
+      }
+
+      const { type, render } = renderers[format];
+      res
+        .type(type)
+        .attachment(`key-tags-${symbology}.${format}`)
+        .send(await render(keys, symbology));
+    } catch (error) {
+      res.status(500).json({ error: "Error rendering key tags" });
+    }
+  },
+);
+
+/**
+ * @openapi
+ * /api/tags/{code}:
+ *   get:
+ *     summary: Look up a scanned key tag
+ *     description: Resolves a tag code to its key and who holds the key right now. Holders only learn the holder of keys they hold themselves.
+ *     tags: [Tags]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: code
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Tag code read from the label
+ *     responses:
+ *       200:
+ *         description: Key and its custody state
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 id:
+ *                   type: integer
+ *                   description: Key ID
+ *                 identifier:
+ *                   type: string
+ *                   description: Key identifier
+ *                 type:
+ *                   type: string
+ *                   description: Key type
+ *                 status:
+ *                   type: string
+ *                   description: Lifecycle status of the key
+ *                 tagCode:
+ *                   type: string
+ *                   description: Code printed on the key's tag
+ *                 locationName:
+ *                   type: string
+ *                   description: Name of the key's home location
+ *                 isAssigned:
+ *                   type: boolean
+ *                   description: Whether the key is currently checked out
+ *                 canAssign:
+ *                   type: boolean
+ *                   description: Whether the key can be checked out now
+ *                 assignment:
+ *                   type: object
+ *                   nullable: true
+ *                   description: The open assignment; null when the key is in or held by someone else (holders)
+ *                   properties:
+ *                     id:
+ *                       type: integer
+ *                       description: Key assignment ID
+ *                     assignedTo:
+ *                       type: integer
+ *                       description: ID of the holder
+ *                     assignedToEmail:
+ *                       type: string
+ *                       format: email
+ *                       description: Email of the holder
+ *                     assignedToName:
+ *                       type: string
+ *                       description: Display name of the holder
+ *                     assignedAt:
+ *                       type: string
+ *                       format: date-time
+ *                       description: Timestamp of key assignment
+ *                     dueAt:
+ *                       type: string
+ *                       format: date-time
+ *                       description: Expected return time (if set)
+ *                     isOverdue:
+ *                       type: boolean
+ *                       description: Whether the due time has passed
+ *       404:
+ *         description: No key has this tag
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   description: Error message
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   description: Error message
+ */
+router.get("/:code", async (req, res) => {
+  try {
+    const tagged = await findKeyByTag(
+      req.db,
+      normalizeTagCode(req.params.code),
+    );
+    if (!tagged) {
+      return res.status(404).json({ error: "Tag not found" });
+    }
+
+    const key = await findKeyDetails(req.db, tagged.id);
+    const custody = await findCustody(req.db, key.id);
+    const visible =
+      custody &&
+      (req.user.role !== ROLES.HOLDER || custody.assignedTo === req.user.id);
+
+    res.json({
+      ...key,
+      isAssigned: Boolean(custody),
+      canAssign: !custody && isAssignable(key),
+      assignment: visible
+        ? { ...custody, isOverdue: Boolean(custody.isOverdue) }
+        : null,
+    });
+  } catch (error) {
+    res.status(500).json({ error: "Error looking up tag" });
+  }
+});
+
+/**
+ * @openapi
+ * /api/tags/{code}/assign:
+ *   post:
+ *     summary: Check out the key with a scanned tag
+ *     description: Same checks as assigning by key ID. Another user's reservation within the loan period blocks the assignment unless override is set.
+ *     tags: [Tags]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: code
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Tag code read from the label
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - assignedTo
+ *             properties:
+ *               assignedTo:
+ *                 type: integer
+ *                 description: ID of the user to assign the key to
+ *               dueAt:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Optional expected return time; must be in the future
+ *               override:
+ *                 type: boolean
+ *                 description: Assign even if another user has reserved the key
+ *     responses:
+ *       201:
+ *         description: Key assigned successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 id:
+ *                   type: integer
+ *                   description: ID of the new key assignment
+ *                 keyId:
+ *                   type: integer
+ *                   description: ID of the scanned key
+ *                 identifier:
+ *                   type: string
+ *                   description: Identifier of the scanned key
+ *                 dueAt:
+ *                   type: string
+ *                   format: date-time
+ *                   description: Expected return time, if set
+ *       400:
+ *         description: Validation errors, key not assignable or assignee not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 errors:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       msg:
+ *                         type: string
+ *                         description: Error message
+ *                 error:
+ *                   type: string
+ *                   description: Error message
+ *       403:
+ *         description: Insufficient permissions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   description: Error message
+ *       404:
+ *         description: No key has this tag
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   description: Error message
+ *       409:
+ *         description: Another user has reserved the key within the loan period
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   description: Error message
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   description: Error message
+ */
+router.post(
+  "/:code/assign",
+  authorizeRoles(ROLES.CUSTODIAN),
+  ...assignmentValidators,
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const key = await findKeyByTag(req.db, normalizeTagCode(req.params.code));
+      if (!key) {
+        return res.status(404).json({ error: "Tag not found" });
+      }
+
+      const dueAt = req.body.dueAt ? toTimestamp(req.body.dueAt) : null;
+      const result = await withTransaction(req.db, async (db) => {
+        const result = await assignKey(db, {
+          keyId: key.id,
+          assignedTo: req.body.assignedTo,
+          assignedBy: req.user.id,
+          dueAt,
+          override: req.body.override === true,
+        });
+        if (!result.error) {
+          await recordAudit(db, req, {
+            action: "keys.assign",
+            entityType: "assignment",
+            entityId: result.id,
+            after: {
+              ...(await findAssignment(db, result.id)),
+              override: req.body.override === true,
+              scanned: true,
+            },
+          });
+        }
+        return result;
+      });
+      if (result.error) {
+        return res.status(result.status).json({ error: result.error });
+      }
+      await publishAssignmentEvent(req.db, "key.assigned", result.id);
+      await publishAssignmentChange(req.db, "key.assigned", result.id);
+
+      res.status(201).json({
+        id: result.id,
+        keyId: key.id,
+        identifier: key.identifier,
+        dueAt,
+      });
+    } catch (error) {
+      res.status(500).json({ error: "Error assigning key" });
+    }
+  },
+);
+
+/**
+ * @openapi
+ * /api/tags/{code}/return:
+ *   post:
+ *     summary: Check in the key with a scanned tag
+ *     description: Same as returning by key ID. A signature or photo can be attached as a multipart upload. Keys returned damaged are marked as damaged.
+ *     tags: [Tags]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: code
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Tag code read from the label
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - condition
+ *             properties:
+ *               condition:
+ *                 type: string
+ *                 enum: [good, worn, damaged]
+ *                 description: Condition the key came back in
+ *               notes:
+ *                 type: string
+ *                 description: Optional notes about the return
+ *               signature:
+ *                 type: string
+ *                 format: binary
+ *                 description: Optional PNG, JPEG or WebP image of the returner's signature
+ *               photo:
+ *                 type: string
+ *                 format: binary
+ *                 description: Optional PNG, JPEG or WebP photo of the returned key
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - condition
+ *             properties:
+ *               condition:
+ *                 type: string
+ *                 enum: [good, worn, damaged]
+ *                 description: Condition the key came back in
+ *               notes:
+ *                 type: string
+ *                 description: Optional notes about the return
+ *     responses:
+ *       200:
+ *         description: Key returned successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   description: Success message
+ *                 keyId:
+ *                   type: integer
+ *                   description: ID of the scanned key
+ *                 identifier:
+ *                   type: string
+ *                   description: Identifier of the scanned key
+ *                 assignmentId:
+ *                   type: integer
+ *                   description: ID of the closed key assignment
+ *                 receiptUrl:
+ *                   type: string
+ *                   description: Path of the downloadable custody receipt
+ *       400:
+ *         description: Validation errors or invalid upload
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 errors:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       msg:
+ *                         type: string
+ *                         description: Error message
+ *       403:
+ *         description: Insufficient permissions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   description: Error message
+ *       404:
+ *         description: No key has this tag
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   description: Error message
+ *       409:
+ *         description: Key is not currently assigned
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   description: Error message
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   description: Error message
+ */
+router.post(
+  "/:code/return",
+  authorizeRoles(ROLES.CUSTODIAN),
+  imageFields("signature", "photo"),
+  body("condition").isIn(RETURN_CONDITIONS),
+  body("notes").optional({ values: "null" }).isString(),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      removeUploads(req.files);
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const key = await findKeyByTag(req.db, normalizeTagCode(req.params.code));
+      if (!key) {
+        removeUploads(req.files);
+        return res.status(404).json({ error: "Tag not found" });
+      }
+
+      const [signature] = req.files?.signature || [];
+      const [photo] = req.files?.photo || [];
+      const outcome = await withTransaction(req.db, async (db) => {
+        const outcome = await returnKey(db, {
+          keyId: key.id,
+          receivedBy: req.user.id,
+          condition: req.body.condition,
+          notes: req.body.notes || null,
+          signatureFile: signature?.filename,
+          photoFile: photo?.filename,
+        });
+        if (!outcome.error) {
+          await recordAudit(db, req, {
+            action: "keys.return",
+            entityType: "assignment",
+            entityId: outcome.assignment.id,
+            before: outcome.assignment,
+            after: {
+              ...(await findAssignment(db, outcome.assignment.id)),
+              ...(await findReturn(db, outcome.assignment.id)),
+              scanned: true,
+            },
+          });
+        }
+        return outcome;
+      });
+
+      if (outcome.error) {
+        removeUploads(req.files);
+        return res.status(outcome.status).json({ error: outcome.error });
+      }
+
+      const { assignment } = outcome;
+      await publishAssignmentEvent(req.db, "key.returned", assignment.id);
+      await publishAssignmentChange(req.db, "key.returned", assignment.id);
+
+      res.json({
+        message: "Key returned successfully",
+        keyId: key.id,
+        identifier: key.identifier,
+        assignmentId: assignment.id,
+        receiptUrl: `/api/keys/assignments/${assignment.id}/receipt`,
+      });
+    } catch (error) {
+      removeUploads(req.files);
+      res.status(500).json({ error: "Error returning key" });
+    }
+  },
+);
+
+module.exports = router;
@@ -1,45 +1,264 @@
 // backend/src/routes/users.js
 const express = require("express");
 const router = express.Router();
-const bcrypt = require("bcryptjs");
-const { body, validationResult } = require("express-validator");
+const { body, query, validationResult } = require("express-validator");
+const { authorizeRoles, ROLES } = require("../middleware/auth");
+const {
+  createPendingUser,
+  createInvitation,
+  mailInvitation,
+  revokeInvitations,
+} = require("../services/invitations");
+const { revokeRefreshTokens } = require("../services/tokens");
+const { unlockAccount } = require("../services/loginThrottle");
+const { recordAudit } = require("../services/audit");
+const { withTransaction } = require("../services/transaction");
+const {
+  publishEvent,
+  publishAssignmentEvent,
+} = require("../services/webhooks");
+const { publishAssignmentChange } = require("../services/liveEvents");
+const { notify } = require("../services/notifications");
+const {
+  listKeysToReturn,
+  notifyManager,
+  getOffboardingChecklist,
+  reassignKeys,
+} = require("../services/offboarding");
+const {
+  userCreateValidators,
+  userProfileValidators,
+  listQueryValidators,
+} = require("../middleware/validators");
+const { queryFlag } = require("../services/listing");
+const { isUniqueViolation } = require("../db");
+const {
+  PROFILE_FIELDS,
+  USER_SORT_FIELDS,
+  listUsers,
+  getUserSnapshot,
+  findActiveUser,
+  findPendingUser,
+  isBadgeTaken,
+  updateUser,
+  deactivateUser,
+  listLockouts,
+  hasAdmin,
+} = require("../repositories/users");
+const { listHeldKeys } = require("../repositories/assignments");
+
+// Offboarding systems need to know which keys the user still holds
+const publishDeactivation = (db, userId) =>
+  publishEvent(db, "user.deactivated", async () => {
+    const user = await getUserSnapshot(db, userId);
+    return {
+      ...user,
+      isActive: Boolean(user.isActive),
+      isPending: Boolean(user.isPending),
+      heldKeys: await listHeldKeys(db, userId),
+    };
+  });
+
+// Deactivating a user who still holds keys is refused unless forced
+const stillHoldsKeys = (keys) => ({
+  error:
+    "User still holds keys; collect them or reassign them to a custodian first",
+  keys,
+});
+
+// Whether the changes would demote or deactivate the last active admin, after
+// which nobody could manage users
+const removesLastAdmin = async (db, userId, { role, isActive }) => {
+  const user = await getUserSnapshot(db, userId);
+  return (
+    user?.role === ROLES.ADMIN &&
+    Boolean(user.isActive) &&
+    !user.isPending &&
+    ((role !== undefined && role !== ROLES.ADMIN) || isActive === false) &&
+    !(await hasAdmin(db, { exceptId: user.id }))
+  );
+};
+
+const LAST_ADMIN_ERROR =
+  "The last active admin cannot be demoted or deactivated; make another user an admin first";
+
+// A forced deactivation leaves the keys with the user, so their manager is
+// asked to get them back
+const notifyForcedDeactivation = (db, user, keys) =>
+  notifyManager(db, user.id, {
+    subject: `${user.email} was deactivated with keys outstanding`,
+    text: `${user.email} was deactivated while still holding ${keys
+      .map((key) => key.identifier)
+      .join(
+        ", ",
+      )}. Please arrange for the keys to be returned to a key custodian.`,
+  });
 
 /**
  * @openapi
  * /api/users:
  *   get:
- *     summary: Get all users
+ *     summary: List users
  *     tags: [Users]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: active
+ *         schema:
+ *           type: boolean
+ *         description: Only return active (true) or deactivated (false) users
+ *       - in: query
+ *         name: pending
+ *         schema:
+ *           type: boolean
+ *         description: Only return users who have (false) or have not (true) accepted their invitation
+ *       - in: query
+ *         name: role
+ *         schema:
+ *           type: string
+ *           enum: [admin, custodian, holder]
+ *         description: Only return users with this role
+ *       - in: query
+ *         name: department
+ *         schema:
+ *           type: string
+ *         description: Only return users in this department
+ *       - in: query
+ *         name: createdFrom
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Only return users created at or after this time
+ *       - in: query
+ *         name: createdTo
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Only return users created before this time
+ *       - in: query
+ *         name: q
+ *         schema:
+ *           type: string
+ *         description: Only return users whose email or display name contains this text
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [email, displayName, role, department, createdAt, -email, -displayName, -role, -department, -createdAt]
+ *           default: email
+ *         description: Sort field; prefix with - for descending order
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 200
+ *           default: 50
+ *         description: Users per page
  *     responses:
  *       200:
- *         description: List of users
+ *         description: Page of users
  *         content:
  *           application/json:
  *             schema:
- *               type: array
- *               items:
- *                 type: object
- *                 properties:
- *                   id:
- *                     type: integer
- *                     description: User ID
- *                   email:
- *                     type: string
- *                     format: email
- *                     description: User's email address
- *                   isActive:
- *                     type: boolean
- *                     description: User active status
- *                   createdAt:
- *                     type: string
- *                     format: date-time
- *                     description: User creation timestamp
- *                   updatedAt:
- *                     type: string
- *                     format: date-time
- *                     description: User update timestamp
+ *               type: object
+ *               properties:
+ *                 users:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       id:
+ *                         type: integer
+ *                         description: User ID
+ *                       email:
+ *                         type: string
+ *                         format: email
+ *                         description: User's email address
+ *                       role:
+ *                         type: string
+ *                         enum: [admin, custodian, holder]
+ *                         description: User's role
+ *                       displayName:
+ *                         type: string
+ *                         description: User's display name
+ *                       phone:
+ *                         type: string
+ *                         description: User's phone number
+ *                       department:
+ *                         type: string
+ *                         description: User's department
+ *                       badgeId:
+ *                         type: string
+ *                         nullable: true
+ *                         description: Badge the user presents at key cabinets
+ *                       managerId:
+ *                         type: integer
+ *                         nullable: true
+ *                         description: ID of the user's manager
+ *                       managerEmail:
+ *                         type: string
+ *                         nullable: true
+ *                         description: Email of the user's manager
+ *                       isActive:
+ *                         type: boolean
+ *                         description: User active status
+ *                       isPending:
+ *                         type: boolean
+ *                         description: Whether the user has yet to accept their invitation
+ *                       keysHeld:
+ *                         type: integer
+ *                         description: Number of keys the user currently holds
+ *                       createdAt:
+ *                         type: string
+ *                         format: date-time
+ *                         description: User creation timestamp
+ *                       updatedAt:
+ *                         type: string
+ *                         format: date-time
+ *                         description: User update timestamp
+ *                 page:
+ *                   type: integer
+ *                   description: Page number
+ *                 limit:
+ *                   type: integer
+ *                   description: Users per page
+ *                 total:
+ *                   type: integer
+ *                   description: Number of matching users
+ *       400:
+ *         description: Validation errors
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 errors:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       msg:
+ *                         type: string
+ *                         description: Error message
+ *       403:
+ *         description: Insufficient permissions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   description: Error message
  *       500:
  *         description: Server error
  *         content:
@@ -51,22 +270,43 @@ const { body, validationResult } = require("express-validator");
  *                   type: string
  *                   description: Error message
  */
-router.get("/", async (req, res) => {
-  try {
-    const users = await req.db.all(
-      "SELECT id, email, isActive, createdAt, updatedAt FROM users",
-    );
-    res.json(users);
-  } catch (error) {
-    res.status(500).json({ error: "Error fetching users" });
-  }
-});
+router.get(
+  "/",
+  authorizeRoles(ROLES.CUSTODIAN),
+  query(["active", "pending"]).optional().isBoolean(),
+  query("role").optional().isIn(Object.values(ROLES)),
+  query(["department", "q"]).optional().isString().trim(),
+  query(["createdFrom", "createdTo"]).optional().isISO8601(),
+  ...listQueryValidators(USER_SORT_FIELDS),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const { rows, ...pagination } = await listUsers(
+        req.db,
+        { ...req.query, sort: req.query.sort || "email" },
+        {
+          ...req.query,
+          active: queryFlag(req.query.active),
+          pending: queryFlag(req.query.pending),
+        },
+      );
+      res.json({ users: rows, ...pagination });
+    } catch (error) {
+      res.status(500).json({ error: "Error fetching users" });
+    }
+  },
+);
 
 /**
  * @openapi
  * /api/users:
  *   post:
- *     summary: Create a new user
+ *     summary: Create a new user and email them an invitation
+ *     description: The account stays pending until the invitee sets a password via /api/auth/accept-invite.
  *     tags: [Users]
  *     security:
  *       - bearerAuth: []
@@ -83,6 +323,10 @@ router.get("/", async (req, res) => {
  *                 type: string
  *                 format: email
  *                 description: User's email address
+ *               role:
+ *                 type: string
+ *                 enum: [admin, custodian, holder]
+ *                 description: User's role (defaults to holder)
  *     responses:
  *       201:
  *         description: User created successfully
@@ -98,9 +342,12 @@ router.get("/", async (req, res) => {
  *                   type: string
  *                   format: email
  *                   description: User's email address
- *                 tempPassword:
+ *                 role:
  *                   type: string
- *                   description: Temporary password for the new user
+ *                   description: User's role
+ *                 invitationSent:
+ *                   type: boolean
+ *                   description: Whether the invitation email was delivered
  *                 message:
  *                   type: string
  *                   description: Success message
@@ -122,6 +369,16 @@ router.get("/", async (req, res) => {
  *                 error:
  *                   type: string
  *                   description: Error message
+ *       403:
+ *         description: Insufficient permissions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   description: Error message
  *       500:
  *         description: Server error
  *         content:
@@ -133,41 +390,61 @@ router.get("/", async (req, res) => {
  *                   type: string
  *                   description: Error message
  */
-router.post("/", body("email").isEmail(), async (req, res) => {
-  const errors = validationResult(req);
-  if (!errors.isEmpty()) {
-    return res.status(400).json({ errors: errors.array() });
-  }
+router.post(
+  "/",
+  authorizeRoles(ROLES.ADMIN),
+  ...userCreateValidators,
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
 
-  try {
-    const { email } = req.body;
-    const tempPassword = "password123";
-    const hashedPassword = await bcrypt.hash(tempPassword, 10);
-
-    const result = await req.db.run(
-      "INSERT INTO users (email, password) VALUES (?, ?)",
-      [email, hashedPassword],
-    );
-
-    res.status(201).json({
-      id: result.lastID,
-      email,
-      tempPassword,
-      message: "User created successfully",
-    });
-  } catch (error) {
-    if (error.message.includes("UNIQUE constraint failed")) {
-      return res.status(400).json({ error: "Email already exists" });
+    try {
+      const { email, role = ROLES.HOLDER } = req.body;
+      const { id, token } = await withTransaction(req.db, async (db) => {
+        const id = await createPendingUser(db, { email, role });
+        await recordAudit(db, req, {
+          action: "users.create",
+          entityType: "user",
+          entityId: id,
+          after: await getUserSnapshot(db, id),
+        });
+        const { token } = await createInvitation(db, { id }, req.user.id);
+        return { id, token };
+      });
+
+      let invitationSent = true;
+      try {
+        await mailInvitation({ email }, token);
+      } catch (error) {
+        invitationSent = false;
+      }
+
+      res.status(201).json({
+        id,
+        email,
+        role,
+        invitationSent,
+        message: invitationSent
+          ? "User created and invitation sent"
+          : "User created but the invitation email failed; resend the invite",
+      });
+    } catch (error) {
+      if (isUniqueViolation(error)) {
+        return res.status(400).json({ error: "Email already exists" });
+      }
+      res.status(500).json({ error: "Error creating user" });
     }
-    res.status(500).json({ error: "Error creating user" });
-  }
-});
+  },
+);
 
 /**
  * @openapi
  * /api/users/{id}:
  *   put:
  *     summary: Update a user
+ *     description: Admins can update any field of any user. Other users can only update the profile fields (displayName, phone, department) of their own account. Deactivating a user (isActive false) who still holds keys is refused unless force is set; see GET /api/users/{id}/offboarding.
  *     tags: [Users]
  *     security:
  *       - bearerAuth: []
@@ -178,6 +455,12 @@ router.post("/", body("email").isEmail(), async (req, res) => {
  *         schema:
  *           type: integer
  *         description: ID of the user to update
+ *       - in: query
+ *         name: force
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Deactivate even though the user still holds keys; their manager is notified
  *     requestBody:
  *       required: true
  *       content:
@@ -189,9 +472,36 @@ router.post("/", body("email").isEmail(), async (req, res) => {
  *                 type: string
  *                 format: email
  *                 description: New email address for the user
+ *               role:
+ *                 type: string
+ *                 enum: [admin, custodian, holder]
+ *                 description: New role for the user
  *               isActive:
  *                 type: boolean
  *                 description: New active status for the user
+ *               displayName:
+ *                 type: string
+ *                 nullable: true
+ *                 maxLength: 100
+ *                 description: Display name
+ *               phone:
+ *                 type: string
+ *                 nullable: true
+ *                 description: Phone number (digits, spaces, dashes, parentheses and an optional leading +)
+ *               department:
+ *                 type: string
+ *                 nullable: true
+ *                 maxLength: 100
+ *                 description: Department
+ *               badgeId:
+ *                 type: string
+ *                 nullable: true
+ *                 maxLength: 100
+ *                 description: Badge the user presents at key cabinets; null removes it
+ *               managerId:
+ *                 type: integer
+ *                 nullable: true
+ *                 description: Active user the user reports to, told about their offboarding; null removes it
  *     responses:
  *       200:
  *         description: User updated successfully
@@ -204,7 +514,7 @@ router.post("/", body("email").isEmail(), async (req, res) => {
  *                   type: string
  *                   description: Success message
  *       400:
- *         description: Validation errors or no valid updates provided
+ *         description: Validation errors, email or badge already in use, manager not found, or no valid updates provided
  *         content:
  *           application/json:
  *             schema:
@@ -221,6 +531,56 @@ router.post("/", body("email").isEmail(), async (req, res) => {
  *                 error:
  *                   type: string
  *                   description: Error message
+ *       403:
+ *         description: Insufficient permissions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   description: Error message
+ *       404:
+ *         description: User not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   description: Error message
+ *       409:
+ *         description: The user still holds keys, or is the last active admin and would be demoted or deactivated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   description: Error message
+ *                 keys:
+ *                   type: array
+ *                   description: Keys the user still holds
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       id:
+ *                         type: integer
+ *                         description: Key assignment ID
+ *                       keyId:
+ *                         type: integer
+ *                         description: Key ID
+ *                       identifier:
+ *                         type: string
+ *                         description: Key identifier
+ *                       dueAt:
+ *                         type: string
+ *                         format: date-time
+ *                         nullable: true
+ *                         description: When the key is due back (UTC)
  *       500:
  *         description: Server error
  *         content:
@@ -234,42 +594,136 @@ router.post("/", body("email").isEmail(), async (req, res) => {
  */
 router.put(
   "/:id",
+  query("force").optional().isBoolean(),
   body("email").isEmail().optional(),
+  body("role").isIn(Object.values(ROLES)).optional(),
   body("isActive").isBoolean().optional(),
+  body("badgeId")
+    .optional({ values: "null" })
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 100 }),
+  body("managerId").optional({ values: "null" }).isInt(),
+  ...userProfileValidators,
   async (req, res) => {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
       return res.status(400).json({ errors: errors.array() });
     }
 
+    const { email, role, isActive, badgeId, managerId } = req.body;
+    const isAdmin = req.user.role === ROLES.ADMIN;
+
+    // Non-admins may only edit the profile fields of their own account
+    if (
+      !isAdmin &&
+      (Number(req.params.id) !== req.user.id ||
+        email !== undefined ||
+        role !== undefined ||
+        isActive !== undefined ||
+        badgeId !== undefined ||
+        managerId !== undefined)
+    ) {
+      return res.status(403).json({ error: "Insufficient permissions" });
+    }
+
     try {
-      const { email, isActive } = req.body;
-      const updates = [];
-      const values = [];
+      const changes = {};
 
       if (email) {
-        updates.push("email = ?");
-        values.push(email);
+        changes.email = email;
+      }
+      if (role) {
+        changes.role = role;
       }
       if (isActive !== undefined) {
-        updates.push("isActive = ?");
-        values.push(isActive);
+        changes.isActive = isActive;
+      }
+      if (badgeId !== undefined) {
+        changes.badgeId = badgeId;
+      }
+      if (managerId !== undefined) {
+        changes.managerId = managerId;
+      }
+      for (const field of PROFILE_FIELDS) {
+        if (req.body[field] !== undefined) {
+          changes[field] = req.body[field];
+        }
       }
 
-      if (updates.length === 0) {
+      if (Object.keys(changes).length === 0) {
         return res.status(400).json({ error: "No valid updates provided" });
       }
 
-      updates.push("updatedAt = CURRENT_TIMESTAMP");
-      values.push(req.params.id);
+      if (badgeId && (await isBadgeTaken(req.db, badgeId, req.params.id))) {
+        return res
+          .status(400)
+          .json({ error: "Badge is already assigned to another user" });
+      }
+
+      if (managerId) {
+        if (Number(managerId) === Number(req.params.id)) {
+          return res
+            .status(400)
+            .json({ error: "Users cannot be their own manager" });
+        }
+        if (
+          !(await findActiveUser(req.db, managerId, { acceptedOnly: true }))
+        ) {
+          return res.status(400).json({ error: "Manager not found" });
+        }
+      }
 
-      await req.db.run(
-        `UPDATE users SET ${updates.join(", ")} WHERE id = ?`,
-        values,
-      );
+      const before = await getUserSnapshot(req.db, req.params.id);
+      const deactivating = isActive === false && Boolean(before?.isActive);
+      const outstanding = deactivating
+        ? await listKeysToReturn(req.db, req.params.id)
+        : [];
+      if (outstanding.length > 0 && req.query.force !== "true") {
+        return res.status(409).json(stillHoldsKeys(outstanding));
+      }
+
+      // Checked in the same transaction as the update so two admins cannot
+      // demote each other at once
+      const outcome = await withTransaction(req.db, async (db) => {
+        if (await removesLastAdmin(db, req.params.id, { role, isActive })) {
+          return { status: 409, error: LAST_ADMIN_ERROR };
+        }
+        if (!(await updateUser(db, req.params.id, changes))) {
+          return { status: 404, error: "User not found" };
+        }
+        if (isActive === false) {
+          await revokeRefreshTokens(db, req.params.id);
+        }
+        await recordAudit(db, req, {
+          action: "users.update",
+          entityType: "user",
+          entityId: req.params.id,
+          before,
+          after: {
+            ...(await getUserSnapshot(db, req.params.id)),
+            ...(outstanding.length > 0 && {
+              outstandingKeys: outstanding.map((key) => key.identifier),
+            }),
+          },
+        });
+        return {};
+      });
+      if (outcome.error) {
+        return res.status(outcome.status).json({ error: outcome.error });
+      }
+      if (deactivating) {
+        await publishDeactivation(req.db, req.params.id);
+      }
+      if (outstanding.length > 0) {
+        await notifyForcedDeactivation(req.db, before, outstanding);
+      }
 
       res.json({ message: "User updated successfully" });
     } catch (error) {
+      if (isUniqueViolation(error)) {
+        return res.status(400).json({ error: "Email already exists" });
+      }
       res.status(500).json({ error: "Error updating user" });
     }
   },
@@ -280,6 +734,7 @@ router.put(
  * /api/users/{id}:
  *   delete:
  *     summary: Deactivate a user
+ *     description: Refused while the user still holds keys unless force is set, so keys are not left with an account nobody answers for. Collect the keys or hand them to a custodian first; see GET /api/users/{id}/offboarding.
  *     tags: [Users]
  *     security:
  *       - bearerAuth: []
@@ -290,6 +745,12 @@ router.put(
  *         schema:
  *           type: integer
  *         description: ID of the user to deactivate
+ *       - in: query
+ *         name: force
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Deactivate even though the user still holds keys; their manager is notified
  *     responses:
  *       200:
  *         description: User deactivated successfully
@@ -301,6 +762,61 @@ router.put(
  *                 message:
  *                   type: string
  *                   description: Success message
+ *       400:
+ *         description: Validation errors
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 errors:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       msg:
+ *                         type: string
+ *                         description: Error message
+ *       403:
+ *         description: Insufficient permissions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   description: Error message
+ *       409:
+ *         description: The user still holds keys, or is the last active admin
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   description: Error message
+ *                 keys:
+ *                   type: array
+ *                   description: Keys the user still holds
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       id:
+ *                         type: integer
+ *                         description: Key assignment ID
+ *                       keyId:
+ *                         type: integer
+ *                         description: Key ID
+ *                       identifier:
+ *                         type: string
+ *                         description: Key identifier
+ *                       dueAt:
+ *                         type: string
+ *                         format: date-time
+ *                         nullable: true
+ *                         description: When the key is due back (UTC)
  *       500:
  *         description: Server error
  *         content:
@@ -312,15 +828,766 @@ router.put(
  *                   type: string
  *                   description: Error message
  */
-router.delete("/:id", async (req, res) => {
-  try {
-    await req.db.run(
-      "UPDATE users SET isActive = 0, updatedAt = CURRENT_TIMESTAMP WHERE id = ?",
-      [req.params.id],
-    );
-    res.json({ message: "User deactivated successfully" });
+router.delete(
+  "/:id",
+  authorizeRoles(ROLES.ADMIN),
+  query("force").optional().isBoolean(),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const before = await getUserSnapshot(req.db, req.params.id);
+      const outstanding = before?.isActive
+        ? await listKeysToReturn(req.db, req.params.id)
+        : [];
+      if (outstanding.length > 0 && req.query.force !== "true") {
+        return res.status(409).json(stillHoldsKeys(outstanding));
+      }
+
+      const lastAdmin = await withTransaction(req.db, async (db) => {
+        if (await removesLastAdmin(db, req.params.id, { isActive: false })) {
+          return true;
+        }
+        await deactivateUser(db, req.params.id);
+        await revokeRefreshTokens(db, req.params.id);
+        if (before) {
+          await recordAudit(db, req, {
+            action: "users.deactivate",
+            entityType: "user",
+            entityId: req.params.id,
+            before,
+            after: {
+              ...(await getUserSnapshot(db, req.params.id)),
+              ...(outstanding.length > 0 && {
+                outstandingKeys: outstanding.map((key) => key.identifier),
+              }),
+            },
+          });
+        }
+        return false;
+      });
+      if (lastAdmin) {
+        return res.status(409).json({ error: LAST_ADMIN_ERROR });
+      }
+      if (before) {
+        if (before.isActive) {
+          await publishDeactivation(req.db, req.params.id);
+        }
+        if (outstanding.length > 0) {
+          await notifyForcedDeactivation(req.db, before, outstanding);
+        }
+      }
+      res.json({ message: "User deactivated successfully" });
+    } catch (error) {
+      res.status(500).json({ error: "Error deactivating user" });
+    }
+  },
+);
+
+/**
+ * @openapi
+ * /api/users/{id}/offboarding:
+ *   get:
+ *     summary: Get a user's offboarding checklist
+ *     description: What the user still has to hand back before they can be deactivated, with their manager and any key transfers still waiting for an answer.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: User ID
+ *     responses:
+ *       200:
+ *         description: Offboarding checklist
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 user:
+ *                   type: object
+ *                   properties:
+ *                     id:
+ *                       type: integer
+ *                       description: User ID
+ *                     email:
+ *                       type: string
+ *                       description: User email
+ *                     displayName:
+ *                       type: string
+ *                       nullable: true
+ *                       description: Display name
+ *                     isActive:
+ *                       type: boolean
+ *                       description: User active status
+ *                 manager:
+ *                   type: object
+ *                   nullable: true
+ *                   description: The user's manager, if they have an active one
+ *                   properties:
+ *                     id:
+ *                       type: integer
+ *                       description: Manager's user ID
+ *                     email:
+ *                       type: string
+ *                       description: Manager's email
+ *                     displayName:
+ *                       type: string
+ *                       nullable: true
+ *                       description: Manager's display name
+ *                 keys:
+ *                   type: array
+ *                   description: Keys the user still holds
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       id:
+ *                         type: integer
+ *                         description: Key assignment ID
+ *                       keyId:
+ *                         type: integer
+ *                         description: Key ID
+ *                       identifier:
+ *                         type: string
+ *                         description: Key identifier
+ *                       tagCode:
+ *                         type: string
+ *                         description: Code printed on the key's tag
+ *                       status:
+ *                         type: string
+ *                         description: Key status; damaged and lost keys must be returned rather than reassigned
+ *                       assignedAt:
+ *                         type: string
+ *                         format: date-time
+ *                         description: When the key was assigned (UTC)
+ *                       dueAt:
+ *                         type: string
+ *                         format: date-time
+ *                         nullable: true
+ *                         description: When the key is due back (UTC)
+ *                       isOverdue:
+ *                         type: boolean
+ *                         description: Whether the key is past its due date
+ *                       cabinetName:
+ *                         type: string
+ *                         nullable: true
+ *                         description: Key cabinet the key returns to
+ *                       cabinetSlot:
+ *                         type: integer
+ *                         nullable: true
+ *                         description: Slot in that cabinet
+ *                 pendingTransfers:
+ *                   type: array
+ *                   description: Key transfers offered by or to the user that are still pending
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       id:
+ *                         type: integer
+ *                         description: Transfer ID
+ *                       keyId:
+ *                         type: integer
+ *                         description: Key ID
+ *                       identifier:
+ *                         type: string
+ *                         description: Key identifier
+ *                       fromEmail:
+ *                         type: string
+ *                         description: Email of the current holder
+ *                       toEmail:
+ *                         type: string
+ *                         description: Email of the intended recipient
+ *                 canDeactivate:
+ *                   type: boolean
+ *                   description: Whether the user can be deactivated without force
+ *       403:
+ *         description: Insufficient permissions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   description: Error message
+ *       404:
+ *         description: User not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   description: Error message
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   description: Error message
+ */
+router.get(
+  "/:id/offboarding",
+  authorizeRoles(ROLES.CUSTODIAN),
+  async (req, res) => {
+    try {
+      const checklist = await getOffboardingChecklist(req.db, req.params.id);
+      if (!checklist) {
+        return res.status(404).json({ error: "User not found" });
+      }
+      res.json(checklist);
+    } catch (error) {
+      res.status(500).json({ error: "Error fetching offboarding checklist" });
+    }
+  },
+);
+
+/**
+ * @openapi
+ * /api/users/{id}/offboarding/reassign:
+ *   post:
+ *     summary: Hand a user's keys to a custodian
+ *     description: Moves the keys the user holds, or only those listed, to a custodian in a single transaction; if any key cannot move, none do. Each key keeps its due date and its history records the handover. Transfers the user offered for those keys are cancelled. The user, the custodian and the user's manager are notified.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: User ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - custodianId
+ *             properties:
+ *               custodianId:
+ *                 type: integer
+ *                 description: Active admin or custodian who takes the keys
+ *               keyIds:
+ *                 type: array
+ *                 minItems: 1
+ *                 items:
+ *                   type: integer
+ *                 description: Only reassign these keys; defaults to every key the user holds
+ *               override:
+ *                 type: boolean
+ *                 description: Reassign even though another user has reserved a key within its loan period
+ *     responses:
+ *       200:
+ *         description: Keys reassigned
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 custodianId:
+ *                   type: integer
+ *                   description: Custodian who now holds the keys
+ *                 reassigned:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       keyId:
+ *                         type: integer
+ *                         description: Key ID
+ *                       identifier:
+ *                         type: string
+ *                         description: Key identifier
+ *                       fromAssignmentId:
+ *                         type: integer
+ *                         description: The user's closed assignment
+ *                       assignmentId:
+ *                         type: integer
+ *                         description: The custodian's new assignment
+ *                 cancelledTransfers:
+ *                   type: array
+ *                   items:
+ *                     type: integer
+ *                   description: IDs of transfers cancelled because their key moved
+ *       400:
+ *         description: Validation errors, custodian not found, or a listed key is not held by the user
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 errors:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       msg:
+ *                         type: string
+ *                         description: Error message
+ *                 error:
+ *                   type: string
+ *                   description: Error message
+ *       403:
+ *         description: Insufficient permissions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   description: Error message
+ *       404:
+ *         description: User not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   description: Error message
+ *       409:
+ *         description: The user holds no keys, a key is damaged or lost and must be returned instead, or another user has reserved a key
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   description: Error message
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   description: Error message
+ */
+router.post(
+  "/:id/offboarding/reassign",
+  authorizeRoles(ROLES.CUSTODIAN),
+  body("custodianId").isInt().toInt(),
+  body("keyIds").optional().isArray({ min: 1 }),
+  body("keyIds.*").isInt().toInt(),
+  body("override").optional().isBoolean(),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const user = await getUserSnapshot(req.db, req.params.id);
+      if (!user) {
+        return res.status(404).json({ error: "User not found" });
+      }
+
+      const outcome = await withTransaction(req.db, async (db) => {
+        const outcome = await reassignKeys(db, user.id, {
+          custodianId: req.body.custodianId,
+          keyIds: req.body.keyIds,
+          reassignedBy: req.user.id,
+          override: req.body.override === true,
+        });
+        if (!outcome.error) {
+          await recordAudit(db, req, {
+            action: "users.keys_reassigned",
+            entityType: "user",
+            entityId: user.id,
+            after: {
+              custodianId: outcome.custodian.id,
+              reassigned: outcome.reassigned,
+              cancelledTransfers: outcome.cancelledTransfers,
+              override: req.body.override === true,
+            },
+          });
+        }
+        return outcome;
+      });
+      if (outcome.error) {
+        return res.status(outcome.status).json({ error: outcome.error });
+      }
+
+      const { custodian, reassigned, cancelledTransfers } = outcome;
+      // To webhooks and live dashboards each key is returned by the user and
+      // assigned to the custodian, as with an accepted transfer
+      for (const { fromAssignmentId, assignmentId } of reassigned) {
+        await publishAssignmentEvent(req.db, "key.returned", fromAssignmentId);
+        await publishAssignmentChange(req.db, "key.returned", fromAssignmentId);
+        await publishAssignmentEvent(req.db, "key.assigned", assignmentId);
+        await publishAssignmentChange(req.db, "key.assigned", assignmentId);
+      }
+
+      const identifiers = reassigned.map((key) => key.identifier).join(", ");
+      await notify([user.email], {
+        subject: "Your keys were handed to a custodian",
+        text: `Keys ${identifiers} are no longer assigned to you; they were handed to ${custodian.email}.`,
+      });
+      await notify([custodian.email], {
+        subject: `Keys from ${user.email} assigned to you`,
+        text: `Keys ${identifiers}, held by ${user.email}, are now assigned to you as part of their offboarding. Collect them or confirm where they are.`,
+      });
+      await notifyManager(req.db, user.id, {
+        subject: `Keys of ${user.email} handed to a custodian`,
+        text: `As part of offboarding ${user.email}, keys ${identifiers} were handed to ${custodian.email}. Please make sure the keys reach them.`,
+      });
+
+      res.json({ custodianId: custodian.id, reassigned, cancelledTransfers });
+    } catch (error) {
+      res.status(500).json({ error: "Error reassigning keys" });
+    }
+  },
+);
+
+/**
+ * @openapi
+ * /api/users/lockouts:
+ *   get:
+ *     summary: List recorded login lockouts for review
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: active
+ *         schema:
+ *           type: boolean
+ *         description: Only return lockouts that are still in effect
+ *     responses:
+ *       200:
+ *         description: List of lockouts, newest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 type: object
+ *                 properties:
+ *                   id:
+ *                     type: integer
+ *                     description: Lockout ID
+ *                   scope:
+ *                     type: string
+ *                     enum: [account, ip]
+ *                     description: Whether the account or the client IP was locked
+ *                   userId:
+ *                     type: integer
+ *                     description: ID of the locked user, if the email belongs to one
+ *                   email:
+ *                     type: string
+ *                     description: Email used in the failed attempts
+ *                   ip:
+ *                     type: string
+ *                     description: Client IP of the attempt that triggered the lockout
+ *                   failures:
+ *                     type: integer
+ *                     description: Failed attempts counted when the lockout started
+ *                   lockedUntil:
+ *                     type: string
+ *                     format: date-time
+ *                     description: When the lockout expires
+ *                   unlockedAt:
+ *                     type: string
+ *                     format: date-time
+ *                     description: When an admin lifted the lockout
+ *                   unlockedBy:
+ *                     type: integer
+ *                     description: ID of the admin who lifted the lockout
+ *                   createdAt:
+ *                     type: string
+ *                     format: date-time
+ *                     description: When the lockout started
+ *       403:
+ *         description: Insufficient permissions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   description: Error message
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   description: Error message
+ */
+router.get("/lockouts", authorizeRoles(ROLES.ADMIN), async (req, res) => {
+  try {
+    const lockouts = await listLockouts(req.db, {
+      activeOnly: req.query.active === "true",
+    });
+    res.json(lockouts);
+  } catch (error) {
+    res.status(500).json({ error: "Error fetching lockouts" });
+  }
+});
+
+/**
+ * @openapi
+ * /api/users/{id}/unlock:
+ *   post:
+ *     summary: Lift an active login lockout on a user's account
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID of the locked user
+ *     responses:
+ *       200:
+ *         description: Account unlocked successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   description: Success message
+ *       403:
+ *         description: Insufficient permissions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   description: Error message
+ *       404:
+ *         description: The account is not locked
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   description: Error message
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   description: Error message
+ */
+router.post("/:id/unlock", authorizeRoles(ROLES.ADMIN), async (req, res) => {
+  try {
+    const unlocked = await withTransaction(req.db, async (db) => {
+      const result = await unlockAccount(db, req.params.id, req.user.id);
+      if (result.changes === 0) {
+        return false;
+      }
+      await recordAudit(db, req, {
+        action: "users.unlock",
+        entityType: "user",
+        entityId: req.params.id,
+      });
+      return true;
+    });
+    if (!unlocked) {
+      return res.status(404).json({ error: "Account is not locked" });
+    }
+    res.json({ message: "Account unlocked successfully" });
+  } catch (error) {
+    res.status(500).json({ error: "Error unlocking account" });
+  }
+});
+
+/**
+ * @openapi
+ * /api/users/{id}/invite:
+ *   post:
+ *     summary: Resend a pending user's invitation
+ *     description: Revokes any outstanding invitation and emails a new link.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID of the pending user
+ *     responses:
+ *       200:
+ *         description: Invitation resent successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   description: Success message
+ *       403:
+ *         description: Insufficient permissions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   description: Error message
+ *       404:
+ *         description: No pending user with this ID
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   description: Error message
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   description: Error message
+ */
+router.post("/:id/invite", authorizeRoles(ROLES.ADMIN), async (req, res) => {
+  try {
+    const user = await findPendingUser(req.db, req.params.id);
+    if (!user) {
+      return res.status(404).json({ error: "Pending user not found" });
+    }
+
+    const { token } = await withTransaction(req.db, async (db) => {
+      const invitation = await createInvitation(db, user, req.user.id);
+      await recordAudit(db, req, {
+        action: "users.invite_resent",
+        entityType: "user",
+        entityId: user.id,
+      });
+      return invitation;
+    });
+    await mailInvitation(user, token);
+    res.json({ message: "Invitation resent successfully" });
+  } catch (error) {
+    res.status(500).json({ error: "Error resending invitation" });
+  }
+});
+
+/**
+ * @openapi
+ * /api/users/{id}/invite:
+ *   delete:
+ *     summary: Revoke a pending user's invitation
+ *     description: The account stays pending; a new invite can be sent later.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID of the pending user
+ *     responses:
+ *       200:
+ *         description: Invitation revoked successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   description: Success message
+ *       403:
+ *         description: Insufficient permissions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   description: Error message
+ *       404:
+ *         description: No outstanding invitation for this user
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   description: Error message
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   description: Error message
+ */
+router.delete("/:id/invite", authorizeRoles(ROLES.ADMIN), async (req, res) => {
+  try {
+    const revoked = await withTransaction(req.db, async (db) => {
+      const result = await revokeInvitations(db, req.params.id);
+      if (result.changes === 0) {
+        return false;
+      }
+      await recordAudit(db, req, {
+        action: "users.invite_revoked",
+        entityType: "user",
+        entityId: req.params.id,
+      });
+      return true;
+    });
+    if (!revoked) {
+      return res.status(404).json({ error: "No outstanding invitation found" });
+    }
+    res.json({ message: "Invitation revoked successfully" });
   } catch (error) {
-    res.status(500).json({ error: "Error deactivating user" });
+    res.status(500).json({ error: "Error revoking invitation" });
   }
 });
 
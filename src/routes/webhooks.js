@@ -0,0 +1,1165 @@
+// backend/src/routes/webhooks.js
+// Webhook subscriptions for other systems and their delivery log
+const express = require("express");
+const router = express.Router();
+const { body, query, validationResult } = require("express-validator");
+const { authorizeRoles, ROLES } = require("../middleware/auth");
+const { listQueryValidators } = require("../middleware/validators");
+const { queryFlag } = require("../services/listing");
+const { recordAudit } = require("../services/audit");
+const { withTransaction } = require("../services/transaction");
+const {
+  WEBHOOK_EVENTS,
+  generateWebhookSecret,
+  redeliver,
+  startDelivery,
+} = require("../services/webhooks");
+const { checkWebhookTarget } = require("../services/webhookTargets");
+const {
+  WEBHOOK_FIELDS,
+  WEBHOOK_SORT_FIELDS,
+  DELIVERY_SORT_FIELDS,
+  listWebhooks,
+  findWebhook,
+  createWebhook,
+  updateWebhook,
+  deleteWebhook,
+  findDelivery,
+  listDeliveries,
+} = require("../repositories/webhooks");
+
+const DELIVERY_STATUSES = ["pending", "succeeded", "failed"];
+
+const webhookValidators = [
+  // Hosts without a TLD are only reachable when listed in
+  // WEBHOOK_ALLOWED_HOSTS, since they resolve to internal addresses
+  body("url")
+    .isURL({
+      protocols: ["http", "https"],
+      require_protocol: true,
+      require_tld: false,
+    })
+    .bail()
+    .custom(async (url) => {
+      const problem = await checkWebhookTarget(url);
+      if (problem) {
+        throw new Error(problem);
+      }
+    }),
+  body("events").isArray({ min: 1 }),
+  body("events.*").isIn(WEBHOOK_EVENTS),
+  body("description").optional({ values: "null" }).isString().trim(),
+];
+
+/**
+ * @openapi
+ * /api/webhooks:
+ *   get:
+ *     summary: Get all webhooks
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: active
+ *         schema:
+ *           type: boolean
+ *         description: Only return active (true) or paused (false) webhooks
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [url, createdAt, -url, -createdAt]
+ *           default: createdAt
+ *         description: Sort field; prefix with - for descending order
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 200
+ *           default: 50
+ *         description: Webhooks per page
+ *     responses:
+ *       200:
+ *         description: Page of webhooks
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 webhooks:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       id:
+ *                         type: integer
+ *                         description: Webhook ID
+ *                       url:
+ *                         type: string
+ *                         description: Endpoint events are POSTed to
+ *                       description:
+ *                         type: string
+ *                         nullable: true
+ *                         description: What the webhook is for
+ *                       events:
+ *                         type: array
+ *                         items:
+ *                           type: string
+ *                           enum: [key.assigned, key.returned, key.overdue, user.deactivated]
+ *                         description: Events the webhook receives
+ *                       isActive:
+ *                         type: boolean
+ *                         description: Whether events are delivered
+ *                       failedDeliveries:
+ *                         type: integer
+ *                         description: Deliveries that ran out of attempts
+ *                       createdAt:
+ *                         type: string
+ *                         format: date-time
+ *                         description: Creation timestamp
+ *                 page:
+ *                   type: integer
+ *                   description: Page number
+ *                 limit:
+ *                   type: integer
+ *                   description: Webhooks per page
+ *                 total:
+ *                   type: integer
+ *                   description: Number of matching webhooks
+ *       400:
+ *         description: Validation errors
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 errors:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       msg:
+ *                         type: string
+ *                         description: Error message
+ *       403:
+ *         description: Insufficient permissions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   description: Error message
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   description: Error message
+ */
+router.get(
+  "/",
+  authorizeRoles(ROLES.ADMIN),
+  query("active").optional().isBoolean(),
+  ...listQueryValidators(WEBHOOK_SORT_FIELDS),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const { rows, ...pagination } = await listWebhooks(
+        req.db,
+        { ...req.query, sort: req.query.sort || "createdAt" },
+        { active: queryFlag(req.query.active) },
+      );
+      res.json({
+        webhooks: rows.map((webhook) => ({
+          ...webhook,
+          isActive: Boolean(webhook.isActive),
+        })),
+        ...pagination,
+      });
+    } catch (error) {
+      res.status(500).json({ error: "Error fetching webhooks" });
+    }
+  },
+);
+
+/**
+ * @openapi
+ * /api/webhooks:
+ *   post:
+ *     summary: Subscribe an endpoint to events
+ *     description: |
+ *       Each event is POSTed as JSON { id, event, occurredAt, data }. Key events carry the assignment with its key and holder; user.deactivated carries the user and the keys they still hold.
+ *
+ *       Requests are signed. X-Webhook-Signature is "sha256=" followed by the hex HMAC-SHA256, keyed with the webhook secret, of the X-Webhook-Timestamp header, a dot and the raw body. X-Webhook-Id is the event ID, the same for retries and redeliveries.
+ *
+ *       Any 2xx response counts as delivered. Other responses, timeouts and connection errors are retried with exponential backoff starting at 30 seconds, up to 8 attempts.
+ *
+ *       The secret is returned only here and when it is rotated.
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - url
+ *               - events
+ *             properties:
+ *               url:
+ *                 type: string
+ *                 description: HTTP or HTTPS endpoint to POST events to; it must resolve to a public address unless its host is listed in WEBHOOK_ALLOWED_HOSTS
+ *               events:
+ *                 type: array
+ *                 minItems: 1
+ *                 items:
+ *                   type: string
+ *                   enum: [key.assigned, key.returned, key.overdue, user.deactivated]
+ *                 description: Events to receive
+ *               description:
+ *                 type: string
+ *                 nullable: true
+ *                 description: What the webhook is for
+ *     responses:
+ *       201:
+ *         description: Webhook created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 id:
+ *                   type: integer
+ *                   description: Webhook ID
+ *                 url:
+ *                   type: string
+ *                   description: Endpoint events are POSTed to
+ *                 events:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *                   description: Events the webhook receives
+ *                 secret:
+ *                   type: string
+ *                   description: Key for verifying signatures
+ *       400:
+ *         description: Validation errors
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 errors:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       msg:
+ *                         type: string
+ *                         description: Error message
+ *       403:
+ *         description: Insufficient permissions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   description: Error message
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   description: Error message
+ */
+router.post(
+  "/",
+  authorizeRoles(ROLES.ADMIN),
+  ...webhookValidators,
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const { url, description } = req.body;
+      const events = [...new Set(req.body.events)];
+      const secret = generateWebhookSecret();
+      const id = await withTransaction(req.db, async (db) => {
+        const id = await createWebhook(db, {
+          url,
+          description,
+          events,
+          secret,
+          createdBy: req.user.id,
+        });
+        await recordAudit(db, req, {
+          action: "webhooks.create",
+          entityType: "webhook",
+          entityId: id,
+          after: await findWebhook(db, id),
+        });
+        return id;
+      });
+
+      res.status(201).json({ id, url, events, secret });
+    } catch (error) {
+      res.status(500).json({ error: "Error creating webhook" });
+    }
+  },
+);
+
+/**
+ * @openapi
+ * /api/webhooks/{id}:
+ *   get:
+ *     summary: Get a webhook
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Webhook ID
+ *     responses:
+ *       200:
+ *         description: Webhook details
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 id:
+ *                   type: integer
+ *                   description: Webhook ID
+ *                 url:
+ *                   type: string
+ *                   description: Endpoint events are POSTed to
+ *                 description:
+ *                   type: string
+ *                   nullable: true
+ *                   description: What the webhook is for
+ *                 events:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *                   description: Events the webhook receives
+ *                 isActive:
+ *                   type: boolean
+ *                   description: Whether events are delivered
+ *                 createdBy:
+ *                   type: integer
+ *                   description: Admin who created the webhook
+ *                 createdAt:
+ *                   type: string
+ *                   format: date-time
+ *                   description: Creation timestamp
+ *                 updatedAt:
+ *                   type: string
+ *                   format: date-time
+ *                   description: Last update timestamp
+ *       403:
+ *         description: Insufficient permissions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   description: Error message
+ *       404:
+ *         description: Webhook not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   description: Error message
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   description: Error message
+ */
+router.get("/:id", authorizeRoles(ROLES.ADMIN), async (req, res) => {
+  try {
+    const webhook = await findWebhook(req.db, req.params.id);
+    if (!webhook) {
+      return res.status(404).json({ error: "Webhook not found" });
+    }
+    res.json({ ...webhook, isActive: Boolean(webhook.isActive) });
+  } catch (error) {
+    res.status(500).json({ error: "Error fetching webhook" });
+  }
+});
+
+/**
+ * @openapi
+ * /api/webhooks/{id}:
+ *   put:
+ *     summary: Update a webhook
+ *     description: Pausing a webhook (isActive false) holds its pending deliveries until it is resumed; events raised while paused are not queued for it.
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Webhook ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               url:
+ *                 type: string
+ *                 description: HTTP or HTTPS endpoint to POST events to; it must resolve to a public address unless its host is listed in WEBHOOK_ALLOWED_HOSTS
+ *               events:
+ *                 type: array
+ *                 minItems: 1
+ *                 items:
+ *                   type: string
+ *                   enum: [key.assigned, key.returned, key.overdue, user.deactivated]
+ *                 description: Events to receive
+ *               description:
+ *                 type: string
+ *                 nullable: true
+ *                 description: What the webhook is for
+ *               isActive:
+ *                 type: boolean
+ *                 description: Whether events are delivered
+ *     responses:
+ *       200:
+ *         description: Webhook updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   description: Success message
+ *       400:
+ *         description: Validation errors or no valid updates provided
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 errors:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       msg:
+ *                         type: string
+ *                         description: Error message
+ *                 error:
+ *                   type: string
+ *                   description: Error message
+ *       403:
+ *         description: Insufficient permissions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   description: Error message
+ *       404:
+ *         description: Webhook not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   description: Error message
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   description: Error message
+ */
+router.put(
+  "/:id",
+  authorizeRoles(ROLES.ADMIN),
+  webhookValidators.map((validator) => validator.optional()),
+  body("isActive").optional().isBoolean(),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const changes = {};
+      for (const field of WEBHOOK_FIELDS) {
+        if (req.body[field] !== undefined) {
+          changes[field] = req.body[field];
+        }
+      }
+      if (changes.events) {
+        changes.events = [...new Set(changes.events)];
+      }
+
+      if (Object.keys(changes).length === 0) {
+        return res.status(400).json({ error: "No valid updates provided" });
+      }
+
+      const updated = await withTransaction(req.db, async (db) => {
+        const before = await findWebhook(db, req.params.id);
+        if (!(await updateWebhook(db, req.params.id, changes))) {
+          return false;
+        }
+        await recordAudit(db, req, {
+          action: "webhooks.update",
+          entityType: "webhook",
+          entityId: req.params.id,
+          before,
+          after: await findWebhook(db, req.params.id),
+        });
+        return true;
+      });
+      if (!updated) {
+        return res.status(404).json({ error: "Webhook not found" });
+      }
+
+      res.json({ message: "Webhook updated successfully" });
+    } catch (error) {
+      res.status(500).json({ error: "Error updating webhook" });
+    }
+  },
+);
+
+/**
+ * @openapi
+ * /api/webhooks/{id}:
+ *   delete:
+ *     summary: Delete a webhook and its delivery log
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Webhook ID
+ *     responses:
+ *       200:
+ *         description: Webhook deleted successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   description: Success message
+ *       403:
+ *         description: Insufficient permissions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   description: Error message
+ *       404:
+ *         description: Webhook not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   description: Error message
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   description: Error message
+ */
+router.delete("/:id", authorizeRoles(ROLES.ADMIN), async (req, res) => {
+  try {
+    const deleted = await withTransaction(req.db, async (db) => {
+      const before = await findWebhook(db, req.params.id);
+      if (!before) {
+        return false;
+      }
+      await deleteWebhook(db, before.id);
+      await recordAudit(db, req, {
+        action: "webhooks.delete",
+        entityType: "webhook",
+        entityId: before.id,
+        before,
+      });
+      return true;
+    });
+    if (!deleted) {
+      return res.status(404).json({ error: "Webhook not found" });
+    }
+
+    res.json({ message: "Webhook deleted successfully" });
+  } catch (error) {
+    res.status(500).json({ error: "Error deleting webhook" });
+  }
+});
+
+/**
+ * @openapi
+ * /api/webhooks/{id}/secret:
+ *   post:
+ *     summary: Issue a new signing secret for a webhook
+ *     description: Deliveries are signed with the new secret from now on, including retries of earlier events.
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Webhook ID
+ *     responses:
+ *       200:
+ *         description: New secret
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 id:
+ *                   type: integer
+ *                   description: Webhook ID
+ *                 secret:
+ *                   type: string
+ *                   description: Key for verifying signatures
+ *       403:
+ *         description: Insufficient permissions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   description: Error message
+ *       404:
+ *         description: Webhook not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   description: Error message
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   description: Error message
+ */
+router.post("/:id/secret", authorizeRoles(ROLES.ADMIN), async (req, res) => {
+  try {
+    const secret = generateWebhookSecret();
+    const rotated = await withTransaction(req.db, async (db) => {
+      if (!(await updateWebhook(db, req.params.id, { secret }))) {
+        return false;
+      }
+      await recordAudit(db, req, {
+        action: "webhooks.secret_rotated",
+        entityType: "webhook",
+        entityId: req.params.id,
+      });
+      return true;
+    });
+    if (!rotated) {
+      return res.status(404).json({ error: "Webhook not found" });
+    }
+
+    res.json({ id: Number(req.params.id), secret });
+  } catch (error) {
+    res.status(500).json({ error: "Error rotating webhook secret" });
+  }
+});
+
+/**
+ * @openapi
+ * /api/webhooks/{id}/deliveries:
+ *   get:
+ *     summary: Get a webhook's delivery log
+ *     description: One entry per event sent to the webhook, with the outcome of its latest attempt. Redeliveries are entries of their own.
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Webhook ID
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, succeeded, failed]
+ *         description: Only return deliveries in this state
+ *       - in: query
+ *         name: event
+ *         schema:
+ *           type: string
+ *           enum: [key.assigned, key.returned, key.overdue, user.deactivated]
+ *         description: Only return deliveries of this event
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [createdAt, lastAttemptAt, -createdAt, -lastAttemptAt]
+ *           default: -createdAt
+ *         description: Sort field; prefix with - for descending order
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *         description: Page number
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 200
+ *           default: 50
+ *         description: Deliveries per page
+ *     responses:
+ *       200:
+ *         description: Page of deliveries
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 deliveries:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       id:
+ *                         type: integer
+ *                         description: Delivery ID
+ *                       eventId:
+ *                         type: string
+ *                         description: Event ID sent as X-Webhook-Id
+ *                       event:
+ *                         type: string
+ *                         description: Event name
+ *                       status:
+ *                         type: string
+ *                         enum: [pending, succeeded, failed]
+ *                         description: Delivery state
+ *                       attempts:
+ *                         type: integer
+ *                         description: Attempts made so far
+ *                       nextAttemptAt:
+ *                         type: string
+ *                         format: date-time
+ *                         nullable: true
+ *                         description: When a pending delivery is tried next (UTC)
+ *                       lastAttemptAt:
+ *                         type: string
+ *                         format: date-time
+ *                         nullable: true
+ *                         description: When it was last tried (UTC)
+ *                       responseStatus:
+ *                         type: integer
+ *                         nullable: true
+ *                         description: HTTP status of the last response
+ *                       error:
+ *                         type: string
+ *                         nullable: true
+ *                         description: Why the last attempt failed
+ *                       redeliveryOf:
+ *                         type: integer
+ *                         nullable: true
+ *                         description: Delivery this one repeats
+ *                       createdAt:
+ *                         type: string
+ *                         format: date-time
+ *                         description: When the delivery was queued (UTC)
+ *                 page:
+ *                   type: integer
+ *                   description: Page number
+ *                 limit:
+ *                   type: integer
+ *                   description: Deliveries per page
+ *                 total:
+ *                   type: integer
+ *                   description: Number of matching deliveries
+ *       400:
+ *         description: Validation errors
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 errors:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       msg:
+ *                         type: string
+ *                         description: Error message
+ *       403:
+ *         description: Insufficient permissions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   description: Error message
+ *       404:
+ *         description: Webhook not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   description: Error message
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   description: Error message
+ */
+router.get(
+  "/:id/deliveries",
+  authorizeRoles(ROLES.ADMIN),
+  query("status").optional().isIn(DELIVERY_STATUSES),
+  query("event").optional().isIn(WEBHOOK_EVENTS),
+  ...listQueryValidators(DELIVERY_SORT_FIELDS),
+  async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    try {
+      const webhook = await findWebhook(req.db, req.params.id);
+      if (!webhook) {
+        return res.status(404).json({ error: "Webhook not found" });
+      }
+
+      const { rows, ...pagination } = await listDeliveries(
+        req.db,
+        { ...req.query, sort: req.query.sort || "-createdAt" },
+        webhook.id,
+        req.query,
+      );
+      res.json({ deliveries: rows, ...pagination });
+    } catch (error) {
+      res.status(500).json({ error: "Error fetching webhook deliveries" });
+    }
+  },
+);
+
+/**
+ * @openapi
+ * /api/webhooks/{id}/deliveries/{deliveryId}:
+ *   get:
+ *     summary: Get one delivery with its payload and last response
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Webhook ID
+ *       - in: path
+ *         name: deliveryId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Delivery ID
+ *     responses:
+ *       200:
+ *         description: Delivery details
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 id:
+ *                   type: integer
+ *                   description: Delivery ID
+ *                 eventId:
+ *                   type: string
+ *                   description: Event ID sent as X-Webhook-Id
+ *                 event:
+ *                   type: string
+ *                   description: Event name
+ *                 payload:
+ *                   type: object
+ *                   description: The JSON body sent
+ *                 status:
+ *                   type: string
+ *                   enum: [pending, succeeded, failed]
+ *                   description: Delivery state
+ *                 attempts:
+ *                   type: integer
+ *                   description: Attempts made so far
+ *                 responseStatus:
+ *                   type: integer
+ *                   nullable: true
+ *                   description: HTTP status of the last response
+ *                 error:
+ *                   type: string
+ *                   nullable: true
+ *                   description: Why the last attempt failed
+ *       403:
+ *         description: Insufficient permissions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   description: Error message
+ *       404:
+ *         description: Delivery not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   description: Error message
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   description: Error message
+ */
+router.get(
+  "/:id/deliveries/:deliveryId",
+  authorizeRoles(ROLES.ADMIN),
+  async (req, res) => {
+    try {
+      const delivery = await findDelivery(
+        req.db,
+        req.params.id,
+        req.params.deliveryId,
+      );
+      if (!delivery) {
+        return res.status(404).json({ error: "Delivery not found" });
+      }
+      res.json({ ...delivery, payload: JSON.parse(delivery.payload) });
+    } catch (error) {
+      res.status(500).json({ error: "Error fetching webhook delivery" });
+    }
+  },
+);
+
+/**
+ * @openapi
+ * /api/webhooks/{id}/deliveries/{deliveryId}/redeliver:
+ *   post:
+ *     summary: Send a delivery's payload again
+ *     description: Queues the original payload, with the same event ID, as a new delivery with a fresh set of attempts. Useful once a receiver that was down is fixed, whatever state the original delivery is in.
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Webhook ID
+ *       - in: path
+ *         name: deliveryId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Delivery to repeat
+ *     responses:
+ *       202:
+ *         description: Redelivery queued
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 id:
+ *                   type: integer
+ *                   description: ID of the new delivery
+ *                 redeliveryOf:
+ *                   type: integer
+ *                   description: Delivery it repeats
+ *       403:
+ *         description: Insufficient permissions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   description: Error message
+ *       404:
+ *         description: Delivery not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   description: Error message
+ *       409:
+ *         description: The webhook is paused
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   description: Error message
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   description: Error message
+ */
+router.post(
+  "/:id/deliveries/:deliveryId/redeliver",
+  authorizeRoles(ROLES.ADMIN),
+  async (req, res) => {
+    try {
+      const delivery = await findDelivery(
+        req.db,
+        req.params.id,
+        req.params.deliveryId,
+      );
+      if (!delivery) {
+        return res.status(404).json({ error: "Delivery not found" });
+      }
+      const webhook = await findWebhook(req.db, delivery.webhookId);
+      if (!webhook.isActive) {
+        return res.status(409).json({ error: "Webhook is paused" });
+      }
+
+      const id = await withTransaction(req.db, async (db) => {
+        const id = await redeliver(db, delivery);
+        await recordAudit(db, req, {
+          action: "webhooks.redeliver",
+          entityType: "webhook",
+          entityId: webhook.id,
+          after: { deliveryId: id, redeliveryOf: delivery.id },
+        });
+        return id;
+      });
+      startDelivery(req.db);
+      res.status(202).json({ id, redeliveryOf: delivery.id });
+    } catch (error) {
+      res.status(500).json({ error: "Error redelivering webhook" });
+    }
+  },
+);
+
+module.exports = router;
@@ -0,0 +1,88 @@
+// backend/src/services/access.js
+// A key opens the doors mapped to it plus every door opened by the keys
+// below it in the master key hierarchy. The hierarchy is walked regardless of
+// key status because pinning is a property of the locks, but only keys in the
+// active status count as usable by whoever holds them.
+
+// Keys below the given key, excluding the key itself
+const DESCENDANTS = `
+  WITH RECURSIVE descendants(id) AS (
+    SELECT id FROM keys WHERE parentId = ?
+    UNION
+    SELECT k.id FROM keys k JOIN descendants d ON k.parentId = d.id
+  )`;
+
+const isDescendant = async (db, keyId, candidateId) => {
+  const row = await db.get(
+    `${DESCENDANTS}
+     SELECT 1 as found FROM descendants WHERE id = ?`,
+    [keyId, candidateId],
+  );
+  return Boolean(row);
+};
+
+const resolveKeyDoors = (db, keyId) =>
+  db.all(
+    `WITH RECURSIVE reachable(id) AS (
+       SELECT CAST(? AS INTEGER)
+       UNION
+       SELECT k.id FROM keys k JOIN reachable r ON k.parentId = r.id
+     )
+     SELECT DISTINCT d.id, d.name, d.lockIdentifier, d.locationId,
+       l.name as locationName
+     FROM reachable r
+     JOIN key_doors kd ON kd.keyId = r.id
+     JOIN doors d ON kd.doorId = d.id AND d.isActive = 1
+     LEFT JOIN locations l ON d.locationId = l.id
+     ORDER BY d.name`,
+    [keyId],
+  );
+
+const resolveUserDoors = (db, userId) =>
+  db.all(
+    `WITH RECURSIVE reachable(id, viaKeyId) AS (
+       SELECT k.id, k.id
+       FROM key_assignments ka
+       JOIN keys k ON ka.keyId = k.id
+       WHERE ka.assignedTo = ? AND ka.returnedAt IS NULL
+         AND k.isActive = 1 AND k.status = 'active'
+       UNION
+       SELECT k.id, r.viaKeyId FROM keys k JOIN reachable r ON k.parentId = r.id
+     )
+     SELECT d.id, d.name, d.lockIdentifier, d.locationId,
+       l.name as locationName,
+       ${db.dialect.groupConcat("via.identifier")} as viaKeys
+     FROM reachable r
+     JOIN key_doors kd ON kd.keyId = r.id
+     JOIN doors d ON kd.doorId = d.id AND d.isActive = 1
+     LEFT JOIN locations l ON d.locationId = l.id
+     JOIN keys via ON r.viaKeyId = via.id
+     GROUP BY d.id, l.name
+     ORDER BY d.name`,
+    [userId],
+  );
+
+const resolveDoorHolders = (db, doorId) =>
+  db.all(
+    `WITH RECURSIVE openers(id) AS (
+       SELECT keyId FROM key_doors WHERE doorId = ?
+       UNION
+       SELECT k.parentId FROM keys k JOIN openers o ON k.id = o.id
+       WHERE k.parentId IS NOT NULL
+     )
+     SELECT u.id as userId, u.email, u.displayName,
+       k.id as keyId, k.identifier, k.type, ka.assignedAt
+     FROM openers o
+     JOIN keys k ON k.id = o.id AND k.isActive = 1 AND k.status = 'active'
+     JOIN key_assignments ka ON ka.keyId = k.id AND ka.returnedAt IS NULL
+     JOIN users u ON ka.assignedTo = u.id AND u.isActive = 1
+     ORDER BY u.email, k.identifier`,
+    [doorId],
+  );
+
+module.exports = {
+  isDescendant,
+  resolveKeyDoors,
+  resolveUserDoors,
+  resolveDoorHolders,
+};
@@ -0,0 +1,186 @@
+// backend/src/services/assignments.js
+const { KEY_STATUSES, isAssignable, canTransition } = require("./keyStatus");
+const { OPEN_ENDED, findReservationConflicts } = require("./reservations");
+const { toTimestamp } = require("./dates");
+const { withSavepoint } = require("./transaction");
+const { isUniqueViolation } = require("../db");
+const { findKey, updateKeyStatus } = require("../repositories/keys");
+const {
+  findOpenAssignment,
+  recordReturn,
+} = require("../repositories/assignments");
+
+// Resolves to a 409 { status, error, reservation } when another user has
+// reserved the key between now and dueAt, or to null when the key is free
+const checkReservations = async (db, keyId, userId, dueAt) => {
+  const [reservation] = await findReservationConflicts(
+    db,
+    keyId,
+    toTimestamp(new Date()),
+    dueAt || OPEN_ENDED,
+    { excludeUserId: userId },
+  );
+  if (!reservation) {
+    return null;
+  }
+  return {
+    status: 409,
+    error: `Key is reserved for ${reservation.email} from ${reservation.startsAt} to ${reservation.endsAt} UTC`,
+    reservation,
+  };
+};
+
+// Checks and records a new key assignment. Resolves to { id } on success or
+// { status, error } describing why the key cannot be assigned. Another user's
+// reservation within the loan period blocks the assignment unless overridden.
+const assignKey = async (
+  db,
+  { keyId, assignedTo, assignedBy, dueAt = null, override = false },
+) => {
+  const key = await db.get("SELECT * FROM keys WHERE id = ?", [keyId]);
+  if (!key) {
+    return { status: 404, error: "Key not found" };
+  }
+  if (!isAssignable(key)) {
+    return { status: 400, error: `Key cannot be assigned while ${key.status}` };
+  }
+
+  const assignee = await db.get(
+    "SELECT id FROM users WHERE id = ? AND isActive = 1",
+    [assignedTo],
+  );
+  if (!assignee) {
+    return { status: 400, error: "Assignee not found" };
+  }
+
+  // Check if key is already assigned
+  const currentAssignment = await db.get(
+    "SELECT id FROM key_assignments WHERE keyId = ? AND returnedAt IS NULL",
+    [keyId],
+  );
+  if (currentAssignment) {
+    return { status: 400, error: "Key is already assigned" };
+  }
+
+  if (!override) {
+    const conflict = await checkReservations(db, keyId, assignedTo, dueAt);
+    if (conflict) {
+      return conflict;
+    }
+  }
+
+  try {
+    const result = await withSavepoint(db, () =>
+      db.run(
+        "INSERT INTO key_assignments (keyId, assignedTo, assignedBy, dueAt) VALUES (?, ?, ?, ?)",
+        [keyId, assignedTo, assignedBy, dueAt],
+      ),
+    );
+    return { id: result.lastID };
+  } catch (error) {
+    // The open-assignment index catches a concurrent assign of the same key
+    if (isUniqueViolation(error)) {
+      return { status: 400, error: "Key is already assigned" };
+    }
+    throw error;
+  }
+};
+
+// Closes an open assignment and opens the next one for the recipient in its
+// place, keeping the due date. Must run inside a transaction. Resolves to the
+// new assignment's { id } or { status, error }. Like assigning, another user's
+// reservation within the loan period blocks it unless overridden.
+const handOverKey = async (
+  db,
+  { assignmentId, toUserId, handedOverBy, override = false },
+) => {
+  const assignment = await db.get(
+    `SELECT ka.*, k.isActive, k.status
+     FROM key_assignments ka
+     JOIN keys k ON ka.keyId = k.id
+     WHERE ka.id = ? AND ka.returnedAt IS NULL`,
+    [assignmentId],
+  );
+  if (!assignment) {
+    return { status: 409, error: "Key is no longer held by the sender" };
+  }
+  if (!isAssignable(assignment)) {
+    return {
+      status: 400,
+      error: `Key cannot be handed over while ${assignment.status}`,
+    };
+  }
+
+  const recipient = await db.get(
+    "SELECT id FROM users WHERE id = ? AND isActive = 1",
+    [toUserId],
+  );
+  if (!recipient) {
+    return { status: 400, error: "Recipient not found" };
+  }
+
+  if (!override) {
+    const conflict = await checkReservations(
+      db,
+      assignment.keyId,
+      toUserId,
+      assignment.dueAt,
+    );
+    if (conflict) {
+      return conflict;
+    }
+  }
+
+  await db.run(
+    "UPDATE key_assignments SET returnedAt = CURRENT_TIMESTAMP WHERE id = ?",
+    [assignment.id],
+  );
+  const result = await db.run(
+    `INSERT INTO key_assignments (keyId, assignedTo, assignedBy, dueAt, transferredFrom)
+     VALUES (?, ?, ?, ?, ?)`,
+    [assignment.keyId, toUserId, handedOverBy, assignment.dueAt, assignment.id],
+  );
+  return { id: result.lastID };
+};
+
+// Checks a key back in and marks it damaged when it came back that way. Must
+// run inside a transaction. Resolves to the closed { assignment } or
+// { status, error }.
+const returnKey = async (
+  db,
+  { keyId, receivedBy, condition, notes = null, signatureFile, photoFile },
+) => {
+  const key = await findKey(db, keyId);
+  if (!key) {
+    return { status: 404, error: "Key not found" };
+  }
+
+  const assignment = await findOpenAssignment(db, key.id);
+  if (!assignment) {
+    return { status: 409, error: "Key is not currently assigned" };
+  }
+
+  await recordReturn(db, assignment.id, {
+    receivedBy,
+    condition,
+    notes,
+    signatureFile: signatureFile || null,
+    photoFile: photoFile || null,
+  });
+
+  if (
+    condition === "damaged" &&
+    canTransition(key.status, KEY_STATUSES.DAMAGED)
+  ) {
+    await updateKeyStatus(
+      db,
+      key.id,
+      KEY_STATUSES.DAMAGED,
+      notes || "Returned damaged",
+      receivedBy,
+    );
+  }
+  return { assignment };
+};
+
+module.exports = { checkReservations, assignKey, handOverKey, returnKey };
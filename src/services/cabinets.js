@@ -0,0 +1,247 @@
+// backend/src/services/cabinets.js
+// Electronic key cabinets. A cabinet authenticates with its own device key,
+// asks whether a badged user may take the key in a slot and then reports what
+// happened at the slot. Removals and returns open and close key assignments
+// the same way a custodian would at the counter.
+const crypto = require("crypto");
+const { ROLES } = require("../middleware/auth");
+const { hashToken } = require("./tokens");
+const { isAssignable } = require("./keyStatus");
+const { OPEN_ENDED, findReservationConflicts } = require("./reservations");
+const { assignKey, returnKey } = require("./assignments");
+const { toTimestamp } = require("./dates");
+const { findKey } = require("../repositories/keys");
+const { findOpenAssignment } = require("../repositories/assignments");
+const { findBadgeUser } = require("../repositories/users");
+const {
+  findApprovedRequest,
+  markRequestFulfilled,
+} = require("../repositories/keyRequests");
+const { findCurrentReservation } = require("../repositories/reservations");
+const {
+  findSlot,
+  findEvent,
+  createEvent,
+} = require("../repositories/cabinets");
+
+const CABINET_EVENT_TYPES = ["slot_opened", "key_removed", "key_returned"];
+
+// A device key is "<cabinet id>.<secret>"; only a digest of the secret is
+// stored, like refresh tokens
+const createDeviceSecret = () => {
+  const secret = crypto.randomBytes(32).toString("hex");
+  return { secret, digest: hashToken(secret) };
+};
+
+const formatDeviceKey = (cabinetId, secret) => `${cabinetId}.${secret}`;
+
+const parseDeviceKey = (deviceKey) => {
+  const match = /^(\d+)\.([0-9a-f]{64})$/.exec(deviceKey || "");
+  return match ? { cabinetId: Number(match[1]), secret: match[2] } : null;
+};
+
+const secretMatches = (secret, digest) =>
+  crypto.timingSafeEqual(Buffer.from(hashToken(secret)), Buffer.from(digest));
+
+// Whether the badge holder may take the key stocked in the slot right now.
+// Custodians and admins may take any key that could be assigned at the
+// counter; holders also need an approved request for the key or a reservation
+// of it that is running. The loan is due when that request or reservation
+// ends.
+const checkTake = async (db, cabinetId, { badgeId, slot }) => {
+  const user = await findBadgeUser(db, badgeId);
+  if (!user) {
+    return { allowed: false, reason: "Unknown badge" };
+  }
+
+  const stocked = await findSlot(db, cabinetId, slot);
+  if (!stocked) {
+    return { allowed: false, reason: "Slot is not stocked", user };
+  }
+  const key = await findKey(db, stocked.keyId);
+  if (!isAssignable(key)) {
+    return {
+      allowed: false,
+      reason: `Key cannot be taken while ${key.status}`,
+      user,
+      key,
+    };
+  }
+  if (await findOpenAssignment(db, key.id)) {
+    return { allowed: false, reason: "Key is already checked out", user, key };
+  }
+
+  let grant = {};
+  if (user.role === ROLES.HOLDER) {
+    const request = await findApprovedRequest(db, key.id, user.id);
+    const reservation =
+      !request && (await findCurrentReservation(db, key.id, user.id));
+    if (!request && !reservation) {
+      return {
+        allowed: false,
+        reason: "No approved request or reservation for this key",
+        user,
+        key,
+      };
+    }
+    grant = request
+      ? { requestId: request.id, dueAt: request.endsAt }
+      : { dueAt: reservation.endsAt };
+  }
+
+  const [reservation] = await findReservationConflicts(
+    db,
+    key.id,
+    toTimestamp(new Date()),
+    grant.dueAt || OPEN_ENDED,
+    { excludeUserId: user.id },
+  );
+  if (reservation) {
+    return {
+      allowed: false,
+      reason: `Key is reserved for another user from ${reservation.startsAt} UTC`,
+      user,
+      key,
+    };
+  }
+
+  return {
+    allowed: true,
+    user,
+    key,
+    dueAt: grant.dueAt || null,
+    requestId: grant.requestId || null,
+  };
+};
+
+const handlers = {
+  slot_opened: async (db, cabinetId, report, { user }) =>
+    user
+      ? { outcome: "recorded" }
+      : { outcome: "flagged", message: "Slot opened without a known badge" },
+
+  // The key has physically left the cabinet, so custody is recorded even for
+  // a take the cabinet should not have allowed; that take is flagged instead
+  key_removed: async (db, cabinetId, report, { user, keyId }) => {
+    if (!user) {
+      return {
+        outcome: "flagged",
+        message: "Key removed without a known badge",
+      };
+    }
+
+    const open = await findOpenAssignment(db, keyId);
+    if (open) {
+      return open.assignedTo === user.id
+        ? { outcome: "recorded", assignmentId: open.id }
+        : {
+            outcome: "flagged",
+            message: "Key removed while checked out to another user",
+            assignmentId: open.id,
+          };
+    }
+
+    const check = await checkTake(db, cabinetId, {
+      badgeId: report.badgeId,
+      slot: report.slot,
+    });
+    const assignment = await assignKey(db, {
+      keyId,
+      assignedTo: user.id,
+      assignedBy: user.id,
+      dueAt: check.dueAt || null,
+      override: true,
+    });
+    if (assignment.error) {
+      return { outcome: "flagged", message: assignment.error };
+    }
+    if (check.requestId) {
+      await markRequestFulfilled(db, check.requestId, {
+        assignmentId: assignment.id,
+        fulfilledBy: null,
+      });
+    }
+
+    return check.allowed
+      ? { outcome: "assigned", assignmentId: assignment.id, assigned: true }
+      : {
+          outcome: "flagged",
+          message: `Taken without permission: ${check.reason}`,
+          assignmentId: assignment.id,
+          assigned: true,
+        };
+  },
+
+  // Whoever badged in receives the key; without a badge the holder is taken
+  // to have put it back themselves
+  key_returned: async (db, cabinetId, report, { user, keyId }) => {
+    const open = await findOpenAssignment(db, keyId);
+    if (!open) {
+      return {
+        outcome: "flagged",
+        message: "Key returned while not checked out",
+      };
+    }
+
+    const result = await returnKey(db, {
+      keyId,
+      receivedBy: user?.id ?? open.assignedTo,
+      condition: report.condition || "good",
+      notes: `Returned to cabinet slot ${report.slot}`,
+    });
+    if (result.error) {
+      return { outcome: "flagged", message: result.error };
+    }
+    return {
+      outcome: "returned",
+      assignmentId: open.id,
+      returned: result.assignment,
+    };
+  },
+};
+
+// Records an event reported by a cabinet and applies it to key custody. Must
+// run inside a transaction. A repeated eventId resolves to the stored event
+// with duplicate set. Otherwise resolves to { event, user, assigned,
+// returned }, where assigned is set when the event opened an assignment and
+// returned is the assignment it closed, or to { status, error }.
+const recordCabinetEvent = async (db, cabinetId, report) => {
+  const existing = await findEvent(db, cabinetId, report.eventId);
+  if (existing) {
+    return { event: existing, duplicate: true };
+  }
+
+  const stocked = await findSlot(db, cabinetId, report.slot);
+  if (!stocked) {
+    return { status: 400, error: "Slot is not stocked" };
+  }
+  const user = report.badgeId ? await findBadgeUser(db, report.badgeId) : null;
+
+  const { assigned, returned, ...result } = await handlers[report.type](
+    db,
+    cabinetId,
+    report,
+    { user, keyId: stocked.keyId },
+  );
+  const event = await createEvent(db, {
+    cabinetId,
+    eventId: report.eventId,
+    type: report.type,
+    slot: report.slot,
+    keyId: stocked.keyId,
+    userId: user?.id,
+    occurredAt: toTimestamp(report.occurredAt || new Date()),
+    ...result,
+  });
+  return { event, user, assigned: Boolean(assigned), returned };
+};
+
+module.exports = {
+  CABINET_EVENT_TYPES,
+  createDeviceSecret,
+  formatDeviceKey,
+  parseDeviceKey,
+  secretMatches,
+  checkTake,
+  recordCabinetEvent,
+};
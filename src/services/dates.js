@@ -0,0 +1,15 @@
+// backend/src/services/dates.js
+// Timestamps are stored as UTC "YYYY-MM-DD HH:MM:SS", the format of SQLite's
+// CURRENT_TIMESTAMP; these helpers convert between that format and Date so
+// comparisons in SQL and JavaScript agree
+
+const parseTimestamp = (value) => new Date(`${value.replace(" ", "T")}Z`);
+
+const toTimestamp = (date) =>
+  new Date(date).toISOString().replace("T", " ").slice(0, 19);
+
+// The timestamp the given number of minutes from now; negative for the past
+const minutesFromNow = (minutes) =>
+  toTimestamp(Date.now() + minutes * 60 * 1000);
+
+module.exports = { parseTimestamp, toTimestamp, minutesFromNow };
@@ -0,0 +1,328 @@
+// backend/src/services/importer.js
+// Bulk import of keys, users and assignments from CSV or XLSX. Each row is
+// checked with the same validation chains as the matching API call, and the
+// whole file is applied in one transaction so a bad row imports nothing.
+const path = require("path");
+const { parse } = require("csv-parse/sync");
+const ExcelJS = require("exceljs");
+const { validationResult } = require("express-validator");
+const { ROLES } = require("../middleware/auth");
+const {
+  keyCreateValidators,
+  userCreateValidators,
+  userProfileValidators,
+  assignmentImportValidators,
+} = require("../middleware/validators");
+const { KEY_TYPES } = require("./keyTypes");
+const { isAssignable } = require("./keyStatus");
+const { checkKeyReferences, replaceKeyDoors } = require("./keys");
+const { placeholderPasswordHash, createPendingUser } = require("./invitations");
+const { withTransaction, withSavepoint } = require("./transaction");
+const { createKey } = require("../repositories/keys");
+const { toTimestamp } = require("./dates");
+const { isUniqueViolation } = require("../db");
+
+const IMPORT_MAX_ROWS = Number(process.env.IMPORT_MAX_ROWS) || 5000;
+
+// Thrown inside the transaction to discard a dry run or a file with errors
+class ImportRollback extends Error {}
+
+// Empty cells are left out so optional validators treat them as missing
+const compact = (values) =>
+  Object.fromEntries(
+    Object.entries(values).filter(
+      ([, value]) => value !== undefined && value !== "",
+    ),
+  );
+
+const splitList = (value) =>
+  value ? value.split(/[;,\s]+/).filter(Boolean) : undefined;
+
+const importers = {
+  keys: {
+    role: ROLES.CUSTODIAN,
+    columns: [
+      "identifier",
+      "type",
+      "parentIdentifier",
+      "locationId",
+      "copies",
+      "doorIds",
+    ],
+    validators: keyCreateValidators,
+    toBody: (row) =>
+      compact({
+        identifier: row.identifier,
+        type: row.type,
+        locationId: row.locationId,
+        copies: row.copies,
+        doorIds: splitList(row.doorIds),
+        parentIdentifier: row.parentIdentifier,
+      }),
+    // Parents are referenced by identifier so a file can create a master key
+    // and the keys below it together
+    apply: async (db, body) => {
+      const {
+        identifier,
+        type = KEY_TYPES.SINGLE_DOOR,
+        parentIdentifier,
+        locationId = null,
+        copies = 1,
+        doorIds = [],
+      } = body;
+
+      let parentId = null;
+      if (parentIdentifier) {
+        const parent = await db.get(
+          "SELECT id FROM keys WHERE identifier = ?",
+          [parentIdentifier],
+        );
+        if (!parent) {
+          return { error: `Parent key ${parentIdentifier} not found` };
+        }
+        parentId = parent.id;
+      }
+
+      const referenceError = await checkKeyReferences(db, {
+        parentId,
+        locationId,
+        doorIds,
+        type,
+      });
+      if (referenceError) {
+        return { error: referenceError };
+      }
+
+      try {
+        const id = await withSavepoint(db, () =>
+          createKey(db, { identifier, type, parentId, locationId, copies }),
+        );
+        await replaceKeyDoors(db, id, doorIds);
+        return { id };
+      } catch (error) {
+        if (isUniqueViolation(error)) {
+          return { error: "Key identifier already exists" };
+        }
+        throw error;
+      }
+    },
+  },
+
+  users: {
+    role: ROLES.ADMIN,
+    columns: ["email", "role", "displayName", "phone", "department"],
+    validators: [...userCreateValidators, ...userProfileValidators],
+    toBody: (row) =>
+      compact({
+        email: row.email,
+        role: row.role,
+        displayName: row.displayName,
+        phone: row.phone,
+        department: row.department,
+      }),
+    apply: async (db, body, context) => {
+      if (!context.passwordHash) {
+        context.passwordHash = await placeholderPasswordHash();
+      }
+      try {
+        const id = await withSavepoint(db, () =>
+          createPendingUser(
+            db,
+            { ...body, role: body.role || ROLES.HOLDER },
+            context.passwordHash,
+          ),
+        );
+        return { id, email: body.email };
+      } catch (error) {
+        if (isUniqueViolation(error)) {
+          return { error: "Email already exists" };
+        }
+        throw error;
+      }
+    },
+  },
+
+  assignments: {
+    role: ROLES.CUSTODIAN,
+    columns: ["keyIdentifier", "email", "assignedAt", "dueAt"],
+    validators: assignmentImportValidators,
+    toBody: (row) =>
+      compact({
+        keyIdentifier: row.keyIdentifier,
+        email: row.email,
+        assignedAt: row.assignedAt,
+        dueAt: row.dueAt,
+      }),
+    // Existing loans are recorded as they are; reservations are not checked
+    apply: async (db, body, context) => {
+      const key = await db.get("SELECT * FROM keys WHERE identifier = ?", [
+        body.keyIdentifier,
+      ]);
+      if (!key) {
+        return { error: `Key ${body.keyIdentifier} not found` };
+      }
+      if (!isAssignable(key)) {
+        return { error: `Key cannot be assigned while ${key.status}` };
+      }
+
+      const assignee = await db.get(
+        "SELECT id FROM users WHERE email = ? AND isActive = 1",
+        [body.email],
+      );
+      if (!assignee) {
+        return { error: `User ${body.email} not found` };
+      }
+
+      try {
+        const result = await withSavepoint(db, () =>
+          db.run(
+            `INSERT INTO key_assignments (keyId, assignedTo, assignedBy, assignedAt, dueAt)
+             VALUES (?, ?, ?, COALESCE(?, CURRENT_TIMESTAMP), ?)`,
+            [
+              key.id,
+              assignee.id,
+              context.actorId,
+              body.assignedAt ? toTimestamp(body.assignedAt) : null,
+              body.dueAt ? toTimestamp(body.dueAt) : null,
+            ],
+          ),
+        );
+        return { id: result.lastID, keyId: key.id, assignedTo: assignee.id };
+      } catch (error) {
+        if (isUniqueViolation(error)) {
+          return { error: "Key is already assigned" };
+        }
+        throw error;
+      }
+    },
+  },
+};
+
+// Spreadsheet cells can hold dates, rich text, links and formulas; rows are
+// validated as the strings a CSV or JSON body would carry
+const cellText = (value) => {
+  if (value == null) {
+    return "";
+  }
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+  if (typeof value === "object") {
+    if (value.richText) {
+      return value.richText.map((part) => part.text).join("");
+    }
+    if (value.text !== undefined) {
+      return cellText(value.text);
+    }
+    if (value.result !== undefined) {
+      return cellText(value.result);
+    }
+    return "";
+  }
+  return String(value).trim();
+};
+
+const readWorkbook = async (buffer) => {
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(buffer);
+  const [sheet] = workbook.worksheets;
+  if (!sheet) {
+    return [];
+  }
+
+  const headers = [];
+  sheet.getRow(1).eachCell((cell, column) => {
+    headers[column] = cellText(cell.value);
+  });
+
+  const rows = [];
+  sheet.eachRow((row, line) => {
+    if (line === 1) {
+      return;
+    }
+    const data = {};
+    row.eachCell((cell, column) => {
+      if (headers[column]) {
+        data[headers[column]] = cellText(cell.value);
+      }
+    });
+    if (Object.values(data).some(Boolean)) {
+      rows.push({ line, data });
+    }
+  });
+  return rows;
+};
+
+const readCsv = (buffer) =>
+  parse(buffer, {
+    bom: true,
+    columns: (header) => header.map((name) => name.trim()),
+    skip_empty_lines: true,
+    trim: true,
+    info: true,
+  }).map(({ record, info }) => ({ line: info.lines, data: record }));
+
+// Resolves to [{ line, data }] where line is the spreadsheet row number
+// (the header is line 1). Malformed files reject with the parser's error.
+const readRows = (file) =>
+  path.extname(file.originalname).toLowerCase() === ".xlsx"
+    ? readWorkbook(file.buffer)
+    : readCsv(file.buffer);
+
+// Validates and inserts every row in one transaction. Resolves to
+// { created, errors }; nothing is kept when there are errors or on a dry run.
+// When every row applies, record(tx, created) runs before the commit, so what
+// it writes is kept or discarded with the rows.
+const runImport = async (
+  db,
+  entity,
+  rows,
+  { actorId, dryRun = false, record },
+) => {
+  const importer = importers[entity];
+  const context = { actorId };
+  let outcome;
+
+  try {
+    await withTransaction(db, async (tx) => {
+      const created = [];
+      const errors = [];
+
+      for (const { line, data } of rows) {
+        const req = { body: importer.toBody(data) };
+        for (const validator of importer.validators) {
+          await validator.run(req);
+        }
+        const invalid = validationResult(req);
+        if (!invalid.isEmpty()) {
+          for (const error of invalid.array()) {
+            errors.push({ row: line, path: error.path, msg: error.msg });
+          }
+          continue;
+        }
+
+        const result = await importer.apply(tx, req.body, context);
+        if (result.error) {
+          errors.push({ row: line, msg: result.error });
+        } else {
+          created.push({ row: line, ...result });
+        }
+      }
+
+      outcome = { created, errors };
+      if (dryRun || errors.length > 0) {
+        throw new ImportRollback();
+      }
+      if (record) {
+        await record(tx, created);
+      }
+    });
+  } catch (error) {
+    if (!(error instanceof ImportRollback)) {
+      throw error;
+    }
+  }
+  return outcome;
+};
+
+module.exports = { importers, readRows, runImport, IMPORT_MAX_ROWS };
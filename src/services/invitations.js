@@ -0,0 +1,121 @@
+// backend/src/services/invitations.js
+const crypto = require("crypto");
+const bcrypt = require("bcryptjs");
+const jwt = require("jsonwebtoken");
+const { JWT_SECRET } = require("../middleware/auth");
+const { sendMail, APP_URL } = require("./mailer");
+const { minutesFromNow } = require("./dates");
+
+const INVITE_TTL_HOURS = Number(process.env.INVITE_TTL_HOURS) || 72;
+
+// Pending accounts get an unguessable placeholder until the invite is
+// accepted. Bulk callers can hash one placeholder and share it across users.
+const placeholderPasswordHash = () =>
+  bcrypt.hash(crypto.randomBytes(32).toString("hex"), 10);
+
+// Inserts an account that cannot log in until its invitation is accepted
+const createPendingUser = async (
+  db,
+  { email, role, displayName = null, phone = null, department = null },
+  passwordHash,
+) => {
+  const result = await db.run(
+    `INSERT INTO users (email, password, role, displayName, phone, department, isPending)
+     VALUES (?, ?, ?, ?, ?, ?, 1)`,
+    [
+      email,
+      passwordHash || (await placeholderPasswordHash()),
+      role,
+      displayName,
+      phone,
+      department,
+    ],
+  );
+  return result.lastID;
+};
+
+// Revokes any outstanding invitation for the user
+const revokeInvitations = (db, userId) =>
+  db.run(
+    `UPDATE invitations SET revokedAt = CURRENT_TIMESTAMP
+     WHERE userId = ? AND acceptedAt IS NULL AND revokedAt IS NULL`,
+    [userId],
+  );
+
+// Replaces outstanding invitations with a new one. Resolves to its id and the
+// signed token for its link.
+const createInvitation = async (db, user, invitedBy) => {
+  await revokeInvitations(db, user.id);
+
+  const result = await db.run(
+    `INSERT INTO invitations (userId, invitedBy, expiresAt)
+     VALUES (?, ?, ?)`,
+    [user.id, invitedBy, minutesFromNow(INVITE_TTL_HOURS * 60)],
+  );
+
+  const token = jwt.sign(
+    { purpose: "invite", invitationId: result.lastID, userId: user.id },
+    JWT_SECRET,
+    { expiresIn: `${INVITE_TTL_HOURS}h` },
+  );
+  return { id: result.lastID, token };
+};
+
+// Emails the link of an invitation made by createInvitation
+const mailInvitation = (user, token) =>
+  sendMail({
+    to: user.email,
+    subject: "You have been invited to Key Tracker",
+    text: `An account has been created for you. Use the link below to set your password. It expires in ${INVITE_TTL_HOURS} hours.\n\n${APP_URL}/accept-invite?token=${token}`,
+  });
+
+// Replaces outstanding invitations with a new one and emails the signed link
+const sendInvitation = async (db, user, invitedBy) => {
+  const { id, token } = await createInvitation(db, user, invitedBy);
+  await mailInvitation(user, token);
+  return id;
+};
+
+// Resolves a signed invite token to its open invitation, or null
+const findInvitation = async (db, token) => {
+  let payload;
+  try {
+    payload = jwt.verify(token, JWT_SECRET);
+  } catch (error) {
+    return null;
+  }
+  if (payload.purpose !== "invite") {
+    return null;
+  }
+
+  return db.get(
+    `SELECT i.* FROM invitations i
+     JOIN users u ON i.userId = u.id
+     WHERE i.id = ? AND i.userId = ?
+       AND i.acceptedAt IS NULL AND i.revokedAt IS NULL
+       AND i.expiresAt > CURRENT_TIMESTAMP
+       AND u.isPending = 1 AND u.isActive = 1`,
+    [payload.invitationId, payload.userId],
+  );
+};
+
+// Marks the invitation accepted; resolves to false when it was accepted or
+// revoked in the meantime
+const acceptInvitation = async (db, id) => {
+  const result = await db.run(
+    "UPDATE invitations SET acceptedAt = CURRENT_TIMESTAMP WHERE id = ? AND acceptedAt IS NULL AND revokedAt IS NULL",
+    [id],
+  );
+  return result.changes > 0;
+};
+
+module.exports = {
+  placeholderPasswordHash,
+  createPendingUser,
+  createInvitation,
+  mailInvitation,
+  sendInvitation,
+  revokeInvitations,
+  findInvitation,
+  acceptInvitation,
+};
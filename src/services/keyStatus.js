@@ -0,0 +1,24 @@
+// backend/src/services/keyStatus.js
+const KEY_STATUSES = {
+  ACTIVE: "active",
+  LOST: "lost",
+  STOLEN: "stolen",
+  DAMAGED: "damaged",
+  RETIRED: "retired",
+};
+
+// Allowed moves from each status; a retired key can only be reinstated
+const TRANSITIONS = {
+  active: ["lost", "stolen", "damaged", "retired"],
+  lost: ["active", "stolen", "retired"],
+  stolen: ["active", "retired"],
+  damaged: ["active", "retired"],
+  retired: ["active"],
+};
+
+const canTransition = (from, to) => (TRANSITIONS[from] || []).includes(to);
+
+const isAssignable = (key) =>
+  Boolean(key.isActive) && key.status === KEY_STATUSES.ACTIVE;
+
+module.exports = { KEY_STATUSES, canTransition, isAssignable };
@@ -0,0 +1,38 @@
+// backend/src/services/keyTypes.js
+const KEY_TYPES = {
+  GRAND_MASTER: "grand_master",
+  MASTER: "master",
+  SUB_MASTER: "sub_master",
+  SINGLE_DOOR: "single_door",
+  CABINET: "cabinet",
+};
+
+// Types that may sit above other keys in the master key hierarchy
+const PARENT_KEY_TYPES = [
+  KEY_TYPES.GRAND_MASTER,
+  KEY_TYPES.MASTER,
+  KEY_TYPES.SUB_MASTER,
+];
+
+// Position in the master key hierarchy; a key's parent must rank strictly
+// above it
+const HIERARCHY_RANKS = {
+  [KEY_TYPES.GRAND_MASTER]: 3,
+  [KEY_TYPES.MASTER]: 2,
+  [KEY_TYPES.SUB_MASTER]: 1,
+  [KEY_TYPES.SINGLE_DOOR]: 0,
+  [KEY_TYPES.CABINET]: 0,
+};
+
+const outranks = (parentType, childType) =>
+  HIERARCHY_RANKS[parentType] > HIERARCHY_RANKS[childType];
+
+// Requests for these keys need sign-off from two different approvers
+const requiredApprovals = (type) => (PARENT_KEY_TYPES.includes(type) ? 2 : 1);
+
+module.exports = {
+  KEY_TYPES,
+  PARENT_KEY_TYPES,
+  outranks,
+  requiredApprovals,
+};
@@ -0,0 +1,125 @@
+// backend/src/services/keys.js
+const { KEY_TYPES, outranks } = require("./keyTypes");
+const { isDescendant } = require("./access");
+
+const TYPE_NAMES = {
+  [KEY_TYPES.GRAND_MASTER]: "grand master",
+  [KEY_TYPES.MASTER]: "master",
+  [KEY_TYPES.SUB_MASTER]: "sub-master",
+  [KEY_TYPES.SINGLE_DOOR]: "single-door",
+  [KEY_TYPES.CABINET]: "cabinet",
+};
+
+const parentRankError = (parentType, type) =>
+  `A ${TYPE_NAMES[parentType]} key cannot be the parent of a ${TYPE_NAMES[type]} key`;
+
+// Returns the first problem with a key's parent, location or door references,
+// if any. type is the key's type after the change; when omitted for an
+// existing key its current type is used.
+const checkKeyReferences = async (
+  db,
+  { parentId, locationId, doorIds, type },
+  keyId,
+) => {
+  if (parentId != null) {
+    const parent = await db.get("SELECT id, type FROM keys WHERE id = ?", [
+      parentId,
+    ]);
+    if (!parent) {
+      return "Parent key not found";
+    }
+    const keyType =
+      type ??
+      (keyId !== undefined
+        ? (await db.get("SELECT type FROM keys WHERE id = ?", [keyId]))?.type
+        : KEY_TYPES.SINGLE_DOOR);
+    if (keyType && !outranks(parent.type, keyType)) {
+      return parentRankError(parent.type, keyType);
+    }
+    if (
+      keyId !== undefined &&
+      (Number(parentId) === Number(keyId) ||
+        (await isDescendant(db, keyId, parentId)))
+    ) {
+      return "Parent key cannot be the key itself or one of its descendants";
+    }
+  }
+  if (locationId != null) {
+    const location = await db.get(
+      "SELECT id FROM locations WHERE id = ? AND isActive = 1",
+      [locationId],
+    );
+    if (!location) {
+      return "Location not found";
+    }
+  }
+  if (doorIds && doorIds.length > 0) {
+    const uniqueIds = [...new Set(doorIds.map(Number))];
+    const { count } = await db.get(
+      `SELECT COUNT(*) as count FROM doors
+       WHERE isActive = 1 AND id IN (${uniqueIds.map(() => "?").join(", ")})`,
+      uniqueIds,
+    );
+    if (count !== uniqueIds.length) {
+      return "One or more doors not found";
+    }
+  }
+  return null;
+};
+
+// Returns why the key cannot take the given type, if it cannot: it must still
+// rank below its parent and above each of its children, retired ones
+// included. parentId is the key's new parent when the same change moves it,
+// which checkKeyReferences checks instead.
+const checkKeyTypeChange = async (db, keyId, type, { parentId } = {}) => {
+  if (type === undefined) {
+    return null;
+  }
+  if (parentId === undefined) {
+    const parent = await db.get(
+      `SELECT p.type FROM keys k JOIN keys p ON k.parentId = p.id
+       WHERE k.id = ?`,
+      [keyId],
+    );
+    if (parent && !outranks(parent.type, type)) {
+      return parentRankError(parent.type, type);
+    }
+  }
+  const children = await db.all("SELECT type FROM keys WHERE parentId = ?", [
+    keyId,
+  ]);
+  const count = children.filter((child) => !outranks(type, child.type)).length;
+  return count > 0
+    ? `Key still has ${count} child key(s) that would not rank below it; move them to another parent first`
+    : null;
+};
+
+// A key with its door mapping, as recorded in the audit log
+const getKeySnapshot = async (db, id) => {
+  const key = await db.get("SELECT * FROM keys WHERE id = ?", [id]);
+  if (!key) {
+    return null;
+  }
+  const doors = await db.all(
+    "SELECT doorId FROM key_doors WHERE keyId = ? ORDER BY doorId",
+    [id],
+  );
+  return { ...key, doorIds: doors.map((door) => door.doorId) };
+};
+
+const replaceKeyDoors = async (db, keyId, doorIds) => {
+  await db.run("DELETE FROM key_doors WHERE keyId = ?", [keyId]);
+  for (const doorId of new Set(doorIds.map(Number))) {
+    await db.run("INSERT INTO key_doors (keyId, doorId) VALUES (?, ?)", [
+      keyId,
+      doorId,
+    ]);
+  }
+};
+
+module.exports = {
+  checkKeyReferences,
+  checkKeyTypeChange,
+  getKeySnapshot,
+  replaceKeyDoors,
+};
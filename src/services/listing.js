@@ -0,0 +1,50 @@
+// backend/src/services/listing.js
+// Offset pagination and sorting shared by the list endpoints. Every list
+// responds with its rows under a named property plus { page, limit, total }.
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+// Escapes LIKE wildcards so search text matches literally; use with ESCAPE '\'
+const likePattern = (text) => `%${text.replace(/[\\%_]/g, "\\$&")}%`;
+
+// Boolean list filters arrive as "true" or "false"; an absent flag does not
+// filter and stays undefined
+const queryFlag = (value) =>
+  value === undefined ? undefined : value === "true";
+
+// Runs a list query for one page. sortColumns maps each sortable field to its
+// SQL expression; sort names a field, prefixed with "-" for descending order.
+// The id column breaks ties so rows never repeat or go missing across pages.
+const fetchPage = async (
+  db,
+  { page, limit, sort },
+  { select, from, conditions = [], values = [], sortColumns, idColumn },
+) => {
+  const where = conditions.length ? `WHERE ${conditions.join(" AND ")}` : "";
+  const descending = sort.startsWith("-");
+  const direction = descending ? "DESC" : "ASC";
+  const column = sortColumns[descending ? sort.slice(1) : sort];
+  const pageNumber = Number(page) || 1;
+  const pageSize = Number(limit) || DEFAULT_PAGE_SIZE;
+
+  const { total } = await db.get(
+    `SELECT COUNT(*) as total FROM ${from} ${where}`,
+    values,
+  );
+  const rows = await db.all(
+    `SELECT ${select} FROM ${from} ${where}
+     ORDER BY ${column} ${direction}, ${idColumn} ${direction}
+     LIMIT ? OFFSET ?`,
+    [...values, pageSize, (pageNumber - 1) * pageSize],
+  );
+  return { rows, page: pageNumber, limit: pageSize, total };
+};
+
+module.exports = {
+  fetchPage,
+  likePattern,
+  queryFlag,
+  DEFAULT_PAGE_SIZE,
+  MAX_PAGE_SIZE,
+};
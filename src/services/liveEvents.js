@@ -0,0 +1,169 @@
+// backend/src/services/liveEvents.js
+// Pushes key changes to connected dashboards. Every event is stored before it
+// is sent so a client that reconnects can replay what it missed, and each
+// subscriber only receives what the keys API would show them.
+const { ROLES } = require("../middleware/auth");
+const { minutesFromNow } = require("./dates");
+const { findKey } = require("../repositories/keys");
+const { findAssignmentSummary } = require("../repositories/assignments");
+const {
+  createLiveEvent,
+  listLiveEventsAfter,
+  getLiveEventRange,
+  pruneLiveEvents,
+} = require("../repositories/liveEvents");
+
+const LIVE_EVENT_TYPES = ["key.assigned", "key.returned", "key.status"];
+
+const RETENTION_HOURS = Number(process.env.LIVE_EVENT_RETENTION_HOURS) || 24;
+const REPLAY_LIMIT = 1000;
+const PRUNE_INTERVAL_MS = 60 * 60 * 1000;
+
+// Connected subscribers per database
+const subscribers = new Map();
+const lastPruned = new Map();
+
+const toMessage = (event) => ({
+  id: event.id,
+  event: event.type,
+  occurredAt: event.createdAt,
+  data: typeof event.data === "string" ? JSON.parse(event.data) : event.data,
+});
+
+// Like the key list, holders see every key's status but only learn who holds
+// the keys they hold themselves
+const visibleMessage = (user, message) => {
+  const { data } = message;
+  if (user.role !== ROLES.HOLDER || message.event === "key.status") {
+    return message;
+  }
+  if (data.assignedTo === user.id) {
+    return message;
+  }
+  return {
+    ...message,
+    data: {
+      keyId: data.keyId,
+      identifier: data.identifier,
+      tagCode: data.tagCode,
+      status: data.status,
+    },
+  };
+};
+
+const prune = async (db) => {
+  if (Date.now() - (lastPruned.get(db) || 0) < PRUNE_INTERVAL_MS) {
+    return;
+  }
+  lastPruned.set(db, Date.now());
+  await pruneLiveEvents(db, minutesFromNow(-RETENTION_HOURS * 60));
+};
+
+// Stores the event and sends it to everyone connected. data may be a function
+// resolving to the event data, which always includes keyId. Errors are logged,
+// never thrown: a dashboard update must not fail the request that changed the
+// key.
+const publishLiveEvent = async (db, type, data) => {
+  try {
+    const eventData = typeof data === "function" ? await data() : data;
+    const message = toMessage(
+      await createLiveEvent(db, {
+        type,
+        keyId: eventData.keyId,
+        data: eventData,
+      }),
+    );
+    for (const subscriber of subscribers.get(db) || []) {
+      subscriber.send(message);
+    }
+    await prune(db);
+  } catch (error) {
+    console.error(`Error publishing live event ${type}: ${error.message}`);
+  }
+};
+
+// key.assigned and key.returned carry the assignment with the key's status
+// afterwards, which shows when a key came back damaged
+const publishAssignmentChange = (db, type, assignmentId) =>
+  publishLiveEvent(db, type, async () => {
+    const assignment = await findAssignmentSummary(db, assignmentId);
+    const key = await findKey(db, assignment.keyId);
+    return { ...assignment, status: key.status };
+  });
+
+const publishKeyStatus = (db, keyId, previousStatus) =>
+  publishLiveEvent(db, "key.status", async () => {
+    const key = await findKey(db, keyId);
+    return {
+      keyId: key.id,
+      identifier: key.identifier,
+      tagCode: key.tagCode,
+      status: key.status,
+      previousStatus,
+      reason: key.statusReason,
+    };
+  });
+
+// Registers a connection. send(message) receives each event the user may see.
+// Events published while the missed ones are replayed are held back and sent
+// after them, skipping any the replay already covered. When the client's last
+// event is no longer kept, a reset message without an id comes first instead
+// of the replay: the client should reload the keys. Resolves to
+// { setUser, unsubscribe }.
+const subscribe = async (db, { user, lastEventId, send }) => {
+  const held = [];
+  let current = user;
+  let replayedTo = 0;
+  const deliver = (message) => {
+    if (message.id > replayedTo) {
+      send(visibleMessage(current, message));
+    }
+  };
+  const subscriber = { send: (message) => held.push(message) };
+
+  const connected = subscribers.get(db) || new Set();
+  subscribers.set(db, connected);
+  connected.add(subscriber);
+  const unsubscribe = () => connected.delete(subscriber);
+
+  try {
+    if (lastEventId !== undefined) {
+      const { oldestId, latestId } = await getLiveEventRange(db);
+      const missed = await listLiveEventsAfter(db, lastEventId, REPLAY_LIMIT);
+      if (
+        lastEventId > (latestId || 0) ||
+        (oldestId !== null && lastEventId < oldestId - 1) ||
+        missed.length === REPLAY_LIMIT
+      ) {
+        replayedTo = latestId || 0;
+        send({
+          event: "reset",
+          data: { reason: "Missed events are no longer available" },
+        });
+      } else {
+        missed.map(toMessage).forEach(deliver);
+        replayedTo = Math.max(lastEventId, ...missed.map(({ id }) => id));
+      }
+    }
+
+    held.forEach(deliver);
+    subscriber.send = deliver;
+    return {
+      setUser: (next) => {
+        current = next;
+      },
+      unsubscribe,
+    };
+  } catch (error) {
+    unsubscribe();
+    throw error;
+  }
+};
+
+module.exports = {
+  LIVE_EVENT_TYPES,
+  publishLiveEvent,
+  publishAssignmentChange,
+  publishKeyStatus,
+  subscribe,
+};
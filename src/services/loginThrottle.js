@@ -0,0 +1,160 @@
+// backend/src/services/loginThrottle.js
+const { parseTimestamp, minutesFromNow } = require("./dates");
+
+const WINDOW_MINUTES = Number(process.env.LOGIN_WINDOW_MINUTES) || 15;
+const MAX_ACCOUNT_FAILURES =
+  Number(process.env.LOGIN_MAX_ACCOUNT_FAILURES) || 5;
+const MAX_IP_FAILURES = Number(process.env.LOGIN_MAX_IP_FAILURES) || 20;
+const LOCKOUT_MINUTES = Number(process.env.LOGIN_LOCKOUT_MINUTES) || 15;
+const BASE_DELAY_SECONDS = 1;
+const MAX_DELAY_SECONDS = 30;
+
+const secondsUntil = (timestamp) =>
+  Math.max(1, Math.ceil((parseTimestamp(timestamp) - Date.now()) / 1000));
+
+// Failures only count since the last success or lockout for the account
+const countAccountFailures = (db, email) => {
+  const windowStart = minutesFromNow(-WINDOW_MINUTES);
+  return db.get(
+    `SELECT COUNT(*) AS failures, MAX(createdAt) AS lastFailure
+     FROM login_attempts
+     WHERE email = ? AND success = 0
+       AND createdAt > ?
+       AND createdAt > COALESCE((SELECT MAX(createdAt) FROM login_attempts WHERE email = ? AND success = 1), ?)
+       AND createdAt > COALESCE((SELECT MAX(createdAt) FROM account_lockouts WHERE scope = 'account' AND email = ?), ?)`,
+    [email, windowStart, email, windowStart, email, windowStart],
+  );
+};
+
+// Failures from the IP count since its last lockout, across every account and
+// whether or not one of them later signed in
+const countIpFailures = (db, ip) => {
+  const windowStart = minutesFromNow(-WINDOW_MINUTES);
+  return db.get(
+    `SELECT COUNT(*) AS failures, MAX(createdAt) AS lastFailure
+     FROM login_attempts
+     WHERE ip = ? AND success = 0
+       AND createdAt > ?
+       AND createdAt > COALESCE((SELECT MAX(createdAt) FROM account_lockouts WHERE scope = 'ip' AND ip = ?), ?)`,
+    [ip, windowStart, ip, windowStart],
+  );
+};
+
+// Each consecutive failure doubles the wait before the next attempt. Returns
+// the seconds still to wait, or 0.
+const remainingDelay = ({ failures, lastFailure }) => {
+  if (failures === 0) {
+    return 0;
+  }
+  const delay = Math.min(
+    BASE_DELAY_SECONDS * 2 ** (failures - 1),
+    MAX_DELAY_SECONDS,
+  );
+  // Attempts are stored to the second, so the failure may have come up to a
+  // second after lastFailure; counting from the end of that second keeps
+  // truncation from cutting the delay short
+  const elapsed = (Date.now() - parseTimestamp(lastFailure)) / 1000 - 1;
+  return elapsed < delay ? Math.ceil(delay - elapsed) : 0;
+};
+
+const lock = async (db, { scope, email, ip, userId, failures }) => {
+  await db.run(
+    `INSERT INTO account_lockouts (scope, userId, email, ip, failures, lockedUntil)
+     VALUES (?, ?, ?, ?, ?, ?)`,
+    [scope, userId, email, ip, failures, minutesFromNow(LOCKOUT_MINUTES)],
+  );
+  console.warn(
+    `Login lockout (${scope}): email=${email} ip=${ip} failures=${failures}`,
+  );
+};
+
+// Returns null when the attempt may proceed, otherwise the rejection to send
+const checkLoginAllowed = async (db, email, ip) => {
+  const lockout = await db.get(
+    `SELECT scope, lockedUntil FROM account_lockouts
+     WHERE unlockedAt IS NULL AND lockedUntil > CURRENT_TIMESTAMP
+       AND ((scope = 'account' AND email = ?) OR (scope = 'ip' AND ip = ?))
+     ORDER BY lockedUntil DESC`,
+    [email, ip],
+  );
+
+  if (lockout) {
+    return lockout.scope === "account"
+      ? {
+          status: 423,
+          error: "Account temporarily locked",
+          retryAfter: secondsUntil(lockout.lockedUntil),
+        }
+      : {
+          status: 429,
+          error: "Too many failed login attempts",
+          retryAfter: secondsUntil(lockout.lockedUntil),
+        };
+  }
+
+  // The account and the IP each slow down with their failures, so spreading
+  // guesses over many accounts from one address is delayed too
+  const retryAfter = Math.max(
+    remainingDelay(await countAccountFailures(db, email)),
+    remainingDelay(await countIpFailures(db, ip)),
+  );
+  if (retryAfter > 0) {
+    return {
+      status: 429,
+      error: "Too many failed login attempts",
+      retryAfter,
+    };
+  }
+
+  return null;
+};
+
+const recordFailedLogin = async (db, { email, ip, userId }) => {
+  await db.run(
+    "INSERT INTO login_attempts (email, ip, userId, success) VALUES (?, ?, ?, 0)",
+    [email, ip, userId],
+  );
+
+  const account = await countAccountFailures(db, email);
+  if (account.failures >= MAX_ACCOUNT_FAILURES) {
+    await lock(db, {
+      scope: "account",
+      email,
+      ip,
+      userId,
+      failures: account.failures,
+    });
+  }
+
+  const byIp = await countIpFailures(db, ip);
+  if (byIp.failures >= MAX_IP_FAILURES) {
+    await lock(db, {
+      scope: "ip",
+      email,
+      ip,
+      userId,
+      failures: byIp.failures,
+    });
+  }
+};
+
+const recordSuccessfulLogin = (db, { email, ip, userId }) =>
+  db.run(
+    "INSERT INTO login_attempts (email, ip, userId, success) VALUES (?, ?, ?, 1)",
+    [email, ip, userId],
+  );
+
+const unlockAccount = (db, userId, unlockedBy) =>
+  db.run(
+    `UPDATE account_lockouts SET unlockedAt = CURRENT_TIMESTAMP, unlockedBy = ?
+     WHERE scope = 'account' AND unlockedAt IS NULL AND lockedUntil > CURRENT_TIMESTAMP
+       AND (userId = ? OR email = (SELECT email FROM users WHERE id = ?))`,
+    [unlockedBy, userId, userId],
+  );
+
+module.exports = {
+  checkLoginAllowed,
+  recordFailedLogin,
+  recordSuccessfulLogin,
+  unlockAccount,
+};
@@ -0,0 +1,54 @@
+// backend/src/services/mailer.js
+const nodemailer = require("nodemailer");
+
+const APP_URL = process.env.APP_URL || "http://localhost:3000";
+const MAIL_FROM = process.env.MAIL_FROM || "Key Tracker <no-reply@localhost>";
+
+// Without SMTP_HOST messages are rendered but not sent, which keeps local
+// development working without a mail server. Only the recipient and subject
+// are logged: bodies carry invitation and password reset links.
+const isMailConfigured = () => Boolean(process.env.SMTP_HOST);
+
+// Production must deliver mail, or invitations and password resets quietly
+// go nowhere
+const assertMailConfigured = () => {
+  if (process.env.NODE_ENV === "production" && !isMailConfigured()) {
+    throw new Error("SMTP_HOST is required when NODE_ENV is production");
+  }
+};
+
+const createTransport = () => {
+  if (!isMailConfigured()) {
+    return nodemailer.createTransport({ jsonTransport: true });
+  }
+
+  return nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: Number(process.env.SMTP_PORT) || 587,
+    secure: process.env.SMTP_SECURE === "true",
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+      : undefined,
+  });
+};
+
+const transporter = createTransport();
+
+const sendMail = async ({ to, subject, text, html }) => {
+  assertMailConfigured();
+  const info = await transporter.sendMail({
+    from: MAIL_FROM,
+    to,
+    subject,
+    text,
+    html,
+  });
+  if (!isMailConfigured()) {
+    console.log(
+      `Mail not sent (SMTP_HOST unset): "${subject}" to ${[to].flat().join(", ")}`,
+    );
+  }
+  return info;
+};
+
+module.exports = { sendMail, assertMailConfigured, APP_URL };
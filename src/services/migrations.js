@@ -0,0 +1,220 @@
+// backend/src/services/migrations.js
+// Numbered schema migrations. Each file in src/migrations is named
+// NNN_description.js and exports async up(db) and down(db). Applied versions
+// are recorded in schema_migrations, each together with its changes in one
+// transaction.
+const fs = require("fs");
+const path = require("path");
+const { withTransaction } = require("./transaction");
+const { openSqlite } = require("../db/sqlite");
+
+const MIGRATIONS_DIR = path.join(__dirname, "..", "migrations");
+const FILE_PATTERN = /^(\d+)_(\w+)\.js$/;
+
+const ensureMigrationsTable = (db) =>
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      appliedAt DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+
+// Migration files in version order
+const loadMigrations = (dir = MIGRATIONS_DIR) => {
+  const migrations = fs
+    .readdirSync(dir)
+    .map((file) => FILE_PATTERN.exec(file))
+    .filter(Boolean)
+    .map(([file, version, name]) => ({
+      version: Number(version),
+      name,
+      ...require(path.join(dir, file)),
+    }))
+    .sort((a, b) => a.version - b.version);
+
+  migrations.forEach((migration, index) => {
+    if (index > 0 && migrations[index - 1].version === migration.version) {
+      throw new Error(`Duplicate migration version ${migration.version}`);
+    }
+  });
+  return migrations;
+};
+
+// Values for columns a pre-migration table gains, where the column default
+// would be wrong for existing rows. Deactivated keys were retired keys.
+const LEGACY_BACKFILL = {
+  keys: {
+    status: "CASE WHEN isActive THEN 'active' ELSE 'retired' END",
+    updatedAt: "createdAt",
+  },
+};
+
+const columnsOf = (db, table) => db.all(`PRAGMA table_info(${table})`);
+
+// Databases created before migrations existed built their tables with CREATE
+// TABLE IF NOT EXISTS, so columns added since never reached them, and 001's
+// IF NOT EXISTS would leave them that way. Before 001 is applied, every
+// existing table missing some of 001's columns is rebuilt with 001's
+// definition, keeping its rows, indexes, triggers and any other columns. New
+// columns take their defaults (users become holders; the ADMIN_EMAIL account
+// is made admin at startup) except for LEGACY_BACKFILL. Only SQLite predates
+// migrations.
+const upgradeLegacyTables = async (db, initial) => {
+  const legacy = await db.all(
+    "SELECT name FROM sqlite_master WHERE type = 'table' AND name NOT LIKE 'sqlite_%'",
+  );
+  if (legacy.length === 0) {
+    return;
+  }
+
+  const reference = await openSqlite({ filename: ":memory:" });
+  let tables;
+  try {
+    await initial.up(reference);
+    tables = await reference.all(
+      "SELECT name, sql FROM sqlite_master WHERE type = 'table' AND name NOT LIKE 'sqlite_%'",
+    );
+    for (const table of tables) {
+      table.columns = await columnsOf(reference, table.name);
+    }
+  } finally {
+    await reference.close();
+  }
+
+  // Renaming must not rewrite other tables' references to the rebuilt one
+  await db.exec("PRAGMA legacy_alter_table = ON");
+  for (const { name, sql, columns } of tables) {
+    if (!legacy.some((table) => table.name === name)) {
+      continue;
+    }
+    const existing = await columnsOf(db, name);
+    const names = new Set(existing.map((column) => column.name));
+    const missing = columns.filter((column) => !names.has(column.name));
+    if (missing.length === 0) {
+      continue;
+    }
+
+    const dependents = await db.all(
+      "SELECT type, name, sql FROM sqlite_master WHERE tbl_name = ? AND type IN ('index', 'trigger') AND sql IS NOT NULL",
+      [name],
+    );
+    await db.exec(`ALTER TABLE ${name} RENAME TO legacy_${name}`);
+    await db.exec(sql);
+    for (const column of existing) {
+      if (!columns.some(({ name: kept }) => kept === column.name)) {
+        await db.exec(
+          `ALTER TABLE ${name} ADD COLUMN ${column.name} ${column.type}`,
+        );
+      }
+    }
+
+    const backfill = LEGACY_BACKFILL[name] || {};
+    const filled = missing
+      .map((column) => column.name)
+      .filter((column) => backfill[column]);
+    const copied = existing.map((column) => column.name);
+    await db.exec(
+      `INSERT INTO ${name} (${[...copied, ...filled].join(", ")})
+       SELECT ${[...copied, ...filled.map((column) => backfill[column])].join(", ")}
+       FROM legacy_${name}`,
+    );
+    await db.exec(`DROP TABLE legacy_${name}`);
+    for (const dependent of dependents) {
+      await db.exec(dependent.sql);
+    }
+  }
+  await db.exec("PRAGMA legacy_alter_table = OFF");
+};
+
+const appliedVersions = async (db) => {
+  await ensureMigrationsTable(db);
+  return db.all("SELECT * FROM schema_migrations ORDER BY version");
+};
+
+// Every known migration with its applied time, plus applied versions whose
+// file no longer exists
+const migrationStatus = async (db) => {
+  const applied = await appliedVersions(db);
+  const appliedAt = new Map(applied.map((row) => [row.version, row.appliedAt]));
+  const migrations = loadMigrations();
+  const known = new Set(migrations.map((migration) => migration.version));
+
+  return [
+    ...migrations.map(({ version, name }) => ({
+      version,
+      name,
+      state: appliedAt.has(version) ? "applied" : "pending",
+      appliedAt: appliedAt.get(version) || null,
+    })),
+    ...applied
+      .filter((row) => !known.has(row.version))
+      .map(({ version, name, appliedAt: at }) => ({
+        version,
+        name,
+        state: "missing",
+        appliedAt: at,
+      })),
+  ].sort((a, b) => a.version - b.version);
+};
+
+const pendingMigrations = async (db) =>
+  (await migrationStatus(db)).filter((entry) => entry.state === "pending");
+
+// Applies pending migrations up to and including the target version (all by
+// default). Resolves to the migrations applied.
+const migrate = async (db, { to = Infinity } = {}) => {
+  const applied = new Set(
+    (await appliedVersions(db)).map((row) => row.version),
+  );
+  const pending = loadMigrations().filter(
+    (migration) => !applied.has(migration.version) && migration.version <= to,
+  );
+
+  for (const migration of pending) {
+    await withTransaction(db, async (tx) => {
+      if (migration.version === 1 && tx.dialect.name === "sqlite") {
+        await upgradeLegacyTables(tx, migration);
+      }
+      await migration.up(tx);
+      await tx.run(
+        "INSERT INTO schema_migrations (version, name) VALUES (?, ?)",
+        [migration.version, migration.name],
+      );
+    });
+  }
+  return pending;
+};
+
+// Reverts the most recently applied migrations. Resolves to the migrations
+// rolled back, newest first.
+const rollback = async (db, { steps = 1 } = {}) => {
+  const migrations = new Map(
+    loadMigrations().map((migration) => [migration.version, migration]),
+  );
+  const latest = (await appliedVersions(db)).reverse().slice(0, steps);
+
+  const reverted = [];
+  for (const { version } of latest) {
+    const migration = migrations.get(version);
+    if (!migration) {
+      throw new Error(`Migration file for version ${version} not found`);
+    }
+    await withTransaction(db, async (tx) => {
+      await migration.down(tx);
+      await tx.run("DELETE FROM schema_migrations WHERE version = ?", [
+        version,
+      ]);
+    });
+    reverted.push(migration);
+  }
+  return reverted;
+};
+
+module.exports = {
+  loadMigrations,
+  migrationStatus,
+  pendingMigrations,
+  migrate,
+  rollback,
+};
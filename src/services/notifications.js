@@ -0,0 +1,25 @@
+// backend/src/services/notifications.js
+const { sendMail } = require("./mailer");
+
+// Emails each recipient separately. Delivery failures are logged rather than
+// thrown so a notification never undoes the change it reports.
+const notify = async (recipients, { subject, text }) => {
+  const emails = [...new Set(recipients.filter(Boolean))];
+  for (const to of emails) {
+    try {
+      await sendMail({ to, subject, text });
+    } catch (error) {
+      console.error(`Error notifying ${to}: ${error.message}`);
+    }
+  }
+};
+
+// Emails of every active user allowed to approve and fulfil key requests
+const approverEmails = async (db) =>
+  (
+    await db.all(
+      "SELECT email FROM users WHERE role IN ('admin', 'custodian') AND isActive = 1 AND isPending = 0",
+    )
+  ).map((user) => user.email);
+
+module.exports = { notify, approverEmails };
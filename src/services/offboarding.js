@@ -0,0 +1,165 @@
+// backend/src/services/offboarding.js
+// Offboarding a user: what they still have to hand back, and handing their
+// keys to a custodian when they cannot return them in person
+const { isAssignable } = require("./keyStatus");
+const { checkReservations, handOverKey } = require("./assignments");
+const { notify } = require("./notifications");
+const {
+  getUserSnapshot,
+  findCustodian,
+  findManager,
+} = require("../repositories/users");
+const { listOutstandingKeys } = require("../repositories/assignments");
+const {
+  listPendingTransfers,
+  closeTransfer,
+} = require("../repositories/keyTransfers");
+
+// Keys the user has not handed back yet, by identifier
+const listKeysToReturn = async (db, userId) =>
+  (await listOutstandingKeys(db, userId)).map((key) => ({
+    ...key,
+    isActive: Boolean(key.isActive),
+    isOverdue: Boolean(key.isOverdue),
+  }));
+
+// Emails the user's manager, if they have an active one
+const notifyManager = async (db, userId, message) => {
+  const manager = await findManager(db, userId);
+  if (manager) {
+    await notify([manager.email], message);
+  }
+};
+
+// Resolves to the user's offboarding checklist, or null when no user has the
+// id. The user can be deactivated once no keys are outstanding.
+const getOffboardingChecklist = async (db, userId) => {
+  const user = await getUserSnapshot(db, userId);
+  if (!user) {
+    return null;
+  }
+
+  const keys = await listKeysToReturn(db, userId);
+  return {
+    user: {
+      ...user,
+      isActive: Boolean(user.isActive),
+      isPending: Boolean(user.isPending),
+    },
+    manager: (await findManager(db, userId)) || null,
+    keys,
+    pendingTransfers: await listPendingTransfers(db, userId),
+    canDeactivate: keys.length === 0,
+  };
+};
+
+// Hands the keys the user holds, or only those in keyIds, to the custodian.
+// Must run inside a transaction, so that either every key moves or none
+// does. Pending transfers the user offered for those keys are cancelled.
+// Another user's reservation of a key blocks the reassignment unless
+// overridden. Resolves to { custodian, reassigned, cancelledTransfers } or
+// { status, error }.
+const reassignKeys = async (
+  tx,
+  userId,
+  { custodianId, keyIds, reassignedBy, override = false },
+) => {
+  if (Number(custodianId) === Number(userId)) {
+    return {
+      status: 400,
+      error: "Keys cannot be reassigned to their holder",
+    };
+  }
+  const custodian = await findCustodian(tx, custodianId);
+  if (!custodian) {
+    return { status: 400, error: "Custodian not found" };
+  }
+
+  let keys = await listOutstandingKeys(tx, userId);
+  if (keyIds) {
+    const missing = keyIds.filter(
+      (keyId) => !keys.some((key) => key.keyId === keyId),
+    );
+    if (missing.length > 0) {
+      return {
+        status: 400,
+        error: `User does not hold key ${missing.join(", ")}`,
+      };
+    }
+    keys = keys.filter((key) => keyIds.includes(key.keyId));
+  }
+  if (keys.length === 0) {
+    return { status: 409, error: "User holds no keys" };
+  }
+
+  // Damaged and lost keys cannot change hands; they are returned instead
+  const blocked = keys.filter((key) => !isAssignable(key));
+  if (blocked.length > 0) {
+    return {
+      status: 409,
+      error: `Keys cannot be reassigned while ${blocked
+        .map((key) => `${key.identifier} is ${key.status}`)
+        .join(", ")}`,
+    };
+  }
+
+  if (!override) {
+    for (const key of keys) {
+      const conflict = await checkReservations(
+        tx,
+        key.keyId,
+        custodian.id,
+        key.dueAt,
+      );
+      if (conflict) {
+        return {
+          status: 409,
+          error: `${key.identifier}: ${conflict.error}`,
+        };
+      }
+    }
+  }
+
+  const reassigned = [];
+  for (const key of keys) {
+    const assignment = await handOverKey(tx, {
+      assignmentId: key.id,
+      toUserId: custodian.id,
+      handedOverBy: reassignedBy,
+      override,
+    });
+    // Checked above, so this only happens if something changed mid-way;
+    // throwing rolls back the keys already moved
+    if (assignment.error) {
+      throw new Error(assignment.error);
+    }
+    reassigned.push({
+      keyId: key.keyId,
+      identifier: key.identifier,
+      fromAssignmentId: key.id,
+      assignmentId: assignment.id,
+    });
+  }
+
+  const cancelledTransfers = [];
+  for (const transfer of await listPendingTransfers(tx, userId)) {
+    if (
+      reassigned.some(
+        ({ fromAssignmentId }) =>
+          fromAssignmentId === transfer.fromAssignmentId,
+      ) &&
+      (await closeTransfer(tx, transfer.id, "cancelled"))
+    ) {
+      cancelledTransfers.push(transfer.id);
+    }
+  }
+
+  return { custodian, reassigned, cancelledTransfers };
+};
+
+module.exports = {
+  listKeysToReturn,
+  notifyManager,
+  getOffboardingChecklist,
+  reassignKeys,
+};
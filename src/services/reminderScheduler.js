@@ -0,0 +1,149 @@
+// backend/src/services/reminderScheduler.js
+const { sendMail } = require("./mailer");
+const { parseTimestamp } = require("./dates");
+const { publishAssignmentEvent } = require("./webhooks");
+
+const HOUR_MS = 60 * 60 * 1000;
+// Recorded alongside the reminder kinds once webhooks were told a key is overdue
+const OVERDUE_EVENT_KIND = "overdue_event";
+
+const parseHours = (value, fallback) =>
+  (value ?? fallback)
+    .split(",")
+    .map((hours) => Number(hours.trim()))
+    .filter((hours) => Number.isFinite(hours) && hours >= 0);
+
+const INTERVAL_MINUTES = Number(process.env.REMINDER_INTERVAL_MINUTES ?? 15);
+// Sorted so the most recently crossed threshold comes last in each list
+const HOURS_BEFORE = parseHours(process.env.REMINDER_HOURS_BEFORE, "24").sort(
+  (a, b) => b - a,
+);
+const HOURS_AFTER = parseHours(
+  process.env.REMINDER_HOURS_AFTER,
+  "0,24,72",
+).sort((a, b) => a - b);
+
+// Reminder kinds that are due for an assignment at the given time, e.g.
+// "before_24h" once within 24 hours of dueAt or "after_0h" once overdue
+const dueReminderKinds = (dueAt, now) => {
+  const due = parseTimestamp(dueAt).getTime();
+  const before = HOURS_BEFORE.filter(
+    (hours) => now >= due - hours * HOUR_MS && now < due,
+  ).map((hours) => `before_${hours}h`);
+  const after = HOURS_AFTER.filter((hours) => now >= due + hours * HOUR_MS).map(
+    (hours) => `after_${hours}h`,
+  );
+  return [...before, ...after];
+};
+
+const formatMessage = (assignment, kind, recipient) => {
+  const overdue = kind.startsWith("after_");
+  const subject = overdue
+    ? `Key ${assignment.identifier} is overdue`
+    : `Key ${assignment.identifier} is due soon`;
+  const status = overdue
+    ? `was due back on ${assignment.dueAt} UTC and has not been returned`
+    : `is due back on ${assignment.dueAt} UTC`;
+
+  const text =
+    recipient === "holder"
+      ? `The key ${assignment.identifier} assigned to you ${status}. Please return it to a key custodian.`
+      : `The key ${assignment.identifier} you assigned to ${assignment.holderEmail} ${status}.`;
+
+  return { subject, text };
+};
+
+const sendReminders = async (db, now = Date.now()) => {
+  const assignments = await db.all(
+    `SELECT ka.id, ka.dueAt, k.identifier,
+       holder.email as holderEmail, assigner.email as assignedByEmail
+     FROM key_assignments ka
+     JOIN keys k ON ka.keyId = k.id
+     JOIN users holder ON ka.assignedTo = holder.id
+     JOIN users assigner ON ka.assignedBy = assigner.id
+     WHERE ka.returnedAt IS NULL AND ka.dueAt IS NOT NULL`,
+  );
+
+  for (const assignment of assignments) {
+    const sent = new Set(
+      (
+        await db.all(
+          "SELECT kind FROM assignment_reminders WHERE assignmentId = ?",
+          [assignment.id],
+        )
+      ).map((row) => row.kind),
+    );
+
+    // Webhooks hear about an overdue key once, whatever reminders are set up
+    if (
+      parseTimestamp(assignment.dueAt).getTime() <= now &&
+      !sent.has(OVERDUE_EVENT_KIND)
+    ) {
+      await publishAssignmentEvent(db, "key.overdue", assignment.id);
+      await db.run(
+        "INSERT INTO assignment_reminders (assignmentId, kind) VALUES (?, ?) ON CONFLICT DO NOTHING",
+        [assignment.id, OVERDUE_EVENT_KIND],
+      );
+    }
+
+    const pending = dueReminderKinds(assignment.dueAt, now).filter(
+      (kind) => !sent.has(kind),
+    );
+    if (pending.length === 0) {
+      continue;
+    }
+
+    // Only the latest reminder is mailed; earlier ones it supersedes (for
+    // example after downtime) are recorded as sent without mailing
+    const kind = pending[pending.length - 1];
+    try {
+      await sendMail({
+        to: assignment.holderEmail,
+        ...formatMessage(assignment, kind, "holder"),
+      });
+      await sendMail({
+        to: assignment.assignedByEmail,
+        ...formatMessage(assignment, kind, "assigner"),
+      });
+      for (const pendingKind of pending) {
+        await db.run(
+          "INSERT INTO assignment_reminders (assignmentId, kind) VALUES (?, ?) ON CONFLICT DO NOTHING",
+          [assignment.id, pendingKind],
+        );
+      }
+    } catch (error) {
+      console.error(
+        `Error sending reminder for assignment ${assignment.id}: ${error.message}`,
+      );
+    }
+  }
+};
+
+// Runs sendReminders on a fixed interval; set REMINDER_INTERVAL_MINUTES=0 to disable
+const startReminderScheduler = (db) => {
+  if (!INTERVAL_MINUTES) {
+    return null;
+  }
+
+  let running = false;
+  const tick = async () => {
+    if (running) {
+      return;
+    }
+    running = true;
+    try {
+      await sendReminders(db);
+    } catch (error) {
+      console.error(`Reminder scheduler failed: ${error.message}`);
+    } finally {
+      running = false;
+    }
+  };
+
+  const timer = setInterval(tick, INTERVAL_MINUTES * 60 * 1000);
+  timer.unref();
+  tick();
+  return timer;
+};
+
+module.exports = { sendReminders, startReminderScheduler };
@@ -0,0 +1,263 @@
+// backend/src/services/reports.js
+// Custody and usage reports over a date range. Each report produces flat rows
+// so the same result can be returned as JSON or exported as CSV or PDF.
+const PDFDocument = require("pdfkit");
+const { toTimestamp } = require("./dates");
+
+// Hours between two timestamp expressions, rounded to one decimal in SQL
+const hoursBetween = (db, start, end) =>
+  `ROUND(${db.dialect.hoursBetween(start, end)}, 1)`;
+
+const reports = {
+  holdings: {
+    title: "Key holdings",
+    description: "Keys held at the end of the period",
+    columns: [
+      { key: "identifier", label: "Key" },
+      { key: "type", label: "Type" },
+      { key: "email", label: "Holder" },
+      { key: "displayName", label: "Name" },
+      { key: "department", label: "Department" },
+      { key: "assignedAt", label: "Assigned at" },
+      { key: "dueAt", label: "Due at" },
+    ],
+    build: async (db, { to }) => {
+      const rows = await db.all(
+        `SELECT ka.id as assignmentId, k.id as keyId, k.identifier, k.type,
+           u.id as userId, u.email, u.displayName, u.department,
+           ka.assignedAt, ka.dueAt
+         FROM key_assignments ka
+         JOIN keys k ON ka.keyId = k.id
+         JOIN users u ON ka.assignedTo = u.id
+         WHERE ka.assignedAt < ? AND (ka.returnedAt IS NULL OR ka.returnedAt >= ?)
+         ORDER BY u.email, k.identifier`,
+        [to, to],
+      );
+      return {
+        rows,
+        summary: {
+          keysHeld: rows.length,
+          holders: new Set(rows.map((row) => row.userId)).size,
+        },
+      };
+    },
+  },
+
+  unreturned: {
+    title: "Keys never returned",
+    description: "Keys assigned during the period that are still out",
+    columns: [
+      { key: "identifier", label: "Key" },
+      { key: "email", label: "Holder" },
+      { key: "assignedAt", label: "Assigned at" },
+      { key: "dueAt", label: "Due at" },
+      { key: "daysOut", label: "Days out" },
+      { key: "overdue", label: "Overdue" },
+    ],
+    build: async (db, { from, to }) => {
+      const rows = await db.all(
+        `SELECT ka.id as assignmentId, k.id as keyId, k.identifier,
+           u.id as userId, u.email, ka.assignedAt, ka.dueAt,
+           ${db.dialect.wholeDaysBetween("ka.assignedAt", "CURRENT_TIMESTAMP")} as daysOut,
+           CASE WHEN ka.dueAt < CURRENT_TIMESTAMP THEN 1 ELSE 0 END as overdue
+         FROM key_assignments ka
+         JOIN keys k ON ka.keyId = k.id
+         JOIN users u ON ka.assignedTo = u.id
+         WHERE ka.returnedAt IS NULL AND ka.assignedAt >= ? AND ka.assignedAt < ?
+         ORDER BY ka.assignedAt`,
+        [from, to],
+      );
+      return {
+        rows: rows.map((row) => ({ ...row, overdue: Boolean(row.overdue) })),
+        summary: {
+          unreturned: rows.length,
+          overdue: rows.filter((row) => row.overdue).length,
+        },
+      };
+    },
+  },
+
+  "loan-duration": {
+    title: "Average loan duration",
+    description: "Loans returned during the period, by key",
+    columns: [
+      { key: "identifier", label: "Key" },
+      { key: "type", label: "Type" },
+      { key: "loans", label: "Loans" },
+      { key: "averageHours", label: "Average hours" },
+      { key: "longestHours", label: "Longest hours" },
+    ],
+    build: async (db, { from, to }) => {
+      const duration = hoursBetween(db, "ka.assignedAt", "ka.returnedAt");
+      const range = "ka.returnedAt >= ? AND ka.returnedAt < ?";
+      const rows = await db.all(
+        `SELECT k.id as keyId, k.identifier, k.type, COUNT(*) as loans,
+           ROUND(AVG(${duration}), 1) as averageHours,
+           MAX(${duration}) as longestHours
+         FROM key_assignments ka
+         JOIN keys k ON ka.keyId = k.id
+         WHERE ${range}
+         GROUP BY k.id
+         ORDER BY averageHours DESC, k.identifier`,
+        [from, to],
+      );
+      const overall = await db.get(
+        `SELECT COUNT(*) as loans, ROUND(AVG(${duration}), 1) as averageHours
+         FROM key_assignments ka WHERE ${range}`,
+        [from, to],
+      );
+      return { rows, summary: overall };
+    },
+  },
+
+  "most-borrowed": {
+    title: "Most borrowed keys",
+    description: "Keys by number of loans started during the period",
+    columns: [
+      { key: "identifier", label: "Key" },
+      { key: "type", label: "Type" },
+      { key: "loans", label: "Loans" },
+      { key: "borrowers", label: "Borrowers" },
+      { key: "hoursOut", label: "Hours out" },
+    ],
+    build: async (db, { from, to, limit }) => {
+      const rows = await db.all(
+        `SELECT k.id as keyId, k.identifier, k.type, COUNT(*) as loans,
+           COUNT(DISTINCT ka.assignedTo) as borrowers,
+           ROUND(SUM(${hoursBetween(db, "ka.assignedAt", "COALESCE(ka.returnedAt, CURRENT_TIMESTAMP)")}), 1) as hoursOut
+         FROM key_assignments ka
+         JOIN keys k ON ka.keyId = k.id
+         WHERE ka.assignedAt >= ? AND ka.assignedAt < ?
+         GROUP BY k.id
+         ORDER BY loans DESC, hoursOut DESC, k.identifier
+         LIMIT ?`,
+        [from, to, limit],
+      );
+      const { loans } = await db.get(
+        `SELECT COUNT(*) as loans FROM key_assignments
+         WHERE assignedAt >= ? AND assignedAt < ?`,
+        [from, to],
+      );
+      return { rows, summary: { loans } };
+    },
+  },
+};
+
+// Resolves to the report with its period and rows. from and to are Dates.
+const buildReport = async (db, name, { from, to, limit = 10 }) => {
+  const report = reports[name];
+  const { rows, summary } = await report.build(db, {
+    from: toTimestamp(from),
+    to: toTimestamp(to),
+    limit,
+  });
+  return {
+    report: name,
+    title: report.title,
+    description: report.description,
+    from: toTimestamp(from),
+    to: toTimestamp(to),
+    generatedAt: toTimestamp(new Date()),
+    summary,
+    rows,
+  };
+};
+
+// Spreadsheet apps run cells starting with these characters as formulas
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+const csvField = (value) => {
+  if (value == null) {
+    return "";
+  }
+  let text = String(value);
+  if (typeof value === "string" && FORMULA_PREFIX.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const reportToCsv = (result) => {
+  const { columns } = reports[result.report];
+  const lines = [
+    columns.map((column) => csvField(column.label)).join(","),
+    ...result.rows.map((row) =>
+      columns.map((column) => csvField(row[column.key])).join(","),
+    ),
+  ];
+  return `${lines.join("\r\n")}\r\n`;
+};
+
+const humanize = (key) =>
+  key.replace(/([A-Z])/g, " $1").replace(/^./, (c) => c.toUpperCase());
+
+// Renders the report as a landscape A4 table; resolves to a Buffer
+const reportToPdf = (result) =>
+  new Promise((resolve, reject) => {
+    const { columns } = reports[result.report];
+    const doc = new PDFDocument({
+      size: "A4",
+      layout: "landscape",
+      margin: 40,
+    });
+    const chunks = [];
+    doc.on("data", (chunk) => chunks.push(chunk));
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+
+    const left = doc.page.margins.left;
+    const width = doc.page.width - left - doc.page.margins.right;
+    const columnWidth = width / columns.length;
+    const bottom = doc.page.height - doc.page.margins.bottom;
+
+    doc.fontSize(16).font("Helvetica-Bold").text(result.title);
+    doc
+      .fontSize(9)
+      .font("Helvetica")
+      .text(`${result.description}, ${result.from} to ${result.to} UTC`)
+      .text(`Generated ${result.generatedAt} UTC`)
+      .moveDown(0.5);
+    for (const [key, value] of Object.entries(result.summary || {})) {
+      doc.text(`${humanize(key)}: ${value ?? "-"}`);
+    }
+    doc.moveDown();
+
+    const drawRow = (cells, font) => {
+      if (doc.y + 14 > bottom) {
+        doc.addPage();
+      }
+      const y = doc.y;
+      doc.font(font);
+      cells.forEach((cell, index) => {
+        doc.text(
+          cell == null ? "" : String(cell),
+          left + index * columnWidth,
+          y,
+          {
+            width: columnWidth - 6,
+            lineBreak: false,
+            ellipsis: true,
+          },
+        );
+      });
+      doc.x = left;
+      doc.y = y + 14;
+    };
+
+    drawRow(
+      columns.map((column) => column.label),
+      "Helvetica-Bold",
+    );
+    if (result.rows.length === 0) {
+      doc.font("Helvetica").text("No data for this period.", left);
+    }
+    for (const row of result.rows) {
+      drawRow(
+        columns.map((column) => row[column.key]),
+        "Helvetica",
+      );
+    }
+    doc.end();
+  });
+
+module.exports = { reports, buildReport, reportToCsv, reportToPdf };
@@ -0,0 +1,95 @@
+// backend/src/services/reservations.js
+// Reservations and open assignments both make a key busy for a time range.
+// Ranges are half-open [startsAt, endsAt) and compared as UTC timestamps.
+
+// Upper bound for assignments without a due date, which hold the key
+// indefinitely
+const OPEN_ENDED = "9999-12-31 23:59:59";
+
+// Active reservations of a key that overlap the given range
+const findReservationConflicts = (
+  db,
+  keyId,
+  startsAt,
+  endsAt,
+  { excludeUserId = null, excludeReservationId = null } = {},
+) =>
+  db.all(
+    `SELECT 'reservation' as type, r.id, r.reservedFor as userId, u.email,
+       r.startsAt, r.endsAt
+     FROM key_reservations r
+     JOIN users u ON r.reservedFor = u.id
+     WHERE r.keyId = ? AND r.cancelledAt IS NULL
+       AND r.startsAt < ? AND r.endsAt > ?
+       AND (CAST(? AS INTEGER) IS NULL OR r.reservedFor != ?)
+       AND (CAST(? AS INTEGER) IS NULL OR r.id != ?)
+     ORDER BY r.startsAt`,
+    [
+      keyId,
+      endsAt,
+      startsAt,
+      excludeUserId,
+      excludeUserId,
+      excludeReservationId,
+      excludeReservationId,
+    ],
+  );
+
+// The open assignment of a key if it overlaps the given range. An overdue
+// assignment keeps the key busy until now; one without a due date forever.
+const findAssignmentConflicts = (db, keyId, startsAt, endsAt) =>
+  db.all(
+    `SELECT * FROM (
+       SELECT 'assignment' as type, ka.id, ka.assignedTo as userId, u.email,
+         ka.assignedAt as startsAt,
+         CASE WHEN ka.dueAt IS NULL THEN '${OPEN_ENDED}'
+           WHEN ka.dueAt > CURRENT_TIMESTAMP THEN ka.dueAt
+           ELSE CURRENT_TIMESTAMP END as endsAt
+       FROM key_assignments ka
+       JOIN users u ON ka.assignedTo = u.id
+       WHERE ka.keyId = ? AND ka.returnedAt IS NULL
+     ) assignments
+     WHERE startsAt < ? AND endsAt > ?`,
+    [keyId, endsAt, startsAt],
+  );
+
+// Everything that keeps a key busy within the range, earliest first
+const findConflicts = async (db, keyId, startsAt, endsAt, options) => {
+  const conflicts = [
+    ...(await findAssignmentConflicts(db, keyId, startsAt, endsAt)),
+    ...(await findReservationConflicts(db, keyId, startsAt, endsAt, options)),
+  ];
+  return conflicts.sort((a, b) => a.startsAt.localeCompare(b.startsAt));
+};
+
+// Busy periods clipped to [from, to) and the free gaps between them
+const getAvailability = async (db, keyId, from, to) => {
+  const busy = (await findConflicts(db, keyId, from, to)).map((period) => ({
+    ...period,
+    startsAt: period.startsAt < from ? from : period.startsAt,
+    endsAt: period.endsAt > to ? to : period.endsAt,
+  }));
+
+  const free = [];
+  let cursor = from;
+  for (const period of busy) {
+    if (period.startsAt > cursor) {
+      free.push({ startsAt: cursor, endsAt: period.startsAt });
+    }
+    if (period.endsAt > cursor) {
+      cursor = period.endsAt;
+    }
+  }
+  if (cursor < to) {
+    free.push({ startsAt: cursor, endsAt: to });
+  }
+
+  return { busy, free };
+};
+
+module.exports = {
+  OPEN_ENDED,
+  findReservationConflicts,
+  findConflicts,
+  getAvailability,
+};
@@ -0,0 +1,75 @@
+// backend/src/services/returns.js
+const fs = require("fs/promises");
+const path = require("path");
+const { uploadPath } = require("../middleware/upload");
+
+const RETURN_CONDITIONS = ["good", "worn", "damaged"];
+
+const MIME_TYPES = {
+  ".png": "image/png",
+  ".jpg": "image/jpeg",
+  ".webp": "image/webp",
+};
+
+const escapeHtml = (value) =>
+  String(value ?? "").replace(
+    /[&<>"']/g,
+    (char) =>
+      ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[
+        char
+      ],
+  );
+
+// Inlines a stored upload so the receipt stays readable on its own. A file
+// that has gone missing from disk is left out rather than failing the receipt.
+const embedImage = async (fileName, alt) => {
+  if (!fileName) {
+    return "";
+  }
+  try {
+    const data = await fs.readFile(uploadPath(fileName));
+    const type = MIME_TYPES[path.extname(fileName)];
+    return `<img src="data:${type};base64,${data.toString("base64")}" alt="${alt}">`;
+  } catch (error) {
+    return `<p>${alt} is no longer available.</p>`;
+  }
+};
+
+// Printable HTML custody receipt for a checked-in key
+const renderReceipt = async (record) => {
+  const rows = [
+    ["Receipt", `#${record.id}`],
+    ["Key", record.identifier],
+    ["Held by", record.assignedToEmail],
+    ["Assigned", `${record.assignedAt} UTC`],
+    ["Due", record.dueAt ? `${record.dueAt} UTC` : "No due date"],
+    ["Returned", `${record.returnedAt} UTC`],
+    ["Received by", record.receivedByEmail],
+    ["Condition", record.condition],
+    ["Notes", record.notes || "None"],
+  ];
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>Key custody receipt #${record.id}</title>
+<style>
+  body { font-family: sans-serif; max-width: 40em; margin: 2em auto; }
+  th { text-align: left; padding-right: 1em; }
+  img { max-width: 100%; border: 1px solid #ccc; margin-top: 0.5em; }
+</style>
+</head>
+<body>
+<h1>Key custody receipt</h1>
+<table>
+${rows.map(([label, value]) => `<tr><th>${label}</th><td>${escapeHtml(value)}</td></tr>`).join("\n")}
+</table>
+${record.signatureFile ? `<h2>Signature</h2>\n${await embedImage(record.signatureFile, "Signature")}` : ""}
+${record.photoFile ? `<h2>Photo</h2>\n${await embedImage(record.photoFile, "Photo")}` : ""}
+</body>
+</html>
+`;
+};
+
+module.exports = { RETURN_CONDITIONS, renderReceipt };
@@ -0,0 +1,145 @@
+// backend/src/services/tags.js
+// Scannable key tags. Every key carries a random tag code that its QR or
+// Code128 label encodes, so scanning the label resolves to the key.
+const crypto = require("crypto");
+const bwipjs = require("bwip-js");
+const { PNG } = require("pngjs");
+const PDFDocument = require("pdfkit");
+
+// Tag symbology to bwip-js encoder
+const TAG_SYMBOLOGIES = { qr: "qrcode", code128: "code128" };
+const TAG_FORMATS = ["png", "pdf"];
+const MAX_LABELS = 100;
+
+// Crockford base32 leaves out I, L, O and U so a code read off a worn label
+// can still be typed in
+const TAG_ALPHABET = "0123456789ABCDEFGHJKMNPQRSTVWXYZ";
+const TAG_PREFIX = "KEY-";
+const TAG_LENGTH = 10;
+
+const LABEL_COLUMNS = 3;
+
+const generateTagCode = () =>
+  TAG_PREFIX +
+  Array.from(
+    crypto.randomBytes(TAG_LENGTH),
+    (byte) => TAG_ALPHABET[byte % TAG_ALPHABET.length],
+  ).join("");
+
+// Scanners and people may send lower case, and people read O, I and L for
+// the digits they look like and group characters with hyphens, which
+// Crockford decoding ignores. The prefix may be left off.
+const normalizeTagCode = (code) => {
+  const compact = String(code).toUpperCase().replace(/[\s-]/g, "");
+  const prefix = TAG_PREFIX.replace("-", "");
+  const body =
+    compact.startsWith(prefix) && compact.length !== TAG_LENGTH
+      ? compact.slice(prefix.length)
+      : compact;
+  return TAG_PREFIX + body.replace(/O/g, "0").replace(/[IL]/g, "1");
+};
+
+// One label: the tag code as a barcode with the key identifier printed below
+const renderLabel = (key, symbology) =>
+  bwipjs.toBuffer({
+    bcid: TAG_SYMBOLOGIES[symbology],
+    text: key.tagCode,
+    scale: 3,
+    ...(symbology === "code128" ? { height: 12 } : {}),
+    includetext: true,
+    alttext: key.identifier,
+    textxalign: "center",
+    paddingwidth: 8,
+    paddingheight: 8,
+    backgroundcolor: "FFFFFF",
+  });
+
+// Lays the labels out in a grid on one PNG image; resolves to a Buffer
+const labelsToPng = async (keys, symbology) => {
+  const labels = [];
+  for (const key of keys) {
+    labels.push(PNG.sync.read(await renderLabel(key, symbology)));
+  }
+
+  const cellWidth = Math.max(...labels.map((label) => label.width));
+  const cellHeight = Math.max(...labels.map((label) => label.height));
+  const columns = Math.min(LABEL_COLUMNS, labels.length);
+  const sheet = new PNG({
+    width: columns * cellWidth,
+    height: Math.ceil(labels.length / columns) * cellHeight,
+  });
+  sheet.data.fill(0xff);
+
+  labels.forEach((label, index) => {
+    const x = (index % columns) * cellWidth;
+    const y = Math.floor(index / columns) * cellHeight;
+    PNG.bitblt(
+      label,
+      sheet,
+      0,
+      0,
+      label.width,
+      label.height,
+      x + Math.floor((cellWidth - label.width) / 2),
+      y + Math.floor((cellHeight - label.height) / 2),
+    );
+  });
+  return PNG.sync.write(sheet);
+};
+
+// Lays the labels out on A4 pages with cut lines; resolves to a Buffer
+const labelsToPdf = async (keys, symbology) => {
+  const labels = [];
+  for (const key of keys) {
+    labels.push(await renderLabel(key, symbology));
+  }
+
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: "A4", margin: 36 });
+    const chunks = [];
+    doc.on("data", (chunk) => chunks.push(chunk));
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+
+    const { left, top } = doc.page.margins;
+    const cellWidth =
+      (doc.page.width - left - doc.page.margins.right) / LABEL_COLUMNS;
+    const cellHeight = symbology === "qr" ? 150 : 100;
+    const rows = Math.floor(
+      (doc.page.height - top - doc.page.margins.bottom) / cellHeight,
+    );
+    const perPage = rows * LABEL_COLUMNS;
+
+    labels.forEach((label, index) => {
+      if (index > 0 && index % perPage === 0) {
+        doc.addPage();
+      }
+      const slot = index % perPage;
+      const x = left + (slot % LABEL_COLUMNS) * cellWidth;
+      const y = top + Math.floor(slot / LABEL_COLUMNS) * cellHeight;
+      doc
+        .lineWidth(0.5)
+        .dash(3, { space: 3 })
+        .strokeColor("#bbbbbb")
+        .rect(x, y, cellWidth, cellHeight)
+        .stroke()
+        .undash();
+      doc.image(label, x + 8, y + 8, {
+        fit: [cellWidth - 16, cellHeight - 16],
+        align: "center",
+        valign: "center",
+      });
+    });
+    doc.end();
+  });
+};
+
+module.exports = {
+  TAG_SYMBOLOGIES,
+  TAG_FORMATS,
+  MAX_LABELS,
+  generateTagCode,
+  normalizeTagCode,
+  labelsToPng,
+  labelsToPdf,
+};
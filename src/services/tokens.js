@@ -0,0 +1,104 @@
+// backend/src/services/tokens.js
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const { JWT_SECRET } = require("../middleware/auth");
+const { parseTimestamp, minutesFromNow } = require("./dates");
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || "15m";
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 7;
+
+// Only a SHA-256 digest of opaque tokens is ever stored
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+const signAccessToken = (user) =>
+  jwt.sign({ id: user.id, email: user.email, role: user.role }, JWT_SECRET, {
+    expiresIn: ACCESS_TOKEN_TTL,
+  });
+
+const createRefreshToken = async (db, userId) => {
+  const token = crypto.randomBytes(48).toString("hex");
+  const result = await db.run(
+    `INSERT INTO refresh_tokens (userId, token, expiresAt)
+     VALUES (?, ?, ?)`,
+    [
+      userId,
+      hashToken(token),
+      minutesFromNow(REFRESH_TOKEN_TTL_DAYS * 24 * 60),
+    ],
+  );
+  return { token, id: result.lastID };
+};
+
+const issueTokens = async (db, user) => {
+  const { token: refreshToken } = await createRefreshToken(db, user.id);
+  return { token: signAccessToken(user), refreshToken };
+};
+
+const revokeRefreshTokens = (db, userId) =>
+  db.run(
+    "UPDATE refresh_tokens SET revokedAt = CURRENT_TIMESTAMP WHERE userId = ? AND revokedAt IS NULL",
+    [userId],
+  );
+
+// Exchanges a refresh token for a new pair. Presenting an already rotated
+// token is treated as theft and revokes every session of its owner.
+const rotateRefreshToken = async (db, refreshToken) => {
+  const stored = await db.get(
+    `SELECT rt.*, u.email, u.role, u.isActive
+     FROM refresh_tokens rt
+     JOIN users u ON rt.userId = u.id
+     WHERE rt.token = ?`,
+    [hashToken(refreshToken)],
+  );
+
+  if (!stored) {
+    return null;
+  }
+  if (stored.revokedAt) {
+    if (stored.replacedBy) {
+      await revokeRefreshTokens(db, stored.userId);
+    }
+    return null;
+  }
+  if (!stored.isActive || parseTimestamp(stored.expiresAt) <= new Date()) {
+    return null;
+  }
+
+  const next = await createRefreshToken(db, stored.userId);
+  const claim = await db.run(
+    "UPDATE refresh_tokens SET revokedAt = CURRENT_TIMESTAMP, replacedBy = ? WHERE id = ? AND revokedAt IS NULL",
+    [next.id, stored.id],
+  );
+  if (claim.changes === 0) {
+    await revokeRefreshTokens(db, stored.userId);
+    return null;
+  }
+
+  const user = { id: stored.userId, email: stored.email, role: stored.role };
+  return { token: signAccessToken(user), refreshToken: next.token, user };
+};
+
+// The user an unrevoked refresh token belongs to, if any
+const findRefreshTokenOwner = async (db, refreshToken) =>
+  (
+    await db.get(
+      "SELECT userId FROM refresh_tokens WHERE token = ? AND revokedAt IS NULL",
+      [hashToken(refreshToken)],
+    )
+  )?.userId;
+
+const revokeRefreshToken = (db, refreshToken) =>
+  db.run(
+    "UPDATE refresh_tokens SET revokedAt = CURRENT_TIMESTAMP WHERE token = ? AND revokedAt IS NULL",
+    [hashToken(refreshToken)],
+  );
+
+module.exports = {
+  hashToken,
+  issueTokens,
+  rotateRefreshToken,
+  findRefreshTokenOwner,
+  revokeRefreshToken,
+  revokeRefreshTokens,
+};
@@ -0,0 +1,32 @@
+// backend/src/services/transaction.js
+// Transactions on the shared connection. Statements inside one go through the
+// tx handle it is given; see db/shared.js.
+let savepoints = 0;
+
+// Runs fn(tx) in a transaction, committing when it resolves and rolling back
+// when it rejects
+const withTransaction = (db, fn) => db.transaction(fn);
+
+// Runs fn so that a statement failing inside it can be caught without losing
+// the surrounding transaction; PostgreSQL otherwise rejects everything after
+// the error until rollback. Only a transaction's own tx handle opens a
+// savepoint; given the shared connection, fn simply runs.
+const withSavepoint = async (db, fn) => {
+  if (!db.inTransaction) {
+    return fn(db);
+  }
+
+  const name = `savepoint_${++savepoints}`;
+  await db.run(`SAVEPOINT ${name}`);
+  try {
+    const result = await fn(db);
+    await db.run(`RELEASE SAVEPOINT ${name}`);
+    return result;
+  } catch (error) {
+    await db.run(`ROLLBACK TO SAVEPOINT ${name}`);
+    await db.run(`RELEASE SAVEPOINT ${name}`);
+    throw error;
+  }
+};
+
+module.exports = { withTransaction, withSavepoint };
@@ -0,0 +1,115 @@
+// backend/src/services/webhookTargets.js
+// Where webhooks may be sent. Receivers must resolve to public addresses so a
+// webhook cannot reach the server itself or the network it runs in; hosts
+// listed in WEBHOOK_ALLOWED_HOSTS (comma-separated) are exempt, for receivers
+// on the internal network. Addresses are checked when the connection is made,
+// so a name that later resolves somewhere else is caught too.
+const dns = require("dns");
+const net = require("net");
+
+const ALLOWED_HOSTS = (process.env.WEBHOOK_ALLOWED_HOSTS || "")
+  .split(",")
+  .map((host) => host.trim().toLowerCase())
+  .filter(Boolean);
+
+// Loopback, private, link-local, shared, multicast and reserved ranges
+const BLOCKED = new net.BlockList();
+for (const [network, prefix] of [
+  ["0.0.0.0", 8],
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10],
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16],
+  ["172.16.0.0", 12],
+  ["192.0.0.0", 24],
+  ["192.168.0.0", 16],
+  ["198.18.0.0", 15],
+  ["224.0.0.0", 4],
+  ["240.0.0.0", 4],
+]) {
+  BLOCKED.addSubnet(network, prefix, "ipv4");
+}
+for (const [network, prefix] of [
+  ["::", 128],
+  ["::1", 128],
+  ["fc00::", 7],
+  ["fe80::", 10],
+  ["ff00::", 8],
+]) {
+  BLOCKED.addSubnet(network, prefix, "ipv6");
+}
+
+const IPV4_MAPPED = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i;
+
+const isBlockedAddress = (address) => {
+  const mapped = IPV4_MAPPED.exec(address);
+  if (mapped) {
+    return BLOCKED.check(mapped[1], "ipv4");
+  }
+  return BLOCKED.check(address, net.isIPv6(address) ? "ipv6" : "ipv4");
+};
+
+// The URL's host as a name or bare IP address, without IPv6 brackets
+const hostOf = (url) => new URL(url).hostname.replace(/^\[|\]$/g, "");
+
+const isAllowedHost = (host) => ALLOWED_HOSTS.includes(host.toLowerCase());
+
+const blockedMessage = (host, address) =>
+  host === address
+    ? `Webhook address ${address} is not public`
+    : `Webhook host ${host} resolves to ${address}, which is not public`;
+
+// A dns.lookup for http.request that fails the connection when the name
+// resolves to an address webhooks may not reach
+const lookupPublic = (hostname, options, callback) => {
+  dns.lookup(hostname, options, (error, address, family) => {
+    if (error) {
+      return callback(error);
+    }
+    const blocked = [address]
+      .flat()
+      .map((entry) => entry.address ?? entry)
+      .find(isBlockedAddress);
+    if (blocked) {
+      return callback(new Error(blockedMessage(hostname, blocked)));
+    }
+    callback(null, address, family);
+  });
+};
+
+// Resolves to why webhooks cannot be sent to the URL, or null when they can
+const checkWebhookTarget = async (url) => {
+  const host = hostOf(url);
+  if (isAllowedHost(host)) {
+    return null;
+  }
+
+  let addresses;
+  try {
+    addresses = net.isIP(host)
+      ? [host]
+      : (await dns.promises.lookup(host, { all: true })).map(
+          (entry) => entry.address,
+        );
+  } catch (error) {
+    return `Webhook host ${host} could not be resolved`;
+  }
+  const blocked = addresses.find(isBlockedAddress);
+  return blocked ? blockedMessage(host, blocked) : null;
+};
+
+// Options for http.request that keep a delivery to public addresses: a
+// checking lookup for names, or { error } when the URL names a blocked address
+// directly, which no lookup would see.
+const connectionOptions = (url) => {
+  const host = hostOf(url);
+  if (isAllowedHost(host)) {
+    return {};
+  }
+  if (net.isIP(host)) {
+    return isBlockedAddress(host) ? { error: blockedMessage(host, host) } : {};
+  }
+  return { lookup: lookupPublic };
+};
+
+module.exports = { checkWebhookTarget, connectionOptions };
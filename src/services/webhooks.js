@@ -0,0 +1,231 @@
+// backend/src/services/webhooks.js
+// Outbound webhooks. publishEvent queues one delivery of an event per
+// subscribed webhook; the dispatcher sends them and retries failures with
+// exponential backoff until MAX_ATTEMPTS is reached.
+const crypto = require("crypto");
+const http = require("http");
+const https = require("https");
+const { toTimestamp } = require("./dates");
+const { connectionOptions } = require("./webhookTargets");
+const {
+  listSubscribers,
+  createDelivery,
+  listDueDeliveries,
+  recordAttempt,
+} = require("../repositories/webhooks");
+const { findAssignmentSummary } = require("../repositories/assignments");
+
+const WEBHOOK_EVENTS = [
+  "key.assigned",
+  "key.returned",
+  "key.overdue",
+  "user.deactivated",
+];
+
+const MAX_ATTEMPTS = Number(process.env.WEBHOOK_MAX_ATTEMPTS) || 8;
+const RETRY_BASE_SECONDS = Number(process.env.WEBHOOK_RETRY_BASE_SECONDS) || 30;
+const TIMEOUT_MS = Number(process.env.WEBHOOK_TIMEOUT_MS) || 10000;
+const INTERVAL_SECONDS = Number(process.env.WEBHOOK_INTERVAL_SECONDS ?? 15);
+const BATCH_SIZE = 20;
+
+const generateWebhookSecret = () =>
+  `whsec_${crypto.randomBytes(24).toString("hex")}`;
+
+// Receivers recompute this HMAC over the X-Webhook-Timestamp header, a dot and
+// the raw request body, and compare it with X-Webhook-Signature
+const signPayload = (secret, timestamp, payload) =>
+  `sha256=${crypto
+    .createHmac("sha256", secret)
+    .update(`${timestamp}.${payload}`)
+    .digest("hex")}`;
+
+// Wait after the given number of failed attempts: 30s, 1m, 2m, 4m, ...
+const retryDelay = (attempts) =>
+  RETRY_BASE_SECONDS * 1000 * 2 ** (attempts - 1);
+
+// POSTs body to url and resolves to the response status. Redirects are not
+// followed and the response body is discarded unread.
+const post = (url, headers, body) =>
+  new Promise((resolve, reject) => {
+    const { error, ...options } = connectionOptions(url);
+    if (error) {
+      return reject(new Error(error));
+    }
+
+    const transport = new URL(url).protocol === "https:" ? https : http;
+    const request = transport.request(
+      url,
+      {
+        ...options,
+        method: "POST",
+        headers: { ...headers, "Content-Length": Buffer.byteLength(body) },
+        timeout: TIMEOUT_MS,
+      },
+      (response) => {
+        response.resume();
+        resolve(response.statusCode);
+      },
+    );
+    request.on("timeout", () => {
+      request.destroy(new Error(`No response within ${TIMEOUT_MS} ms`));
+    });
+    request.on("error", reject);
+    request.end(body);
+  });
+
+// Any 2xx response counts as delivered
+const attemptDelivery = async (db, delivery) => {
+  const timestamp = Math.floor(Date.now() / 1000);
+  let result;
+  try {
+    const responseStatus = await post(
+      delivery.url,
+      {
+        "Content-Type": "application/json",
+        "X-Webhook-Event": delivery.event,
+        "X-Webhook-Id": delivery.eventId,
+        "X-Webhook-Delivery": String(delivery.id),
+        "X-Webhook-Timestamp": String(timestamp),
+        "X-Webhook-Signature": signPayload(
+          delivery.secret,
+          timestamp,
+          delivery.payload,
+        ),
+      },
+      delivery.payload,
+    );
+    const ok = responseStatus >= 200 && responseStatus < 300;
+    result = {
+      ok,
+      responseStatus,
+      error: ok ? null : `HTTP ${responseStatus}`,
+    };
+  } catch (error) {
+    result = { ok: false, error: error.message };
+  }
+
+  const { ok, ...response } = result;
+  const attempts = delivery.attempts + 1;
+  const status = ok
+    ? "succeeded"
+    : attempts >= MAX_ATTEMPTS
+      ? "failed"
+      : "pending";
+  await recordAttempt(db, delivery.id, {
+    ...response,
+    status,
+    nextAttemptAt:
+      status === "pending"
+        ? toTimestamp(new Date(Date.now() + retryDelay(attempts)))
+        : null,
+  });
+};
+
+// One dispatch runs at a time per database so a delivery is never sent twice
+// at once; a trigger during a run makes it look for due deliveries again
+const dispatchers = new Map();
+
+const deliverDue = async (db) => {
+  const state = dispatchers.get(db) || { running: false, again: false };
+  dispatchers.set(db, state);
+  if (state.running) {
+    state.again = true;
+    return;
+  }
+
+  state.running = true;
+  try {
+    do {
+      state.again = false;
+      let batch;
+      do {
+        batch = await listDueDeliveries(db, BATCH_SIZE);
+        for (const delivery of batch) {
+          await attemptDelivery(db, delivery);
+        }
+      } while (batch.length === BATCH_SIZE);
+    } while (state.again);
+  } finally {
+    state.running = false;
+  }
+};
+
+// Sends what is due without waiting for the receivers
+const startDelivery = (db) =>
+  deliverDue(db).catch((error) => {
+    console.error(`Webhook delivery failed: ${error.message}`);
+  });
+
+// Queues the event for every active webhook subscribed to it and starts
+// sending without waiting for the receivers. data may be a function resolving
+// to the payload data, so nothing is loaded when no webhook listens. Errors
+// are logged, never thrown: a webhook must not fail the request that raised
+// the event.
+const publishEvent = async (db, event, data) => {
+  try {
+    const webhooks = await listSubscribers(db, event);
+    if (webhooks.length === 0) {
+      return;
+    }
+
+    const eventId = crypto.randomUUID();
+    const payload = JSON.stringify({
+      id: eventId,
+      event,
+      occurredAt: new Date().toISOString(),
+      data: typeof data === "function" ? await data() : data,
+    });
+    for (const webhook of webhooks) {
+      await createDelivery(db, {
+        webhookId: webhook.id,
+        eventId,
+        event,
+        payload,
+      });
+    }
+    startDelivery(db);
+  } catch (error) {
+    console.error(`Error publishing webhook event ${event}: ${error.message}`);
+  }
+};
+
+// key.assigned, key.returned and key.overdue all carry the assignment summary
+const publishAssignmentEvent = (db, event, assignmentId) =>
+  publishEvent(db, event, () => findAssignmentSummary(db, assignmentId));
+
+// Queues the same payload again as a new delivery with its own attempts.
+// Resolves to the new delivery's id. Call startDelivery once it is committed
+// to send it straight away.
+const redeliver = (db, delivery) =>
+  createDelivery(db, {
+    webhookId: delivery.webhookId,
+    eventId: delivery.eventId,
+    event: delivery.event,
+    payload: delivery.payload,
+    redeliveryOf: delivery.id,
+  });
+
+// Picks up retries on a fixed interval; set WEBHOOK_INTERVAL_SECONDS=0 to
+// disable. New events are sent as soon as they are published either way.
+const startWebhookDispatcher = (db) => {
+  if (!INTERVAL_SECONDS) {
+    return null;
+  }
+
+  const timer = setInterval(() => startDelivery(db), INTERVAL_SECONDS * 1000);
+  timer.unref();
+  startDelivery(db);
+  return timer;
+};
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  MAX_ATTEMPTS,
+  generateWebhookSecret,
+  signPayload,
+  publishEvent,
+  publishAssignmentEvent,
+  redeliver,
+  startDelivery,
+  startWebhookDispatcher,
+};
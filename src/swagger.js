@@ -17,6 +17,12 @@ const options = {
           scheme: "bearer",
           bearerFormat: "JWT",
         },
+        deviceKey: {
+          type: "apiKey",
+          in: "header",
+          name: "Authorization",
+          description: 'Cabinet device key, sent as "Device <key>"',
+        },
       },
     },
     security: [
@@ -0,0 +1,64 @@
+// backend/test/db/postgres.test.js
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { translate } = require("../../src/db/postgres");
+
+describe("translate", () => {
+  it("quotes camelCase identifiers so they keep their case", () => {
+    assert.equal(
+      translate(
+        "SELECT keyId, identifier FROM key_assignments WHERE assignedTo = 1",
+      ),
+      'SELECT "keyId", identifier FROM key_assignments WHERE "assignedTo" = 1',
+    );
+  });
+
+  it("numbers placeholders in order", () => {
+    assert.equal(
+      translate("UPDATE keys SET status = ? WHERE id = ? AND parentId = ?"),
+      'UPDATE keys SET status = $1 WHERE id = $2 AND "parentId" = $3',
+    );
+  });
+
+  it("leaves string literals and quoted identifiers alone", () => {
+    assert.equal(
+      translate(
+        `SELECT 'isActive = ?', "createdAt" FROM users WHERE email = ?`,
+      ),
+      `SELECT 'isActive = ?', "createdAt" FROM users WHERE email = $1`,
+    );
+    assert.equal(
+      translate("SELECT 'it''s ?' AS note, ? AS value"),
+      "SELECT 'it''s ?' AS note, $1 AS value",
+    );
+  });
+
+  it("replaces CURRENT_TIMESTAMP with UTC time truncated to the second", () => {
+    assert.equal(
+      translate("UPDATE users SET updatedAt = CURRENT_TIMESTAMP"),
+      `UPDATE users SET "updatedAt" = date_trunc('second', LOCALTIMESTAMP)`,
+    );
+  });
+
+  it("maps column types only in schema statements", () => {
+    const sql =
+      "CREATE TABLE t (id INTEGER PRIMARY KEY AUTOINCREMENT, at DATETIME, ok BOOLEAN)";
+    assert.equal(
+      translate(sql, { schema: true }),
+      "CREATE TABLE t (id SERIAL PRIMARY KEY, at TIMESTAMP(0), ok INTEGER)",
+    );
+    assert.equal(translate(sql), sql);
+  });
+
+  it("leaves SQLite triggers out of schema statements", () => {
+    const sql = `CREATE TABLE t (id INTEGER);
+      CREATE TRIGGER IF NOT EXISTS t_no_update
+        BEFORE UPDATE ON t
+        BEGIN SELECT RAISE(ABORT, 'read-only; END'); END;
+      CREATE INDEX t_id ON t (id);`;
+    assert.equal(
+      translate(sql, { schema: true }).replace(/\s+/g, " "),
+      "CREATE TABLE t (id INTEGER); CREATE INDEX t_id ON t (id);",
+    );
+  });
+});
@@ -0,0 +1,89 @@
+// backend/test/db/shared.test.js
+const { it, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { eachDatabase } = require("../support/database");
+const {
+  withTransaction,
+  withSavepoint,
+} = require("../../src/services/transaction");
+
+eachDatabase(
+  "shared connection",
+  (database) => {
+    const value = async (db = database()) =>
+      (await db.get("SELECT value FROM counters WHERE id = 1")).value;
+
+    beforeEach(async () => {
+      const db = database();
+      await db.exec(
+        "CREATE TABLE IF NOT EXISTS counters (id INTEGER PRIMARY KEY, value INTEGER NOT NULL)",
+      );
+      await db.run("DELETE FROM counters");
+      await db.run("INSERT INTO counters (id, value) VALUES (1, 0)");
+    });
+
+    it("commits when the callback resolves", async () => {
+      const result = await withTransaction(database(), async (tx) => {
+        await tx.run("UPDATE counters SET value = 1 WHERE id = 1");
+        return "done";
+      });
+      assert.equal(result, "done");
+      assert.equal(await value(), 1);
+    });
+
+    it("rolls back when the callback rejects", async () => {
+      await assert.rejects(
+        withTransaction(database(), async (tx) => {
+          await tx.run("UPDATE counters SET value = 1 WHERE id = 1");
+          throw new Error("abort");
+        }),
+        /abort/,
+      );
+      assert.equal(await value(), 0);
+    });
+
+    it("keeps other statements out of an open transaction", async () => {
+      let outside;
+      await assert.rejects(
+        withTransaction(database(), async (tx) => {
+          await tx.run("UPDATE counters SET value = 1 WHERE id = 1");
+          outside = database().run(
+            "UPDATE counters SET value = value + 10 WHERE id = 1",
+          );
+          await new Promise((resolve) => setTimeout(resolve, 20));
+          assert.equal(await value(tx), 1);
+          throw new Error("abort");
+        }),
+        /abort/,
+      );
+      await outside;
+      assert.equal(await value(), 10);
+    });
+
+    it("runs concurrent transactions one after the other", async () => {
+      const increment = () =>
+        withTransaction(database(), async (tx) => {
+          const current = await value(tx);
+          await new Promise((resolve) => setTimeout(resolve, 10));
+          await tx.run("UPDATE counters SET value = ? WHERE id = 1", [
+            current + 1,
+          ]);
+        });
+      await Promise.all([increment(), increment(), increment()]);
+      assert.equal(await value(), 3);
+    });
+
+    it("recovers from a failed statement inside a savepoint", async () => {
+      await withTransaction(database(), async (tx) => {
+        await assert.rejects(
+          withSavepoint(tx, () =>
+            tx.run("INSERT INTO counters (id, value) VALUES (1, 5)"),
+          ),
+        );
+        await tx.run("UPDATE counters SET value = 2 WHERE id = 1");
+      });
+      assert.equal(await value(), 2);
+    });
+  },
+  { migrated: false },
+);
@@ -0,0 +1,169 @@
+// backend/test/migrations.test.js
+const { describe, it, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { execFile } = require("child_process");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { eachDatabase, openTestDatabase } = require("./support/database");
+const {
+  migrate,
+  rollback,
+  pendingMigrations,
+} = require("../src/services/migrations");
+
+eachDatabase(
+  "migrations",
+  (database) => {
+    it("apply from an empty database", async () => {
+      const db = database();
+      const versions = (migrations) =>
+        migrations.map((migration) => migration.version);
+      const pending = versions(await pendingMigrations(db));
+      assert.ok(pending.length > 0);
+      assert.deepEqual(versions(await migrate(db)), pending);
+      assert.deepEqual(await pendingMigrations(db), []);
+    });
+
+    it("keep audit_log append-only", async () => {
+      const db = database();
+      await db.run(
+        `INSERT INTO audit_log (action, entityType, createdAt, prevHash, hash)
+         VALUES ('test', 'test', CURRENT_TIMESTAMP, '', 'hash')`,
+      );
+      await assert.rejects(
+        db.run("UPDATE audit_log SET action = 'changed'"),
+        /append-only/,
+      );
+      await assert.rejects(db.run("DELETE FROM audit_log"), /append-only/);
+    });
+
+    it("roll back completely and apply again", async () => {
+      const db = database();
+      assert.deepEqual(await migrate(db), []);
+
+      const reverted = await rollback(db, { steps: Infinity });
+      assert.ok(reverted.length > 0);
+      assert.equal((await pendingMigrations(db)).length, reverted.length);
+      assert.equal((await migrate(db)).length, reverted.length);
+    });
+  },
+  { migrated: false },
+);
+
+describe("migrations on a database created before they existed", () => {
+  let db;
+  after(() => db?.close());
+
+  it("rebuild the old tables with the current columns and keep their rows", async () => {
+    db = await openTestDatabase("sqlite");
+    await db.exec(`
+      CREATE TABLE users (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        email TEXT UNIQUE NOT NULL,
+        password TEXT NOT NULL,
+        isActive BOOLEAN DEFAULT 1,
+        createdAt DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updatedAt DATETIME DEFAULT CURRENT_TIMESTAMP
+      );
+      CREATE TABLE keys (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        identifier TEXT UNIQUE NOT NULL,
+        isActive BOOLEAN DEFAULT 1,
+        createdAt DATETIME DEFAULT CURRENT_TIMESTAMP
+      );
+      INSERT INTO users (email, password) VALUES ('old@example.com', 'hash');
+      INSERT INTO keys (identifier, isActive) VALUES ('A1', 1), ('B2', 0);
+    `);
+
+    await migrate(db);
+
+    const user = await db.get("SELECT * FROM users");
+    assert.equal(user.email, "old@example.com");
+    assert.equal(user.role, "holder");
+    assert.equal(user.isPending, 0);
+    assert.deepEqual(
+      await db.all(
+        "SELECT identifier, status, updatedAt = createdAt AS kept FROM keys ORDER BY identifier",
+      ),
+      [
+        { identifier: "A1", status: "active", kept: 1 },
+        { identifier: "B2", status: "retired", kept: 1 },
+      ],
+    );
+    assert.ok(
+      (await db.get("SELECT tagCode FROM keys WHERE identifier = 'A1'"))
+        .tagCode,
+    );
+  });
+});
+
+describe("migration CLI and server startup", () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "key-tracker-migrate-"));
+  const env = {
+    ...process.env,
+    DB_CLIENT: "sqlite",
+    DATABASE_FILE: path.join(dir, "database.sqlite"),
+    PORT: "0",
+  };
+  after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  // Resolves to { code, stdout, stderr } of a node script in src
+  const run = (script, ...args) =>
+    new Promise((resolve) => {
+      execFile(
+        process.execPath,
+        [path.join(__dirname, "..", "src", script), ...args],
+        { env, timeout: 30000 },
+        (error, stdout, stderr) =>
+          resolve({ code: error ? error.code : 0, stdout, stderr }),
+      );
+    });
+  const lines = (text) => text.trim().split("\n");
+
+  it("applies migrations up to a version and reports the rest as pending", async () => {
+    const up = await run("migrate.js", "up", "2");
+    assert.equal(up.code, 0, up.stderr);
+    assert.deepEqual(lines(up.stdout), [
+      "Applied 001_initial_schema",
+      "Applied 002_key_tags",
+    ]);
+
+    const status = await run("migrate.js", "status");
+    const [database, ...entries] = lines(status.stdout);
+    assert.equal(database, `Database: sqlite ${env.DATABASE_FILE}`);
+    assert.match(entries[0], /^applied {2}001_initial_schema {2}\d{4}-/);
+    assert.match(entries[1], /^applied {2}002_key_tags /);
+    assert.match(entries[2], /^pending {2}003_key_cabinets$/);
+  });
+
+  it("keeps the server from starting while migrations are pending", async () => {
+    const started = await run("index.js");
+    assert.equal(started.code, 1);
+    assert.match(
+      started.stderr,
+      /Refusing to start: \d+ pending migration\(s\) \(003_key_cabinets, /,
+    );
+  });
+
+  it("rolls back the given number of migrations", async () => {
+    assert.equal((await run("migrate.js", "up")).code, 0);
+    const latest = await run("migrate.js", "up");
+    assert.equal(latest.stdout.trim(), "Database is up to date");
+
+    const rolledBack = await run("migrate.js", "rollback", "2");
+    assert.equal(rolledBack.code, 0, rolledBack.stderr);
+    const reverted = lines(rolledBack.stdout);
+    assert.equal(reverted.length, 2);
+    assert.ok(reverted.every((line) => line.startsWith("Rolled back ")));
+    assert.ok(reverted[0] > reverted[1]);
+  });
+
+  it("prints usage for unknown commands", async () => {
+    for (const args of [["down"], ["rollback", "all"]]) {
+      const result = await run("migrate.js", ...args);
+      assert.equal(result.code, 1);
+      assert.match(result.stderr, /^Usage: node src\/migrate\.js/);
+    }
+  });
+});
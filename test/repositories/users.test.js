@@ -0,0 +1,65 @@
+// backend/test/repositories/users.test.js
+const { it } = require("node:test");
+const assert = require("node:assert/strict");
+const { eachDatabase, createUser } = require("../support/database");
+const { hasAdmin, upsertAdmin } = require("../../src/repositories/users");
+
+eachDatabase("admin accounts", (database) => {
+  const account = (email) =>
+    database().get(
+      "SELECT password, role, isActive, isPending FROM users WHERE email = ?",
+      [email],
+    );
+
+  it("counts only active admins who accepted their invitation", async () => {
+    const db = database();
+    assert.equal(await hasAdmin(db), false);
+    await db.run(
+      "INSERT INTO users (email, password, role, isPending) VALUES ('invited@example.com', 'x', 'admin', 1)",
+    );
+    await db.run(
+      "INSERT INTO users (email, password, role, isActive) VALUES ('former@example.com', 'x', 'admin', 0)",
+    );
+    assert.equal(await hasAdmin(db), false);
+
+    const admin = await createUser(db, "admin@example.com", "admin");
+    assert.equal(await hasAdmin(db), true);
+    assert.equal(await hasAdmin(db, { exceptId: admin }), false);
+  });
+
+  it("creates the seeded admin", async () => {
+    await upsertAdmin(database(), "seeded@example.com", "hash");
+    assert.deepEqual(await account("seeded@example.com"), {
+      password: "hash",
+      role: "admin",
+      isActive: 1,
+      isPending: 0,
+    });
+  });
+
+  it("activates an invited account with the seeded password", async () => {
+    await database().run(
+      "INSERT INTO users (email, password, isPending) VALUES ('pending@example.com', 'unusable', 1)",
+    );
+    await upsertAdmin(database(), "pending@example.com", "hash");
+    assert.deepEqual(await account("pending@example.com"), {
+      password: "hash",
+      role: "admin",
+      isActive: 1,
+      isPending: 0,
+    });
+  });
+
+  it("promotes and reactivates an account, keeping its password", async () => {
+    await database().run(
+      "INSERT INTO users (email, password, isActive) VALUES ('existing@example.com', 'own', 0)",
+    );
+    await upsertAdmin(database(), "existing@example.com", "hash");
+    assert.deepEqual(await account("existing@example.com"), {
+      password: "own",
+      role: "admin",
+      isActive: 1,
+      isPending: 0,
+    });
+  });
+});
@@ -0,0 +1,175 @@
+// backend/test/routes/access.test.js
+const { it, before } = require("node:test");
+const assert = require("node:assert/strict");
+const { eachDatabase } = require("../support/database");
+const { useApp, createAccount } = require("../support/app");
+
+eachDatabase("door access", (database) => {
+  const api = useApp(database);
+  let custodian;
+  let grandMasterHolder;
+  let subMasterHolder;
+  let doorKeyHolder;
+  let frontDoor;
+  let labDoor;
+  let grandMaster;
+
+  const create = async (path, body) => {
+    const response = await api.post(path, body, { as: custodian });
+    assert.equal(response.status, 201, JSON.stringify(response.body));
+    return response.body.id;
+  };
+
+  const assign = async (keyId, user) => {
+    const response = await api.post(
+      "/api/keys/assign",
+      { keyId, assignedTo: user.id },
+      { as: custodian },
+    );
+    assert.equal(response.status, 201);
+  };
+
+  const doorsOf = async (user) => {
+    const response = await api.get(`/api/access/users/${user.id}/doors`, {
+      as: custodian,
+    });
+    assert.equal(response.status, 200);
+    return response.body.map((door) => door.name).sort();
+  };
+
+  const holdersOf = async (doorId) => {
+    const response = await api.get(`/api/access/doors/${doorId}/holders`, {
+      as: custodian,
+    });
+    assert.equal(response.status, 200);
+    return [...new Set(response.body.map((holder) => holder.email))].sort();
+  };
+
+  // Grand master > master > sub-master > one change key per door
+  before(async () => {
+    const db = database();
+    custodian = await createAccount(db, "custodian@example.com", "custodian");
+    grandMasterHolder = await createAccount(db, "gm@example.com");
+    subMasterHolder = await createAccount(db, "sm@example.com");
+    doorKeyHolder = await createAccount(db, "door@example.com");
+
+    frontDoor = await create("/api/doors", { name: "Front" });
+    labDoor = await create("/api/doors", { name: "Lab" });
+    grandMaster = await create("/api/keys", {
+      identifier: "GM",
+      type: "grand_master",
+    });
+    const master = await create("/api/keys", {
+      identifier: "M",
+      type: "master",
+      parentId: grandMaster,
+    });
+    const subMaster = await create("/api/keys", {
+      identifier: "SM",
+      type: "sub_master",
+      parentId: master,
+    });
+    await create("/api/keys", {
+      identifier: "FRONT",
+      parentId: subMaster,
+      doorIds: [frontDoor],
+    });
+    const labKey = await create("/api/keys", {
+      identifier: "LAB",
+      parentId: subMaster,
+      doorIds: [labDoor],
+    });
+
+    await assign(grandMaster, grandMasterHolder);
+    await assign(subMaster, subMasterHolder);
+    await assign(labKey, doorKeyHolder);
+  });
+
+  it("resolves the doors a user can open through the hierarchy", async () => {
+    assert.deepEqual(await doorsOf(grandMasterHolder), ["Front", "Lab"]);
+    assert.deepEqual(await doorsOf(subMasterHolder), ["Front", "Lab"]);
+    assert.deepEqual(await doorsOf(doorKeyHolder), ["Lab"]);
+
+    const [lab] = (
+      await api.get(`/api/access/users/${doorKeyHolder.id}/doors`, {
+        as: doorKeyHolder,
+      })
+    ).body;
+    assert.equal(lab.viaKeys, "LAB");
+  });
+
+  it("resolves who can open a door", async () => {
+    assert.deepEqual(await holdersOf(labDoor), [
+      "door@example.com",
+      "gm@example.com",
+      "sm@example.com",
+    ]);
+    assert.deepEqual(await holdersOf(frontDoor), [
+      "gm@example.com",
+      "sm@example.com",
+    ]);
+  });
+
+  it("lets holders ask only about themselves", async () => {
+    const response = await api.get(
+      `/api/access/users/${subMasterHolder.id}/doors`,
+      { as: doorKeyHolder },
+    );
+    assert.equal(response.status, 403);
+    assert.equal(
+      (
+        await api.get(`/api/access/doors/${labDoor}/holders`, {
+          as: doorKeyHolder,
+        })
+      ).status,
+      403,
+    );
+  });
+
+  it("only counts keys that are out and usable", async () => {
+    const lost = await api.post(
+      `/api/keys/${grandMaster}/status`,
+      { status: "lost", reason: "Dropped somewhere" },
+      { as: custodian },
+    );
+    assert.equal(lost.status, 200);
+    assert.deepEqual(await doorsOf(grandMasterHolder), []);
+    assert.deepEqual(await holdersOf(frontDoor), ["sm@example.com"]);
+  });
+
+  it("refuses a parent that does not rank above the key", async () => {
+    const master = await create("/api/keys", {
+      identifier: "M-2",
+      type: "master",
+    });
+    const sameRank = await api.post(
+      "/api/keys",
+      { identifier: "M-3", type: "master", parentId: master },
+      { as: custodian },
+    );
+    assert.equal(sameRank.status, 400);
+    assert.equal(
+      sameRank.body.error,
+      "A master key cannot be the parent of a master key",
+    );
+
+    const subMaster = await create("/api/keys", {
+      identifier: "SM-2",
+      type: "sub_master",
+      parentId: master,
+    });
+    const promoted = await api.put(
+      `/api/keys/${subMaster}`,
+      { type: "grand_master" },
+      { as: custodian },
+    );
+    assert.equal(promoted.status, 409);
+
+    const moved = await api.put(
+      `/api/keys/${subMaster}`,
+      { type: "grand_master", parentId: null },
+      { as: custodian },
+    );
+    assert.equal(moved.status, 200);
+  });
+});
@@ -0,0 +1,138 @@
+// backend/test/routes/account.test.js
+const { it, before } = require("node:test");
+const assert = require("node:assert/strict");
+const bcrypt = require("bcryptjs");
+const { eachDatabase, createKey } = require("../support/database");
+const { useApp, createAccount, PASSWORD } = require("../support/app");
+
+eachDatabase("account", (database) => {
+  const api = useApp(database);
+  let custodian;
+
+  before(async () => {
+    custodian = await createAccount(
+      database(),
+      "custodian@example.com",
+      "custodian",
+    );
+  });
+
+  const assign = async (identifier, assignedTo) => {
+    const keyId = await createKey(database(), identifier);
+    const response = await api.post(
+      "/api/keys/assign",
+      { keyId, assignedTo },
+      { as: custodian },
+    );
+    assert.equal(response.status, 201);
+    return keyId;
+  };
+
+  it("shows the profile and the keys currently held", async () => {
+    const user = await createAccount(database(), "me@example.com");
+    await assign("ME-1", user.id);
+    const returnedKey = await assign("ME-2", user.id);
+    const returned = await api.post(
+      `/api/keys/return/${returnedKey}`,
+      { condition: "good" },
+      { as: custodian },
+    );
+    assert.equal(returned.status, 200);
+
+    const response = await api.get("/api/auth/me", { as: user });
+    assert.equal(response.status, 200);
+    assert.equal(response.body.email, user.email);
+    assert.equal(response.body.role, "holder");
+    assert.equal(response.body.password, undefined);
+    assert.deepEqual(
+      response.body.assignments.map((assignment) => assignment.identifier),
+      ["ME-1"],
+    );
+    assert.equal(response.body.assignments[0].assignedByEmail, custodian.email);
+  });
+
+  it("changes the password only with the current one", async () => {
+    const user = await createAccount(database(), "change@example.com");
+    const { refreshToken } = (
+      await api.post("/api/auth/login", {
+        email: user.email,
+        password: PASSWORD,
+      })
+    ).body;
+
+    const wrong = await api.post(
+      "/api/auth/change-password",
+      { currentPassword: "not the password", newPassword: "a new password" },
+      { as: user },
+    );
+    assert.equal(wrong.status, 401);
+
+    const short = await api.post(
+      "/api/auth/change-password",
+      { currentPassword: PASSWORD, newPassword: "short" },
+      { as: user },
+    );
+    assert.equal(short.status, 400);
+
+    const changed = await api.post(
+      "/api/auth/change-password",
+      { currentPassword: PASSWORD, newPassword: "a new password" },
+      { as: user },
+    );
+    assert.equal(changed.status, 200);
+
+    const { password } = await database().get(
+      "SELECT password FROM users WHERE id = ?",
+      [user.id],
+    );
+    assert.ok(await bcrypt.compare("a new password", password));
+    assert.equal(
+      (await api.post("/api/auth/refresh", { refreshToken })).status,
+      401,
+    );
+  });
+
+  it("lets users edit their profile fields", async () => {
+    const user = await createAccount(database(), "profile@example.com");
+    const updated = await api.put(
+      `/api/users/${user.id}`,
+      {
+        displayName: "  Pat Example ",
+        phone: "+44 (0)20 7946-0000",
+        department: "Facilities",
+      },
+      { as: user },
+    );
+    assert.equal(updated.status, 200);
+
+    const profile = (await api.get("/api/auth/me", { as: user })).body;
+    assert.equal(profile.displayName, "Pat Example");
+    assert.equal(profile.phone, "+44 (0)20 7946-0000");
+    assert.equal(profile.department, "Facilities");
+
+    const cleared = await api.put(
+      `/api/users/${user.id}`,
+      { phone: null },
+      { as: user },
+    );
+    assert.equal(cleared.status, 200);
+    assert.equal(
+      (await api.get("/api/auth/me", { as: user })).body.phone,
+      null,
+    );
+  });
+
+  it("validates profile fields", async () => {
+    const user = await createAccount(database(), "invalid@example.com");
+    for (const fields of [
+      { phone: "call me maybe" },
+      { displayName: "" },
+      { department: "x".repeat(101) },
+    ]) {
+      const response = await api.put(`/api/users/${user.id}`, fields, {
+        as: user,
+      });
+      assert.equal(response.status, 400, JSON.stringify(fields));
+    }
+  });
+});
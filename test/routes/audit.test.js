@@ -0,0 +1,82 @@
+// backend/test/routes/audit.test.js
+const { it, before } = require("node:test");
+const assert = require("node:assert/strict");
+const { eachDatabase } = require("../support/database");
+const { useApp, createAccount } = require("../support/app");
+
+eachDatabase("audit routes", (database) => {
+  const api = useApp(database);
+  let admin;
+  let custodian;
+
+  before(async () => {
+    admin = await createAccount(database(), "admin@example.com", "admin");
+    custodian = await createAccount(
+      database(),
+      "custodian@example.com",
+      "custodian",
+    );
+  });
+
+  const audit = async (query) => {
+    const response = await api.get(`/api/audit?${query}`, { as: admin });
+    assert.equal(response.status, 200);
+    return response.body;
+  };
+
+  it("records who changed what, with before and after", async () => {
+    const created = await api.post(
+      "/api/locations",
+      { name: "Archive" },
+      { as: custodian },
+    );
+    await api.put(
+      `/api/locations/${created.body.id}`,
+      { room: "B12" },
+      { as: custodian },
+    );
+
+    const { entries, total } = await audit(
+      `entityType=location&entityId=${created.body.id}`,
+    );
+    assert.equal(total, 2);
+    const [update, create] = entries;
+    assert.equal(create.action, "locations.create");
+    assert.equal(create.actorId, custodian.id);
+    assert.equal(create.after.name, "Archive");
+    assert.equal(update.action, "locations.update");
+    assert.equal(update.before.room, null);
+    assert.equal(update.after.room, "B12");
+    assert.equal(update.ip, "127.0.0.1");
+  });
+
+  it("leaves out writes that fail", async () => {
+    const before = (await audit("action=locations.create")).total;
+    const duplicate = await api.post(
+      "/api/locations",
+      { name: "Archive" },
+      { as: custodian },
+    );
+    assert.equal(duplicate.status, 400);
+    assert.equal((await audit("action=locations.create")).total, before);
+  });
+
+  it("filters by actor and pages through entries", async () => {
+    for (const name of ["Shed 1", "Shed 2", "Shed 3"]) {
+      await api.post("/api/locations", { name }, { as: admin });
+    }
+    const page = await audit(`actorId=${admin.id}&limit=2&page=2`);
+    assert.equal(page.total, 3);
+    assert.deepEqual(
+      page.entries.map((entry) => entry.after.name),
+      ["Shed 1"],
+    );
+  });
+
+  it("is readable and verifiable by admins only", async () => {
+    assert.equal((await api.get("/api/audit", { as: custodian })).status, 403);
+    const verified = await api.get("/api/audit/verify", { as: admin });
+    assert.equal(verified.status, 200);
+    assert.equal(verified.body.valid, true);
+  });
+});
@@ -0,0 +1,206 @@
+// backend/test/routes/devices.test.js
+// Drives a cabinet through the simulator's client, authenticated with the
+// device key issued when the cabinet was registered
+const { it, before } = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const { eachDatabase, createKey } = require("../support/database");
+const { useApp, createAccount } = require("../support/app");
+const { mailTo } = require("../support/mail");
+const { createCabinetClient } = require("../../src/cabinetSimulator");
+
+eachDatabase("cabinet devices", (database) => {
+  const api = useApp(database);
+  const printed = [];
+  let cabinet;
+  let cabinetId;
+  let custodian;
+  let holder;
+  let keyIds;
+
+  before(async () => {
+    const db = database();
+    const admin = await createAccount(db, "admin@example.com", "admin");
+    custodian = await createAccount(db, "custodian@example.com", "custodian");
+    holder = await createAccount(db, "holder@example.com");
+    for (const [user, badgeId] of [
+      [custodian, "BADGE-C"],
+      [holder, "BADGE-H"],
+    ]) {
+      await db.run("UPDATE users SET badgeId = ? WHERE id = ?", [
+        badgeId,
+        user.id,
+      ]);
+    }
+
+    const registered = await api.post(
+      "/api/cabinets",
+      { name: "Lobby" },
+      { as: admin },
+    );
+    assert.equal(registered.status, 201);
+    cabinetId = registered.body.id;
+    keyIds = [await createKey(db, "DEV-1"), await createKey(db, "DEV-2")];
+    const stocked = await api.put(
+      `/api/cabinets/${cabinetId}/slots`,
+      {
+        slots: keyIds.map((keyId, index) => ({ slot: index + 1, keyId })),
+      },
+      { as: custodian },
+    );
+    assert.equal(stocked.status, 200, JSON.stringify(stocked.body));
+
+    cabinet = createCabinetClient({
+      baseUrl: api.url(""),
+      deviceKey: registered.body.deviceKey,
+      log: (line) => printed.push(line),
+    });
+  });
+
+  const openAssignment = (keyId) =>
+    database().get(
+      "SELECT * FROM key_assignments WHERE keyId = ? AND returnedAt IS NULL",
+      [keyId],
+    );
+
+  it("only answers cabinets with a valid device key", async () => {
+    assert.equal((await api.get("/api/devices/cabinet")).status, 401);
+    const forged = await api.get("/api/devices/cabinet", {
+      headers: {
+        Authorization: `Device ${cabinetId}.${"0".repeat(64)}`,
+      },
+    });
+    assert.equal(forged.status, 403);
+
+    const status = await cabinet.status();
+    assert.equal(status.name, "Lobby");
+    assert.deepEqual(
+      status.slots.map(({ slot, identifier, isCheckedOut }) => [
+        slot,
+        identifier,
+        isCheckedOut,
+      ]),
+      [
+        [1, "DEV-1", false],
+        [2, "DEV-2", false],
+      ],
+    );
+  });
+
+  it("refuses holders without an approved request or reservation", async () => {
+    assert.deepEqual(await cabinet.take("BADGE-H", 1), []);
+    assert.equal(
+      printed.at(-1),
+      "Refused: No approved request or reservation for this key",
+    );
+    assert.equal(await openAssignment(keyIds[0]), undefined);
+  });
+
+  it("assigns a key taken from its slot and closes it when put back", async () => {
+    const taken = await cabinet.take("BADGE-C", 1);
+    assert.deepEqual(
+      taken.map((event) => [event.type, event.outcome]),
+      [
+        ["slot_opened", "recorded"],
+        ["key_removed", "assigned"],
+      ],
+    );
+    const assignment = await openAssignment(keyIds[0]);
+    assert.equal(assignment.id, taken[1].assignmentId);
+    assert.equal(assignment.assignedTo, custodian.id);
+    assert.equal(assignment.assignedBy, custodian.id);
+    assert.equal((await cabinet.status()).slots[0].isCheckedOut, true);
+
+    const [returned] = await cabinet.return(1, undefined, "worn");
+    assert.equal(returned.outcome, "returned");
+    assert.equal(await openAssignment(keyIds[0]), undefined);
+    const record = await database().get(
+      "SELECT * FROM key_returns WHERE assignmentId = ?",
+      [assignment.id],
+    );
+    assert.equal(record.receivedBy, custodian.id);
+    assert.equal(record.condition, "worn");
+    assert.equal(record.notes, "Returned to cabinet slot 1");
+
+    const audited = await database().all(
+      `SELECT action, afterData FROM audit_log
+       WHERE entityType = 'assignment' AND entityId = ? ORDER BY id`,
+      [String(assignment.id)],
+    );
+    assert.deepEqual(
+      audited.map((entry) => [
+        entry.action,
+        JSON.parse(entry.afterData).cabinetId,
+      ]),
+      [
+        ["keys.assign", cabinetId],
+        ["keys.return", cabinetId],
+      ],
+    );
+  });
+
+  it("records a forced take and flags it to custodians", async () => {
+    const [, removed] = await cabinet.take("BADGE-H", 2, { force: true });
+    assert.equal(removed.outcome, "flagged");
+    assert.equal(
+      removed.message,
+      "Taken without permission: No approved request or reservation for this key",
+    );
+    assert.equal((await openAssignment(keyIds[1])).assignedTo, holder.id);
+    assert.equal(
+      mailTo(custodian.email).at(-1).subject,
+      `Cabinet Lobby: ${removed.message}`,
+    );
+
+    const [, returned] = await cabinet.return(2, "BADGE-C");
+    assert.equal(returned.outcome, "returned");
+  });
+
+  it("records a repeated event once and honours rotated keys", async () => {
+    const admin = await createAccount(
+      database(),
+      "admin2@example.com",
+      "admin",
+    );
+    const rotated = await api.post(
+      `/api/cabinets/${cabinetId}/credentials`,
+      undefined,
+      { as: admin },
+    );
+    const { deviceKey } = rotated.body;
+    await assert.rejects(cabinet.status(), /Invalid device key/);
+
+    const eventId = crypto.randomUUID();
+    const report = () =>
+      api.post(
+        "/api/devices/cabinet/events",
+        { eventId, type: "key_removed", slot: 1, badgeId: "BADGE-C" },
+        { headers: { Authorization: `Device ${deviceKey}` } },
+      );
+    const first = await report();
+    assert.equal(first.status, 201, JSON.stringify(first.body));
+    // A cabinet that missed the answer retries with the same eventId
+    const retried = await report();
+    assert.equal(retried.status, 200);
+    assert.equal(retried.body.id, first.body.id);
+    assert.equal(
+      (
+        await database().get(
+          "SELECT COUNT(*) as count FROM cabinet_events WHERE eventId = ?",
+          [eventId],
+        )
+      ).count,
+      1,
+    );
+    assert.ok(await openAssignment(keyIds[0]));
+
+    await assert.rejects(
+      createCabinetClient({
+        baseUrl: api.url(""),
+        deviceKey,
+        log: () => {},
+      }).report("key_returned", 9),
+      /Slot is not stocked/,
+    );
+  });
+});
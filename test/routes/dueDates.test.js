@@ -0,0 +1,157 @@
+// backend/test/routes/dueDates.test.js
+const { it, before } = require("node:test");
+const assert = require("node:assert/strict");
+const { eachDatabase, createKey } = require("../support/database");
+const { useApp, createAccount } = require("../support/app");
+const { mailTo } = require("../support/mail");
+const { sendReminders } = require("../../src/services/reminderScheduler");
+const { parseTimestamp, minutesFromNow } = require("../../src/services/dates");
+
+const HOUR_MS = 60 * 60 * 1000;
+
+eachDatabase("due dates", (database) => {
+  const api = useApp(database);
+  let custodian;
+  let holder;
+  let otherHolder;
+
+  before(async () => {
+    custodian = await createAccount(
+      database(),
+      "custodian@example.com",
+      "custodian",
+    );
+    holder = await createAccount(database(), "holder@example.com");
+    otherHolder = await createAccount(database(), "other@example.com");
+  });
+
+  const assign = async (identifier, assignedTo, dueAt) => {
+    const response = await api.post(
+      "/api/keys/assign",
+      { keyId: await createKey(database(), identifier), assignedTo, dueAt },
+      { as: custodian },
+    );
+    assert.equal(response.status, 201, JSON.stringify(response.body));
+    return response.body.id;
+  };
+
+  // Moves an assignment's due date, as if it had been handed out earlier
+  const setDueAt = (assignmentId, dueAt) =>
+    database().run("UPDATE key_assignments SET dueAt = ? WHERE id = ?", [
+      dueAt,
+      assignmentId,
+    ]);
+
+  it("takes an optional due date in the future", async () => {
+    const keyId = await createKey(database(), "DUE-PAST");
+    const past = await api.post(
+      "/api/keys/assign",
+      { keyId, assignedTo: holder.id, dueAt: "2001-01-01T00:00:00Z" },
+      { as: custodian },
+    );
+    assert.equal(past.status, 400);
+
+    const dueAt = new Date(Date.now() + 48 * HOUR_MS).toISOString();
+    const response = await api.post(
+      "/api/keys/assign",
+      { keyId, assignedTo: holder.id, dueAt },
+      { as: custodian },
+    );
+    assert.equal(response.status, 201);
+    assert.equal(
+      parseTimestamp(response.body.dueAt).getTime(),
+      Math.floor(new Date(dueAt).getTime() / 1000) * 1000,
+    );
+  });
+
+  it("reports overdue keys, to holders only their own", async () => {
+    const late = await assign("LATE-1", holder.id);
+    const otherLate = await assign("LATE-2", otherHolder.id);
+    await assign("NOT-LATE", holder.id, minutesFromNow(60));
+    await setDueAt(late, minutesFromNow(-3 * 60));
+    await setDueAt(otherLate, minutesFromNow(-60));
+
+    const all = await api.get("/api/keys/overdue", { as: custodian });
+    assert.equal(all.status, 200);
+    assert.deepEqual(
+      all.body.map((row) => row.identifier),
+      ["LATE-1", "LATE-2"],
+    );
+    assert.equal(all.body[0].hoursOverdue, 3);
+    assert.equal(all.body[0].assignedByEmail, custodian.email);
+
+    const own = await api.get("/api/keys/overdue", { as: holder });
+    assert.deepEqual(
+      own.body.map((row) => row.identifier),
+      ["LATE-1"],
+    );
+  });
+
+  it("mails the holder and the assigner before and after the due date", async () => {
+    const user = await createAccount(database(), "reminded@example.com");
+    const assignmentId = await assign("REMIND-1", user.id);
+    const dueAt = minutesFromNow(12 * 60);
+    await setDueAt(assignmentId, dueAt);
+    const due = parseTimestamp(dueAt).getTime();
+
+    await sendReminders(database());
+    assert.deepEqual(
+      mailTo(user.email).map((message) => message.subject),
+      ["Key REMIND-1 is due soon"],
+    );
+    assert.match(
+      mailTo(custodian.email).at(-1).text,
+      /REMIND-1 you assigned to reminded@example\.com is due back/,
+    );
+
+    // Each reminder goes out once
+    await sendReminders(database());
+    assert.equal(mailTo(user.email).length, 1);
+
+    await sendReminders(database(), due + HOUR_MS);
+    assert.equal(mailTo(user.email).at(-1).subject, "Key REMIND-1 is overdue");
+    assert.equal(mailTo(user.email).length, 2);
+  });
+
+  it("sends only the latest of several missed reminders", async () => {
+    const user = await createAccount(database(), "missed@example.com");
+    const assignmentId = await assign("REMIND-2", user.id);
+    const dueAt = minutesFromNow(12 * 60);
+    await setDueAt(assignmentId, dueAt);
+
+    await sendReminders(
+      database(),
+      parseTimestamp(dueAt).getTime() + 100 * HOUR_MS,
+    );
+    assert.equal(mailTo(user.email).length, 1);
+    assert.deepEqual(
+      (
+        await database().all(
+          "SELECT kind FROM assignment_reminders WHERE assignmentId = ? ORDER BY kind",
+          [assignmentId],
+        )
+      ).map((row) => row.kind),
+      ["after_0h", "after_24h", "after_72h", "overdue_event"],
+    );
+  });
+
+  it("stops reminding once the key is back", async () => {
+    const user = await createAccount(database(), "returned@example.com");
+    const keyId = await createKey(database(), "REMIND-3");
+    const assigned = await api.post(
+      "/api/keys/assign",
+      { keyId, assignedTo: user.id },
+      { as: custodian },
+    );
+    await setDueAt(assigned.body.id, minutesFromNow(-60));
+    const returned = await api.post(
+      `/api/keys/return/${keyId}`,
+      { condition: "good" },
+      { as: custodian },
+    );
+    assert.equal(returned.status, 200);
+
+    await sendReminders(database());
+    assert.deepEqual(mailTo(user.email), []);
+  });
+});
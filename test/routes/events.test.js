@@ -0,0 +1,228 @@
+// backend/test/routes/events.test.js
+// Streams re-check their user on every heartbeat; a short heartbeat lets the
+// tests see a deactivated user's stream end. Set before the app loads.
+process.env.LIVE_HEARTBEAT_SECONDS = "0.05";
+
+const { it, before } = require("node:test");
+const assert = require("node:assert/strict");
+const { eachDatabase, createKey } = require("../support/database");
+const { useApp, createAccount, accessToken } = require("../support/app");
+
+// Rejects when the stream has nothing to say within a second
+const within = (promise) =>
+  Promise.race([
+    promise,
+    new Promise((resolve, reject) =>
+      setTimeout(() => reject(new Error("No event within 1s")), 1000).unref(),
+    ),
+  ]);
+
+// Connects to the event stream as the user. next() resolves to the next
+// event as { id, event, data }, or null once the server ends the stream.
+const openStream = async (api, user, { lastEventId, query = "" } = {}) => {
+  const controller = new AbortController();
+  const response = await fetch(api.url(`/api/events/stream${query}`), {
+    headers: {
+      Authorization: `Bearer ${accessToken(user)}`,
+      ...(lastEventId !== undefined && {
+        "Last-Event-ID": String(lastEventId),
+      }),
+    },
+    signal: controller.signal,
+  });
+  assert.equal(response.status, 200);
+  const reader = response.body.pipeThrough(new TextDecoderStream()).getReader();
+
+  let buffer = "";
+  const read = async () => {
+    for (;;) {
+      const end = buffer.indexOf("\n\n");
+      if (end === -1) {
+        const { value, done } = await reader.read();
+        if (done) {
+          return null;
+        }
+        buffer += value;
+        continue;
+      }
+      const block = buffer.slice(0, end);
+      buffer = buffer.slice(end + 2);
+      // Skips the retry hint and keep-alive comments
+      const fields = Object.fromEntries(
+        block.split("\n").map((line) => {
+          const split = line.indexOf(": ");
+          return [line.slice(0, split), line.slice(split + 2)];
+        }),
+      );
+      if (fields.event) {
+        const { data } = JSON.parse(fields.data);
+        return {
+          id: fields.id ? Number(fields.id) : null,
+          event: fields.event,
+          data,
+        };
+      }
+    }
+  };
+
+  return {
+    next: () => within(read()),
+    close: () => controller.abort(),
+  };
+};
+
+eachDatabase("live events", (database) => {
+  const api = useApp(database);
+  let admin;
+  let custodian;
+  let holder;
+  let other;
+
+  before(async () => {
+    const db = database();
+    admin = await createAccount(db, "admin@example.com", "admin");
+    custodian = await createAccount(db, "custodian@example.com", "custodian");
+    holder = await createAccount(db, "holder@example.com");
+    other = await createAccount(db, "other@example.com");
+  });
+
+  const assign = async (keyId, user = holder) => {
+    const response = await api.post(
+      "/api/keys/assign",
+      { keyId, assignedTo: user.id },
+      { as: custodian },
+    );
+    assert.equal(response.status, 201);
+    return response.body.id;
+  };
+  const checkIn = (keyId) =>
+    api.post(
+      `/api/keys/return/${keyId}`,
+      { condition: "good" },
+      { as: custodian },
+    );
+  const markLost = (keyId) =>
+    api.post(
+      `/api/keys/${keyId}/status`,
+      { status: "lost", reason: "Dropped in the car park" },
+      { as: custodian },
+    );
+
+  it("needs a valid token and last event id", async () => {
+    assert.equal((await api.get("/api/events/stream")).status, 401);
+    const badId = await api.get("/api/events/stream", {
+      as: custodian,
+      headers: { "Last-Event-ID": "latest" },
+    });
+    assert.equal(badId.status, 400);
+  });
+
+  it("pushes assignments, returns and status changes as they happen", async () => {
+    const stream = await openStream(api, custodian);
+    try {
+      const keyId = await createKey(database(), "LIVE-1");
+      const assignmentId = await assign(keyId);
+      const assigned = await stream.next();
+      assert.equal(assigned.event, "key.assigned");
+      assert.equal(assigned.data.assignmentId, assignmentId);
+      assert.equal(assigned.data.keyId, keyId);
+      assert.equal(assigned.data.assignedTo, holder.id);
+
+      await checkIn(keyId);
+      const returned = await stream.next();
+      assert.equal(returned.event, "key.returned");
+      assert.ok(returned.id > assigned.id);
+
+      await markLost(keyId);
+      const status = await stream.next();
+      assert.equal(status.event, "key.status");
+      assert.deepEqual(
+        { status: status.data.status, previous: status.data.previousStatus },
+        { status: "lost", previous: "active" },
+      );
+    } finally {
+      stream.close();
+    }
+  });
+
+  it("only tells holders who holds the keys they hold themselves", async () => {
+    const own = await openStream(api, holder);
+    const others = await openStream(api, other);
+    try {
+      const keyId = await createKey(database(), "LIVE-2");
+      await assign(keyId);
+
+      const seen = await own.next();
+      assert.equal(seen.data.assignedTo, holder.id);
+      assert.equal(seen.data.assignedToEmail, "holder@example.com");
+      const hidden = await others.next();
+      assert.equal(hidden.id, seen.id);
+      assert.deepEqual(Object.keys(hidden.data).sort(), [
+        "identifier",
+        "keyId",
+        "status",
+        "tagCode",
+      ]);
+    } finally {
+      own.close();
+      others.close();
+    }
+  });
+
+  it("replays what a reconnecting client missed", async () => {
+    const keyId = await createKey(database(), "LIVE-3");
+    const first = await openStream(api, custodian);
+    await assign(keyId);
+    const { id: lastEventId } = await first.next();
+    first.close();
+
+    await checkIn(keyId);
+    await markLost(keyId);
+
+    for (const options of [
+      { lastEventId },
+      { query: `?lastEventId=${lastEventId}` },
+    ]) {
+      const resumed = await openStream(api, custodian, options);
+      try {
+        const replayed = [await resumed.next(), await resumed.next()];
+        assert.deepEqual(
+          replayed.map((message) => message.event),
+          ["key.returned", "key.status"],
+        );
+        assert.equal(replayed[0].id, lastEventId + 1);
+      } finally {
+        resumed.close();
+      }
+    }
+
+    // An id the server never issued means the client's view is stale
+    const stale = await openStream(api, custodian, {
+      lastEventId: lastEventId + 1000,
+    });
+    try {
+      const reset = await stale.next();
+      assert.deepEqual(reset, {
+        id: null,
+        event: "reset",
+        data: { reason: "Missed events are no longer available" },
+      });
+    } finally {
+      stale.close();
+    }
+  });
+
+  it("ends the stream once the user is deactivated", async () => {
+    const leaver = await createAccount(database(), "leaver@example.com");
+    const stream = await openStream(api, leaver);
+    try {
+      const response = await api.delete(`/api/users/${leaver.id}`, {
+        as: admin,
+      });
+      assert.equal(response.status, 200);
+      assert.equal(await stream.next(), null);
+    } finally {
+      stream.close();
+    }
+  });
+});
@@ -0,0 +1,233 @@
+// backend/test/routes/import.test.js
+const { it, before } = require("node:test");
+const assert = require("node:assert/strict");
+const ExcelJS = require("exceljs");
+const { eachDatabase } = require("../support/database");
+const { useApp, createAccount } = require("../support/app");
+const { mailTo } = require("../support/mail");
+
+const csv = (name, lines) => {
+  const form = new FormData();
+  form.append(
+    "file",
+    new Blob([`${lines.join("\n")}\n`], { type: "text/csv" }),
+    name,
+  );
+  return form;
+};
+
+const workbook = async (name, rows) => {
+  const book = new ExcelJS.Workbook();
+  book.addWorksheet("Import").addRows(rows);
+  const form = new FormData();
+  form.append("file", new Blob([await book.xlsx.writeBuffer()]), name);
+  return form;
+};
+
+eachDatabase("spreadsheet imports", (database) => {
+  const api = useApp(database);
+  let admin;
+  let custodian;
+
+  before(async () => {
+    const db = database();
+    admin = await createAccount(db, "admin@example.com", "admin");
+    custodian = await createAccount(db, "custodian@example.com", "custodian");
+  });
+
+  const upload = (entity, form, { as = custodian, dryRun } = {}) =>
+    api.post(`/api/import/${entity}${dryRun ? "?dryRun=true" : ""}`, form, {
+      as,
+    });
+
+  const keyIds = (identifiers) =>
+    database().all(
+      `SELECT id FROM keys WHERE identifier IN (${identifiers.map(() => "?").join(", ")})`,
+      identifiers,
+    );
+
+  it("serves a template with the columns of each entity", async () => {
+    const template = await api.get("/api/import/assignments/template", {
+      as: custodian,
+    });
+    assert.equal(template.status, 200);
+    assert.equal(template.body, "keyIdentifier,email,assignedAt,dueAt\n");
+  });
+
+  it("checks a dry run row by row without writing anything", async () => {
+    const dryRun = await upload(
+      "keys",
+      csv("keys.csv", [
+        "identifier,type,parentIdentifier",
+        "IMP-M,master,",
+        "IMP-1,single_door,IMP-M",
+        ",single_door,",
+        "IMP-2,padlock,",
+      ]),
+      { dryRun: true },
+    );
+    assert.equal(dryRun.status, 200);
+    assert.equal(dryRun.body.dryRun, true);
+    assert.equal(dryRun.body.valid, false);
+    assert.equal(dryRun.body.rows, 4);
+    assert.deepEqual(
+      dryRun.body.errors.map(({ row, path }) => ({ row, path })),
+      [
+        { row: 4, path: "identifier" },
+        { row: 5, path: "type" },
+      ],
+    );
+    assert.deepEqual(await keyIds(["IMP-M", "IMP-1"]), []);
+  });
+
+  it("imports nothing from a file with errors", async () => {
+    const response = await upload(
+      "keys",
+      csv("keys.csv", [
+        "identifier,parentIdentifier",
+        "IMP-3,",
+        "IMP-4,MISSING",
+      ]),
+    );
+    assert.equal(response.status, 400);
+    assert.deepEqual(response.body.errors, [
+      { row: 3, msg: "Parent key MISSING not found" },
+    ]);
+    assert.deepEqual(await keyIds(["IMP-3"]), []);
+  });
+
+  it("imports keys from a workbook in one go and audits each one", async () => {
+    const response = await upload(
+      "keys",
+      await workbook("keys.xlsx", [
+        ["identifier", "type", "parentIdentifier", "copies"],
+        ["IMP-XM", "master", "", 1],
+        ["IMP-X1", "single_door", "IMP-XM", 2],
+      ]),
+    );
+    assert.equal(response.status, 201, JSON.stringify(response.body));
+    assert.equal(response.body.imported, 2);
+    assert.deepEqual(
+      response.body.created.map(({ row }) => row),
+      [2, 3],
+    );
+
+    const [master, child] = response.body.created;
+    const imported = await database().get("SELECT * FROM keys WHERE id = ?", [
+      child.id,
+    ]);
+    assert.equal(imported.parentId, master.id);
+    assert.equal(imported.copies, 2);
+
+    const audited = await database().all(
+      "SELECT entityId, afterData FROM audit_log WHERE action = 'keys.create' ORDER BY id",
+    );
+    assert.deepEqual(
+      audited.slice(-2).map((entry) => entry.entityId),
+      [String(master.id), String(child.id)],
+    );
+    assert.equal(JSON.parse(audited.at(-1).afterData).imported, true);
+
+    const again = await upload(
+      "keys",
+      csv("keys.csv", ["identifier", "IMP-X1"]),
+    );
+    assert.deepEqual(again.body.errors, [
+      { row: 2, msg: "Key identifier already exists" },
+    ]);
+  });
+
+  it("lets only admins import users and invites each of them", async () => {
+    const file = () =>
+      csv("users.csv", [
+        "email,role,displayName",
+        "new.holder@example.com,,New Holder",
+        "new.custodian@example.com,custodian,",
+      ]);
+    assert.equal((await upload("users", file())).status, 403);
+
+    const response = await upload("users", file(), { as: admin });
+    assert.equal(response.status, 201, JSON.stringify(response.body));
+    assert.equal(response.body.imported, 2);
+    assert.equal(response.body.invitationsFailed, 0);
+
+    const user = await database().get(
+      "SELECT role, displayName FROM users WHERE email = ?",
+      ["new.holder@example.com"],
+    );
+    assert.deepEqual(
+      { ...user },
+      { role: "holder", displayName: "New Holder" },
+    );
+    for (const email of [
+      "new.holder@example.com",
+      "new.custodian@example.com",
+    ]) {
+      assert.equal(
+        mailTo(email).at(-1).subject,
+        "You have been invited to Key Tracker",
+      );
+    }
+  });
+
+  it("records existing loans, backdated and already overdue", async () => {
+    const holder = await createAccount(database(), "borrower@example.com");
+    await upload("keys", csv("keys.csv", ["identifier", "IMP-LOAN"]));
+
+    const future = new Date(Date.now() + 60 * 60 * 1000).toISOString();
+    const rejected = await upload(
+      "assignments",
+      csv("assignments.csv", [
+        "keyIdentifier,email,assignedAt",
+        `IMP-LOAN,${holder.email},${future}`,
+      ]),
+    );
+    assert.equal(rejected.status, 400);
+    assert.equal(
+      rejected.body.errors[0].msg,
+      "assignedAt cannot be in the future",
+    );
+
+    const response = await upload(
+      "assignments",
+      csv("assignments.csv", [
+        "keyIdentifier,email,assignedAt,dueAt",
+        `IMP-LOAN,${holder.email},2024-01-02T09:00:00Z,2024-01-09T09:00:00Z`,
+      ]),
+    );
+    assert.equal(response.status, 201, JSON.stringify(response.body));
+    const assignment = await database().get(
+      "SELECT assignedTo, assignedBy, returnedAt FROM key_assignments WHERE id = ?",
+      [response.body.created[0].id],
+    );
+    assert.deepEqual(
+      { ...assignment },
+      { assignedTo: holder.id, assignedBy: custodian.id, returnedAt: null },
+    );
+
+    const twice = await upload(
+      "assignments",
+      csv("assignments.csv", [
+        "keyIdentifier,email",
+        `IMP-LOAN,${admin.email}`,
+      ]),
+    );
+    assert.equal(twice.status, 400);
+  });
+
+  it("refuses files it cannot read", async () => {
+    const text = new FormData();
+    text.append("file", new Blob(["identifier\nA\n"]), "keys.txt");
+    assert.equal((await upload("keys", text)).status, 400);
+
+    const empty = await upload("keys", csv("keys.csv", ["identifier"]));
+    assert.equal(empty.status, 400);
+    assert.equal(empty.body.errors[0].msg, "File contains no data rows");
+
+    const broken = new FormData();
+    broken.append("file", new Blob(["not a workbook"]), "keys.xlsx");
+    const unreadable = await upload("keys", broken);
+    assert.equal(unreadable.status, 400);
+    assert.match(unreadable.body.errors[0].msg, /^Could not read file/);
+  });
+});
@@ -0,0 +1,127 @@
+// backend/test/routes/invitations.test.js
+const { it, before } = require("node:test");
+const assert = require("node:assert/strict");
+const { eachDatabase } = require("../support/database");
+const { useApp, createAccount } = require("../support/app");
+const { mailTo, lastLinkToken } = require("../support/mail");
+
+const CHOSEN_PASSWORD = "chosen by the invitee";
+
+eachDatabase("invitations", (database) => {
+  const api = useApp(database);
+  let admin;
+
+  before(async () => {
+    admin = await createAccount(database(), "admin@example.com", "admin");
+  });
+
+  const invite = async (email, role = "holder") => {
+    const response = await api.post(
+      "/api/users",
+      { email, role },
+      { as: admin },
+    );
+    assert.equal(response.status, 201);
+    return response.body;
+  };
+
+  const accept = (token, password = CHOSEN_PASSWORD) =>
+    api.post("/api/auth/accept-invite", { token, password });
+
+  it("emails an invitation instead of returning a password", async () => {
+    const created = await invite("invitee@example.com");
+
+    assert.equal(created.invitationSent, true);
+    assert.equal(created.password, undefined);
+    assert.doesNotMatch(JSON.stringify(created), /password123/);
+    assert.equal(
+      mailTo("invitee@example.com").at(-1).subject,
+      "You have been invited to Key Tracker",
+    );
+    assert.ok(lastLinkToken("invitee@example.com"));
+  });
+
+  it("keeps the account pending until the invitation is accepted", async () => {
+    const { id, email } = await invite("pending@example.com");
+    const user = { id, email, role: "holder" };
+    assert.equal((await api.get("/api/auth/me", { as: user })).status, 403);
+    const stored = await database().get(
+      "SELECT isPending FROM users WHERE id = ?",
+      [id],
+    );
+    assert.equal(stored.isPending, 1);
+
+    assert.equal((await accept(lastLinkToken(email))).status, 200);
+
+    const session = await api.post("/api/auth/login", {
+      email,
+      password: CHOSEN_PASSWORD,
+    });
+    assert.equal(session.status, 200);
+    assert.equal((await api.get("/api/auth/me", { as: user })).status, 200);
+  });
+
+  it("accepts each invitation once", async () => {
+    const { email } = await invite("once@example.com");
+    const token = lastLinkToken(email);
+
+    assert.equal((await accept(token)).status, 200);
+    const again = await accept(token, "someone else's password");
+    assert.equal(again.status, 400);
+    assert.equal(again.body.error, "Invalid or expired invitation");
+  });
+
+  it("rejects tokens that are not invitations", async () => {
+    assert.equal((await accept("not-a-token")).status, 400);
+  });
+
+  it("replaces the outstanding link when an invitation is resent", async () => {
+    const { id, email } = await invite("resend@example.com");
+    const first = lastLinkToken(email);
+
+    const resent = await api.post(`/api/users/${id}/invite`, undefined, {
+      as: admin,
+    });
+    assert.equal(resent.status, 200);
+    const second = lastLinkToken(email);
+    assert.notEqual(second, first);
+
+    assert.equal((await accept(first)).status, 400);
+    assert.equal((await accept(second)).status, 200);
+    const done = await api.post(`/api/users/${id}/invite`, undefined, {
+      as: admin,
+    });
+    assert.equal(done.status, 404);
+  });
+
+  it("lets admins revoke an invitation", async () => {
+    const { id, email } = await invite("revoke@example.com");
+    const token = lastLinkToken(email);
+
+    const revoked = await api.delete(`/api/users/${id}/invite`, { as: admin });
+    assert.equal(revoked.status, 200);
+    assert.equal((await accept(token)).status, 400);
+    assert.equal(
+      (await api.delete(`/api/users/${id}/invite`, { as: admin })).status,
+      404,
+    );
+  });
+
+  it("lets only admins resend or revoke invitations", async () => {
+    const custodian = await createAccount(
+      database(),
+      "custodian@example.com",
+      "custodian",
+    );
+    const { id } = await invite("guarded@example.com");
+    assert.equal(
+      (await api.post(`/api/users/${id}/invite`, undefined, { as: custodian }))
+        .status,
+      403,
+    );
+    assert.equal(
+      (await api.delete(`/api/users/${id}/invite`, { as: custodian })).status,
+      403,
+    );
+  });
+});
@@ -0,0 +1,142 @@
+// backend/test/routes/keyLifecycle.test.js
+const { it, before } = require("node:test");
+const assert = require("node:assert/strict");
+const { eachDatabase, createKey } = require("../support/database");
+const { useApp, createAccount } = require("../support/app");
+
+eachDatabase("key lifecycle", (database) => {
+  const api = useApp(database);
+  let custodian;
+  let holder;
+
+  before(async () => {
+    custodian = await createAccount(
+      database(),
+      "custodian@example.com",
+      "custodian",
+    );
+    holder = await createAccount(database(), "holder@example.com");
+  });
+
+  const getKey = async (id) =>
+    (await api.get(`/api/keys/${id}`, { as: custodian })).body;
+
+  const setStatus = (id, status, reason = "Reported by the holder") =>
+    api.post(`/api/keys/${id}/status`, { status, reason }, { as: custodian });
+
+  const assign = (keyId) =>
+    api.post(
+      "/api/keys/assign",
+      { keyId, assignedTo: holder.id },
+      { as: custodian },
+    );
+
+  it("renames a key", async () => {
+    const id = await createKey(database(), "OLD-NAME");
+    const renamed = await api.put(
+      `/api/keys/${id}`,
+      { identifier: "NEW-NAME" },
+      { as: custodian },
+    );
+    assert.equal(renamed.status, 200);
+    assert.equal((await getKey(id)).identifier, "NEW-NAME");
+
+    await createKey(database(), "TAKEN");
+    const clash = await api.put(
+      `/api/keys/${id}`,
+      { identifier: "TAKEN" },
+      { as: custodian },
+    );
+    assert.equal(clash.status, 400);
+    assert.equal(
+      (
+        await api.put(
+          "/api/keys/999999",
+          { identifier: "X" },
+          { as: custodian },
+        )
+      ).status,
+      404,
+    );
+  });
+
+  it("records the status, its reason and who changed it", async () => {
+    const id = await createKey(database(), "LOST-1");
+    assert.equal(
+      (await setStatus(id, "lost", "Left on the train")).status,
+      200,
+    );
+
+    const key = await getKey(id);
+    assert.equal(key.status, "lost");
+    assert.equal(key.statusReason, "Left on the train");
+    assert.equal(key.statusChangedBy, custodian.id);
+    assert.ok(key.statusChangedAt);
+  });
+
+  it("requires a reason for a status change", async () => {
+    const id = await createKey(database(), "REASON-1");
+    const response = await api.post(
+      `/api/keys/${id}/status`,
+      { status: "damaged" },
+      { as: custodian },
+    );
+    assert.equal(response.status, 400);
+  });
+
+  it("only allows the defined transitions", async () => {
+    const id = await createKey(database(), "MOVES-1");
+    assert.equal((await setStatus(id, "stolen")).status, 200);
+    const backwards = await setStatus(id, "lost");
+    assert.equal(backwards.status, 409);
+    assert.equal(
+      backwards.body.error,
+      "Cannot change key status from stolen to lost",
+    );
+    assert.equal((await setStatus(id, "active")).status, 200);
+  });
+
+  it("blocks assignment of keys that are not active", async () => {
+    const id = await createKey(database(), "DAMAGED-1");
+    assert.equal((await setStatus(id, "damaged")).status, 200);
+    const blocked = await assign(id);
+    assert.equal(blocked.status, 400);
+    assert.equal(blocked.body.error, "Key cannot be assigned while damaged");
+
+    assert.equal((await setStatus(id, "active")).status, 200);
+    assert.equal((await assign(id)).status, 201);
+  });
+
+  it("retires a key softly and keeps it retired", async () => {
+    const id = await createKey(database(), "RETIRE-1");
+    const retired = await api.request("DELETE", `/api/keys/${id}`, {
+      as: custodian,
+      body: { reason: "Lock replaced" },
+    });
+    assert.equal(retired.status, 200);
+
+    const key = await getKey(id);
+    assert.equal(key.status, "retired");
+    assert.equal(key.isActive, 0);
+    assert.equal(key.statusReason, "Lock replaced");
+    assert.equal((await assign(id)).status, 400);
+    assert.equal(
+      (await api.delete(`/api/keys/${id}`, { as: custodian })).status,
+      409,
+    );
+  });
+
+  it("refuses to retire a key that is still handed out", async () => {
+    const id = await createKey(database(), "HELD-1");
+    assert.equal((await assign(id)).status, 201);
+
+    const retired = await api.delete(`/api/keys/${id}`, { as: custodian });
+    assert.equal(retired.status, 409);
+    assert.equal(
+      retired.body.error,
+      "Key must be returned before it is retired",
+    );
+    assert.equal((await setStatus(id, "retired")).status, 409);
+    assert.equal((await setStatus(id, "lost")).status, 200);
+  });
+});
@@ -0,0 +1,195 @@
+// backend/test/routes/keyRequests.test.js
+const { it, before } = require("node:test");
+const assert = require("node:assert/strict");
+const { eachDatabase, createKey } = require("../support/database");
+const { useApp, createAccount } = require("../support/app");
+const { mailTo } = require("../support/mail");
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const window = (startHours, endHours) => ({
+  startsAt: new Date(Date.now() + startHours * HOUR_MS).toISOString(),
+  endsAt: new Date(Date.now() + endHours * HOUR_MS).toISOString(),
+});
+
+eachDatabase("key requests", (database) => {
+  const api = useApp(database);
+  let custodian;
+  let secondCustodian;
+  let holder;
+
+  before(async () => {
+    const db = database();
+    custodian = await createAccount(db, "custodian@example.com", "custodian");
+    secondCustodian = await createAccount(
+      db,
+      "custodian2@example.com",
+      "custodian",
+    );
+    holder = await createAccount(db, "holder@example.com");
+  });
+
+  const file = async (keyId, by = holder) => {
+    const response = await api.post(
+      "/api/key-requests",
+      { keyId, justification: "Weekend maintenance", ...window(1, 48) },
+      { as: by },
+    );
+    assert.equal(response.status, 201, JSON.stringify(response.body));
+    return response.body;
+  };
+
+  const decide = (id, decision, by, note) =>
+    api.post(`/api/key-requests/${id}/${decision}`, note ? { note } : {}, {
+      as: by,
+    });
+
+  const subjects = (user) => mailTo(user.email).map((mail) => mail.subject);
+
+  it("needs a justification and a window in the future", async () => {
+    const keyId = await createKey(database(), "REQ-VALID");
+    for (const body of [
+      { keyId, ...window(1, 2) },
+      { keyId, justification: "  ", ...window(1, 2) },
+      { keyId, justification: "Late", ...window(-3, -2) },
+      { keyId, justification: "Backwards", ...window(5, 2) },
+    ]) {
+      const response = await api.post("/api/key-requests", body, {
+        as: holder,
+      });
+      assert.equal(response.status, 400, JSON.stringify(body));
+    }
+  });
+
+  it("approves single-door keys once and fulfils them as an assignment", async () => {
+    const keyId = await createKey(database(), "REQ-1");
+    const request = await file(keyId);
+    assert.equal(request.status, "pending");
+    assert.equal(request.requiredApprovals, 1);
+    assert.ok(
+      subjects(custodian).includes(
+        `Key request #${request.id} awaits approval`,
+      ),
+    );
+
+    const early = await api.post(
+      `/api/key-requests/${request.id}/fulfill`,
+      {},
+      { as: custodian },
+    );
+    assert.equal(early.status, 409);
+
+    const approved = await decide(request.id, "approve", custodian);
+    assert.equal(approved.body.status, "approved");
+    assert.ok(subjects(holder).includes(`Key request #${request.id} approved`));
+
+    const fulfilled = await api.post(
+      `/api/key-requests/${request.id}/fulfill`,
+      {},
+      { as: custodian },
+    );
+    assert.equal(fulfilled.status, 200);
+    assert.equal(fulfilled.body.status, "fulfilled");
+    const assignment = await database().get(
+      "SELECT * FROM key_assignments WHERE id = ?",
+      [fulfilled.body.assignmentId],
+    );
+    assert.equal(assignment.keyId, keyId);
+    assert.equal(assignment.assignedTo, holder.id);
+    assert.equal(assignment.assignedBy, custodian.id);
+    assert.ok(assignment.dueAt);
+    assert.ok(
+      subjects(holder).includes(`Key request #${request.id} fulfilled`),
+    );
+  });
+
+  it("needs two different approvers for master keys", async () => {
+    const keyId = await createKey(database(), "REQ-MASTER", {
+      type: "master",
+    });
+    const request = await file(keyId);
+    assert.equal(request.requiredApprovals, 2);
+
+    const first = await decide(request.id, "approve", custodian);
+    assert.equal(first.body.status, "pending");
+    assert.ok(
+      subjects(holder).includes(
+        `Key request #${request.id} partially approved`,
+      ),
+    );
+    const twice = await decide(request.id, "approve", custodian);
+    assert.equal(twice.status, 409);
+
+    const second = await decide(request.id, "approve", secondCustodian);
+    assert.equal(second.body.status, "approved");
+  });
+
+  it("ends a request when an approver rejects it", async () => {
+    const keyId = await createKey(database(), "REQ-REJECT");
+    const request = await file(keyId);
+
+    const rejected = await decide(
+      request.id,
+      "reject",
+      custodian,
+      "Use the spare instead",
+    );
+    assert.equal(rejected.body.status, "rejected");
+    assert.match(
+      mailTo(holder.email).at(-1).text,
+      /rejected by custodian@example\.com\.\n\nNote: Use the spare instead/,
+    );
+    assert.equal(
+      (await decide(request.id, "approve", secondCustodian)).status,
+      409,
+    );
+  });
+
+  it("keeps requesters from deciding on their own requests", async () => {
+    const keyId = await createKey(database(), "REQ-OWN");
+    const request = await file(keyId, custodian);
+    const own = await decide(request.id, "approve", custodian);
+    assert.equal(own.status, 403);
+    assert.equal((await decide(request.id, "approve", holder)).status, 403);
+  });
+
+  it("shows holders only their own requests", async () => {
+    const other = await createAccount(database(), "other@example.com");
+    const keyId = await createKey(database(), "REQ-PRIVATE");
+    const request = await file(keyId, other);
+
+    assert.equal(
+      (await api.get(`/api/key-requests/${request.id}`, { as: holder })).status,
+      404,
+    );
+    const listed = await api.get("/api/key-requests", { as: holder });
+    assert.ok(
+      listed.body.requests.every((row) => row.requestedBy === holder.id),
+    );
+  });
+
+  it("lets the requester cancel while the request is open", async () => {
+    const keyId = await createKey(database(), "REQ-CANCEL");
+    const request = await file(keyId);
+
+    const cancelled = await api.post(
+      `/api/key-requests/${request.id}/cancel`,
+      {},
+      { as: holder },
+    );
+    assert.equal(cancelled.status, 200);
+    assert.ok(
+      subjects(custodian).includes(`Key request #${request.id} cancelled`),
+    );
+    assert.equal(
+      (
+        await api.post(
+          `/api/key-requests/${request.id}/cancel`,
+          {},
+          { as: holder },
+        )
+      ).status,
+      409,
+    );
+  });
+});
@@ -0,0 +1,200 @@
+// backend/test/routes/keyTransfers.test.js
+const { it, before } = require("node:test");
+const assert = require("node:assert/strict");
+const { eachDatabase, createKey } = require("../support/database");
+const { useApp, createAccount } = require("../support/app");
+const { mailTo } = require("../support/mail");
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const hoursFromNow = (hours) =>
+  new Date(Date.now() + hours * HOUR_MS).toISOString();
+
+eachDatabase("key transfers", (database) => {
+  const api = useApp(database);
+  let custodian;
+  let sender;
+  let recipient;
+
+  before(async () => {
+    const db = database();
+    custodian = await createAccount(db, "custodian@example.com", "custodian");
+    sender = await createAccount(db, "sender@example.com");
+    recipient = await createAccount(db, "recipient@example.com");
+  });
+
+  const assign = async (identifier, user, extra = {}) => {
+    const keyId = await createKey(database(), identifier);
+    const response = await api.post(
+      "/api/keys/assign",
+      { keyId, assignedTo: user.id, ...extra },
+      { as: custodian },
+    );
+    assert.equal(response.status, 201, JSON.stringify(response.body));
+    return { keyId, assignmentId: response.body.id };
+  };
+
+  const offer = async (keyId, from, to) => {
+    const response = await api.post(
+      "/api/key-transfers",
+      { keyId, toUserId: to.id },
+      { as: from },
+    );
+    assert.equal(response.status, 201, JSON.stringify(response.body));
+    return response.body.id;
+  };
+
+  const respond = (id, action, as, body = {}) =>
+    api.post(`/api/key-transfers/${id}/${action}`, body, { as });
+
+  it("only lets the current holder offer a key", async () => {
+    const { keyId } = await assign("XFER-OWN", sender);
+
+    const notHeld = await api.post(
+      "/api/key-transfers",
+      { keyId, toUserId: custodian.id },
+      { as: recipient },
+    );
+    assert.equal(notHeld.status, 403);
+    const toSelf = await api.post(
+      "/api/key-transfers",
+      { keyId, toUserId: sender.id },
+      { as: sender },
+    );
+    assert.equal(toSelf.status, 400);
+
+    await offer(keyId, sender, recipient);
+    const again = await api.post(
+      "/api/key-transfers",
+      { keyId, toUserId: custodian.id },
+      { as: sender },
+    );
+    assert.equal(again.status, 409);
+  });
+
+  it("moves the key when the recipient accepts and links the history", async () => {
+    const dueAt = hoursFromNow(48);
+    const { keyId, assignmentId } = await assign("XFER-1", sender, { dueAt });
+    const id = await offer(keyId, sender, recipient);
+    assert.equal(
+      mailTo(recipient.email).at(-1).subject,
+      "Key XFER-1 offered to you",
+    );
+
+    // Only the recipient can accept
+    assert.equal((await respond(id, "accept", sender)).status, 404);
+
+    const accepted = await respond(id, "accept", recipient);
+    assert.equal(accepted.status, 200);
+    assert.equal(accepted.body.status, "accepted");
+    assert.equal(
+      mailTo(sender.email).at(-1).subject,
+      "Key XFER-1 transfer accepted",
+    );
+
+    const history = await api.get(`/api/keys/history/${keyId}`, {
+      as: custodian,
+    });
+    const [current, previous] = history.body;
+    assert.equal(current.id, accepted.body.assignmentId);
+    assert.equal(current.assignedTo, recipient.id);
+    assert.equal(current.assignedBy, sender.id);
+    assert.equal(current.transferredFrom, assignmentId);
+    assert.equal(current.returnedAt, null);
+    assert.equal(current.dueAt, previous.dueAt);
+    assert.equal(previous.id, assignmentId);
+    assert.equal(previous.transferredTo, current.id);
+    assert.ok(previous.returnedAt);
+
+    assert.equal((await respond(id, "accept", recipient)).status, 409);
+  });
+
+  it("leaves the key with the sender when declined or cancelled", async () => {
+    const { keyId, assignmentId } = await assign("XFER-2", sender);
+
+    const declinedId = await offer(keyId, sender, recipient);
+    assert.equal((await respond(declinedId, "decline", sender)).status, 404);
+    const declined = await respond(declinedId, "decline", recipient);
+    assert.equal(declined.body.status, "declined");
+    assert.equal(
+      mailTo(sender.email).at(-1).subject,
+      "Key XFER-2 transfer declined",
+    );
+
+    const cancelledId = await offer(keyId, sender, recipient);
+    const cancelled = await respond(cancelledId, "cancel", sender);
+    assert.equal(cancelled.body.status, "cancelled");
+    assert.equal((await respond(cancelledId, "accept", recipient)).status, 409);
+
+    const open = await database().get(
+      "SELECT id FROM key_assignments WHERE keyId = ? AND returnedAt IS NULL",
+      [keyId],
+    );
+    assert.equal(open.id, assignmentId);
+  });
+
+  it("cancels the offer when the key came back in the meantime", async () => {
+    const { keyId } = await assign("XFER-3", sender);
+    const id = await offer(keyId, sender, recipient);
+    const returned = await api.post(
+      `/api/keys/return/${keyId}`,
+      { condition: "good" },
+      { as: custodian },
+    );
+    assert.equal(returned.status, 200);
+
+    assert.equal((await respond(id, "accept", recipient)).status, 409);
+    const transfer = await database().get(
+      "SELECT status FROM key_transfers WHERE id = ?",
+      [id],
+    );
+    assert.equal(transfer.status, "cancelled");
+  });
+
+  it("holds back a handover into someone else's reservation", async () => {
+    const keyId = await createKey(database(), "XFER-RESERVED");
+    const reserved = await api.post(
+      "/api/reservations",
+      {
+        keyId,
+        reservedFor: custodian.id,
+        startsAt: hoursFromNow(10),
+        endsAt: hoursFromNow(20),
+      },
+      { as: custodian },
+    );
+    assert.equal(reserved.status, 201);
+    const assigned = await api.post(
+      "/api/keys/assign",
+      { keyId, assignedTo: sender.id, dueAt: hoursFromNow(48), override: true },
+      { as: custodian },
+    );
+    assert.equal(assigned.status, 201);
+
+    const toHolder = await offer(keyId, sender, recipient);
+    const blocked = await respond(toHolder, "accept", recipient);
+    assert.equal(blocked.status, 409);
+    assert.match(blocked.body.error, /reserved for custodian@example\.com/);
+    assert.equal(
+      (await respond(toHolder, "accept", recipient, { override: true })).status,
+      403,
+    );
+    await respond(toHolder, "cancel", sender);
+
+    // A custodian receiving the key may override someone else's reservation
+    const otherCustodian = await createAccount(
+      database(),
+      "custodian2@example.com",
+      "custodian",
+    );
+    const toCustodian = await offer(keyId, sender, otherCustodian);
+    assert.equal(
+      (await respond(toCustodian, "accept", otherCustodian)).status,
+      409,
+    );
+    const overridden = await respond(toCustodian, "accept", otherCustodian, {
+      override: true,
+    });
+    assert.equal(overridden.status, 200);
+  });
+});
@@ -0,0 +1,132 @@
+// backend/test/routes/lists.test.js
+const { it, before } = require("node:test");
+const assert = require("node:assert/strict");
+const { eachDatabase, createKey } = require("../support/database");
+const { useApp, createAccount } = require("../support/app");
+
+eachDatabase("list endpoints", (database) => {
+  const api = useApp(database);
+  let custodian;
+  let alice;
+  let bob;
+
+  before(async () => {
+    const db = database();
+    custodian = await createAccount(db, "custodian@example.com", "custodian");
+    alice = await createAccount(db, "alice@example.com");
+    bob = await createAccount(db, "bob@example.com");
+
+    for (const identifier of ["LIST-A", "LIST-B", "LIST-C", "LIST_D"]) {
+      await createKey(db, identifier);
+    }
+    await createKey(db, "LIST-M", { type: "master" });
+    for (const [identifier, user] of [
+      ["LIST-B", alice],
+      ["LIST-C", bob],
+    ]) {
+      const { id } = await db.get("SELECT id FROM keys WHERE identifier = ?", [
+        identifier,
+      ]);
+      const assigned = await api.post(
+        "/api/keys/assign",
+        { keyId: id, assignedTo: user.id },
+        { as: custodian },
+      );
+      assert.equal(assigned.status, 201);
+    }
+  });
+
+  const keys = async (query, as = custodian) => {
+    const response = await api.get(`/api/keys?${query}`, { as });
+    assert.equal(response.status, 200, JSON.stringify(response.body));
+    return response.body;
+  };
+  const identifiers = async (query, as) =>
+    (await keys(query, as)).keys.map((key) => key.identifier);
+
+  it("pages and sorts keys", async () => {
+    const page = await keys("limit=2&page=2&sort=-identifier");
+    assert.deepEqual(
+      { page: page.page, limit: page.limit, total: page.total },
+      { page: 2, limit: 2, total: 5 },
+    );
+    assert.deepEqual(
+      page.keys.map((key) => key.identifier),
+      ["LIST-C", "LIST-B"],
+    );
+    assert.deepEqual(await identifiers("sort=holder&assigned=true"), [
+      "LIST-B",
+      "LIST-C",
+    ]);
+
+    for (const query of ["limit=0", "limit=1000", "page=0", "sort=secret"]) {
+      const response = await api.get(`/api/keys?${query}`, { as: custodian });
+      assert.equal(response.status, 400, query);
+    }
+  });
+
+  it("joins the current holder into each key", async () => {
+    const { keys: listed } = await keys("q=LIST-B");
+    assert.equal(listed.length, 1);
+    assert.equal(listed[0].isAssigned, 1);
+    assert.equal(listed[0].assignedTo, alice.id);
+    assert.equal(listed[0].assignedToEmail, "alice@example.com");
+  });
+
+  it("filters by assignment, holder, type and creation time", async () => {
+    assert.deepEqual(await identifiers("assigned=false"), [
+      "LIST-A",
+      "LIST-M",
+      "LIST_D",
+    ]);
+    assert.deepEqual(await identifiers(`holderId=${bob.id}`), ["LIST-C"]);
+    assert.deepEqual(await identifiers("type=master"), ["LIST-M"]);
+    assert.deepEqual(await identifiers("createdTo=2000-01-01T00:00:00Z"), []);
+    assert.equal((await keys("createdFrom=2000-01-01T00:00:00Z")).total, 5);
+  });
+
+  it("searches identifiers and holder emails", async () => {
+    assert.deepEqual(await identifiers("q=list-a"), ["LIST-A"]);
+    assert.deepEqual(await identifiers("q=ALICE@"), ["LIST-B"]);
+    assert.deepEqual(await identifiers("q=example.com"), ["LIST-B", "LIST-C"]);
+    // Wildcards are matched literally
+    assert.deepEqual(await identifiers("q=_"), ["LIST_D"]);
+    assert.deepEqual(await identifiers("q=%25"), []);
+  });
+
+  it("hides other people's loans from holders", async () => {
+    const { keys: listed } = await keys("assigned=true", alice);
+    const [own, other] = listed;
+    assert.equal(own.assignedToEmail, "alice@example.com");
+    assert.equal(other.isAssigned, 1);
+    assert.equal(other.assignedTo, null);
+    assert.equal(other.assignedToEmail, null);
+
+    // Searching by email would reveal who holds a key
+    assert.deepEqual(await identifiers("q=bob", alice), []);
+    assert.equal(
+      (await api.get(`/api/keys?holderId=${bob.id}`, { as: alice })).status,
+      403,
+    );
+  });
+
+  it("pages, filters and searches users", async () => {
+    const users = async (query) => {
+      const response = await api.get(`/api/users?${query}`, { as: custodian });
+      assert.equal(response.status, 200, JSON.stringify(response.body));
+      return response.body;
+    };
+
+    const holders = await users("role=holder&sort=-email&limit=1");
+    assert.equal(holders.total, 2);
+    assert.deepEqual(
+      holders.users.map((user) => [user.email, user.keysHeld]),
+      [["bob@example.com", 1]],
+    );
+    assert.deepEqual(
+      (await users("q=CUSTODIAN")).users.map((user) => user.email),
+      ["custodian@example.com"],
+    );
+    assert.equal((await api.get("/api/users", { as: alice })).status, 403);
+  });
+});
@@ -0,0 +1,160 @@
+// backend/test/routes/locations.test.js
+const { it, before } = require("node:test");
+const assert = require("node:assert/strict");
+const { eachDatabase } = require("../support/database");
+const { useApp, createAccount } = require("../support/app");
+
+eachDatabase("locations and doors", (database) => {
+  const api = useApp(database);
+  let custodian;
+  let holder;
+
+  before(async () => {
+    custodian = await createAccount(
+      database(),
+      "custodian@example.com",
+      "custodian",
+    );
+    holder = await createAccount(database(), "holder@example.com");
+  });
+
+  const create = async (path, body) => {
+    const response = await api.post(path, body, { as: custodian });
+    assert.equal(response.status, 201, JSON.stringify(response.body));
+    return response.body.id;
+  };
+
+  const listKeys = async (query) =>
+    (await api.get(`/api/keys?${query}`, { as: custodian })).body.keys
+      .map((key) => key.identifier)
+      .sort();
+
+  it("lets custodians manage locations and doors", async () => {
+    assert.equal(
+      (await api.post("/api/locations", { name: "Annex" }, { as: holder }))
+        .status,
+      403,
+    );
+    const locationId = await create("/api/locations", {
+      name: "Main building",
+      building: "A",
+      floor: "1",
+      room: "101",
+    });
+    const duplicate = await api.post(
+      "/api/locations",
+      { name: "Main building" },
+      { as: custodian },
+    );
+    assert.equal(duplicate.status, 400);
+
+    const doorId = await create("/api/doors", {
+      name: "Front door",
+      locationId,
+      lockIdentifier: "LOCK-1",
+    });
+    const location = await api.get(`/api/locations/${locationId}`, {
+      as: holder,
+    });
+    assert.equal(location.status, 200);
+    assert.equal(location.body.room, "101");
+    assert.deepEqual(
+      location.body.doors.map((door) => door.id),
+      [doorId],
+    );
+
+    const moved = await api.put(
+      `/api/doors/${doorId}`,
+      { locationId: 999999 },
+      { as: custodian },
+    );
+    assert.equal(moved.status, 400);
+    assert.equal(moved.body.error, "Location not found");
+  });
+
+  it("keeps locations with active doors", async () => {
+    const locationId = await create("/api/locations", { name: "Depot" });
+    const doorId = await create("/api/doors", { name: "Gate", locationId });
+
+    const blocked = await api.delete(`/api/locations/${locationId}`, {
+      as: custodian,
+    });
+    assert.equal(blocked.status, 409);
+
+    assert.equal(
+      (await api.delete(`/api/doors/${doorId}`, { as: custodian })).status,
+      200,
+    );
+    assert.equal(
+      (await api.delete(`/api/locations/${locationId}`, { as: custodian }))
+        .status,
+      200,
+    );
+  });
+
+  it("stores a key's type, copies, location and doors", async () => {
+    const locationId = await create("/api/locations", { name: "Lab" });
+    const doorId = await create("/api/doors", { name: "Lab door", locationId });
+    const keyId = await create("/api/keys", {
+      identifier: "LAB-1",
+      type: "sub_master",
+      copies: 3,
+      locationId,
+      doorIds: [doorId],
+    });
+
+    const key = (await api.get(`/api/keys/${keyId}`, { as: custodian })).body;
+    assert.equal(key.type, "sub_master");
+    assert.equal(key.copies, 3);
+    assert.equal(key.locationName, "Lab");
+
+    const door = (await api.get(`/api/doors/${doorId}`, { as: custodian }))
+      .body;
+    assert.deepEqual(
+      door.keys.map((doorKey) => doorKey.identifier),
+      ["LAB-1"],
+    );
+  });
+
+  it("validates key metadata", async () => {
+    for (const body of [
+      { identifier: "BAD-1", type: "skeleton" },
+      { identifier: "BAD-2", copies: 0 },
+      { identifier: "BAD-3", doorIds: [999999] },
+      { identifier: "BAD-4", locationId: 999999 },
+    ]) {
+      const response = await api.post("/api/keys", body, { as: custodian });
+      assert.equal(response.status, 400, JSON.stringify(body));
+    }
+  });
+
+  it("filters keys by door and by location", async () => {
+    const north = await create("/api/locations", { name: "North wing" });
+    const south = await create("/api/locations", { name: "South wing" });
+    const northDoor = await create("/api/doors", {
+      name: "North door",
+      locationId: north,
+    });
+    const southDoor = await create("/api/doors", {
+      name: "South door",
+      locationId: south,
+    });
+    await create("/api/keys", { identifier: "N-HOME", locationId: north });
+    await create("/api/keys", {
+      identifier: "N-DOOR",
+      locationId: south,
+      doorIds: [northDoor],
+    });
+    await create("/api/keys", { identifier: "S-DOOR", doorIds: [southDoor] });
+
+    assert.deepEqual(await listKeys(`doorId=${northDoor}`), ["N-DOOR"]);
+    assert.deepEqual(await listKeys(`locationId=${north}`), [
+      "N-DOOR",
+      "N-HOME",
+    ]);
+    assert.deepEqual(await listKeys(`locationId=${south}`), [
+      "N-DOOR",
+      "S-DOOR",
+    ]);
+  });
+});
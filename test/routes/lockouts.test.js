@@ -0,0 +1,122 @@
+// backend/test/routes/lockouts.test.js
+// Each test signs in from its own address, passed as X-Forwarded-For, so the
+// per-address throttle of one test does not slow down the next
+process.env.TRUST_PROXY = "loopback";
+
+const { it, before } = require("node:test");
+const assert = require("node:assert/strict");
+const { eachDatabase } = require("../support/database");
+const { useApp, createAccount, PASSWORD } = require("../support/app");
+const { minutesFromNow } = require("../../src/services/dates");
+
+eachDatabase("login lockouts", (database) => {
+  const api = useApp(database);
+  let admin;
+
+  before(async () => {
+    admin = await createAccount(database(), "admin@example.com", "admin");
+  });
+
+  const login = (email, ip, password = PASSWORD) =>
+    api.post(
+      "/api/auth/login",
+      { email, password },
+      { headers: { "X-Forwarded-For": ip } },
+    );
+
+  // Failed attempts, by default made a minute ago, long enough for their
+  // delays to have passed
+  const seedFailures = async (count, { email, ip, minutesAgo = 1 }) => {
+    for (let i = 0; i < count; i++) {
+      await database().run(
+        "INSERT INTO login_attempts (email, ip, success, createdAt) VALUES (?, ?, 0, ?)",
+        [email ?? `guess-${i}@example.com`, ip, minutesFromNow(-minutesAgo)],
+      );
+    }
+  };
+
+  it("delays the next attempt after a failure", async () => {
+    const user = await createAccount(database(), "delay@example.com");
+    const failed = await login(user.email, "192.0.2.1", "wrong password");
+    assert.equal(failed.status, 401);
+
+    const retry = await login(user.email, "192.0.2.1");
+    assert.equal(retry.status, 429);
+    assert.ok(Number(retry.headers.get("retry-after")) >= 1);
+    assert.ok(retry.body.retryAfter >= 1);
+  });
+
+  it("delays an address that fails across other accounts", async () => {
+    const user = await createAccount(database(), "spread@example.com");
+    await seedFailures(3, { ip: "192.0.2.2", minutesAgo: 0 });
+
+    assert.equal((await login(user.email, "192.0.2.2")).status, 429);
+    assert.equal((await login(user.email, "192.0.2.3")).status, 200);
+  });
+
+  it("locks the account after repeated failures until an admin unlocks it", async () => {
+    const user = await createAccount(database(), "locked@example.com");
+    await seedFailures(4, { email: user.email, ip: "198.51.100.1" });
+
+    const fifth = await login(user.email, "192.0.2.4", "wrong password");
+    assert.equal(fifth.status, 401);
+
+    const locked = await login(user.email, "192.0.2.5");
+    assert.equal(locked.status, 423);
+    assert.equal(locked.body.error, "Account temporarily locked");
+
+    const lockouts = await api.get("/api/users/lockouts?active=true", {
+      as: admin,
+    });
+    assert.equal(lockouts.status, 200);
+    assert.ok(
+      lockouts.body.some(
+        (lockout) =>
+          lockout.scope === "account" && lockout.email === user.email,
+      ),
+    );
+
+    const unlocked = await api.post(`/api/users/${user.id}/unlock`, undefined, {
+      as: admin,
+    });
+    assert.equal(unlocked.status, 200);
+    assert.equal((await login(user.email, "192.0.2.5")).status, 200);
+    assert.equal(
+      (await api.post(`/api/users/${user.id}/unlock`, undefined, { as: admin }))
+        .status,
+      404,
+    );
+  });
+
+  it("locks out an address after failures across many accounts", async () => {
+    const user = await createAccount(database(), "bystander@example.com");
+    await seedFailures(19, { ip: "192.0.2.6" });
+
+    const failed = await login("guess@example.com", "192.0.2.6", "wrong");
+    assert.equal(failed.status, 401);
+
+    const blocked = await login(user.email, "192.0.2.6");
+    assert.equal(blocked.status, 429);
+    assert.equal((await login(user.email, "192.0.2.7")).status, 200);
+  });
+
+  it("lets only admins see lockouts and unlock accounts", async () => {
+    const custodian = await createAccount(
+      database(),
+      "custodian@example.com",
+      "custodian",
+    );
+    assert.equal(
+      (await api.get("/api/users/lockouts", { as: custodian })).status,
+      403,
+    );
+    assert.equal(
+      (
+        await api.post(`/api/users/${custodian.id}/unlock`, undefined, {
+          as: custodian,
+        })
+      ).status,
+      403,
+    );
+  });
+});
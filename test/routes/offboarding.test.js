@@ -0,0 +1,217 @@
+// backend/test/routes/offboarding.test.js
+const { it, before } = require("node:test");
+const assert = require("node:assert/strict");
+const { eachDatabase, createKey } = require("../support/database");
+const { useApp, createAccount } = require("../support/app");
+const { mailTo } = require("../support/mail");
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const hoursFromNow = (hours) =>
+  new Date(Date.now() + hours * HOUR_MS).toISOString();
+
+eachDatabase("offboarding", (database) => {
+  const api = useApp(database);
+  let admin;
+  let custodian;
+  let manager;
+  let colleague;
+
+  before(async () => {
+    const db = database();
+    admin = await createAccount(db, "admin@example.com", "admin");
+    custodian = await createAccount(db, "custodian@example.com", "custodian");
+    manager = await createAccount(db, "manager@example.com");
+    colleague = await createAccount(db, "colleague@example.com");
+  });
+
+  // A holder reporting to the manager
+  const createLeaver = async (email) => {
+    const leaver = await createAccount(database(), email);
+    await database().run("UPDATE users SET managerId = ? WHERE id = ?", [
+      manager.id,
+      leaver.id,
+    ]);
+    return leaver;
+  };
+
+  const assign = async (identifier, user, extra = {}) => {
+    const keyId = await createKey(database(), identifier);
+    const response = await api.post(
+      "/api/keys/assign",
+      { keyId, assignedTo: user.id, ...extra },
+      { as: custodian },
+    );
+    assert.equal(response.status, 201, JSON.stringify(response.body));
+    return keyId;
+  };
+
+  const checklist = async (user) => {
+    const response = await api.get(`/api/users/${user.id}/offboarding`, {
+      as: custodian,
+    });
+    assert.equal(response.status, 200);
+    return response.body;
+  };
+
+  const holderOf = async (keyId) =>
+    (
+      await database().get(
+        "SELECT assignedTo FROM key_assignments WHERE keyId = ? AND returnedAt IS NULL",
+        [keyId],
+      )
+    ).assignedTo;
+
+  it("walks a leaver's keys back to a custodian before deactivating them", async () => {
+    const leaver = await createLeaver("leaver@example.com");
+    const first = await assign("OFF-1", leaver);
+    const second = await assign("OFF-2", leaver);
+    const offered = await api.post(
+      "/api/key-transfers",
+      { keyId: first, toUserId: colleague.id },
+      { as: leaver },
+    );
+    assert.equal(offered.status, 201);
+
+    const before = await checklist(leaver);
+    assert.deepEqual(
+      before.keys.map((key) => key.identifier),
+      ["OFF-1", "OFF-2"],
+    );
+    assert.equal(before.manager.email, "manager@example.com");
+    assert.deepEqual(
+      before.pendingTransfers.map((transfer) => transfer.id),
+      [offered.body.id],
+    );
+    assert.equal(before.canDeactivate, false);
+    assert.equal(
+      (await api.get(`/api/users/${leaver.id}/offboarding`, { as: leaver }))
+        .status,
+      403,
+    );
+    assert.equal(
+      (await api.get("/api/users/999999/offboarding", { as: custodian }))
+        .status,
+      404,
+    );
+
+    const refused = await api.delete(`/api/users/${leaver.id}`, { as: admin });
+    assert.equal(refused.status, 409);
+    assert.deepEqual(
+      refused.body.keys.map((key) => key.identifier),
+      ["OFF-1", "OFF-2"],
+    );
+
+    const reassign = (body) =>
+      api.post(`/api/users/${leaver.id}/offboarding/reassign`, body, {
+        as: custodian,
+      });
+    const toHolder = await reassign({ custodianId: colleague.id });
+    assert.equal(toHolder.status, 400);
+    assert.equal(toHolder.body.error, "Custodian not found");
+    const notHeld = await reassign({
+      custodianId: custodian.id,
+      keyIds: [999999],
+    });
+    assert.equal(notHeld.body.error, "User does not hold key 999999");
+
+    const partial = await reassign({
+      custodianId: custodian.id,
+      keyIds: [first],
+    });
+    assert.equal(partial.status, 200, JSON.stringify(partial.body));
+    assert.deepEqual(
+      partial.body.reassigned.map((key) => key.identifier),
+      ["OFF-1"],
+    );
+    assert.deepEqual(partial.body.cancelledTransfers, [offered.body.id]);
+    assert.equal(await holderOf(first), custodian.id);
+    assert.equal(await holderOf(second), leaver.id);
+    assert.equal(
+      mailTo(manager.email).at(-1).subject,
+      "Keys of leaver@example.com handed to a custodian",
+    );
+    assert.equal(
+      mailTo(custodian.email).at(-1).subject,
+      "Keys from leaver@example.com assigned to you",
+    );
+
+    const rest = await reassign({ custodianId: custodian.id });
+    assert.equal(rest.status, 200);
+    const after = await checklist(leaver);
+    assert.deepEqual(after.keys, []);
+    assert.equal(after.canDeactivate, true);
+    assert.equal(
+      (await api.delete(`/api/users/${leaver.id}`, { as: admin })).status,
+      200,
+    );
+  });
+
+  it("moves all keys or none when one is reserved by someone else", async () => {
+    const leaver = await createLeaver("reserver@example.com");
+    const free = await assign("OFF-FREE", leaver);
+    const reserved = await createKey(database(), "OFF-RESERVED");
+    const reservation = await api.post(
+      "/api/reservations",
+      {
+        keyId: reserved,
+        reservedFor: colleague.id,
+        startsAt: hoursFromNow(10),
+        endsAt: hoursFromNow(20),
+      },
+      { as: custodian },
+    );
+    assert.equal(reservation.status, 201);
+    const assigned = await api.post(
+      "/api/keys/assign",
+      {
+        keyId: reserved,
+        assignedTo: leaver.id,
+        dueAt: hoursFromNow(48),
+        override: true,
+      },
+      { as: custodian },
+    );
+    assert.equal(assigned.status, 201);
+
+    const reassign = (extra) =>
+      api.post(
+        `/api/users/${leaver.id}/offboarding/reassign`,
+        { custodianId: custodian.id, ...extra },
+        { as: custodian },
+      );
+    const blocked = await reassign();
+    assert.equal(blocked.status, 409);
+    assert.match(blocked.body.error, /^OFF-RESERVED: /);
+    assert.equal(await holderOf(free), leaver.id);
+    assert.equal(await holderOf(reserved), leaver.id);
+
+    const overridden = await reassign({ override: true });
+    assert.equal(overridden.status, 200);
+    assert.equal(await holderOf(free), custodian.id);
+    assert.equal(await holderOf(reserved), custodian.id);
+  });
+
+  it("deactivates a user holding keys only when forced and tells the manager", async () => {
+    const leaver = await createLeaver("forced@example.com");
+    const keyId = await assign("OFF-FORCED", leaver);
+
+    const forced = await api.delete(`/api/users/${leaver.id}?force=true`, {
+      as: admin,
+    });
+    assert.equal(forced.status, 200);
+    assert.equal(await holderOf(keyId), leaver.id);
+    assert.equal(
+      mailTo(manager.email).at(-1).subject,
+      "forced@example.com was deactivated with keys outstanding",
+    );
+
+    const entry = await database().get(
+      "SELECT afterData FROM audit_log WHERE action = 'users.deactivate' AND entityId = ?",
+      [String(leaver.id)],
+    );
+    assert.deepEqual(JSON.parse(entry.afterData).outstandingKeys, [
+      "OFF-FORCED",
+    ]);
+  });
+});
@@ -0,0 +1,128 @@
+// backend/test/routes/passwordReset.test.js
+const { it } = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const bcrypt = require("bcryptjs");
+const { eachDatabase } = require("../support/database");
+const { useApp, createAccount, PASSWORD } = require("../support/app");
+const { mailTo, lastLinkToken } = require("../support/mail");
+
+const NEW_PASSWORD = "a brand new password";
+
+eachDatabase("password reset", (database) => {
+  const api = useApp(database);
+
+  const requestReset = async (email) => {
+    const response = await api.post("/api/auth/forgot-password", { email });
+    assert.equal(response.status, 200);
+    return lastLinkToken(email);
+  };
+
+  const reset = (token, password = NEW_PASSWORD) =>
+    api.post("/api/auth/reset-password", { token, password });
+
+  // Checked against the stored hash: failed logins would slow down the rest
+  // of the suite
+  const hasPassword = async (user, password) =>
+    bcrypt.compare(
+      password,
+      (
+        await database().get("SELECT password FROM users WHERE id = ?", [
+          user.id,
+        ])
+      ).password,
+    );
+
+  it("emails a link and stores only a digest of its token", async () => {
+    const user = await createAccount(database(), "digest@example.com");
+    const token = await requestReset(user.email);
+
+    assert.equal(mailTo(user.email).at(-1).subject, "Reset your password");
+    assert.match(token, /^[0-9a-f]{64}$/);
+    const stored = await database().get(
+      "SELECT token FROM password_resets WHERE userId = ?",
+      [user.id],
+    );
+    assert.notEqual(stored.token, token);
+    assert.equal(
+      stored.token,
+      crypto.createHash("sha256").update(token).digest("hex"),
+    );
+  });
+
+  it("answers the same for unknown addresses and sends nothing", async () => {
+    const response = await api.post("/api/auth/forgot-password", {
+      email: "nobody@example.com",
+    });
+    assert.equal(response.status, 200);
+    assert.equal(
+      response.body.message,
+      "If the account exists, a reset link has been sent",
+    );
+    assert.deepEqual(mailTo("nobody@example.com"), []);
+  });
+
+  it("sets the password and ends the user's sessions", async () => {
+    const user = await createAccount(database(), "reset@example.com");
+    const { refreshToken } = (
+      await api.post("/api/auth/login", {
+        email: user.email,
+        password: PASSWORD,
+      })
+    ).body;
+
+    assert.equal((await reset(await requestReset(user.email))).status, 200);
+
+    assert.equal(await hasPassword(user, PASSWORD), false);
+    assert.ok(await hasPassword(user, NEW_PASSWORD));
+    const refreshed = await api.post("/api/auth/refresh", { refreshToken });
+    assert.equal(refreshed.status, 401);
+  });
+
+  it("accepts each token once", async () => {
+    const user = await createAccount(database(), "once@example.com");
+    const token = await requestReset(user.email);
+
+    assert.equal((await reset(token)).status, 200);
+    const again = await reset(token, "yet another password");
+    assert.equal(again.status, 400);
+    assert.equal(again.body.error, "Invalid or expired token");
+    assert.ok(await hasPassword(user, NEW_PASSWORD));
+  });
+
+  it("rejects expired tokens", async () => {
+    const user = await createAccount(database(), "expired@example.com");
+    const token = await requestReset(user.email);
+    await database().run(
+      "UPDATE password_resets SET expiresAt = ? WHERE userId = ?",
+      ["2000-01-01 00:00:00", user.id],
+    );
+
+    assert.equal((await reset(token)).status, 400);
+    assert.ok(await hasPassword(user, PASSWORD));
+  });
+
+  it("invalidates every outstanding link once one is used", async () => {
+    const user = await createAccount(database(), "many@example.com");
+    const first = await requestReset(user.email);
+    const second = await requestReset(user.email);
+    assert.notEqual(first, second);
+
+    assert.equal((await reset(second)).status, 200);
+    assert.equal((await reset(first, "an older link's password")).status, 400);
+    assert.ok(await hasPassword(user, NEW_PASSWORD));
+  });
+
+  it("invalidates outstanding links when the password is changed", async () => {
+    const user = await createAccount(database(), "change@example.com");
+    const token = await requestReset(user.email);
+
+    const changed = await api.post(
+      "/api/auth/change-password",
+      { currentPassword: PASSWORD, newPassword: NEW_PASSWORD },
+      { as: user },
+    );
+    assert.equal(changed.status, 200);
+    assert.equal((await reset(token, "undoing the change")).status, 400);
+  });
+});
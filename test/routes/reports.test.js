@@ -0,0 +1,161 @@
+// backend/test/routes/reports.test.js
+const { it, before } = require("node:test");
+const assert = require("node:assert/strict");
+const { eachDatabase, createKey } = require("../support/database");
+const { useApp, createAccount } = require("../support/app");
+
+// Loans in March 2024; the R-3 loan runs past the end of the month
+const PERIOD = "from=2024-03-01T00:00:00Z&to=2024-04-01T00:00:00Z";
+
+eachDatabase("reports", (database) => {
+  const api = useApp(database);
+  let custodian;
+  let alice;
+  let bob;
+
+  before(async () => {
+    const db = database();
+    custodian = await createAccount(db, "custodian@example.com", "custodian");
+    alice = await createAccount(db, "alice@example.com");
+    bob = await createAccount(db, "bob@example.com");
+    // Values a spreadsheet would otherwise run as formulas or split on
+    await db.run(
+      "UPDATE users SET displayName = ?, department = ? WHERE id = ?",
+      ['=HYPERLINK("http://example.com")', 'R "&" D, North', alice.id],
+    );
+
+    const [r1, r2, r3] = [
+      await createKey(db, "R-1"),
+      await createKey(db, "R-2"),
+      await createKey(db, "R-3"),
+    ];
+    const loans = [
+      [r1, alice, "2024-03-01 09:00:00", null, "2024-03-01 13:00:00"],
+      [r1, bob, "2024-03-02 09:00:00", null, "2024-03-02 11:00:00"],
+      [r2, alice, "2024-03-05 09:00:00", "2024-03-06 09:00:00", null],
+      [r3, bob, "2024-03-10 09:00:00", null, "2024-04-15 09:00:00"],
+    ];
+    for (const [keyId, user, assignedAt, dueAt, returnedAt] of loans) {
+      await db.run(
+        `INSERT INTO key_assignments (keyId, assignedTo, assignedBy, assignedAt, dueAt, returnedAt)
+         VALUES (?, ?, ?, ?, ?, ?)`,
+        [keyId, user.id, custodian.id, assignedAt, dueAt, returnedAt],
+      );
+    }
+  });
+
+  const report = async (name, extra = "") => {
+    const response = await api.get(`/api/reports/${name}?${PERIOD}${extra}`, {
+      as: custodian,
+    });
+    assert.equal(response.status, 200, JSON.stringify(response.body));
+    return response;
+  };
+
+  it("lists the reports to custodians only", async () => {
+    const listed = await api.get("/api/reports", { as: custodian });
+    assert.deepEqual(
+      listed.body.map((entry) => entry.report),
+      ["holdings", "unreturned", "loan-duration", "most-borrowed"],
+    );
+    assert.equal((await api.get("/api/reports", { as: alice })).status, 403);
+    assert.equal(
+      (await api.get("/api/reports/holdings", { as: alice })).status,
+      403,
+    );
+  });
+
+  it("rejects bad periods and formats", async () => {
+    const backwards = await api.get(
+      "/api/reports/holdings?from=2024-04-01T00:00:00Z&to=2024-03-01T00:00:00Z",
+      { as: custodian },
+    );
+    assert.equal(backwards.status, 400);
+    assert.equal(backwards.body.errors[0].msg, "to must be after from");
+    for (const query of ["format=xml", "from=yesterday", "limit=0"]) {
+      const response = await api.get(`/api/reports/holdings?${query}`, {
+        as: custodian,
+      });
+      assert.equal(response.status, 400, query);
+    }
+  });
+
+  it("shows who held what at the end of the period", async () => {
+    const { body } = await report("holdings");
+    assert.equal(body.from, "2024-03-01 00:00:00");
+    assert.equal(body.to, "2024-04-01 00:00:00");
+    assert.deepEqual(body.summary, { keysHeld: 2, holders: 2 });
+    assert.deepEqual(
+      body.rows.map((row) => [row.identifier, row.email]),
+      [
+        ["R-2", "alice@example.com"],
+        ["R-3", "bob@example.com"],
+      ],
+    );
+  });
+
+  it("lists loans from the period that are still out", async () => {
+    const { body } = await report("unreturned");
+    assert.deepEqual(body.summary, { unreturned: 1, overdue: 1 });
+    assert.equal(body.rows[0].identifier, "R-2");
+    assert.equal(body.rows[0].overdue, true);
+    assert.ok(body.rows[0].daysOut > 200);
+  });
+
+  it("averages the length of loans returned in the period", async () => {
+    const { body } = await report("loan-duration");
+    assert.deepEqual(body.summary, { loans: 2, averageHours: 3 });
+    assert.deepEqual(
+      body.rows.map(({ identifier, loans, averageHours, longestHours }) => ({
+        identifier,
+        loans,
+        averageHours,
+        longestHours,
+      })),
+      [{ identifier: "R-1", loans: 2, averageHours: 3, longestHours: 4 }],
+    );
+  });
+
+  it("ranks keys by loans started in the period", async () => {
+    const { body } = await report("most-borrowed", "&limit=2");
+    assert.deepEqual(body.summary, { loans: 4 });
+    assert.deepEqual(
+      body.rows.map(({ identifier, loans, borrowers }) => [
+        identifier,
+        loans,
+        borrowers,
+      ]),
+      [
+        ["R-1", 2, 2],
+        ["R-2", 1, 1],
+      ],
+    );
+    assert.equal(body.rows[0].hoursOut, 6);
+  });
+
+  it("exports CSV that spreadsheets read as plain text", async () => {
+    const response = await report("holdings", "&format=csv");
+    assert.match(response.headers.get("content-type"), /^text\/csv/);
+    assert.match(
+      response.headers.get("content-disposition"),
+      /filename="holdings-2024-03-01-2024-04-01\.csv"/,
+    );
+    assert.deepEqual(response.body.split("\r\n"), [
+      "Key,Type,Holder,Name,Department,Assigned at,Due at",
+      'R-2,single_door,alice@example.com,"\'=HYPERLINK(""http://example.com"")","R ""&"" D, North",2024-03-05 09:00:00,2024-03-06 09:00:00',
+      "R-3,single_door,bob@example.com,,,2024-03-10 09:00:00,",
+      "",
+    ]);
+  });
+
+  it("exports a PDF", async () => {
+    const response = await report("unreturned", "&format=pdf");
+    assert.equal(response.headers.get("content-type"), "application/pdf");
+    assert.match(
+      response.headers.get("content-disposition"),
+      /filename="unreturned-2024-03-01-2024-04-01\.pdf"/,
+    );
+    assert.ok(response.body.startsWith("%PDF-"));
+    assert.match(response.body, /%%EOF\s*$/);
+  });
+});
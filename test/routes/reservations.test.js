@@ -0,0 +1,196 @@
+// backend/test/routes/reservations.test.js
+const { it, before } = require("node:test");
+const assert = require("node:assert/strict");
+const { eachDatabase, createKey } = require("../support/database");
+const { useApp, createAccount } = require("../support/app");
+const { mailTo } = require("../support/mail");
+const { toTimestamp } = require("../../src/services/dates");
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Whole hours from midnight UTC a week from now, so windows never start in
+// the past while the suite runs
+const WEEK_AHEAD = Math.ceil((Date.now() + 7 * 24 * HOUR_MS) / (24 * HOUR_MS));
+const at = (hours) => toTimestamp(WEEK_AHEAD * 24 * HOUR_MS + hours * HOUR_MS);
+
+eachDatabase("reservations", (database) => {
+  const api = useApp(database);
+  let custodian;
+  let holder;
+  let contractor;
+
+  before(async () => {
+    const db = database();
+    custodian = await createAccount(db, "custodian@example.com", "custodian");
+    holder = await createAccount(db, "holder@example.com");
+    contractor = await createAccount(db, "contractor@example.com");
+  });
+
+  const reserve = (keyId, startHour, endHour, { as, reservedFor } = {}) =>
+    api.post(
+      "/api/reservations",
+      { keyId, reservedFor, startsAt: at(startHour), endsAt: at(endHour) },
+      { as: as || custodian },
+    );
+
+  it("books a key for a window and tells the person it is for", async () => {
+    const keyId = await createKey(database(), "RES-1");
+    const response = await reserve(keyId, 9, 17, {
+      reservedFor: contractor.id,
+    });
+    assert.equal(response.status, 201);
+    assert.equal(response.body.startsAt, at(9));
+    assert.equal(
+      mailTo(contractor.email).at(-1).subject,
+      "Key RES-1 reserved for you",
+    );
+
+    const listed = await api.get(`/api/reservations?keyId=${keyId}`, {
+      as: contractor,
+    });
+    assert.deepEqual(
+      listed.body.reservations.map((row) => row.id),
+      [response.body.id],
+    );
+  });
+
+  it("rejects overlapping reservations but allows back-to-back ones", async () => {
+    const keyId = await createKey(database(), "RES-2");
+    assert.equal((await reserve(keyId, 9, 12)).status, 201);
+
+    const overlap = await reserve(keyId, 11, 14);
+    assert.equal(overlap.status, 409);
+    assert.deepEqual(overlap.body.conflicts, [
+      { type: "reservation", startsAt: at(9), endsAt: at(12) },
+    ]);
+    assert.equal((await reserve(keyId, 12, 14)).status, 201);
+  });
+
+  it("rejects reservations during an open assignment", async () => {
+    const keyId = await createKey(database(), "RES-3");
+    const assigned = await api.post(
+      "/api/keys/assign",
+      { keyId, assignedTo: holder.id, dueAt: at(10) },
+      { as: custodian },
+    );
+    assert.equal(assigned.status, 201);
+
+    const during = await reserve(keyId, 8, 12);
+    assert.equal(during.status, 409);
+    assert.equal(during.body.conflicts[0].type, "assignment");
+    assert.equal((await reserve(keyId, 10, 12)).status, 201);
+  });
+
+  it("lets holders reserve only for themselves", async () => {
+    const keyId = await createKey(database(), "RES-4");
+    const forOther = await reserve(keyId, 1, 2, {
+      as: holder,
+      reservedFor: contractor.id,
+    });
+    assert.equal(forOther.status, 403);
+
+    const own = await reserve(keyId, 1, 2, { as: holder });
+    assert.equal(own.status, 201);
+    assert.equal(
+      (await api.get(`/api/reservations/${own.body.id}`, { as: contractor }))
+        .status,
+      404,
+    );
+  });
+
+  it("blocks assigning a key into someone else's reservation unless overridden", async () => {
+    const keyId = await createKey(database(), "RES-5");
+    const reserved = await api.post(
+      "/api/reservations",
+      {
+        keyId,
+        reservedFor: contractor.id,
+        startsAt: toTimestamp(Date.now() + HOUR_MS),
+        endsAt: toTimestamp(Date.now() + 5 * HOUR_MS),
+      },
+      { as: custodian },
+    );
+    assert.equal(reserved.status, 201);
+
+    const assign = (assignedTo, extra) =>
+      api.post(
+        "/api/keys/assign",
+        { keyId, assignedTo, ...extra },
+        { as: custodian },
+      );
+    const blocked = await assign(holder.id);
+    assert.equal(blocked.status, 409);
+    assert.match(blocked.body.error, /reserved for contractor@example\.com/);
+
+    // A loan that ends before the reservation starts is fine
+    const short = await assign(holder.id, {
+      dueAt: toTimestamp(Date.now() + 30 * 60 * 1000),
+    });
+    assert.equal(short.status, 201);
+    await api.post(
+      `/api/keys/return/${keyId}`,
+      { condition: "good" },
+      { as: custodian },
+    );
+
+    assert.equal((await assign(contractor.id)).status, 201);
+    await api.post(
+      `/api/keys/return/${keyId}`,
+      { condition: "good" },
+      { as: custodian },
+    );
+    assert.equal((await assign(holder.id, { override: true })).status, 201);
+  });
+
+  it("shows free and busy periods, hiding other people from holders", async () => {
+    const keyId = await createKey(database(), "RES-6");
+    await reserve(keyId, 9, 12, { reservedFor: contractor.id });
+    await reserve(keyId, 14, 16, { as: holder });
+
+    const range = `from=${encodeURIComponent(at(8))}&to=${encodeURIComponent(at(18))}`;
+    const availability = await api.get(
+      `/api/keys/${keyId}/availability?${range}`,
+      { as: holder },
+    );
+    assert.equal(availability.status, 200);
+    assert.deepEqual(
+      availability.body.busy.map(({ startsAt, endsAt, email }) => ({
+        startsAt,
+        endsAt,
+        email,
+      })),
+      [
+        { startsAt: at(9), endsAt: at(12), email: null },
+        { startsAt: at(14), endsAt: at(16), email: holder.email },
+      ],
+    );
+    assert.deepEqual(availability.body.free, [
+      { startsAt: at(8), endsAt: at(9) },
+      { startsAt: at(12), endsAt: at(14) },
+      { startsAt: at(16), endsAt: at(18) },
+    ]);
+
+    const tooLong = await api.get(
+      `/api/keys/${keyId}/availability?from=${encodeURIComponent(at(0))}&to=${encodeURIComponent(at(24 * 400))}`,
+      { as: holder },
+    );
+    assert.equal(tooLong.status, 400);
+  });
+
+  it("frees the window once a reservation is cancelled", async () => {
+    const keyId = await createKey(database(), "RES-7");
+    const reserved = await reserve(keyId, 9, 12, {
+      reservedFor: contractor.id,
+    });
+
+    const cancel = () =>
+      api.delete(`/api/reservations/${reserved.body.id}`, { as: custodian });
+    assert.equal((await cancel()).status, 200);
+    assert.equal(
+      mailTo(contractor.email).at(-1).subject,
+      "Reservation of key RES-7 cancelled",
+    );
+    assert.equal((await cancel()).status, 409);
+    assert.equal((await reserve(keyId, 10, 11)).status, 201);
+  });
+});
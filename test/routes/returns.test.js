@@ -0,0 +1,168 @@
+// backend/test/routes/returns.test.js
+// Uploads go to a scratch directory, set before the app loads its config
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+process.env.UPLOAD_DIR = fs.mkdtempSync(
+  path.join(os.tmpdir(), "key-tracker-uploads-"),
+);
+
+const { it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { eachDatabase, createKey } = require("../support/database");
+const { useApp, createAccount } = require("../support/app");
+
+// The smallest valid PNG: a single transparent pixel
+const PIXEL = Buffer.from(
+  "iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAQAAAC1HAwCAAAAC0lEQVR42mNkYAAAAAYAAjCB0C8AAAAASUVORK5CYII=",
+  "base64",
+);
+
+after(() =>
+  fs.rmSync(process.env.UPLOAD_DIR, { recursive: true, force: true }),
+);
+
+eachDatabase("key returns", (database) => {
+  const api = useApp(database);
+  let custodian;
+  let holder;
+
+  before(async () => {
+    custodian = await createAccount(
+      database(),
+      "custodian@example.com",
+      "custodian",
+    );
+    holder = await createAccount(database(), "holder@example.com");
+  });
+
+  const assign = async (identifier) => {
+    const keyId = await createKey(database(), identifier);
+    const response = await api.post(
+      "/api/keys/assign",
+      { keyId, assignedTo: holder.id },
+      { as: custodian },
+    );
+    assert.equal(response.status, 201);
+    return { keyId, assignmentId: response.body.id };
+  };
+
+  const checkIn = (keyId, body) =>
+    api.post(`/api/keys/return/${keyId}`, body, { as: custodian });
+
+  const uploads = () => fs.readdirSync(process.env.UPLOAD_DIR);
+
+  it("answers 404 and 409 when there is nothing to return", async () => {
+    assert.equal((await checkIn(999999, { condition: "good" })).status, 404);
+    const keyId = await createKey(database(), "RET-IDLE");
+    const idle = await checkIn(keyId, { condition: "good" });
+    assert.equal(idle.status, 409);
+    assert.equal(idle.body.error, "Key is not currently assigned");
+  });
+
+  it("records who took the key back and its condition", async () => {
+    const { keyId, assignmentId } = await assign("RET-1");
+    assert.equal((await checkIn(keyId, { condition: "broken" })).status, 400);
+    assert.equal(
+      (
+        await api.post(
+          `/api/keys/return/${keyId}`,
+          { condition: "good" },
+          { as: holder },
+        )
+      ).status,
+      403,
+    );
+
+    const returned = await checkIn(keyId, {
+      condition: "worn",
+      notes: "Teeth are smooth",
+    });
+    assert.equal(returned.status, 200);
+    assert.equal(returned.body.assignmentId, assignmentId);
+    assert.equal(
+      returned.body.receiptUrl,
+      `/api/keys/assignments/${assignmentId}/receipt`,
+    );
+
+    const record = await database().get(
+      "SELECT * FROM key_returns WHERE assignmentId = ?",
+      [assignmentId],
+    );
+    assert.equal(record.receivedBy, custodian.id);
+    assert.equal(record.condition, "worn");
+    assert.equal(record.notes, "Teeth are smooth");
+    assert.equal((await checkIn(keyId, { condition: "good" })).status, 409);
+  });
+
+  it("marks keys that come back damaged", async () => {
+    const { keyId } = await assign("RET-2");
+    await checkIn(keyId, { condition: "damaged" });
+    const key = await api.get(`/api/keys/${keyId}`, { as: custodian });
+    assert.equal(key.body.status, "damaged");
+  });
+
+  it("stores a signature upload and embeds it in the receipt", async () => {
+    const { keyId, assignmentId } = await assign("RET-3");
+    const form = new FormData();
+    form.append("condition", "good");
+    form.append(
+      "signature",
+      new Blob([PIXEL], { type: "image/png" }),
+      "../../signature.png",
+    );
+
+    const returned = await checkIn(keyId, form);
+    assert.equal(returned.status, 200, JSON.stringify(returned.body));
+    const { signatureFile } = await database().get(
+      "SELECT signatureFile FROM key_returns WHERE assignmentId = ?",
+      [assignmentId],
+    );
+    assert.match(signatureFile, /^[0-9a-f]{32}\.png$/);
+    assert.deepEqual(
+      fs.readFileSync(path.join(process.env.UPLOAD_DIR, signatureFile)),
+      PIXEL,
+    );
+
+    const receipt = await api.get(returned.body.receiptUrl, { as: holder });
+    assert.equal(receipt.status, 200);
+    assert.match(
+      receipt.headers.get("content-disposition"),
+      new RegExp(`key-receipt-${assignmentId}\\.html`),
+    );
+    assert.match(receipt.body, /<td>RET-3<\/td>/);
+    assert.match(receipt.body, /<td>custodian@example\.com<\/td>/);
+    assert.ok(
+      receipt.body.includes(
+        `src="data:image/png;base64,${PIXEL.toString("base64")}"`,
+      ),
+    );
+
+    const stranger = await createAccount(database(), "stranger@example.com");
+    assert.equal(
+      (await api.get(returned.body.receiptUrl, { as: stranger })).status,
+      404,
+    );
+  });
+
+  it("refuses non-image uploads and discards files of failed returns", async () => {
+    const keyId = await createKey(database(), "RET-4");
+    const before = uploads().length;
+
+    const text = new FormData();
+    text.append("condition", "good");
+    text.append("photo", new Blob(["hello"], { type: "text/plain" }), "a.txt");
+    const rejected = await checkIn(keyId, text);
+    assert.equal(rejected.status, 400);
+
+    const image = new FormData();
+    image.append("condition", "good");
+    image.append("photo", new Blob([PIXEL], { type: "image/png" }), "a.png");
+    assert.equal((await checkIn(keyId, image)).status, 409);
+
+    // Files are removed in the background after the response
+    await new Promise((resolve) => setTimeout(resolve, 100));
+    assert.equal(uploads().length, before);
+  });
+});
@@ -0,0 +1,182 @@
+// backend/test/routes/roles.test.js
+const { it, before } = require("node:test");
+const assert = require("node:assert/strict");
+const jwt = require("jsonwebtoken");
+const { eachDatabase, createKey } = require("../support/database");
+const { useApp, createAccount, PASSWORD } = require("../support/app");
+
+eachDatabase("roles", (database) => {
+  const api = useApp(database);
+  let admin;
+  let custodian;
+  let holder;
+  let otherHolder;
+
+  before(async () => {
+    admin = await createAccount(database(), "admin@example.com", "admin");
+    custodian = await createAccount(
+      database(),
+      "custodian@example.com",
+      "custodian",
+    );
+    holder = await createAccount(database(), "holder@example.com");
+    otherHolder = await createAccount(database(), "other@example.com");
+  });
+
+  it("carries the role in the token login issues", async () => {
+    const response = await api.post("/api/auth/login", {
+      email: custodian.email,
+      password: PASSWORD,
+    });
+    assert.equal(response.status, 200);
+    assert.equal(response.body.user.role, "custodian");
+    assert.equal(jwt.decode(response.body.token).role, "custodian");
+  });
+
+  it("requires a token for the users API", async () => {
+    assert.equal((await api.get("/api/users")).status, 401);
+  });
+
+  it("lets custodians and admins list users but not holders", async () => {
+    assert.equal((await api.get("/api/users", { as: holder })).status, 403);
+    assert.equal((await api.get("/api/users", { as: custodian })).status, 200);
+    assert.equal((await api.get("/api/users", { as: admin })).status, 200);
+  });
+
+  it("lets only admins create users", async () => {
+    const user = { email: "new@example.com" };
+    assert.equal(
+      (await api.post("/api/users", user, { as: custodian })).status,
+      403,
+    );
+    assert.equal(
+      (await api.post("/api/users", user, { as: admin })).status,
+      201,
+    );
+  });
+
+  it("lets holders edit only their own profile", async () => {
+    const own = await api.put(
+      `/api/users/${holder.id}`,
+      { displayName: "Holder" },
+      { as: holder },
+    );
+    assert.equal(own.status, 200);
+
+    const other = await api.put(
+      `/api/users/${otherHolder.id}`,
+      { displayName: "Someone" },
+      { as: holder },
+    );
+    assert.equal(other.status, 403);
+
+    const promotion = await api.put(
+      `/api/users/${holder.id}`,
+      { role: "admin" },
+      { as: holder },
+    );
+    assert.equal(promotion.status, 403);
+  });
+
+  it("lets only custodians create, assign and return keys", async () => {
+    assert.equal(
+      (await api.post("/api/keys", { identifier: "R-1" }, { as: holder }))
+        .status,
+      403,
+    );
+    const created = await api.post(
+      "/api/keys",
+      { identifier: "R-1" },
+      { as: custodian },
+    );
+    assert.equal(created.status, 201);
+
+    const assignment = { keyId: created.body.id, assignedTo: holder.id };
+    assert.equal(
+      (await api.post("/api/keys/assign", assignment, { as: holder })).status,
+      403,
+    );
+    assert.equal(
+      (await api.post("/api/keys/assign", assignment, { as: custodian }))
+        .status,
+      201,
+    );
+
+    const path = `/api/keys/return/${created.body.id}`;
+    const returned = { condition: "good" };
+    assert.equal((await api.post(path, returned, { as: holder })).status, 403);
+    assert.equal(
+      (await api.post(path, returned, { as: custodian })).status,
+      200,
+    );
+  });
+
+  it("shows holders only their own assignments", async () => {
+    const db = database();
+    for (const [identifier, assignedTo] of [
+      ["R-2", holder.id],
+      ["R-3", otherHolder.id],
+    ]) {
+      const response = await api.post(
+        "/api/keys/assign",
+        { keyId: await createKey(db, identifier), assignedTo },
+        { as: custodian },
+      );
+      assert.equal(response.status, 201);
+    }
+
+    const own = await api.get("/api/keys/assignments", { as: holder });
+    assert.equal(own.status, 200);
+    assert.ok(own.body.assignments.length > 0);
+    assert.ok(
+      own.body.assignments.every(
+        (assignment) => assignment.assignedTo === holder.id,
+      ),
+    );
+
+    const all = await api.get("/api/keys/assignments", { as: custodian });
+    assert.ok(
+      all.body.assignments.some(
+        (assignment) => assignment.assignedTo === otherHolder.id,
+      ),
+    );
+  });
+
+  it("keeps at least one active admin", async () => {
+    const demotion = await api.put(
+      `/api/users/${admin.id}`,
+      { role: "custodian" },
+      { as: admin },
+    );
+    assert.equal(demotion.status, 409);
+
+    const deactivation = await api.put(
+      `/api/users/${admin.id}`,
+      { isActive: false },
+      { as: admin },
+    );
+    assert.equal(deactivation.status, 409);
+
+    const second = await createAccount(
+      database(),
+      "second-admin@example.com",
+      "admin",
+    );
+    const handover = await api.put(
+      `/api/users/${admin.id}`,
+      { role: "custodian" },
+      { as: second },
+    );
+    assert.equal(handover.status, 200);
+    assert.equal(
+      (
+        await api.put(
+          `/api/users/${second.id}`,
+          { role: "holder" },
+          { as: second },
+        )
+      ).status,
+      409,
+    );
+  });
+});
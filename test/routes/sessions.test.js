@@ -0,0 +1,129 @@
+// backend/test/routes/sessions.test.js
+const { it, before } = require("node:test");
+const assert = require("node:assert/strict");
+const jwt = require("jsonwebtoken");
+const { eachDatabase } = require("../support/database");
+const { useApp, createAccount, PASSWORD } = require("../support/app");
+
+eachDatabase("sessions", (database) => {
+  const api = useApp(database);
+  let admin;
+
+  before(async () => {
+    admin = await createAccount(database(), "admin@example.com", "admin");
+  });
+
+  const login = async (user) => {
+    const response = await api.post("/api/auth/login", {
+      email: user.email,
+      password: PASSWORD,
+    });
+    assert.equal(response.status, 200);
+    return response.body;
+  };
+
+  const refresh = (refreshToken) =>
+    api.post("/api/auth/refresh", { refreshToken });
+
+  it("issues short-lived access tokens", async () => {
+    const user = await createAccount(database(), "short@example.com");
+    const { token, refreshToken } = await login(user);
+
+    const { iat, exp } = jwt.decode(token);
+    assert.equal(exp - iat, 15 * 60);
+    assert.match(refreshToken, /^[0-9a-f]{96}$/);
+  });
+
+  it("rotates refresh tokens", async () => {
+    const user = await createAccount(database(), "rotate@example.com");
+    const { refreshToken } = await login(user);
+
+    const rotated = await refresh(refreshToken);
+    assert.equal(rotated.status, 200);
+    assert.ok(rotated.body.token);
+    assert.notEqual(rotated.body.refreshToken, refreshToken);
+    assert.equal((await refresh(rotated.body.refreshToken)).status, 200);
+  });
+
+  it("ends every session when a rotated token is presented again", async () => {
+    const user = await createAccount(database(), "reuse@example.com");
+    const { refreshToken } = await login(user);
+    const other = await login(user);
+    const rotated = (await refresh(refreshToken)).body;
+
+    assert.equal((await refresh(refreshToken)).status, 401);
+    assert.equal((await refresh(rotated.refreshToken)).status, 401);
+    assert.equal((await refresh(other.refreshToken)).status, 401);
+  });
+
+  it("stores only digests of refresh tokens", async () => {
+    const user = await createAccount(database(), "digest@example.com");
+    const { refreshToken } = await login(user);
+    const stored = await database().all(
+      "SELECT token FROM refresh_tokens WHERE userId = ?",
+      [user.id],
+    );
+    assert.equal(stored.length, 1);
+    assert.notEqual(stored[0].token, refreshToken);
+  });
+
+  it("logs out one session or all of them", async () => {
+    const user = await createAccount(database(), "logout@example.com");
+    const first = await login(user);
+    const second = await login(user);
+    const third = await login(user);
+
+    const one = await api.post("/api/auth/logout", {
+      refreshToken: first.refreshToken,
+    });
+    assert.equal(one.status, 200);
+    assert.equal((await refresh(first.refreshToken)).status, 401);
+    assert.equal((await refresh(second.refreshToken)).status, 200);
+
+    const unauthenticated = await api.post("/api/auth/logout", {
+      allSessions: true,
+    });
+    assert.equal(unauthenticated.status, 401);
+
+    const all = await api.post(
+      "/api/auth/logout",
+      { allSessions: true },
+      { as: user },
+    );
+    assert.equal(all.status, 200);
+    assert.equal((await refresh(third.refreshToken)).status, 401);
+  });
+
+  it("rejects the tokens of deactivated users at once", async () => {
+    const user = await createAccount(database(), "leaver@example.com");
+    const { token, refreshToken } = await login(user);
+    assert.equal((await api.get("/api/auth/me", { as: token })).status, 200);
+
+    const deactivated = await api.delete(`/api/users/${user.id}`, {
+      as: admin,
+    });
+    assert.equal(deactivated.status, 200);
+
+    const me = await api.get("/api/auth/me", { as: token });
+    assert.equal(me.status, 403);
+    assert.equal((await refresh(refreshToken)).status, 401);
+  });
+
+  it("applies role changes to existing tokens", async () => {
+    const user = await createAccount(
+      database(),
+      "demoted@example.com",
+      "custodian",
+    );
+    const { token } = await login(user);
+    assert.equal((await api.get("/api/users", { as: token })).status, 200);
+
+    const demoted = await api.put(
+      `/api/users/${user.id}`,
+      { role: "holder" },
+      { as: admin },
+    );
+    assert.equal(demoted.status, 200);
+    assert.equal((await api.get("/api/users", { as: token })).status, 403);
+  });
+});
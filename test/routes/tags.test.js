@@ -0,0 +1,156 @@
+// backend/test/routes/tags.test.js
+const { it, before } = require("node:test");
+const assert = require("node:assert/strict");
+const { eachDatabase } = require("../support/database");
+const { useApp, createAccount } = require("../support/app");
+
+eachDatabase("key tags", (database) => {
+  const api = useApp(database);
+  let custodian;
+  let holder;
+  let other;
+
+  before(async () => {
+    const db = database();
+    custodian = await createAccount(db, "custodian@example.com", "custodian");
+    holder = await createAccount(db, "holder@example.com");
+    other = await createAccount(db, "other@example.com");
+  });
+
+  // Keys created through the API get a generated tag code
+  const createTaggedKey = async (identifier) => {
+    const created = await api.post(
+      "/api/keys",
+      { identifier },
+      { as: custodian },
+    );
+    assert.equal(created.status, 201, JSON.stringify(created.body));
+    const { tagCode } = await database().get(
+      "SELECT tagCode FROM keys WHERE id = ?",
+      [created.body.id],
+    );
+    return { id: created.body.id, tagCode };
+  };
+
+  // The code as a person might type it off a label
+  const typed = (tagCode) =>
+    `${tagCode.slice(4, 9)} ${tagCode.slice(9)}`.toLowerCase();
+
+  it("gives every key its own scannable code", async () => {
+    const first = await createTaggedKey("TAG-1");
+    const second = await createTaggedKey("TAG-2");
+    assert.match(first.tagCode, /^KEY-[0-9A-HJKMNP-TV-Z]{10}$/);
+    assert.notEqual(first.tagCode, second.tagCode);
+  });
+
+  it("resolves a scanned code to the key and its custody", async () => {
+    const { id, tagCode } = await createTaggedKey("TAG-LOOKUP");
+    const scanned = await api.get(`/api/tags/${typed(tagCode)}`, {
+      as: holder,
+    });
+    assert.equal(scanned.status, 200);
+    assert.equal(scanned.body.id, id);
+    assert.equal(scanned.body.identifier, "TAG-LOOKUP");
+    assert.equal(scanned.body.isAssigned, false);
+    assert.equal(scanned.body.canAssign, true);
+    assert.equal(scanned.body.assignment, null);
+
+    assert.equal(
+      (await api.get("/api/tags/KEY-0000000000", { as: holder })).status,
+      404,
+    );
+  });
+
+  it("assigns and returns a key by its tag", async () => {
+    const { id, tagCode } = await createTaggedKey("TAG-SCAN");
+    const assign = (as) =>
+      api.post(
+        `/api/tags/${typed(tagCode)}/assign`,
+        { assignedTo: holder.id },
+        { as },
+      );
+    assert.equal((await assign(holder)).status, 403);
+
+    const assigned = await assign(custodian);
+    assert.equal(assigned.status, 201, JSON.stringify(assigned.body));
+    assert.equal(assigned.body.keyId, id);
+    assert.equal(assigned.body.identifier, "TAG-SCAN");
+    const again = await assign(custodian);
+    assert.equal(again.status, 400);
+    assert.equal(again.body.error, "Key is already assigned");
+
+    const own = await api.get(`/api/tags/${tagCode}`, { as: holder });
+    assert.equal(own.body.isAssigned, true);
+    assert.equal(own.body.canAssign, false);
+    assert.equal(own.body.assignment.id, assigned.body.id);
+    assert.equal(own.body.assignment.isOverdue, false);
+    // Other holders see that the key is out, not who has it
+    const hidden = await api.get(`/api/tags/${tagCode}`, { as: other });
+    assert.equal(hidden.body.isAssigned, true);
+    assert.equal(hidden.body.assignment, null);
+
+    const returned = await api.post(
+      `/api/tags/${tagCode}/return`,
+      { condition: "good" },
+      { as: custodian },
+    );
+    assert.equal(returned.status, 200, JSON.stringify(returned.body));
+    assert.equal(returned.body.assignmentId, assigned.body.id);
+    assert.equal(
+      (
+        await api.post(
+          `/api/tags/${tagCode}/return`,
+          { condition: "good" },
+          { as: custodian },
+        )
+      ).status,
+      409,
+    );
+
+    const audited = await database().all(
+      `SELECT action, afterData FROM audit_log
+       WHERE entityType = 'assignment' AND entityId = ? ORDER BY id`,
+      [String(assigned.body.id)],
+    );
+    assert.deepEqual(
+      audited.map((entry) => [
+        entry.action,
+        JSON.parse(entry.afterData).scanned,
+      ]),
+      [
+        ["keys.assign", true],
+        ["keys.return", true],
+      ],
+    );
+  });
+
+  it("renders label sheets as PNG or PDF", async () => {
+    const first = await createTaggedKey("TAG-LABEL-1");
+    const second = await createTaggedKey("TAG-LABEL-2");
+    const labels = (query, as = custodian) =>
+      api.get(`/api/tags/labels?${query}`, { as });
+
+    const png = await labels(
+      `keyIds=${first.id},${second.id}&symbology=code128&format=png`,
+    );
+    assert.equal(png.status, 200);
+    assert.equal(png.headers.get("content-type"), "image/png");
+    assert.match(
+      png.headers.get("content-disposition"),
+      /filename="key-tags-code128\.png"/,
+    );
+    assert.match(png.body, /^.PNG\r\n/);
+
+    const pdf = await labels(`keyIds=${first.id}`);
+    assert.equal(pdf.headers.get("content-type"), "application/pdf");
+    assert.ok(pdf.body.startsWith("%PDF-"));
+
+    const missing = await labels(`keyIds=${first.id},999999`);
+    assert.equal(missing.status, 404);
+    assert.equal(missing.body.error, "Keys not found: 999999");
+    for (const query of ["", `keyIds=${first.id}&locationId=1`, "keyIds=a"]) {
+      assert.equal((await labels(query)).status, 400, query);
+    }
+    assert.equal((await labels(`keyIds=${first.id}`, holder)).status, 403);
+  });
+});
@@ -0,0 +1,241 @@
+// backend/test/routes/webhooks.test.js
+// Receivers run on 127.0.0.1, which is only reachable when allowed. Retries
+// are due a millisecond after a failure, set before the app loads its config.
+process.env.WEBHOOK_ALLOWED_HOSTS = "127.0.0.1";
+process.env.WEBHOOK_RETRY_BASE_SECONDS = "0.001";
+process.env.WEBHOOK_MAX_ATTEMPTS = "2";
+
+const { it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const http = require("http");
+const { eachDatabase, createKey } = require("../support/database");
+const { useApp, createAccount } = require("../support/app");
+const { startDelivery } = require("../../src/services/webhooks");
+
+// Records every request and answers with the statuses queued for its path,
+// 200 once they run out
+const received = [];
+const answers = new Map();
+const receiver = http.createServer((req, res) => {
+  let body = "";
+  req.setEncoding("utf8");
+  req.on("data", (chunk) => {
+    body += chunk;
+  });
+  req.on("end", () => {
+    received.push({ path: req.url, headers: req.headers, body });
+    res.statusCode = answers.get(req.url)?.shift() ?? 200;
+    res.end();
+  });
+});
+
+before(
+  () => new Promise((resolve) => receiver.listen(0, "127.0.0.1", resolve)),
+);
+after(() => new Promise((resolve) => receiver.close(resolve)));
+
+const hookUrl = (path) => `http://127.0.0.1:${receiver.address().port}${path}`;
+const requestsTo = (path) => received.filter((entry) => entry.path === path);
+
+// Deliveries are sent after the response, so tests wait for them
+const eventually = async (check) => {
+  for (let tries = 0; tries < 100; tries += 1) {
+    const result = await check();
+    if (result) {
+      return result;
+    }
+    await new Promise((resolve) => setTimeout(resolve, 20));
+  }
+  assert.fail("Timed out waiting for webhook delivery");
+};
+
+eachDatabase("webhooks", (database) => {
+  const api = useApp(database);
+  let admin;
+  let custodian;
+  let holder;
+
+  before(async () => {
+    const db = database();
+    admin = await createAccount(db, "admin@example.com", "admin");
+    custodian = await createAccount(db, "custodian@example.com", "custodian");
+    holder = await createAccount(db, "holder@example.com");
+  });
+
+  const subscribe = async (path, events) => {
+    const response = await api.post(
+      "/api/webhooks",
+      { url: hookUrl(`/${database().dialect.name}${path}`), events },
+      { as: admin },
+    );
+    assert.equal(response.status, 201, JSON.stringify(response.body));
+    return { ...response.body, path: `/${database().dialect.name}${path}` };
+  };
+
+  const deliveries = async (webhook) =>
+    (await api.get(`/api/webhooks/${webhook.id}/deliveries`, { as: admin }))
+      .body.deliveries;
+
+  const assign = async (identifier, user = holder) => {
+    const keyId = await createKey(database(), identifier);
+    const response = await api.post(
+      "/api/keys/assign",
+      { keyId, assignedTo: user.id },
+      { as: custodian },
+    );
+    assert.equal(response.status, 201);
+    return keyId;
+  };
+
+  it("refuses receivers on private networks", async () => {
+    for (const url of [
+      "http://10.1.2.3/hook",
+      "http://[::1]/hook",
+      `http://localhost:${receiver.address().port}/hook`,
+    ]) {
+      const response = await api.post(
+        "/api/webhooks",
+        { url, events: ["key.assigned"] },
+        { as: admin },
+      );
+      assert.equal(response.status, 400, url);
+      assert.match(response.body.errors[0].msg, /not public/);
+    }
+    assert.equal(
+      (
+        await api.post(
+          "/api/webhooks",
+          { url: hookUrl("/hook"), events: ["key.assigned"] },
+          { as: custodian },
+        )
+      ).status,
+      403,
+    );
+  });
+
+  it("signs each delivery of the events it subscribes to", async () => {
+    const webhook = await subscribe("/signed", ["key.assigned"]);
+    assert.match(webhook.secret, /^whsec_[0-9a-f]{48}$/);
+
+    const keyId = await assign("HOOK-1");
+    const [delivery] = await eventually(() => requestsTo(webhook.path));
+    const { headers, body } = delivery;
+    assert.equal(headers["x-webhook-event"], "key.assigned");
+    const expected = crypto
+      .createHmac("sha256", webhook.secret)
+      .update(`${headers["x-webhook-timestamp"]}.${body}`)
+      .digest("hex");
+    assert.equal(headers["x-webhook-signature"], `sha256=${expected}`);
+
+    const payload = JSON.parse(body);
+    assert.equal(payload.id, headers["x-webhook-id"]);
+    assert.equal(payload.event, "key.assigned");
+    assert.equal(payload.data.keyId, keyId);
+    assert.equal(payload.data.identifier, "HOOK-1");
+
+    // Returns are not subscribed to
+    await api.post(
+      `/api/keys/return/${keyId}`,
+      { condition: "good" },
+      { as: custodian },
+    );
+    const log = await eventually(async () => {
+      const entries = await deliveries(webhook);
+      return entries[0]?.status === "succeeded" && entries;
+    });
+    assert.equal(log.length, 1);
+    const [logged] = log;
+    assert.equal(logged.responseStatus, 200);
+    assert.equal(logged.attempts, 1);
+    assert.equal(requestsTo(webhook.path).length, 1);
+  });
+
+  it("retries failed deliveries until they succeed or run out", async () => {
+    const flaky = await subscribe("/flaky", ["key.assigned"]);
+    const down = await subscribe("/down", ["key.assigned"]);
+    answers.set(flaky.path, [500]);
+    answers.set(down.path, [503, 503]);
+
+    await assign("HOOK-2");
+    const [pending] = await eventually(async () => {
+      const log = await deliveries(flaky);
+      return log[0]?.attempts === 1 && log;
+    });
+    assert.equal(pending.status, "pending");
+    assert.equal(pending.error, "HTTP 500");
+    assert.ok(pending.nextAttemptAt);
+
+    const settled = async (webhook) => {
+      await startDelivery(database());
+      const [delivery] = await deliveries(webhook);
+      return delivery.attempts === 2 && delivery;
+    };
+    const retried = await eventually(() => settled(flaky));
+    assert.equal(retried.status, "succeeded");
+    assert.equal(retried.nextAttemptAt, null);
+
+    const failed = await eventually(() => settled(down));
+    assert.equal(failed.status, "failed");
+    assert.equal(failed.error, "HTTP 503");
+    assert.equal(requestsTo(down.path).length, 2);
+  });
+
+  it("redelivers a logged event as a new delivery", async () => {
+    const webhook = await subscribe("/redelivered", ["key.assigned"]);
+    await assign("HOOK-3");
+    const [original] = await eventually(async () => {
+      const log = await deliveries(webhook);
+      return log[0]?.status === "succeeded" && log;
+    });
+
+    const url = `/api/webhooks/${webhook.id}/deliveries/${original.id}/redeliver`;
+    const redelivered = await api.post(url, undefined, { as: admin });
+    assert.equal(redelivered.status, 202);
+    assert.equal(redelivered.body.redeliveryOf, original.id);
+
+    const [first, second] = await eventually(() => {
+      const requests = requestsTo(webhook.path);
+      return requests.length === 2 && requests;
+    });
+    assert.equal(second.headers["x-webhook-id"], first.headers["x-webhook-id"]);
+    assert.equal(second.body, first.body);
+    assert.equal(
+      second.headers["x-webhook-delivery"],
+      String(redelivered.body.id),
+    );
+
+    const paused = { isActive: false };
+    await api.put(`/api/webhooks/${webhook.id}`, paused, { as: admin });
+    assert.equal((await api.post(url, undefined, { as: admin })).status, 409);
+    assert.equal(
+      (
+        await api.post(
+          `/api/webhooks/${webhook.id}/deliveries/999999/redeliver`,
+          undefined,
+          { as: admin },
+        )
+      ).status,
+      404,
+    );
+  });
+
+  it("announces deactivated users with the keys they still hold", async () => {
+    const webhook = await subscribe("/offboarding", ["user.deactivated"]);
+    const leaver = await createAccount(database(), "leaver@example.com");
+    await assign("HOOK-4", leaver);
+
+    const deactivated = await api.delete(`/api/users/${leaver.id}?force=true`, {
+      as: admin,
+    });
+    assert.equal(deactivated.status, 200, JSON.stringify(deactivated.body));
+    const [delivery] = await eventually(() => requestsTo(webhook.path));
+    const { data } = JSON.parse(delivery.body);
+    assert.equal(data.email, "leaver@example.com");
+    assert.equal(data.isActive, false);
+    assert.deepEqual(
+      data.heldKeys.map((key) => key.identifier),
+      ["HOOK-4"],
+    );
+  });
+});
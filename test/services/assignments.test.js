@@ -0,0 +1,107 @@
+// backend/test/services/assignments.test.js
+const { it, before } = require("node:test");
+const assert = require("node:assert/strict");
+const { eachDatabase, createUser, createKey } = require("../support/database");
+const { assignKey, handOverKey } = require("../../src/services/assignments");
+const { withTransaction } = require("../../src/services/transaction");
+const { minutesFromNow } = require("../../src/services/dates");
+
+eachDatabase("reservations and handovers", (database) => {
+  let custodian;
+  let holder;
+  let recipient;
+  let reserver;
+
+  before(async () => {
+    const db = database();
+    custodian = await createUser(db, "custodian@example.com", "custodian");
+    holder = await createUser(db, "holder@example.com");
+    recipient = await createUser(db, "recipient@example.com");
+    reserver = await createUser(db, "reserver@example.com");
+  });
+
+  // A key reserved for tomorrow and assigned to the holder over it
+  const reservedKey = async (identifier) => {
+    const db = database();
+    const keyId = await createKey(db, identifier);
+    await db.run(
+      `INSERT INTO key_reservations (keyId, reservedFor, reservedBy, startsAt, endsAt)
+       VALUES (?, ?, ?, ?, ?)`,
+      [keyId, reserver, reserver, minutesFromNow(1440), minutesFromNow(1500)],
+    );
+    const { id } = await assignKey(db, {
+      keyId,
+      assignedTo: holder,
+      assignedBy: custodian,
+      override: true,
+    });
+    return { keyId, assignmentId: id };
+  };
+
+  const handOver = (options) =>
+    withTransaction(database(), (tx) =>
+      handOverKey(tx, { handedOverBy: holder, ...options }),
+    );
+
+  it("refuses an assignment over another user's reservation", async () => {
+    const keyId = await createKey(database(), "R1");
+    await database().run(
+      `INSERT INTO key_reservations (keyId, reservedFor, reservedBy, startsAt, endsAt)
+       VALUES (?, ?, ?, ?, ?)`,
+      [keyId, reserver, reserver, minutesFromNow(60), minutesFromNow(120)],
+    );
+
+    const refused = await assignKey(database(), {
+      keyId,
+      assignedTo: holder,
+      assignedBy: custodian,
+    });
+    assert.equal(refused.status, 409);
+    assert.match(refused.error, /reserved for reserver@example\.com/);
+
+    const own = await assignKey(database(), {
+      keyId,
+      assignedTo: reserver,
+      assignedBy: custodian,
+    });
+    assert.ok(own.id);
+  });
+
+  it("refuses a handover over another user's reservation", async () => {
+    const { assignmentId } = await reservedKey("H1");
+    const refused = await handOver({ assignmentId, toUserId: recipient });
+    assert.equal(refused.status, 409);
+    assert.ok(refused.reservation);
+
+    const open = await database().get(
+      "SELECT assignedTo FROM key_assignments WHERE id = ? AND returnedAt IS NULL",
+      [assignmentId],
+    );
+    assert.equal(open.assignedTo, holder);
+  });
+
+  it("hands over when overridden or to the user who reserved it", async () => {
+    const first = await reservedKey("H2");
+    const overridden = await handOver({
+      assignmentId: first.assignmentId,
+      toUserId: recipient,
+      override: true,
+    });
+    assert.ok(overridden.id);
+
+    const second = await reservedKey("H3");
+    const toReserver = await handOver({
+      assignmentId: second.assignmentId,
+      toUserId: reserver,
+    });
+    assert.ok(toReserver.id);
+    const assignment = await database().get(
+      "SELECT assignedTo, transferredFrom FROM key_assignments WHERE id = ?",
+      [toReserver.id],
+    );
+    assert.deepEqual(assignment, {
+      assignedTo: reserver,
+      transferredFrom: second.assignmentId,
+    });
+  });
+});
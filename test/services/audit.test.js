@@ -0,0 +1,174 @@
+// backend/test/services/audit.test.js
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  eachDatabase,
+  openTestDatabase,
+  createUser,
+  createKey,
+} = require("../support/database");
+const { recordAudit, verifyAuditChain } = require("../../src/services/audit");
+const { withTransaction } = require("../../src/services/transaction");
+const { migrate } = require("../../src/services/migrations");
+const { openPostgres } = require("../../src/db/postgres");
+const { shareConnection } = require("../../src/db/shared");
+const appendOnly = require("../../src/migrations/007_audit_log_append_only");
+
+const entries = (db) => db.all("SELECT * FROM audit_log ORDER BY id");
+
+eachDatabase("audit log", (database) => {
+  let req;
+
+  before(async () => {
+    req = {
+      user: { id: await createUser(database(), "actor@example.com") },
+      ip: "203.0.113.5",
+    };
+  });
+
+  it("only writes inside the transaction that makes the change", async () => {
+    await assert.rejects(
+      recordAudit(database(), req, {
+        action: "keys.create",
+        entityType: "key",
+      }),
+      /must be written in a transaction/,
+    );
+  });
+
+  it("chains entries with the actor, snapshots and address", async () => {
+    const start = (await entries(database())).length;
+    await withTransaction(database(), async (tx) => {
+      await recordAudit(tx, req, {
+        action: "keys.update",
+        entityType: "key",
+        entityId: 7,
+        before: { identifier: "A" },
+        after: { identifier: "B", password: "secret" },
+      });
+      await recordAudit(tx, req, {
+        action: "auth.login_failed",
+        entityType: "user",
+        actorId: null,
+      });
+    });
+
+    const [first, second] = (await entries(database())).slice(start);
+    assert.equal(first.actorId, req.user.id);
+    assert.equal(first.entityId, "7");
+    assert.equal(first.ip, "203.0.113.5");
+    assert.equal(first.beforeData, '{"identifier":"A"}');
+    assert.equal(first.afterData, '{"identifier":"B"}');
+    assert.equal(second.actorId, null);
+    assert.equal(second.prevHash, first.hash);
+    assert.deepEqual(await verifyAuditChain(database()), {
+      valid: true,
+      entries: start + 2,
+      brokenAt: null,
+    });
+  });
+
+  it("rolls the change back when its entry cannot be written", async () => {
+    await assert.rejects(
+      withTransaction(database(), async (tx) => {
+        const keyId = await createKey(tx, "AUDIT-ROLLBACK");
+        // BigInt cannot be serialized, so writing the entry fails
+        await recordAudit(tx, req, {
+          action: "keys.create",
+          entityType: "key",
+          entityId: keyId,
+          after: { copies: 1n },
+        });
+      }),
+      TypeError,
+    );
+    assert.equal(
+      await database().get("SELECT id FROM keys WHERE identifier = ?", [
+        "AUDIT-ROLLBACK",
+      ]),
+      undefined,
+    );
+  });
+
+  it("discards the entry when the change rolls back", async () => {
+    const start = (await entries(database())).length;
+    await assert.rejects(
+      withTransaction(database(), async (tx) => {
+        await recordAudit(tx, req, {
+          action: "keys.create",
+          entityType: "key",
+        });
+        throw new Error("change failed");
+      }),
+      /change failed/,
+    );
+    assert.equal((await entries(database())).length, start);
+  });
+
+  it("reports the first entry changed after the fact", async () => {
+    await withTransaction(database(), (tx) =>
+      recordAudit(tx, req, { action: "keys.create", entityType: "key" }),
+    );
+    const [, target] = await entries(database());
+
+    await appendOnly.down(database());
+    await database().run(
+      "UPDATE audit_log SET action = 'keys.delete' WHERE id = ?",
+      [target.id],
+    );
+    const result = await verifyAuditChain(database());
+    assert.equal(result.valid, false);
+    assert.equal(result.brokenAt, target.id);
+  });
+});
+
+describe(
+  "audit log across server processes (postgres)",
+  {
+    skip: process.env.TEST_DATABASE_URL
+      ? false
+      : "TEST_DATABASE_URL is not set",
+  },
+  () => {
+    let first;
+    let second;
+
+    before(async () => {
+      first = await openTestDatabase("postgres");
+      await migrate(first);
+      second = shareConnection(
+        await openPostgres({
+          connectionString: process.env.TEST_DATABASE_URL,
+        }),
+      );
+    });
+    after(async () => {
+      await second?.close();
+      await first?.close();
+    });
+
+    it("never links two entries to the same predecessor", async () => {
+      const req = { ip: "203.0.113.9" };
+      // Each transaction keeps its entry uncommitted for a moment, so without
+      // the chain lock the other connection would read the same last hash
+      const append = (db, n) =>
+        withTransaction(db, async (tx) => {
+          await recordAudit(tx, req, {
+            action: "keys.create",
+            entityType: "key",
+            entityId: n,
+          });
+          await new Promise((resolve) => setTimeout(resolve, 20));
+        });
+
+      await Promise.all(
+        [0, 1, 2, 3, 4, 5].map((n) => append(n % 2 ? second : first, n)),
+      );
+
+      const rows = await entries(first);
+      assert.equal(rows.length, 6);
+      assert.equal(new Set(rows.map((row) => row.prevHash)).size, 6);
+      assert.equal((await verifyAuditChain(first)).valid, true);
+    });
+  },
+);
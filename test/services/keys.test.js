@@ -0,0 +1,109 @@
+// backend/test/services/keys.test.js
+const { it } = require("node:test");
+const assert = require("node:assert/strict");
+const { eachDatabase, createKey } = require("../support/database");
+const {
+  checkKeyReferences,
+  checkKeyTypeChange,
+} = require("../../src/services/keys");
+
+eachDatabase("key type changes", (database) => {
+  it("refuses a type that cannot have children while the key has some", async () => {
+    const db = database();
+    const master = await createKey(db, "M1", { type: "master" });
+    const child = await createKey(db, "C1");
+    await db.run("UPDATE keys SET parentId = ?, isActive = 0 WHERE id = ?", [
+      master,
+      child,
+    ]);
+
+    assert.match(
+      await checkKeyTypeChange(db, master, "single_door"),
+      /1 child key/,
+    );
+    assert.equal(await checkKeyTypeChange(db, master, "sub_master"), null);
+    assert.equal(await checkKeyTypeChange(db, master, undefined), null);
+  });
+
+  it("allows any type for a key without children", async () => {
+    const master = await createKey(database(), "M2", { type: "master" });
+    assert.equal(await checkKeyTypeChange(database(), master, "cabinet"), null);
+  });
+});
+
+eachDatabase("key hierarchy ranks", (database) => {
+  it("requires a parent of a strictly higher rank", async () => {
+    const db = database();
+    const grandMaster = await createKey(db, "GM", { type: "grand_master" });
+    const master = await createKey(db, "M", { type: "master" });
+    const subMaster = await createKey(db, "SM", { type: "sub_master" });
+    const door = await createKey(db, "D");
+
+    for (const [parentId, type] of [
+      [grandMaster, "master"],
+      [grandMaster, "single_door"],
+      [master, "sub_master"],
+      [subMaster, "cabinet"],
+    ]) {
+      assert.equal(await checkKeyReferences(db, { parentId, type }), null);
+    }
+    for (const [parentId, type] of [
+      [master, "master"],
+      [master, "grand_master"],
+      [subMaster, "master"],
+      [door, "single_door"],
+    ]) {
+      assert.match(
+        await checkKeyReferences(db, { parentId, type }),
+        /cannot be the parent of/,
+        `${type} below key ${parentId}`,
+      );
+    }
+  });
+
+  it("checks a moved key against its current type", async () => {
+    const db = database();
+    const master = await createKey(db, "M-MOVE", { type: "master" });
+    const subMaster = await createKey(db, "SM-MOVE", { type: "sub_master" });
+    const otherMaster = await createKey(db, "M-OTHER", { type: "master" });
+
+    assert.equal(
+      await checkKeyReferences(db, { parentId: master }, subMaster),
+      null,
+    );
+    assert.equal(
+      await checkKeyReferences(db, { parentId: master }, otherMaster),
+      "A master key cannot be the parent of a master key",
+    );
+  });
+
+  it("keeps a retyped key below its parent and above its children", async () => {
+    const db = database();
+    const master = await createKey(db, "M-RETYPE", { type: "master" });
+    const subMaster = await createKey(db, "SM-RETYPE", { type: "sub_master" });
+    const child = await createKey(db, "C-RETYPE");
+    await db.run("UPDATE keys SET parentId = ? WHERE id = ?", [
+      master,
+      subMaster,
+    ]);
+    await db.run("UPDATE keys SET parentId = ? WHERE id = ?", [
+      subMaster,
+      child,
+    ]);
+
+    assert.equal(
+      await checkKeyTypeChange(db, subMaster, "master"),
+      "A master key cannot be the parent of a master key",
+    );
+    assert.match(
+      await checkKeyTypeChange(db, master, "sub_master"),
+      /1 child key/,
+    );
+    assert.equal(await checkKeyTypeChange(db, master, "grand_master"), null);
+    // Moving the key at the same time leaves the parent to checkKeyReferences
+    assert.equal(
+      await checkKeyTypeChange(db, subMaster, "master", { parentId: null }),
+      null,
+    );
+  });
+});
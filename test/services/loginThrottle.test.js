@@ -0,0 +1,49 @@
+// backend/test/services/loginThrottle.test.js
+const { it } = require("node:test");
+const assert = require("node:assert/strict");
+const { eachDatabase } = require("../support/database");
+const {
+  checkLoginAllowed,
+  recordFailedLogin,
+  recordSuccessfulLogin,
+} = require("../../src/services/loginThrottle");
+
+eachDatabase("login throttle", (database) => {
+  it("delays the next attempt at an account after a failure", async () => {
+    const db = database();
+    assert.equal(
+      await checkLoginAllowed(db, "a@example.com", "10.0.0.1"),
+      null,
+    );
+    await recordFailedLogin(db, { email: "a@example.com", ip: "10.0.0.1" });
+
+    const delayed = await checkLoginAllowed(db, "a@example.com", "10.0.0.2");
+    assert.equal(delayed.status, 429);
+    assert.ok(delayed.retryAfter >= 1);
+  });
+
+  it("delays an IP that fails across different accounts", async () => {
+    const db = database();
+    for (const email of ["b@example.com", "c@example.com", "d@example.com"]) {
+      await recordFailedLogin(db, { email, ip: "10.0.0.3" });
+    }
+
+    const delayed = await checkLoginAllowed(db, "e@example.com", "10.0.0.3");
+    assert.equal(delayed.status, 429);
+    assert.ok(delayed.retryAfter >= 3);
+    assert.equal(
+      await checkLoginAllowed(db, "e@example.com", "10.0.0.4"),
+      null,
+    );
+  });
+
+  it("keeps delaying the IP after one of its accounts signs in", async () => {
+    const db = database();
+    await recordFailedLogin(db, { email: "f@example.com", ip: "10.0.0.5" });
+    await recordFailedLogin(db, { email: "g@example.com", ip: "10.0.0.5" });
+    await recordSuccessfulLogin(db, { email: "h@example.com", ip: "10.0.0.5" });
+
+    const delayed = await checkLoginAllowed(db, "i@example.com", "10.0.0.5");
+    assert.equal(delayed.status, 429);
+  });
+});
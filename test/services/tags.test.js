@@ -0,0 +1,30 @@
+// backend/test/services/tags.test.js
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  generateTagCode,
+  normalizeTagCode,
+} = require("../../src/services/tags");
+
+describe("normalizeTagCode", () => {
+  it("accepts generated codes unchanged", () => {
+    const code = generateTagCode();
+    assert.equal(normalizeTagCode(code), code);
+  });
+
+  it("ignores case, whitespace and hyphens", () => {
+    assert.equal(normalizeTagCode(" key-ab12-cd34-ef "), "KEY-AB12CD34EF");
+  });
+
+  it("reads O, I and L as the digits they look like", () => {
+    assert.equal(normalizeTagCode("KEY-OIL0000000"), "KEY-0110000000");
+  });
+
+  it("adds the prefix when it was left off", () => {
+    assert.equal(normalizeTagCode("ab12cd34ef"), "KEY-AB12CD34EF");
+  });
+
+  it("keeps a code that starts with the prefix letters", () => {
+    assert.equal(normalizeTagCode("KEY1234567"), "KEY-KEY1234567");
+  });
+});
@@ -0,0 +1,50 @@
+// backend/test/services/webhookTargets.test.js
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  checkWebhookTarget,
+  connectionOptions,
+} = require("../../src/services/webhookTargets");
+
+describe("webhook targets", () => {
+  for (const url of [
+    "http://127.0.0.1/hook",
+    "http://10.0.0.5/hook",
+    "http://172.20.1.1/hook",
+    "http://192.168.1.10/hook",
+    "http://169.254.169.254/latest/meta-data",
+    "http://0.0.0.0/hook",
+    "http://[::1]/hook",
+    "http://[fd00::1]/hook",
+    "http://[fe80::1]/hook",
+    "http://[::ffff:127.0.0.1]/hook",
+  ]) {
+    it(`refuses ${url}`, async () => {
+      assert.match(await checkWebhookTarget(url), /not public/);
+      assert.match(connectionOptions(url).error, /not public/);
+    });
+  }
+
+  it("accepts public addresses", async () => {
+    assert.equal(await checkWebhookTarget("https://93.184.216.34/hook"), null);
+    assert.deepEqual(connectionOptions("https://93.184.216.34/hook"), {});
+  });
+
+  it("checks names when connecting", () => {
+    const { lookup } = connectionOptions("https://hooks.example.com/hook");
+    assert.equal(typeof lookup, "function");
+  });
+
+  it("refuses names that resolve to private addresses", async () => {
+    assert.match(
+      await checkWebhookTarget("http://localhost:8080/hook"),
+      /resolves to .*not public/,
+    );
+
+    const { lookup } = connectionOptions("http://localhost:8080/hook");
+    const error = await new Promise((resolve) =>
+      lookup("localhost", { all: true }, resolve),
+    );
+    assert.match(error.message, /not public/);
+  });
+});
@@ -0,0 +1,69 @@
+// backend/test/support/database.js
+// Runs suites against every database the server supports. SQLite always runs,
+// in memory; PostgreSQL runs when TEST_DATABASE_URL is set, which `npm test`
+// does with a throwaway server. That database is emptied before each suite, so
+// never point it at one holding real data.
+const { describe, before, after } = require("node:test");
+const { openSqlite } = require("../../src/db/sqlite");
+const { openPostgres } = require("../../src/db/postgres");
+const { shareConnection } = require("../../src/db/shared");
+const { migrate } = require("../../src/services/migrations");
+
+const databases = {
+  sqlite: () => openSqlite({ filename: ":memory:" }),
+  postgres: async () => {
+    const connection = await openPostgres({
+      connectionString: process.env.TEST_DATABASE_URL,
+    });
+    await connection.exec("DROP SCHEMA public CASCADE; CREATE SCHEMA public;");
+    return connection;
+  },
+};
+
+// An empty database of the named dialect, shared like the server's
+const openTestDatabase = async (dialect) =>
+  shareConnection(await databases[dialect]());
+
+// Declares the suite once per database. fn receives a getter for the
+// database, which is opened and fully migrated before the suite's tests run.
+const eachDatabase = (name, fn, { migrated = true } = {}) => {
+  for (const dialect of Object.keys(databases)) {
+    const skip =
+      dialect === "postgres" && !process.env.TEST_DATABASE_URL
+        ? "TEST_DATABASE_URL is not set"
+        : false;
+
+    describe(`${name} (${dialect})`, { skip }, () => {
+      let db;
+      before(async () => {
+        db = await openTestDatabase(dialect);
+        if (migrated) {
+          await migrate(db);
+        }
+      });
+      after(() => db?.close());
+      fn(() => db);
+    });
+  }
+};
+
+// Inserts an active user and resolves to their id
+const createUser = async (db, email, role = "holder") =>
+  (
+    await db.run("INSERT INTO users (email, password, role) VALUES (?, ?, ?)", [
+      email,
+      "hash",
+      role,
+    ])
+  ).lastID;
+
+// Inserts an active key and resolves to its id
+const createKey = async (db, identifier, { type = "single_door" } = {}) =>
+  (
+    await db.run(
+      "INSERT INTO keys (identifier, type, tagCode) VALUES (?, ?, ?)",
+      [identifier, type, `KEY-${identifier}`],
+    )
+  ).lastID;
+
+module.exports = { openTestDatabase, eachDatabase, createUser, createKey };
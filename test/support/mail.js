@@ -0,0 +1,83 @@
+// backend/test/support/mail.js
+// A stand-in SMTP server on SMTP_PORT that keeps what the server sends, so
+// tests can read invitation and reset links. `npm test` sets SMTP_HOST and
+// SMTP_PORT before the server's mailer is loaded.
+const { SMTPServer } = require("smtp-server");
+
+// Undoes quoted-printable encoding, which nodemailer uses for long lines
+const decodeQuotedPrintable = (text) =>
+  text
+    .replace(/=\r?\n/g, "")
+    .replace(/=([0-9A-F]{2})/g, (match, hex) =>
+      String.fromCharCode(parseInt(hex, 16)),
+    );
+
+const parseMessage = (raw, recipients) => {
+  const [head, ...body] = raw.split(/\r?\n\r?\n/);
+  // Long headers are folded onto continuation lines that start with a space
+  const subject =
+    /^Subject: (.*)$/im.exec(head.replace(/\r?\n(?=[ \t])/g, ""))?.[1] ?? "";
+  return {
+    to: recipients,
+    subject,
+    text: decodeQuotedPrintable(body.join("\n\n")),
+  };
+};
+
+const messages = [];
+
+const server = new SMTPServer({
+  authOptional: true,
+  disabledCommands: ["STARTTLS", "AUTH"],
+  logger: false,
+  onData(stream, session, callback) {
+    let raw = "";
+    stream.setEncoding("utf8");
+    stream.on("data", (chunk) => {
+      raw += chunk;
+    });
+    stream.on("end", () => {
+      messages.push(
+        parseMessage(
+          raw,
+          session.envelope.rcptTo.map((rcpt) => rcpt.address),
+        ),
+      );
+      callback();
+    });
+  },
+});
+
+let listening;
+
+// Starts the server once per test process. It does not hold the process open.
+const startMailbox = () => {
+  if (!process.env.SMTP_PORT) {
+    throw new Error("SMTP_PORT is not set; run the tests with `npm test`");
+  }
+  listening ??= new Promise((resolve, reject) => {
+    server.once("error", reject);
+    server.listen(Number(process.env.SMTP_PORT), "127.0.0.1", () => {
+      server.server.unref();
+      resolve();
+    });
+  });
+  return listening;
+};
+
+// Forgets the messages received so far
+const clearMail = () => {
+  messages.length = 0;
+};
+
+// Messages received so far for an address
+const mailTo = (address) =>
+  messages.filter((message) => message.to.includes(address));
+
+// The token in the last link sent to the address
+const lastLinkToken = (address) => {
+  const message = mailTo(address).at(-1);
+  return message && /[?&]token=([\w.-]+)/.exec(message.text)?.[1];
+};
+
+module.exports = { startMailbox, clearMail, mailTo, lastLinkToken };